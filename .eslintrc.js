@@ -31,5 +31,13 @@ module.exports = {
         'no-underscore-dangle': ['error', { allow: ['_dirty', '_deleted'], allowAfterThis: true }], // We do allow after this unlike the server
         // Custom rules
         'class-methods-use-this': 'off'
-    }
+    },
+    overrides: [
+        {
+            files: ['test/**/*.js'],
+            rules: {
+                'node/no-unpublished-require': 'off'
+            }
+        }
+    ]
 };
@@ -51,7 +51,7 @@ internals.encodeAuthHeader = (auth) => {
 };
 
 /**
- * Wraps a callback-style unimail call and captures any newAccessToken event
+ * Calls unimail and captures any newAccessToken event
  * that fires for the same auth id during the call.
  *
  * @param request
@@ -59,50 +59,34 @@ internals.encodeAuthHeader = (auth) => {
  * @param method
  * @param {...any} args
  */
-internals.callUnimail = (request, namespace, method, ...args) => {
+internals.callUnimail = async (request, namespace, method, ...args) => {
 
     const connectorName = request.app.connector;
     const connector = connectors[connectorName];
     const authId = request.app.auth && request.app.auth.id;
 
-    return new Promise((resolve, reject) => {
+    let authUpdated = null;
+    const listener = (newAuth) => {
 
-        let authUpdated = null;
-        const listener = (newAuth) => {
-
-            if (!authId || newAuth.id === authId) {
-                authUpdated = newAuth;
-            }
-        };
-
-        if (connector) {
-            connector.on('newAccessToken', listener);
+        if (!authId || newAuth.id === authId) {
+            authUpdated = newAuth;
         }
+    };
 
-        const done = (err, data) => {
-
-            if (connector) {
-                connector.removeListener('newAccessToken', listener);
-            }
-
-            if (err) {
-                return reject(err);
-            }
-
-            return resolve({ data, authUpdated });
-        };
+    if (connector) {
+        connector.on('newAccessToken', listener);
+    }
 
-        try {
-            unimail[namespace][method](connectorName, ...args, done);
-        }
-        catch (err) {
-            if (connector) {
-                connector.removeListener('newAccessToken', listener);
-            }
+    try {
+        const data = await unimail[namespace][method](connectorName, ...args);
 
-            reject(err);
+        return { data, authUpdated };
+    }
+    finally {
+        if (connector) {
+            connector.removeListener('newAccessToken', listener);
         }
-    });
+    }
 };
 
 const init = async () => {
@@ -0,0 +1,116 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+const internals = {};
+
+/**
+ * @typedef {Object} AccountRecord
+ * @property {*} id - Unique id of the account, this is also used as `auth.id` so refreshed tokens can be matched to the account
+ * @property {String} connector - Name of the connector the account uses
+ * @property {Object} auth - Authentication object as expected by the connector
+ * @property {Object} [metadata] - Anything the caller wants to keep with the account
+ */
+
+/**
+ * Handle for a single mailbox, created with `unimail.account()`.
+ * Exposes the same namespaces as Unimail without the connector name and auth arguments, e.g. `account.messages.list(params, options, callback)`.
+ * The stored auth is kept up to date when the connector emits `newAccessToken` for this account, `authUpdated` is emitted afterwards.
+ */
+class Account extends EventEmitter {
+
+    /**
+     * @class
+     * @throws
+     *
+     * @param {import('./index')} unimail
+     * @param {AccountRecord} record
+     * @param {Array.<String>} namespaces - Unimail namespaces to expose on the account
+     */
+    constructor(unimail, record, namespaces) {
+
+        super();
+
+        if (!record || record.id === undefined || record.id === null || !record.connector || !record.auth) {
+            throw new Error('Invalid account. An account needs an id, a connector name and an auth object.');
+        }
+
+        this.id = record.id;
+        this.connectorName = record.connector.toLowerCase();
+        this.auth = { ...record.auth, id: record.id };
+        this.metadata = record.metadata || {};
+
+        namespaces.forEach((namespace) => {
+
+            this[namespace] = {};
+
+            Object.entries(unimail[namespace]).forEach(([name, method]) => {
+
+                this[namespace][name] = (...args) => method(this.connectorName, this.auth, ...args);
+            });
+        });
+
+        this.refreshCredentialsIfExpired = (callback) => unimail.auth.refreshCredentialsIfExpired(this.connectorName, this.auth, callback);
+        this.capabilities = () => unimail.capabilities(this.connectorName);
+    }
+
+    /**
+     * Merges a token emitted with `newAccessToken` into the stored auth.
+     * The auth object is updated in place so calls that are still running use the new token as well.
+     *
+     * @param {Object} token
+     * @param {String} token.access_token
+     * @param {String} [token.refresh_token]
+     * @param {Date | String | Number} [token.expiration_date] - Connectors use `expiry_date` or `expires_at` as well
+     *
+     * @returns {void}
+     */
+    updateAuth(token) {
+
+        this.auth.access_token = token.access_token;
+
+        if (token.refresh_token) {
+            this.auth.refresh_token = token.refresh_token;
+        }
+
+        const expirationDate = internals.getExpirationDate(token);
+
+        if (expirationDate) {
+            this.auth.expiration_date = expirationDate;
+        }
+
+        this.emit('authUpdated', this.auth, this);
+    }
+
+    /**
+     * @returns {AccountRecord} The account as it should be persisted, including the latest auth
+     */
+    toJSON() {
+
+        return {
+            id: this.id,
+            connector: this.connectorName,
+            auth: { ...this.auth },
+            metadata: this.metadata
+        };
+    }
+}
+
+/**
+ * @param {{ expiration_date: any, expiry_date: any, expires_at: any }} token
+ * @returns {Date | null}
+ */
+internals.getExpirationDate = (token) => {
+
+    const value = token.expiration_date || token.expiry_date || token.expires_at;
+
+    if (!value) {
+        return null;
+    }
+
+    const date = new Date(value);
+
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+module.exports = Account;
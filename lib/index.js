@@ -1,5 +1,14 @@
 'use strict';
 
+const Async = require('async');
+const Boom = require('@hapi/boom');
+
+const Account = require('./account');
+const Query = require('./query');
+const Schemas = require('./schemas');
+const TokenStores = require('./token-stores');
+const Utils = require('./utils');
+
 /**
  * Message resource, represents a message and its metadata
  * This object structure should be returned by all custom connectors for messages
@@ -31,6 +40,7 @@
  * @typedef {Object} MessageListResource
  * @property {Array.<MessageResource>} messages - List of message resources
  * @property {String} [next_page_token] - Token for the next page of messages
+ * @property {import('./query').QueryNode} [client_filter] - The part of the `query` param the service couldn't evaluate and was applied to the listed messages instead, so a page can have fewer messages than the limit
  */
 
 /**
@@ -41,6 +51,32 @@
  * @property {String} email - email address of recipient
  */
 
+/**
+ * Draft resource, a unified message resource of a message that hasn't been sent yet.
+ * Most connectors store drafts as messages and use the message id as draft id, Gmail has separate draft ids.
+ *
+ * @global
+ * @typedef {MessageResource & { service_draft_id: String }} DraftResource - `service_draft_id` is the id to use with the draft methods
+ *
+ * @global
+ * @typedef {Object} DraftListResource
+ * @property {Array.<DraftResource>} drafts
+ * @property {String} [next_page_token]
+ */
+
+/**
+ * Outcome of a batch call, with a result per requested id so one failing message doesn't fail the whole call
+ *
+ * @global
+ * @typedef {Object} BatchResultResource
+ * @property {Array.<BatchResult>} results - In the order of the requested ids
+ *
+ * @typedef {Object} BatchResult
+ * @property {String} id - The requested message id
+ * @property {MessageResource|Object|null} message - The (raw) message, null when the call failed for this id
+ * @property {import('@hapi/boom').Boom|null} error
+ */
+
 /**
  * File resource, represents a file and its metadata
  * This object structure should be returned by all custom connectors for files
@@ -71,6 +107,15 @@
  * @property {String} [next_page_token] - Token for the next page of files
  */
 
+/**
+ * Result of `files.stream()`, the content of a file as decoded bytes
+ *
+ * @global
+ * @typedef {Object} FileStreamResource
+ * @property {FileResource} file - Metadata of the file, without `data`
+ * @property {import('stream').Readable} stream - Content of the file, emits an error when the download fails halfway
+ */
+
 /**
  * Folder resource, represents a mail folder/label and its metadata.
  * This object structure should be returned by all custom connectors for folders.
@@ -86,13 +131,186 @@
  * @property {String} service_type - Service name, same as the connector name
  */
 
+/**
+ * Thread resource, represents a conversation and its messages.
+ * This object structure should be returned by all custom connectors for threads.
+ *
+ * @global
+ * @typedef {Object} ThreadResource
+ * @property {String} service_thread_id - Service specific thread id, same as the `service_thread_id` of its messages
+ * @property {String|null} subject - Subject of the first message
+ * @property {Array.<MessageRecipient>} participants - Distinct from, to, cc and bcc addresses of the messages
+ * @property {Number} message_count
+ * @property {Number|null} last_date - Unix timestamp of the last message
+ * @property {Array.<String>} folders - Distinct folders of the messages
+ * @property {Array.<MessageResource>} messages - Oldest first
+ * @property {String} service_type - Service name, same as the connector name
+ *
+ * @global
+ * @typedef {Object} ThreadListResource
+ * @property {Array.<ThreadResource>} threads
+ * @property {String} [next_page_token]
+ */
+
+/**
+ * Ids of the messages that changed since a previous sync, returned by `sync.changes`.
+ * A message is only reported once per call, in the list of its most important change.
+ * Cursors are opaque, connectors error with a 410 when a cursor expired and a full resync is required.
+ *
+ * @global
+ * @typedef {Object} ChangeListResource
+ * @property {Array.<String>} created - Ids of new messages
+ * @property {Array.<String>} updated - Ids of changed messages, e.g. read, flagged or moved
+ * @property {Array.<String>} deleted - Ids of deleted messages
+ * @property {String} next_cursor - Cursor to get the next changes with
+ * @property {Boolean} has_more - True when there are more changes to get with `next_cursor` right away
+ */
+
+/**
+ * Subscription to push notifications about the messages of an account, e.g. a Gmail watch, a Graph subscription or a webhook.
+ * Some services expire subscriptions, these have to be renewed with `subscriptions.renew` before `expires_at`.
+ *
+ * @global
+ * @typedef {Object} SubscriptionResource
+ * @property {String} id - Service specific id, used to renew and delete the subscription
+ * @property {Date|null} expires_at - Null when the subscription doesn't expire
+ * @property {String|null} secret - Secret to verify notifications with, pass it to `subscriptions.parseNotification` as `options.secret`
+ * @property {String} service_type - Service name, same as the connector name
+ */
+
+/**
+ * The HTTP request a notification was delivered with, as passed to `subscriptions.parseNotification`.
+ * Services that sign their notifications need the body exactly as it was received, so pass it as a string or Buffer when possible.
+ *
+ * @global
+ * @typedef {Object} NotificationRequest
+ * @property {String} [method=POST]
+ * @property {String} [url] - Used for the query when `query` isn't passed
+ * @property {Object} [query]
+ * @property {Object} [headers]
+ * @property {String|Buffer|Object} [body]
+ * @property {String|Buffer} [rawBody] - The unparsed body, when `body` is already parsed
+ */
+
+/**
+ * Normalized notification, tells which messages of an account changed.
+ *
+ * @global
+ * @typedef {Object} NotificationResource
+ * @property {String|null} accountId - Service id of the account, e.g. the email address for Gmail, the user id for Office365 and the grant id for Nylas
+ * @property {Array.<String>} messageIds - Empty when the service doesn't say which messages changed, use `sync.changes` to find out
+ * @property {'created'|'updated'|'deleted'|null} changeType - Null when the service doesn't say what changed
+ * @property {String|null} subscriptionId
+ *
+ * @global
+ * @typedef {Object} NotificationListResource
+ * @property {Array.<NotificationResource>} notifications - Empty for requests that only validate the endpoint
+ * @property {{ statusCode: Number, headers: Object.<String, String>, payload: String }} response - What to reply to the service with, validation requests expect a specific payload
+ */
+
+/**
+ * Describes what a connector supports, so callers can hide features instead of running into errors.
+ * Connectors declare everything but `methods` and `service_type` on their `capabilities` property.
+ *
+ * @global
+ * @typedef {Object} Capabilities
+ * @property {String} service_type - Service name, same as the connector name
+ * @property {Array.<String>} methods - Unified methods the connector actually implements, e.g. 'listMessages'
+ * @property {Object.<String, FilterCapability>} filters - Support per `listMessages` filter, keyed by param name
+ * @property {Number|null} max_page_size - Largest `limit` the connector will honour in a single call, null if unknown
+ * @property {Boolean} push - Whether the connector can notify about changes (webhooks, watches, ...)
+ * @property {Boolean} delta_sync - Whether the connector can return only what changed since a previous sync
+ *
+ * @typedef {Object} FilterCapability
+ * @property {Boolean|'partial'} supported - 'partial' means the filter only works in some cases, see `note`
+ * @property {Array.<String>} [values] - When set, only these values are supported
+ * @property {String} [note] - Explains the limitations of a partially supported filter
+ */
+
+/**
+ * Options of `messages.iterate()` and `files.iterate()`, the other options are passed to every list call
+ *
+ * @global
+ * @typedef {Object} IterateOptions
+ * @property {Number} [maxItems] - Stop after this many resources, all pages are fetched when omitted
+ * @property {Number} [pageSize] - The `limit` of every list call, the connector default when omitted
+ * @property {AbortSignal} [signal] - Stops the iteration, an ongoing list call is no longer waited for
+ * @property {Boolean} [idsOnly] - Only supported by `messages.iterate()`, yields the ids instead
+ */
+
+/**
+ * Passed to the extensions registered with `unimail.ext()`, one object per `callMethod` call.
+ * Extensions can change `params` and `options` in `onRequest`, `result` in `onResponse` and `error` in `onError`.
+ *
+ * @global
+ * @typedef {Object} ExtensionRequest
+ * @property {String} connectorName - Name of the connector that is called
+ * @property {String} methodName - Connector method that is called, e.g. 'listMessages'
+ * @property {*} authId - The `id` of the auth object, if any
+ * @property {Object} auth
+ * @property {Object} [params]
+ * @property {Object} [options]
+ * @property {*} result - Set in `onRequest` to skip calling the connector (e.g. when cached), can be replaced in `onResponse`
+ * @property {import('@hapi/boom').Boom | null} error - Set when the call failed, clear it in `onError` to recover with `result` instead
+ * @property {Object} app - Free to use by extensions to share state during a call, e.g. a start time for metrics
+ */
+
+const accounts = Symbol('accounts');
 const connectors = Symbol('connectors');
+const extensions = Symbol('extensions');
+
+const internals = {
+    methods: [
+        'listMessages',
+        'getMessage',
+        'sendMessage',
+        'updateMessage',
+        'moveMessage',
+        'trashMessage',
+        'deleteMessage',
+        'batchGetMessages',
+        'batchUpdateMessages',
+        'transformMessages',
+        'createDraft',
+        'updateDraft',
+        'getDraft',
+        'listDrafts',
+        'sendDraft',
+        'deleteDraft',
+        'listFiles',
+        'getFile',
+        'streamFile',
+        'listFolders',
+        'createFolder',
+        'updateFolder',
+        'deleteFolder',
+        'listThreads',
+        'getThread',
+        'listChanges',
+        'createSubscription',
+        'renewSubscription',
+        'deleteSubscription',
+        'parseNotification',
+        'refreshAuthCredentials',
+        'getAuthorizationUrl',
+        'exchangeAuthorizationCode',
+        'revokeAuthCredentials'
+    ],
+    filters: ['from', 'to', 'subject', 'participants', 'hasAttachment', 'before', 'after', 'folder', 'includeDrafts', 'q', 'query'],
+    accountNamespaces: ['messages', 'drafts', 'files', 'folders', 'threads', 'sync']
+};
 
 class Unimail {
 
     constructor() {
 
+        this[accounts] = new Map();
         this[connectors] = new Map();
+        this[extensions] = {
+            onRequest: [],
+            onResponse: [],
+            onError: []
+        };
 
         this.messages = {
             list: (connectorName, auth, params, options, callback) => {
@@ -107,9 +325,65 @@ class Unimail {
 
                 return this.callMethod(connectorName, 'sendMessage', auth, params, options, callback);
             },
+            update: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'updateMessage', auth, params, options, callback);
+            },
+            move: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'moveMessage', auth, params, options, callback);
+            },
+            trash: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'trashMessage', auth, params, options, callback);
+            },
+            delete: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'deleteMessage', auth, params, options, callback);
+            },
+            batchGet: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'batchGetMessages', auth, params, options, callback);
+            },
+            batchUpdate: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'batchUpdateMessages', auth, params, options, callback);
+            },
+            iterate: (connectorName, auth, params, options) => {
+
+                return internals.iterate(this, connectorName, 'listMessages', 'messages', auth, params, options);
+            },
             transform: (connectorName, auth, params, options) => {
 
-                return this.callMethod(connectorName, 'transformMessages', auth, params, options);
+                // Transforming is synchronous so it can't go through `callMethod`
+                return internals.getConnector(this[connectors], connectorName, 'transformMessages').transformMessages(auth, params, options);
+            }
+        };
+
+        this.drafts = {
+            create: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'createDraft', auth, params, options, callback);
+            },
+            update: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'updateDraft', auth, params, options, callback);
+            },
+            get: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'getDraft', auth, params, options, callback);
+            },
+            list: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'listDrafts', auth, params, options, callback);
+            },
+            send: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'sendDraft', auth, params, options, callback);
+            },
+            delete: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'deleteDraft', auth, params, options, callback);
             }
         };
 
@@ -121,6 +395,78 @@ class Unimail {
             get: (connectorName, auth, params, options, callback) => {
 
                 return this.callMethod(connectorName, 'getFile', auth, params, options, callback);
+            },
+            stream: (connectorName, auth, params, options, callback) => {
+
+                const connector = connectorName && this[connectors].get(connectorName.toLowerCase());
+
+                if (!connector || typeof connector.streamFile === 'function') {
+                    return this.callMethod(connectorName, 'streamFile', auth, params, options, callback);
+                }
+
+                // Connectors that can't stream download the whole file, which is then streamed from memory
+                if (typeof options === 'function') {
+                    callback = options;
+                    options = undefined;
+                }
+
+                const result = this.callMethod(connectorName, 'getFile', auth, params, options).then(Utils.toFileStream);
+
+                if (!callback) {
+                    return result;
+                }
+
+                result
+                    .then((fileStream) => {
+
+                        return process.nextTick(() => callback(null, fileStream));
+                    })
+                    .catch((err) => {
+
+                        return process.nextTick(() => callback(err));
+                    });
+            },
+            iterate: (connectorName, auth, params, options) => {
+
+                return internals.iterate(this, connectorName, 'listFiles', 'files', auth, params, options);
+            }
+        };
+
+        this.threads = {
+            list: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'listThreads', auth, params, options, callback);
+            },
+            get: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'getThread', auth, params, options, callback);
+            }
+        };
+
+        this.sync = {
+            changes: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'listChanges', auth, params, options, callback);
+            }
+        };
+
+        this.subscriptions = {
+            create: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'createSubscription', auth, params, options, callback);
+            },
+            renew: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'renewSubscription', auth, params, options, callback);
+            },
+            delete: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'deleteSubscription', auth, params, options, callback);
+            },
+            // Notifications aren't tied to an auth, they are matched to an account with the `accountId` they are parsed to
+            parseNotification: (connectorName, request, options, callback) => {
+
+                return this.callMethod(connectorName, 'parseNotification', null, request, options, callback);
             }
         };
 
@@ -128,6 +474,19 @@ class Unimail {
             refreshCredentialsIfExpired: (connectorName, auth, callback) => {
 
                 return this.callMethod(connectorName, 'refreshAuthCredentials', auth, callback);
+            },
+            // There is no auth yet for the first steps of the flow
+            getAuthorizationUrl: (connectorName, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'getAuthorizationUrl', null, params, options, callback);
+            },
+            exchangeCode: (connectorName, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'exchangeAuthorizationCode', null, params, options, callback);
+            },
+            revoke: (connectorName, auth, callback) => {
+
+                return this.callMethod(connectorName, 'revokeAuthCredentials', auth, callback);
             }
         };
 
@@ -135,6 +494,18 @@ class Unimail {
             list: (connectorName, auth, params, options, callback) => {
 
                 return this.callMethod(connectorName, 'listFolders', auth, params, options, callback);
+            },
+            create: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'createFolder', auth, params, options, callback);
+            },
+            update: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'updateFolder', auth, params, options, callback);
+            },
+            delete: (connectorName, auth, params, options, callback) => {
+
+                return this.callMethod(connectorName, 'deleteFolder', auth, params, options, callback);
             }
         };
     }
@@ -149,7 +520,56 @@ class Unimail {
             throw new Error('Connector must have a name');
         }
 
-        this[connectors].set(connector.name.toLowerCase(), connector);
+        const name = connector.name.toLowerCase();
+
+        // Keep the tokens of registered accounts up to date
+        if (this[connectors].get(name) !== connector && typeof connector.on === 'function') {
+            connector.on('newAccessToken', (token) => internals.onNewAccessToken(this[accounts], name, token));
+        }
+
+        this[connectors].set(name, connector);
+    }
+
+    /**
+     * Registers an account and returns its handle, calls through the handle are routed to the account's connector with its auth.
+     * When an account with the same id is already registered, that handle is returned as is.
+     *
+     * @throws
+     *
+     * @param {import('./account').AccountRecord} record
+     * @returns {Account}
+     */
+    account(record) {
+
+        if (record && this[accounts].has(record.id)) {
+            return this[accounts].get(record.id);
+        }
+
+        const account = new Account(this, record, internals.accountNamespaces);
+
+        // Fail early instead of on the first call
+        internals.getConnector(this[connectors], account.connectorName);
+
+        this[accounts].set(account.id, account);
+
+        return account;
+    }
+
+    /**
+     * @param {*} id
+     * @returns {Boolean} Whether an account was removed
+     */
+    removeAccount(id) {
+
+        const account = this[accounts].get(id);
+
+        if (!account) {
+            return false;
+        }
+
+        account.removeAllListeners();
+
+        return this[accounts].delete(id);
     }
 
     listConnectors() {
@@ -157,31 +577,498 @@ class Unimail {
         return [...this[connectors].keys()];
     }
 
-    callMethod(connectorName, methodName, auth, params, options, callback) {
+    /**
+     * Registers an extension that runs around every `callMethod` call.
+     * Extensions run in the order they were registered and can return a Promise to do async work.
+     * An extension that throws or rejects fails the call with that error and the remaining extensions are skipped.
+     *
+     * - `onRequest`: after validation and before the connector is called
+     * - `onResponse`: after the connector returned a result
+     * - `onError`: after validation or the connector failed
+     *
+     * @throws
+     *
+     * @param {'onRequest' | 'onResponse' | 'onError'} event
+     * @param {function(ExtensionRequest):(void | Promise<void>)} method
+     *
+     * @returns {void}
+     */
+    ext(event, method) {
 
-        if (!connectorName) {
-            throw new Error('You should specify a connector name!');
+        if (!this[extensions][event]) {
+            throw new Error(`Unknown extension point: ${event}`);
         }
 
-        const name = connectorName.toLowerCase();
+        if (typeof method !== 'function') {
+            throw new TypeError('Extension must be a function');
+        }
+
+        this[extensions][event].push(method);
+    }
+
+    /**
+     * @throws
+     *
+     * @param {String} connectorName
+     * @returns {Capabilities}
+     */
+    capabilities(connectorName) {
+
+        const connector = internals.getConnector(this[connectors], connectorName);
+        const declared = connector.capabilities || {};
+        const unsupportedMethods = new Set(declared.unsupported_methods || []);
+
+        // Filters a connector doesn't mention are assumed to be unsupported, except the query which is then applied to the listed messages
+        const filters = {};
+        internals.filters.forEach((filter) => {
 
-        if (!this[connectors].has(name)) {
-            throw new Error(`Unknown connector: ${connectorName}`);
+            filters[filter] = { supported: false, ...(declared.filters && declared.filters[filter]) };
+        });
+
+        if (!filters.query.supported) {
+            filters.query = internals.clientQuery;
         }
 
-        const connector = this[connectors].get(name);
+        return {
+            service_type: connector.name,
+            methods: internals.methods.filter((method) => typeof connector[method] === 'function' && !unsupportedMethods.has(method)),
+            filters,
+            max_page_size: declared.max_page_size || null,
+            push: !!declared.push,
+            delta_sync: !!declared.delta_sync
+        };
+    }
 
-        if (!(methodName in connector)) {
-            throw new Error(`This connector does not implement ${methodName}()`);
+    /**
+     * Calls a method of a registered connector.
+     * The last function argument is used as callback. When no callback is passed a Promise is returned instead.
+     *
+     * Params and options of the unified methods are validated first, see `./schemas`.
+     * Errors are always Boom errors and are never thrown, invalid input results in a bad request.
+     *
+     * @throws 400 when the connector is unknown or 501 when it doesn't implement the method, and a callback is passed.
+     * Without a callback the returned Promise is rejected with the same error.
+     *
+     * @param {String} connectorName
+     * @param {String} methodName
+     * @param {Object} auth
+     * @param {...*} args - params, options and/or callback, depending on the method
+     *
+     * @returns {Promise<*> | void}
+     */
+    callMethod(connectorName, methodName, auth, ...args) {
+
+        // Drop trailing `undefined`s so the callback, if any, is always the last argument
+        while (args.length > 0 && args[args.length - 1] === undefined) {
+            args.pop();
         }
 
-        return connector[methodName](auth, params, options, callback);
+        if (typeof args[args.length - 1] !== 'function') {
+            return new Promise((resolve, reject) => {
+
+                this.callMethod(connectorName, methodName, auth, ...args, (err, result) => {
+
+                    if (err) {
+                        return reject(err);
+                    }
+
+                    return resolve(result);
+                });
+            });
+        }
+
+        const callback = args.pop();
+        const connector = internals.getConnector(this[connectors], connectorName, methodName);
+        const validation = Schemas.validate(methodName, auth, args);
+        const callArgs = validation.args;
+
+        /** @type {ExtensionRequest} */
+        const request = {
+            connectorName: connector.name,
+            methodName,
+            authId: auth ? auth.id : undefined,
+            auth,
+            params: callArgs[0],
+            options: callArgs[1],
+            result: undefined,
+            error: null,
+            app: {}
+        };
+
+        const respond = () => {
+
+            return internals.runExtensions(this[extensions].onResponse, request, (err) => {
+
+                if (err) {
+                    return callback(Utils.boomify(err));
+                }
+
+                return callback(null, request.result);
+            });
+        };
+
+        const fail = (error) => {
+
+            request.error = error;
+
+            return internals.runExtensions(this[extensions].onError, request, (err) => {
+
+                if (err) {
+                    return callback(Utils.boomify(err));
+                }
+
+                // An extension recovered from the error
+                if (!request.error) {
+                    return respond();
+                }
+
+                return callback(Utils.boomify(request.error));
+            });
+        };
+
+        if (validation.error) {
+            return process.nextTick(() => fail(validation.error));
+        }
+
+        return internals.runExtensions(this[extensions].onRequest, request, (err) => {
+
+            if (err) {
+                return callback(Utils.boomify(err));
+            }
+
+            // An extension already provided the result, e.g. from a cache
+            if (request.result !== undefined) {
+                return respond();
+            }
+
+            // Extensions are allowed to replace params and options
+            if (callArgs.length > 0) {
+                callArgs[0] = request.params;
+            }
+
+            if (callArgs.length > 1) {
+                callArgs[1] = request.options;
+            }
+
+            let called = false;
+            const done = (err, result) => {
+
+                called = true;
+
+                if (err) {
+                    return fail(Utils.boomify(err));
+                }
+
+                request.result = result;
+
+                return respond();
+            };
+
+            try {
+                return internals.invoke(connector, methodName, auth, callArgs, done);
+            }
+            catch (err) {
+                // The error came from the callback itself, so it isn't ours to handle
+                if (called) {
+                    throw err;
+                }
+
+                // Connectors throw plain errors on invalid input, anything else is a bug
+                const error = Object.getPrototypeOf(err) === Error.prototype ? Boom.boomify(err, { statusCode: 400 }) : Utils.boomify(err);
+
+                return process.nextTick(() => fail(error));
+            }
+        });
     }
 }
 
+/**
+ * @throws 400 when the connector is unknown, 501 when it doesn't implement the method
+ *
+ * @param {Map.<String, Object>} registeredConnectors
+ * @param {String} connectorName
+ * @param {String} [methodName] - When passed, the connector has to implement this method
+ *
+ * @returns {Object} The connector
+ */
+internals.getConnector = (registeredConnectors, connectorName, methodName) => {
+
+    if (!connectorName) {
+        throw Boom.badRequest('You should specify a connector name!');
+    }
+
+    const name = connectorName.toLowerCase();
+
+    if (!registeredConnectors.has(name)) {
+        throw Boom.badRequest(`Unknown connector: ${connectorName}`);
+    }
+
+    const connector = registeredConnectors.get(name);
+
+    if (methodName && !(methodName in connector)) {
+        throw Boom.notImplemented(`This connector does not implement ${methodName}()`);
+    }
+
+    return connector;
+};
+
+// The query capability of connectors that don't declare one, see `internals.invoke`
+internals.clientQuery = {
+    supported: 'partial',
+    note: 'Applied to the listed messages, so a page can have fewer messages than the limit. `unread`, `starred`, `folderRole`, `larger` and `smaller` are not supported.'
+};
+
+/**
+ * Calls a connector method. Connectors that don't declare support for the `query` param of listMessages list without it,
+ * and the query is applied to the listed messages instead.
+ *
+ * @throws 400 when the query has a condition that can't be checked on the listed messages
+ *
+ * @param {Object} connector
+ * @param {String} methodName
+ * @param {Object} auth
+ * @param {Array} args - The validated params and options
+ * @param {function(Error?, *):void} callback
+ *
+ * @returns {void}
+ */
+internals.invoke = (connector, methodName, auth, args, callback) => {
+
+    const [params, options] = args;
+    const declared = (connector.capabilities && connector.capabilities.filters) || {};
+
+    if (methodName !== 'listMessages' || !params || !params.query || (declared.query && declared.query.supported)) {
+        return connector[methodName](auth, ...args, callback);
+    }
+
+    const { client } = Query.split(params.query, { conditions: [] });
+
+    return Query.filterList(client, options, (listOptions, next) => connector.listMessages(auth, { ...params, query: null }, listOptions, next), callback);
+};
+
+/**
+ * @param {Map.<*, Account>} registeredAccounts
+ * @param {String} connectorName
+ * @param {{ id: * }} token - As emitted with `newAccessToken`
+ *
+ * @returns {void}
+ */
+internals.onNewAccessToken = (registeredAccounts, connectorName, token) => {
+
+    const account = token && registeredAccounts.get(token.id);
+
+    if (account && account.connectorName === connectorName) {
+        account.updateAuth(token);
+    }
+};
+
+/**
+ * Pages through the results of a list method, used by `messages.iterate()` and `files.iterate()`.
+ * Every page is a `callMethod` call, so the params and options are validated and extensions run per page.
+ *
+ * @param {Unimail} unimail
+ * @param {String} connectorName
+ * @param {'listMessages' | 'listFiles'} methodName
+ * @param {'messages' | 'files'} key - Key of the list response that holds the resources
+ * @param {Object} auth
+ * @param {Object} [params] - The list params, `pageToken` can be passed to start from a page returned by `list()`
+ * @param {IterateOptions} [options]
+ *
+ * @yields {MessageResource | FileResource | String} The unified resources, or ids with `idsOnly`
+ */
+internals.iterate = async function* (unimail, connectorName, methodName, key, auth, params, options) {
+
+    const { error, value } = Schemas.iterateOptions.validate(options || {});
+
+    if (error) {
+        throw Boom.badRequest(`Invalid iterate() call: ${error.message}`);
+    }
+
+    const { maxItems, pageSize, signal, ...listOptions } = value;
+
+    if (listOptions.raw) {
+        throw Boom.badRequest('Invalid iterate() call: raw results can\'t be iterated');
+    }
+
+    const listParams = { ...params };
+    const seenItems = new Set();
+    let count = 0;
+
+    if (pageSize) {
+        listParams.limit = pageSize;
+    }
+
+    if (maxItems === 0) {
+        return;
+    }
+
+    const list = (pageParams) => {
+
+        internals.throwIfAborted(signal);
+
+        return internals.abortable(unimail.callMethod(connectorName, methodName, auth, pageParams, listOptions), signal);
+    };
+
+    for await (const page of internals.pages(list, listParams)) {
+        for (const item of page[key] || []) {
+            // Date based page tokens (Unipile) and the draft skipping of some connectors can return an item again on the next page
+            const itemKey = typeof item === 'string' ? item : `${item.service_message_id}/${item.service_file_id || ''}`;
+
+            if (!seenItems.has(itemKey)) {
+                seenItems.add(itemKey);
+                count++;
+                yield item;
+            }
+
+            if (count === maxItems) {
+                return;
+            }
+
+            internals.throwIfAborted(signal);
+        }
+    }
+};
+
+/**
+ * Lists pages for as long as the last page has a page token that wasn't returned before.
+ * A page can be empty while there are more, e.g. when the query is applied to the listed messages.
+ *
+ * @param {function(Object):Promise<Object>} list - Lists the page of the params
+ * @param {Object} params - Params of the first page
+ *
+ * @returns {Object} An async iterable of the pages
+ */
+internals.pages = (list, params) => {
+
+    const seenTokens = new Set();
+    let pageParams = params;
+
+    return {
+        [Symbol.asyncIterator]() {
+
+            return this;
+        },
+        async next() {
+
+            if (!pageParams) {
+                return { done: true, value: undefined };
+            }
+
+            const page = await list(pageParams);
+
+            // Page tokens are a uri, a cursor or a date depending on the connector
+            const token = page.next_page_token;
+
+            pageParams = token && !seenTokens.has(String(token)) ? { ...pageParams, pageToken: token } : null;
+            seenTokens.add(String(token));
+
+            return { done: false, value: page };
+        }
+    };
+};
+
+/**
+ * @param {Promise<*>} promise
+ * @param {AbortSignal} [signal]
+ *
+ * @returns {Promise<*>} Rejects as soon as the signal aborts, the call itself can't be cancelled and its result is ignored
+ */
+internals.abortable = (promise, signal) => {
+
+    if (!signal) {
+        return promise;
+    }
+
+    return new Promise((resolve, reject) => {
+
+        const onAbort = () => reject(internals.abortError(signal));
+
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        promise
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+};
+
+/**
+ * @throws When the signal is aborted
+ *
+ * @param {AbortSignal} [signal]
+ *
+ * @returns {void}
+ */
+internals.throwIfAborted = (signal) => {
+
+    if (signal && signal.aborted) {
+        throw internals.abortError(signal);
+    }
+};
+
+/**
+ * @param {AbortSignal} signal
+ * @returns {Error} The reason the signal was aborted with, older Node versions don't have one
+ */
+internals.abortError = (signal) => {
+
+    if (signal.reason) {
+        return signal.reason;
+    }
+
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+
+    return error;
+};
+
+/**
+ * Runs extensions one after the other, they can either be synchronous or return a Promise
+ *
+ * @param {Array.<function(ExtensionRequest):(void | Promise<void>)>} methods
+ * @param {ExtensionRequest} request
+ * @param {function(Error?):void} callback
+ *
+ * @returns {void}
+ */
+internals.runExtensions = (methods, request, callback) => {
+
+    return Async.eachSeries(methods, (method, next) => {
+
+        let result;
+
+        try {
+            result = method(request);
+        }
+        catch (err) {
+            return next(err);
+        }
+
+        Promise.resolve(result)
+            .then(() => {
+
+                return process.nextTick(() => next());
+            })
+            .catch((err) => {
+
+                return process.nextTick(() => next(err));
+            });
+    }, callback);
+};
+
+Unimail.Account = Account;
+Unimail.MemoryTokenStore = TokenStores.MemoryTokenStore;
+Unimail.FileTokenStore = TokenStores.FileTokenStore;
+Unimail.Query = Query; // For custom connectors that support the `query` param of listMessages
+
 Unimail.GmailConnector = require('./unimail-gmail.js');
 Unimail.Office365Connector = require('./unimail-office365.js');
 Unimail.NylasConnector = require('./unimail-nylas.js');
+Unimail.NylasV3Connector = require('./unimail-nylas-v3.js');
 Unimail.UnipileConnector = require('./unimail-unipile.js');
+Unimail.ImapConnector = require('./unimail-imap.js');
+Unimail.JmapConnector = require('./unimail-jmap.js');
+Unimail.LocalConnector = require('./unimail-local.js');
+Unimail.ExchangeConnector = require('./unimail-exchange.js');
+Unimail.MemoryConnector = require('./unimail-memory.js');
 
 module.exports = Unimail;
@@ -0,0 +1,634 @@
+'use strict';
+
+const Boom = require('@hapi/boom');
+
+const internals = {
+    // Type of the value of every query condition
+    conditions: {
+        from: 'string',
+        to: 'string',
+        cc: 'string',
+        bcc: 'string',
+        subject: 'string',
+        body: 'string',
+        text: 'string',
+        unread: 'boolean',
+        starred: 'boolean',
+        folderRole: 'string',
+        hasAttachment: 'boolean',
+        hasAttachmentType: 'string',
+        larger: 'size',
+        smaller: 'size',
+        before: 'date',
+        after: 'date'
+    },
+    // `field:value` terms of the string syntax and the condition they set, `is:` and `has:` are handled separately
+    fields: {
+        from: 'from',
+        to: 'to',
+        cc: 'cc',
+        bcc: 'bcc',
+        subject: 'subject',
+        body: 'body',
+        in: 'folderRole',
+        filetype: 'hasAttachmentType',
+        larger: 'larger',
+        smaller: 'smaller',
+        before: 'before',
+        after: 'after'
+    },
+    flags: {
+        unread: { unread: true },
+        read: { unread: false },
+        starred: { starred: true },
+        unstarred: { starred: false }
+    },
+    sizeUnits: { '': 1, k: 1024, m: 1024 * 1024 },
+    // Conditions every connector can check on unified message resources
+    clientConditions: ['from', 'to', 'cc', 'bcc', 'subject', 'body', 'text', 'hasAttachment', 'hasAttachmentType', 'before', 'after'],
+    operators: ['and', 'or', 'not'],
+    field: /([a-z]+):/iy,
+    phrase: /"([^"]*)"/y,
+    word: /[^\s()"]+/y
+};
+
+/**
+ * Provider independent search query for `listMessages`.
+ *
+ * A query is a tree of conditions combined with AND, OR and NOT,
+ * e.g. `{ and: [{ from: 'alice@example.com' }, { or: [{ unread: true }, { starred: true }] }, { not: { folderRole: 'spam' } }] }`.
+ * Every condition is an object with a single key, an object with several keys is the AND of them.
+ *
+ * The same query can be written as a string, mostly following the Gmail search syntax: `from:alice@example.com (is:unread OR is:starred) -in:spam`
+ *
+ * Connectors compile what their service can evaluate to its own search syntax and apply the rest to the results, see `split`.
+ *
+ * @typedef {Object} QueryNode
+ * @property {Array.<QueryNode>} [and] - Matches when all nodes match
+ * @property {Array.<QueryNode>} [or] - Matches when one of the nodes matches
+ * @property {QueryNode} [not] - Matches when the node doesn't match
+ * @property {String} [from] - Matches part of the from address or name
+ * @property {String} [to] - Matches part of a to address or name
+ * @property {String} [cc] - Matches part of a cc address or name
+ * @property {String} [bcc] - Matches part of a bcc address or name
+ * @property {String} [subject] - Matches part of the subject
+ * @property {String} [body] - Matches part of the body
+ * @property {String} [text] - Matches part of the subject, body or addresses
+ * @property {Boolean} [unread]
+ * @property {Boolean} [starred]
+ * @property {String} [folderRole] - Matches messages in the folder with this role, e.g. 'inbox' or 'sent'
+ * @property {Boolean} [hasAttachment]
+ * @property {String} [hasAttachmentType] - Matches messages with an attachment of this file type, e.g. 'pdf'
+ * @property {Number} [larger] - Size in bytes, a string like '5M' or '200K' is converted
+ * @property {Number} [smaller] - Size in bytes, a string like '5M' or '200K' is converted
+ * @property {Date} [before]
+ * @property {Date} [after]
+ */
+
+/**
+ * Parses the string syntax of a query.
+ *
+ * - `from:`, `to:`, `cc:`, `bcc:`, `subject:` and `body:` followed by a word or a "quoted phrase"
+ * - `is:unread`, `is:read`, `is:starred`, `is:unstarred` and `has:attachment`
+ * - `in:<role>`, `filetype:<extension>`, `larger:<size>`, `smaller:<size>`, `before:<date>` and `after:<date>`
+ * - Other words and phrases match the subject, body or addresses
+ * - Terms are combined with AND unless there is an `OR` between them, `NOT` or `-` negates the next term and parentheses group terms
+ *
+ * @throws 400 when the query is invalid
+ *
+ * @param {String} string
+ *
+ * @returns {QueryNode | null} Null for an empty query
+ */
+exports.parse = (string) => {
+
+    const state = { tokens: internals.tokenize(string), position: 0 };
+
+    if (state.tokens.length === 0) {
+        return null;
+    }
+
+    const query = internals.parseAnd(state);
+
+    if (state.position < state.tokens.length) {
+        throw Boom.badRequest(`Invalid query: unexpected ${state.tokens[state.position].type}`);
+    }
+
+    return query;
+};
+
+/**
+ * Converts a query string or object into a normalized query: every condition node has a single key with a converted value,
+ * and nested ANDs and ORs are flattened.
+ *
+ * @throws 400 when the query is invalid
+ *
+ * @param {String | QueryNode | null} query
+ *
+ * @returns {QueryNode | null}
+ */
+exports.normalize = (query) => {
+
+    if (query === null || query === undefined || query === '') {
+        return null;
+    }
+
+    if (typeof query === 'string') {
+        return exports.parse(query);
+    }
+
+    return internals.normalizeNode(query);
+};
+
+/**
+ * Splits a normalized query into the part a service evaluates and the part that has to be applied to the results.
+ * Only the conditions of a top level AND are split up, an OR or NOT is evaluated by the service as a whole or not at all.
+ *
+ * @throws 400 when the client-side part contains a condition that can't be evaluated on the results
+ *
+ * @param {QueryNode | null} query
+ * @param {Object} supported
+ * @param {Array.<String>} supported.conditions - Conditions the service can evaluate
+ * @param {Boolean} [supported.operators=true] - Whether the service can evaluate OR, NOT and nested ANDs
+ * @param {Array.<String>} [supported.client] - Conditions the connector can evaluate on its results, next to the ones every connector can
+ *
+ * @returns {{ server: (QueryNode | null), client: (QueryNode | null) }}
+ */
+exports.split = (query, supported) => {
+
+    const conditions = new Set(supported.conditions);
+    const operators = supported.operators !== false;
+    const isSupported = (node) => internals.isExpressible(node, conditions, operators);
+
+    const server = exports.conjuncts(query).filter(isSupported);
+    const client = exports.conjuncts(query).filter((node) => !isSupported(node));
+
+    const clientConditions = new Set([...internals.clientConditions, ...(supported.client || [])]);
+
+    client.forEach((node) => {
+
+        const unsupported = internals.getConditions(node).find((condition) => !clientConditions.has(condition));
+
+        if (unsupported) {
+            throw Boom.badRequest(`Unsupported query condition: ${unsupported}`);
+        }
+    });
+
+    return { server: exports.and(server), client: exports.and(client) };
+};
+
+/**
+ * @param {QueryNode | null} query
+ *
+ * @returns {Array.<QueryNode>} The nodes of a top level AND, or the query itself
+ */
+exports.conjuncts = (query) => {
+
+    if (!query) {
+        return [];
+    }
+
+    return query.and || [query];
+};
+
+/**
+ * @param {Array.<QueryNode>} nodes
+ *
+ * @returns {QueryNode | null} The AND of the nodes, without an AND node for a single node
+ */
+exports.and = (nodes) => {
+
+    if (nodes.length === 0) {
+        return null;
+    }
+
+    return nodes.length === 1 ? nodes[0] : { and: nodes };
+};
+
+/**
+ * Checks a unified message against a normalized query
+ *
+ * `unread`, `starred`, `larger` and `smaller` need `unread`, `starred` and `size` properties on the message,
+ * `folderRole` is matched against the `folders` of the message.
+ *
+ * @param {import('./index').MessageResource} message
+ * @param {QueryNode | null} query
+ *
+ * @returns {Boolean}
+ */
+exports.matches = (message, query) => {
+
+    if (!query) {
+        return true;
+    }
+
+    if (query.and) {
+        return query.and.every((node) => exports.matches(message, node));
+    }
+
+    if (query.or) {
+        return query.or.some((node) => exports.matches(message, node));
+    }
+
+    if (query.not) {
+        return !exports.matches(message, query.not);
+    }
+
+    const [condition] = Object.keys(query);
+
+    return internals.matchers[condition](message, query[condition]);
+};
+
+/**
+ * Lists messages and applies the client-side part of a query to them.
+ * The page can contain fewer messages than the limit, the `client_filter` of the response tells the part that was applied.
+ *
+ * @param {QueryNode | null} client - The client-side part of the query, see `split`
+ * @param {Object} options - The listMessages options
+ * @param {function(Object, function(Error?, import('./index').MessageListResource?):void):void} list - Lists the messages with the given options
+ * @param {function(Error?, import('./index').MessageListResource?):void} callback
+ *
+ * @returns {void}
+ */
+exports.filterList = (client, options, list, callback) => {
+
+    if (!client) {
+        return list(options, callback);
+    }
+
+    if (options.raw) {
+        return callback(Boom.badRequest('Part of the query is applied client-side, which can\'t be done for raw results'));
+    }
+
+    return list({ ...options, idsOnly: false }, (err, result) => {
+
+        if (err) {
+            return callback(err);
+        }
+
+        const messages = result.messages.filter((message) => exports.matches(message, client));
+
+        return callback(null, {
+            ...result,
+            messages: options.idsOnly ? messages.map((message) => message.service_message_id) : messages,
+            client_filter: client
+        });
+    });
+};
+
+/* Internal utility functions */
+
+/**
+ * @throws
+ *
+ * @param {String} string
+ *
+ * @returns {Array.<{ type: String, key: String?, value: String? }>}
+ */
+internals.tokenize = (string) => {
+
+    const tokens = [];
+    let position = 0;
+
+    while (position < string.length) {
+        const char = string[position];
+
+        if (/\s/.test(char)) {
+            position++;
+        }
+        else if (char === '(' || char === ')') {
+            tokens.push({ type: char });
+            position++;
+        }
+        else if (char === '-' && /[^\s)]/.test(string[position + 1] || ' ')) {
+            tokens.push({ type: 'NOT' });
+            position++;
+        }
+        else {
+            const term = internals.readTerm(string, position);
+
+            if (!term) {
+                throw Boom.badRequest(`Invalid query near: ${string.slice(position)}`);
+            }
+
+            tokens.push(term.token);
+            position = term.end;
+        }
+    }
+
+    return tokens;
+};
+
+/**
+ * Reads an optionally quoted term with an optional field name, e.g. `subject:"quarterly report"`
+ *
+ * @param {String} string
+ * @param {Number} position
+ *
+ * @returns {{ token: Object, end: Number } | null} Null when there is no valid term at the position
+ */
+internals.readTerm = (string, position) => {
+
+    internals.field.lastIndex = position;
+    const field = internals.field.exec(string);
+    const key = field && field[1].toLowerCase();
+    const start = field ? internals.field.lastIndex : position;
+
+    const pattern = string[start] === '"' ? internals.phrase : internals.word;
+    pattern.lastIndex = start;
+    const match = pattern.exec(string);
+
+    if (!match) {
+        return null;
+    }
+
+    const end = pattern.lastIndex;
+
+    if (pattern === internals.phrase) {
+        return { token: { type: 'term', key, value: match[1] }, end };
+    }
+
+    if (!key && ['AND', 'OR', 'NOT'].includes(match[0])) {
+        return { token: { type: match[0] }, end };
+    }
+
+    return { token: { type: 'term', key, value: match[0] }, end };
+};
+
+internals.parseAnd = (state) => {
+
+    const nodes = [internals.parseOr(state)];
+
+    while (state.position < state.tokens.length && internals.peek(state) !== ')') {
+        if (internals.peek(state) === 'AND') {
+            state.position++;
+        }
+
+        nodes.push(internals.parseOr(state));
+    }
+
+    return nodes.length === 1 ? nodes[0] : internals.normalizeNode({ and: nodes });
+};
+
+// Like Gmail, OR binds stronger than AND: `a b OR c` is `a AND (b OR c)`
+internals.parseOr = (state) => {
+
+    const nodes = [internals.parseUnary(state)];
+
+    while (internals.peek(state) === 'OR') {
+        state.position++;
+        nodes.push(internals.parseUnary(state));
+    }
+
+    return nodes.length === 1 ? nodes[0] : internals.normalizeNode({ or: nodes });
+};
+
+internals.parseUnary = (state) => {
+
+    const token = state.tokens[state.position++];
+
+    if (!token) {
+        throw Boom.badRequest('Invalid query: unexpected end');
+    }
+
+    if (token.type === 'NOT') {
+        return internals.normalizeNode({ not: internals.parseUnary(state) });
+    }
+
+    if (token.type === '(') {
+        const node = internals.parseAnd(state);
+
+        if (internals.peek(state) !== ')') {
+            throw Boom.badRequest('Invalid query: missing )');
+        }
+
+        state.position++;
+        return node;
+    }
+
+    if (token.type === 'term') {
+        return internals.parseTerm(token);
+    }
+
+    throw Boom.badRequest(`Invalid query: unexpected ${token.type}`);
+};
+
+internals.peek = (state) => {
+
+    const token = state.tokens[state.position];
+    return token && token.type;
+};
+
+/**
+ * @throws
+ *
+ * @param {{ key: String?, value: String }} term
+ *
+ * @returns {QueryNode}
+ */
+internals.parseTerm = ({ key, value }) => {
+
+    if (key === 'is') {
+        const flag = internals.flags[value.toLowerCase()];
+
+        if (!flag) {
+            throw Boom.badRequest(`Invalid query: unknown is:${value}`);
+        }
+
+        return flag;
+    }
+
+    if (key === 'has') {
+        if (value.toLowerCase() !== 'attachment') {
+            throw Boom.badRequest(`Invalid query: unknown has:${value}`);
+        }
+
+        return { hasAttachment: true };
+    }
+
+    const condition = internals.fields[key];
+
+    // Unknown fields are searched as text, like `http://example.com`
+    if (!condition) {
+        return internals.normalizeNode({ text: key ? `${key}:${value}` : value });
+    }
+
+    return internals.normalizeNode({ [condition]: value });
+};
+
+/**
+ * @throws
+ *
+ * @param {QueryNode} node
+ *
+ * @returns {QueryNode}
+ */
+internals.normalizeNode = (node) => {
+
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+        throw Boom.badRequest('Invalid query: conditions must be objects');
+    }
+
+    const keys = Object.keys(node);
+    const operator = keys.find((key) => internals.operators.includes(key));
+
+    if (keys.length === 0) {
+        throw Boom.badRequest('Invalid query: empty condition');
+    }
+
+    if (operator && keys.length > 1) {
+        throw Boom.badRequest(`Invalid query: ${operator} can't be combined with other keys`);
+    }
+
+    if (operator === 'not') {
+        const child = internals.normalizeNode(node.not);
+        return child.not || { not: child };
+    }
+
+    if (operator) {
+        if (!Array.isArray(node[operator]) || node[operator].length === 0) {
+            throw Boom.badRequest(`Invalid query: ${operator} must be a non-empty array`);
+        }
+
+        // Nested nodes with the same operator are merged, e.g. `{ and: [a, { and: [b, c] }] }` becomes `{ and: [a, b, c] }`
+        const nodes = node[operator].map(internals.normalizeNode).flatMap((child) => child[operator] || [child]);
+        return nodes.length === 1 ? nodes[0] : { [operator]: nodes };
+    }
+
+    const conditions = keys.map((key) => {
+
+        if (!internals.conditions[key]) {
+            throw Boom.badRequest(`Invalid query: unknown condition ${key}`);
+        }
+
+        return { [key]: internals.convert(key, node[key]) };
+    });
+
+    return exports.and(conditions);
+};
+
+/**
+ * @throws
+ *
+ * @param {String} condition
+ * @param {*} value
+ *
+ * @returns {String | Boolean | Number | Date}
+ */
+internals.convert = (condition, value) => {
+
+    const type = internals.conditions[condition];
+
+    if (type === 'boolean') {
+        if (typeof value !== 'boolean') {
+            throw Boom.badRequest(`Invalid query: ${condition} must be a boolean`);
+        }
+
+        return value;
+    }
+
+    if (type === 'date') {
+        const date = value instanceof Date || typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+
+        if (!date || Number.isNaN(date.getTime())) {
+            throw Boom.badRequest(`Invalid query: ${condition} must be a date`);
+        }
+
+        return date;
+    }
+
+    if (type === 'size') {
+        const match = typeof value === 'number' ? [null, String(value), ''] : /^([\d.]+)([km]?)b?$/i.exec(String(value).trim());
+
+        if (!match || !(Number(match[1]) >= 0)) {
+            throw Boom.badRequest(`Invalid query: ${condition} must be a size like 5M`);
+        }
+
+        return Math.round(Number(match[1]) * internals.sizeUnits[match[2].toLowerCase()]);
+    }
+
+    if (typeof value !== 'string' || !value.trim()) {
+        throw Boom.badRequest(`Invalid query: ${condition} must be a non-empty string`);
+    }
+
+    return value.trim();
+};
+
+internals.isExpressible = (node, conditions, operators) => {
+
+    if (node.and || node.or) {
+        return operators && (node.and || node.or).every((child) => internals.isExpressible(child, conditions, operators));
+    }
+
+    if (node.not) {
+        return operators && internals.isExpressible(node.not, conditions, operators);
+    }
+
+    return conditions.has(Object.keys(node)[0]);
+};
+
+internals.getConditions = (node) => {
+
+    if (node.and || node.or) {
+        return (node.and || node.or).flatMap(internals.getConditions);
+    }
+
+    if (node.not) {
+        return internals.getConditions(node.not);
+    }
+
+    return Object.keys(node);
+};
+
+internals.includes = (values, value) => {
+
+    const search = value.toLowerCase();
+
+    return values.some((candidate) => typeof candidate === 'string' && candidate.toLowerCase().includes(search));
+};
+
+internals.getAddresses = (message, field) => {
+
+    const addresses = (message.addresses || {})[field];
+
+    return [addresses || []].flat().flatMap((address) => [address.email, address.name]);
+};
+
+internals.getBodies = (message) => {
+
+    return (message.body || []).map((body) => body.content);
+};
+
+internals.matchers = {
+    from: (message, value) => internals.includes(internals.getAddresses(message, 'from'), value),
+    to: (message, value) => internals.includes(internals.getAddresses(message, 'to'), value),
+    cc: (message, value) => internals.includes(internals.getAddresses(message, 'cc'), value),
+    bcc: (message, value) => internals.includes(internals.getAddresses(message, 'bcc'), value),
+    subject: (message, value) => internals.includes([message.subject], value),
+    body: (message, value) => internals.includes(internals.getBodies(message), value),
+    text: (message, value) => {
+
+        const addresses = ['from', 'to', 'cc'].flatMap((field) => internals.getAddresses(message, field));
+
+        return internals.includes([message.subject, ...internals.getBodies(message), ...addresses], value);
+    },
+    unread: (message, value) => message.unread === value,
+    starred: (message, value) => message.starred === value,
+    folderRole: (message, value) => (message.folders || []).some((folder) => String(folder).toLowerCase() === value.toLowerCase()),
+    hasAttachment: (message, value) => Boolean(message.attachments) === value,
+    hasAttachmentType: (message, value) => {
+
+        const type = value.toLowerCase().replace(/^\./, '');
+
+        return (message.files || []).some((file) => {
+
+            const extension = String(file.file_name || '').toLowerCase().split('.').pop();
+
+            return !file.is_embedded && (extension === type || String(file.type || '').toLowerCase().endsWith(`/${type}`));
+        });
+    },
+    larger: (message, value) => typeof message.size === 'number' && message.size > value,
+    smaller: (message, value) => typeof message.size === 'number' && message.size < value,
+    before: (message, value) => new Date(message.date) < value,
+    after: (message, value) => new Date(message.date) > value
+};
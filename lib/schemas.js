@@ -0,0 +1,342 @@
+'use strict';
+
+const Boom = require('@hapi/boom');
+const Joi = require('joi');
+
+const Query = require('./query');
+
+const internals = {};
+
+/**
+ * Declarative schemas for the params and options of the unified methods.
+ * These are enforced by `Unimail.callMethod` before a connector is called, so connectors always receive
+ * converted values, e.g. `before` and `after` are always Date objects even when passed as ISO strings.
+ *
+ * Unknown keys are allowed everywhere since connectors accept their own extra params and options.
+ */
+
+internals.recipient = Joi.object({
+    name: Joi.string().allow('', null),
+    email: Joi.string().required()
+}).unknown();
+
+internals.recipients = Joi.array().items(internals.recipient).single().allow(null);
+
+internals.listParams = Joi.object({
+    limit: Joi.number().integer().min(0).allow(null),
+    pageToken: Joi.any(), // Depends on the connector, e.g. a uri for Office365 or a date for Unipile
+    hasAttachment: Joi.boolean().allow(null),
+    before: Joi.date().allow(null),
+    after: Joi.date().allow(null),
+    from: Joi.string().allow('', null),
+    to: Joi.string().allow('', null),
+    subject: Joi.string().allow('', null),
+    participants: Joi.array().items(Joi.string().allow(null)).single().allow(null),
+    folder: Joi.alternatives(Joi.string(), Joi.array().items(Joi.string())).allow(null),
+    includeDrafts: Joi.boolean().allow(null),
+    q: Joi.string().allow('', null)
+}).unknown().required();
+
+// A folder id or role, or a (partial) folder resource
+internals.folderTarget = Joi.alternatives(
+    Joi.string(),
+    Joi.object({
+        id: Joi.string(),
+        role: Joi.string()
+    }).unknown().or('id', 'role')
+);
+
+// The content of a message to send or of a draft, drafts don't need recipients yet
+internals.messageContent = {
+    text: Joi.string().allow('', null),
+    html: Joi.string().allow('', null),
+    subject: Joi.string().allow('', null),
+    inReplyTo: Joi.string().allow('', null),
+    threadId: Joi.string().allow('', null),
+    from: internals.recipient.allow(null),
+    to: internals.recipients,
+    cc: internals.recipients,
+    bcc: internals.recipients,
+    attachments: Joi.array().items(Joi.object({
+        name: Joi.string(),
+        url: Joi.string(),
+        contentBytes: Joi.any()
+    }).unknown().or('url', 'contentBytes')).allow(null)
+};
+
+internals.messageId = Joi.object({
+    id: Joi.string().required()
+}).unknown().required();
+
+internals.fileId = Joi.object({
+    id: Joi.string().required(),
+    messageId: Joi.string()
+}).unknown().required();
+
+internals.messageIds = Joi.array().items(Joi.string()).min(1).single().required();
+
+// The changes updateMessage and batchUpdateMessages make
+internals.messageChanges = {
+    unread: Joi.boolean(),
+    starred: Joi.boolean(),
+    addFolders: Joi.array().items(internals.folderTarget).single(),
+    removeFolders: Joi.array().items(internals.folderTarget).single()
+};
+
+internals.options = Joi.object({
+    raw: Joi.boolean(),
+    idsOnly: Joi.boolean(),
+    includeBody: Joi.boolean()
+}).unknown().allow(null).default({});
+
+/**
+ * Keyed by connector method name.
+ * `params` and `options` are only set for methods that take them, which also decides the arguments the connector method is called with.
+ * `auth` is false for methods that are called before there is an auth object.
+ */
+exports.methods = {
+    listMessages: {
+        params: internals.listParams.keys({
+            query: Joi.alternatives(Joi.string().allow(''), Joi.object()).allow(null).custom(Query.normalize) // Connectors always get a normalized query
+        }),
+        options: internals.options
+    },
+    getMessage: {
+        params: Joi.object({
+            id: Joi.string().required(),
+            rfc2822Format: Joi.boolean()
+        }).unknown().required(),
+        options: internals.options
+    },
+    sendMessage: {
+        params: Joi.object({
+            ...internals.messageContent,
+            to: internals.recipients.required()
+        }).unknown().required(),
+        options: internals.options
+    },
+    updateMessage: {
+        params: Joi.object({
+            id: Joi.string().required(),
+            ...internals.messageChanges
+        }).unknown().or(...Object.keys(internals.messageChanges)).required(),
+        options: internals.options
+    },
+    moveMessage: {
+        params: Joi.object({
+            id: Joi.string().required(),
+            folder: internals.folderTarget.required()
+        }).unknown().required(),
+        options: internals.options
+    },
+    trashMessage: {
+        params: internals.messageId,
+        options: internals.options
+    },
+    deleteMessage: {
+        params: internals.messageId,
+        options: internals.options
+    },
+    batchGetMessages: {
+        params: Joi.object({
+            ids: internals.messageIds
+        }).unknown().required(),
+        options: internals.options
+    },
+    batchUpdateMessages: {
+        params: Joi.object({
+            ids: internals.messageIds,
+            ...internals.messageChanges
+        }).unknown().or(...Object.keys(internals.messageChanges)).required(),
+        options: internals.options
+    },
+    createDraft: {
+        params: Joi.object(internals.messageContent).unknown().required(),
+        options: internals.options
+    },
+    updateDraft: {
+        params: Joi.object({
+            id: Joi.string().required(),
+            ...internals.messageContent
+        }).unknown().required(),
+        options: internals.options
+    },
+    getDraft: {
+        params: internals.messageId,
+        options: internals.options
+    },
+    listDrafts: {
+        params: internals.listParams,
+        options: internals.options
+    },
+    sendDraft: {
+        params: internals.messageId,
+        options: internals.options
+    },
+    deleteDraft: {
+        params: internals.messageId,
+        options: internals.options
+    },
+    listFiles: {
+        params: internals.listParams,
+        options: internals.options
+    },
+    getFile: {
+        params: internals.fileId,
+        options: internals.options
+    },
+    streamFile: {
+        params: internals.fileId,
+        options: internals.options
+    },
+    listFolders: {
+        params: Joi.object().unknown().allow(null).default({}),
+        options: internals.options
+    },
+    createFolder: {
+        params: Joi.object({
+            name: Joi.string().required(),
+            parent: internals.folderTarget.allow(null)
+        }).unknown().required(),
+        options: internals.options
+    },
+    updateFolder: {
+        params: Joi.object({
+            id: Joi.string().required(),
+            name: Joi.string(),
+            parent: internals.folderTarget.allow(null) // Null moves the folder to the top level
+        }).unknown().or('name', 'parent').required(),
+        options: internals.options
+    },
+    deleteFolder: {
+        params: Joi.object({
+            id: Joi.string().required()
+        }).unknown().required(),
+        options: internals.options
+    },
+    listThreads: {
+        params: internals.listParams,
+        options: internals.options
+    },
+    getThread: {
+        params: Joi.object({
+            id: Joi.string().required()
+        }).unknown().required(),
+        options: internals.options
+    },
+    listChanges: {
+        params: Joi.object({
+            cursor: Joi.string().allow('', null),
+            limit: Joi.number().integer().min(1).allow(null),
+            folder: Joi.string().allow(null) // Only used by connectors that sync a single folder
+        }).unknown().allow(null).default({}),
+        options: internals.options
+    },
+    createSubscription: {
+        params: Joi.object({
+            url: Joi.string().uri(), // Where the service delivers notifications, Gmail publishes to a Pub/Sub `topic` instead
+            topic: Joi.string(),
+            folders: Joi.array().items(Joi.string()).single().allow(null),
+            secret: Joi.string().allow(null), // Sent back with every notification, services that sign notifications generate their own
+            expiresAt: Joi.date().allow(null)
+        }).unknown().or('url', 'topic').required(),
+        options: internals.options
+    },
+    renewSubscription: {
+        params: Joi.object({
+            id: Joi.string().required(),
+            expiresAt: Joi.date().allow(null)
+        }).unknown().required(),
+        options: internals.options
+    },
+    deleteSubscription: {
+        params: Joi.object({
+            id: Joi.string().required()
+        }).unknown().required(),
+        options: internals.options
+    },
+    parseNotification: {
+        auth: false,
+        params: Joi.object({
+            method: Joi.string(),
+            url: Joi.string(),
+            query: Joi.object().unknown().allow(null),
+            headers: Joi.object().unknown().allow(null),
+            body: Joi.any(),
+            rawBody: Joi.any()
+        }).unknown().required(),
+        options: Joi.object({
+            secret: Joi.string().allow(null),
+            audience: Joi.string().allow(null)
+        }).unknown().allow(null).default({})
+    },
+    refreshAuthCredentials: {},
+    getAuthorizationUrl: {
+        auth: false,
+        params: Joi.object({
+            redirectUri: Joi.string().required(),
+            methods: Joi.array().items(Joi.string()).single().allow(null),
+            scopes: Joi.array().items(Joi.string()).single().allow(null),
+            state: Joi.string().allow('', null),
+            loginHint: Joi.string().allow('', null),
+            prompt: Joi.string().allow('', null)
+        }).unknown().required(),
+        options: internals.options
+    },
+    exchangeAuthorizationCode: {
+        auth: false,
+        params: Joi.object({
+            code: Joi.string().required(),
+            redirectUri: Joi.string().required()
+        }).unknown().required(),
+        options: internals.options
+    },
+    revokeAuthCredentials: {}
+};
+
+// Options of `messages.iterate()` and `files.iterate()`, the rest is validated as options of the list method
+exports.iterateOptions = Joi.object({
+    maxItems: Joi.number().integer().min(0).allow(null).default(null),
+    pageSize: Joi.number().integer().min(1).allow(null),
+    signal: Joi.any()
+}).unknown().allow(null).default({});
+
+/**
+ * Validates and converts the input of a unified method.
+ * Methods without a schema (e.g. custom connector methods) are passed through untouched.
+ *
+ * @param {String} methodName
+ * @param {Object} auth
+ * @param {Array.<*>} args - The params and options, in that order, without the callback
+ *
+ * @returns {{ error: (import('@hapi/boom').Boom | undefined), args: Array.<*> }} The converted arguments to call the connector method with
+ */
+exports.validate = (methodName, auth, args) => {
+
+    const schema = exports.methods[methodName];
+
+    if (!schema) {
+        return { args };
+    }
+
+    const keys = { auth: schema.auth === false ? Joi.any() : Joi.object().required() };
+    const input = { auth };
+
+    if (schema.params) {
+        keys.params = schema.params;
+        input.params = args[0];
+    }
+
+    if (schema.options) {
+        keys.options = schema.options;
+        input.options = args[1];
+    }
+
+    const { error, value } = Joi.object(keys).validate(input);
+
+    if (error) {
+        return { error: Boom.badRequest(`Invalid ${methodName}() call: ${error.message}`), args };
+    }
+
+    return { args: Object.keys(keys).slice(1).map((key) => value[key]) };
+};
@@ -0,0 +1,323 @@
+'use strict';
+
+const Fs = require('fs');
+const Path = require('path');
+
+const internals = {};
+
+/**
+ * Token stores persist refreshed credentials per auth id and make sure a token is only refreshed once at a time.
+ * Connectors that refresh tokens (Gmail, Office365) accept one with `config.tokenStore`.
+ * Custom stores (e.g. backed by Redis or a database) only need to implement this interface.
+ *
+ * @typedef {Object} TokenStore
+ * @property {function(*, function(Error?, StoredToken?):void):void} get - Calls back with the stored token for the auth id or null
+ * @property {function(*, StoredToken, function(Error?):void):void} set - Stores the token for the auth id
+ * @property {function(*, function(Error?, function(function(Error?):void=):void):void):void} lock - Calls back with a release function once the lock for the auth id is acquired
+ *
+ * @typedef {Object} StoredToken
+ * @property {String} access_token
+ * @property {String} [refresh_token]
+ * @property {Date} [expiration_date]
+ */
+
+/**
+ * Per id queue of lock holders within this process
+ */
+internals.Locks = class {
+
+    constructor() {
+
+        this.queues = new Map();
+    }
+
+    /**
+     * @param {*} id
+     * @param {function(Error?, function(function(Error?):void=):void):void} callback
+     * @returns {void}
+     */
+    acquire(id, callback) {
+
+        const key = String(id);
+
+        if (this.queues.has(key)) {
+            this.queues.get(key).push(callback);
+            return;
+        }
+
+        this.queues.set(key, []);
+
+        return process.nextTick(() => callback(null, this.releaser(key)));
+    }
+
+    releaser(key) {
+
+        let released = false;
+
+        return (callback) => {
+
+            if (!released) {
+                released = true;
+
+                const next = this.queues.get(key).shift();
+
+                if (next) {
+                    process.nextTick(() => next(null, this.releaser(key)));
+                }
+                else {
+                    this.queues.delete(key);
+                }
+            }
+
+            if (callback) {
+                return process.nextTick(() => callback());
+            }
+        };
+    }
+};
+
+/**
+ * Keeps tokens in memory, only useful when everything runs in a single process
+ */
+class MemoryTokenStore {
+
+    constructor() {
+
+        this.tokens = new Map();
+        this.locks = new internals.Locks();
+    }
+
+    get(id, callback) {
+
+        const token = this.tokens.get(String(id));
+
+        return process.nextTick(() => callback(null, token ? { ...token } : null));
+    }
+
+    set(id, token, callback) {
+
+        this.tokens.set(String(id), { ...token });
+
+        return process.nextTick(() => callback(null));
+    }
+
+    lock(id, callback) {
+
+        return this.locks.acquire(id, callback);
+    }
+}
+
+/**
+ * Keeps one JSON file per auth id in a directory.
+ * Locks are lock files next to the token files so multiple processes on the same machine can share the store.
+ */
+class FileTokenStore {
+
+    /**
+     * @class
+     * @throws
+     *
+     * @param {Object} config
+     * @param {String} config.path - Directory to keep the tokens in, it is created when it doesn't exist
+     * @param {Number} [config.lockTimeout=30000] - Lock files older than this many ms are considered stale and removed
+     * @param {Number} [config.retryInterval=50] - How often to retry acquiring a lock that is held by another process, in ms
+     */
+    constructor(config) {
+
+        if (!config || !config.path) {
+            throw new Error('Invalid configuration. Please refer to the documentation to get the required fields.');
+        }
+
+        this.path = config.path;
+        this.lockTimeout = config.lockTimeout || 30 * 1000;
+        this.retryInterval = config.retryInterval || 50;
+        this.locks = new internals.Locks();
+    }
+
+    get(id, callback) {
+
+        return Fs.readFile(this._filePath(id, 'json'), 'utf8', (err, content) => {
+
+            if (err) {
+                return callback(err.code === 'ENOENT' ? null : err, null);
+            }
+
+            let token;
+
+            try {
+                token = JSON.parse(content);
+            }
+            catch (parseErr) {
+                return callback(parseErr);
+            }
+
+            if (token.expiration_date) {
+                token.expiration_date = new Date(token.expiration_date);
+            }
+
+            return callback(null, token);
+        });
+    }
+
+    set(id, token, callback) {
+
+        const filePath = this._filePath(id, 'json');
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+
+        return Fs.mkdir(this.path, { recursive: true }, (err) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            // Write to a temporary file first so readers never see a half written token
+            return Fs.writeFile(tempPath, JSON.stringify(token), { mode: 0o600 }, (err) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                return Fs.rename(tempPath, filePath, callback);
+            });
+        });
+    }
+
+    lock(id, callback) {
+
+        // First make sure only one caller in this process goes for the lock file
+        return this.locks.acquire(id, (err, releaseLocal) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            const lockPath = this._filePath(id, 'lock');
+
+            return Fs.mkdir(this.path, { recursive: true }, (err) => {
+
+                if (err) {
+                    return releaseLocal(() => callback(err));
+                }
+
+                return this._acquireLockFile(lockPath, (err) => {
+
+                    if (err) {
+                        return releaseLocal(() => callback(err));
+                    }
+
+                    return callback(null, (releaseCallback) => {
+
+                        return Fs.unlink(lockPath, (err) => {
+
+                            return releaseLocal(() => releaseCallback && releaseCallback(err && err.code !== 'ENOENT' ? err : null));
+                        });
+                    });
+                });
+            });
+        });
+    }
+
+    _acquireLockFile(lockPath, callback) {
+
+        return Fs.writeFile(lockPath, String(process.pid), { flag: 'wx' }, (err) => {
+
+            if (!err) {
+                return callback();
+            }
+
+            if (err.code !== 'EEXIST') {
+                return callback(err);
+            }
+
+            return Fs.stat(lockPath, (statErr, stats) => {
+
+                // Remove locks left behind by crashed processes
+                if (!statErr && Date.now() - stats.mtimeMs > this.lockTimeout) {
+                    return Fs.unlink(lockPath, () => this._acquireLockFile(lockPath, callback));
+                }
+
+                setTimeout(() => this._acquireLockFile(lockPath, callback), this.retryInterval);
+            });
+        });
+    }
+
+    _filePath(id, extension) {
+
+        return Path.join(this.path, `${encodeURIComponent(String(id))}.${extension}`);
+    }
+}
+
+/**
+ * Refreshes credentials for an auth object, using the store to share tokens and to only refresh once at a time per auth id.
+ * When another caller refreshed in the meantime the stored token is used instead of refreshing again.
+ * Without a store or auth id this simply calls `refresh`.
+ *
+ * @param {TokenStore | null} store
+ * @param {Object} auth
+ * @param {function(StoredToken):Boolean} isExpired
+ * @param {function(function(Error?, StoredToken?):void):void} refresh - Does the actual refresh with the provider
+ * @param {function(Error?, StoredToken?, Boolean?):void} callback - The boolean is true when the token was actually refreshed, false when it came from the store
+ *
+ * @returns {void}
+ */
+exports.refresh = (store, auth, isExpired, refresh, callback) => {
+
+    if (!store || auth.id === undefined || auth.id === null) {
+        return refresh((err, token) => callback(err, token, !err));
+    }
+
+    return store.lock(auth.id, (err, release) => {
+
+        if (err) {
+            return callback(err);
+        }
+
+        const finish = (err, token, refreshed) => {
+
+            return release(() => callback(err, token, refreshed));
+        };
+
+        return store.get(auth.id, (err, storedToken) => {
+
+            if (err) {
+                return finish(err);
+            }
+
+            if (storedToken && storedToken.access_token && storedToken.access_token !== auth.access_token && !isExpired(storedToken)) {
+                return finish(null, storedToken, false);
+            }
+
+            return refresh((err, token) => {
+
+                if (err) {
+                    return finish(err);
+                }
+
+                return store.set(auth.id, token, (err) => finish(err, token, true));
+            });
+        });
+    });
+};
+
+/**
+ * Stores a token that was refreshed outside of `refresh`, e.g. automatically by a provider SDK
+ *
+ * @param {TokenStore | null} store
+ * @param {*} id
+ * @param {StoredToken} token
+ * @param {function(Error?):void} callback
+ *
+ * @returns {void}
+ */
+exports.save = (store, id, token, callback) => {
+
+    if (!store || id === undefined || id === null) {
+        return callback();
+    }
+
+    return store.set(id, token, callback);
+};
+
+exports.MemoryTokenStore = MemoryTokenStore;
+
+exports.FileTokenStore = FileTokenStore;
@@ -0,0 +1,1189 @@
+'use strict';
+
+const Crypto = require('crypto');
+const EventEmitter = require('events');
+const Http = require('http');
+const Https = require('https');
+
+const Boom = require('@hapi/boom');
+const { XMLParser } = require('fast-xml-parser');
+const Ntlm = require('httpntlm/ntlm');
+const Wreck = require('@hapi/wreck');
+
+const Utils = require('./utils');
+
+const internals = {
+    namespaces: 'xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" xmlns:t="http://schemas.microsoft.com/exchange/services/2006/types" xmlns:m="http://schemas.microsoft.com/exchange/services/2006/messages"',
+    distinguishedFolders: {
+        inbox: 'inbox',
+        sent: 'sentitems',
+        drafts: 'drafts',
+        trash: 'deleteditems',
+        spam: 'junkemail',
+        outbox: 'outbox'
+    },
+    itemProperties: [
+        'item:Subject', 'item:DateTimeReceived', 'item:DateTimeSent', 'item:ParentFolderId', 'item:ConversationId', 'item:HasAttachments',
+        'item:Attachments', 'item:InternetMessageHeaders', 'message:From', 'message:ToRecipients', 'message:CcRecipients',
+        'message:BccRecipients', 'message:InternetMessageId', 'message:InReplyTo'
+    ]
+};
+
+/**
+ * @typedef {import('./index').MessageResource} MessageResource
+ * @typedef {import('./index').MessageListResource} MessageListResource
+ * @typedef {import('./index').BatchResultResource} BatchResultResource
+ * @typedef {import('./index').FileResource} FileResource
+ * @typedef {import('./index').FileListResource} FileListResource
+ * @typedef {import('./index').FolderResource} FolderResource
+ * @typedef {import('./index').MessageRecipient} MessageRecipient
+ */
+
+/**
+ * Speaks Exchange Web Services (SOAP) for on-premises Exchange 2013 and later.
+ * Filters are sent as AQS query strings, so they depend on the search index of the server.
+ */
+class ExchangeConnector extends EventEmitter {
+
+    /**
+     * @class
+     *
+     * @param {Object} [config] - Configuration object
+     * @param {String} [config.url] - EWS endpoint, e.g. `https://mail.example.com/EWS/Exchange.asmx`. Can also be set per mailbox with `auth.ews_url`.
+     * @param {String} [config.version=Exchange2013] - Requested server version
+     */
+    constructor(config) {
+
+        super();
+
+        config = config || {};
+
+        this.url = config.url;
+        this.version = config.version || 'Exchange2013';
+
+        this.name = 'exchange';
+        this.capabilities = internals.capabilities;
+    }
+
+    /**
+     * @typedef {Object} Auth - Authentication object
+     * @property {String} user - Username, for NTLM without the domain
+     * @property {String} password
+     * @property {String} [auth_type=ntlm] - `ntlm` or `basic`
+     * @property {String} [domain] - NTLM domain
+     * @property {String} [workstation] - NTLM workstation
+     * @property {String} [ews_url] - Overrides the connector's EWS endpoint for this mailbox
+     */
+
+    /* MESSAGES */
+
+    /**
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {Number} [params.limit=100] - Maximum amount of messages in response
+     * @param {String} [params.pageToken] - Token used to retrieve a certain page in the list
+     * @param {Boolean} [params.hasAttachment] - If set, only return messages with or without attachments
+     * @param {Date} [params.before] - Only return messages received before this day
+     * @param {Date} [params.after] - Only return messages received on or after this day
+     * @param {String} [params.from] - Only return messages sent from this address
+     * @param {String} [params.to] - Only return messages sent to this address
+     * @param {String} [params.subject] - Only return messages with this text in the subject
+     * @param {String[]} [params.participants] - Only return messages from, to or cc one of these addresses
+     * @param {String | String[]} [params.folder] - Folder roles (e.g. `sent`), folder ids or folder names. Defaults to the inbox and sent items.
+     * @param {Boolean} [params.includeDrafts] - Whether to include the drafts folder when no folder is passed, defaults to false
+     * @param {String} [params.q] - Only return messages matching this AQS query
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     * @param {Boolean} [options.idsOnly] - If true the response will only contain the ids of the messages
+     * @param {Boolean} [options.includeBody] - Defaults to true
+     *
+     * @param {function(Error?, MessageListResource | { messages: Array.<Object | String>, next_page_token: String? }?):void} callback Returns an array of unified message resources when options.raw is falsy or the raw EWS items when truthy
+     * @returns {void}
+     */
+    listMessages(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = { includeBody: true, ...options };
+
+        const list = async () => {
+
+            const folders = await this._getFolders(auth);
+            const limit = params.limit || 100;
+            const offset = Number(params.pageToken) || 0;
+            const queryString = internals.createQueryString(params);
+
+            const [response] = await this._operation(auth, 'FindItem', `
+                <m:FindItem Traversal="Shallow">
+                    <m:ItemShape><t:BaseShape>IdOnly</t:BaseShape></m:ItemShape>
+                    <m:IndexedPageItemView MaxEntriesReturned="${limit}" Offset="${offset}" BasePoint="Beginning"/>
+                    <m:SortOrder>
+                        <t:FieldOrder Order="Descending"><t:FieldURI FieldURI="item:DateTimeReceived"/></t:FieldOrder>
+                    </m:SortOrder>
+                    <m:ParentFolderIds>${internals.getParentFolderIds(params, folders).join('')}</m:ParentFolderIds>
+                    ${queryString ? `<m:QueryString>${internals.escape(queryString)}</m:QueryString>` : ''}
+                </m:FindItem>`);
+
+            const ids = internals.getItems(response.RootFolder.Items).map((item) => item.ItemId.Id);
+            const responseObject = { messages: ids };
+
+            if (response.RootFolder.IncludesLastItemInRange !== 'true' && ids.length > 0) {
+                responseObject.next_page_token = response.RootFolder.IndexedPagingOffset;
+            }
+
+            if (options.idsOnly || ids.length === 0) {
+                return responseObject;
+            }
+
+            const items = await this._getItems(auth, ids, { includeBody: options.includeBody });
+
+            responseObject.messages = options.raw ? items : items.map((item) => this._transformMessage(item, folders));
+
+            return responseObject;
+        };
+
+        return Utils.respond(list(), callback);
+    }
+
+    /**
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - EWS item id
+     * @param {Boolean} [params.rfc2822Format = false] - Return the email in rfc2822 format https://www.ietf.org/rfc/rfc2822.txt
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     *
+     * @param {function(Error?, (MessageResource | Object | String)?):void} callback Returns a unified message resource when options.raw is falsy or the raw EWS item when truthy
+     * @returns {void}
+     */
+    getMessage(auth, params, options, callback) {
+
+        if (!params || !params.id) {
+            throw new Error('Invalid configuration. Please refer to the documentation to get the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const get = async () => {
+
+            if (params.rfc2822Format) {
+                const [item] = await this._getItems(auth, [params.id], { mimeContent: true });
+
+                return Buffer.from(item.MimeContent['#text'] || '', 'base64').toString();
+            }
+
+            return await this._getMessage(auth, params.id, options);
+        };
+
+        return Utils.respond(get(), callback);
+    }
+
+    /**
+     * Sends the message as MIME content and saves a copy in the sent items
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.text - Plain text content of message
+     * @param {String} params.html - Html content of message
+     * @param {String} params.subject - Subject of message
+     * @param {String} params.inReplyTo - The message id this message is replying
+     * @param {MessageRecipient} params.from - Defaults to the mailbox of the user
+     * @param {MessageRecipient[]} params.to
+     * @param {MessageRecipient[]} params.cc
+     * @param {MessageRecipient[]} params.bcc
+     * @param {{ name: String, url: String, contentBytes: String }[]} params.attachments - `contentBytes` is the base64 encoded content, otherwise the content is downloaded from `url`
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?, String?):void} callback - Returns the email message id of the sent message
+     *
+     * @returns {void}
+     */
+    sendMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        const send = async () => {
+
+            const address = params.from ? params.from.email : auth.user;
+            const messageId = `<${Crypto.randomBytes(16).toString('hex')}@${address.includes('@') ? address.split('@').pop() : 'exchange.local'}>`;
+            const rawMessage = await internals.generateMessage(params, params.from, messageId);
+
+            await this._operation(auth, 'CreateItem', `
+                <m:CreateItem MessageDisposition="SendAndSaveCopy">
+                    <m:SavedItemFolderId><t:DistinguishedFolderId Id="sentitems"/></m:SavedItemFolderId>
+                    <m:Items>
+                        <t:Message><t:MimeContent CharacterSet="UTF-8">${Buffer.from(rawMessage).toString('base64')}</t:MimeContent></t:Message>
+                    </m:Items>
+                </m:CreateItem>`);
+
+            return messageId;
+        };
+
+        return Utils.respond(send(), callback);
+    }
+
+    /**
+     * Marks a message as read or unread and flags or unflags it, an item is in exactly one folder so folders can only be changed with moveMessage
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - EWS item id
+     * @param {Boolean} [params.unread]
+     * @param {Boolean} [params.starred] - Flags the item, requires Exchange2013 or later
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the updated item will not be transformed to the unified object
+     *
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
+     * @returns {void}
+     */
+    updateMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        if (params.addFolders || params.removeFolders) {
+            return callback(Boom.badRequest('Exchange items are in exactly one folder, use moveMessage to change the folder'));
+        }
+
+        const updates = [];
+
+        if (params.unread !== undefined) {
+            updates.push(`<t:SetItemField><t:FieldURI FieldURI="message:IsRead"/><t:Message><t:IsRead>${!params.unread}</t:IsRead></t:Message></t:SetItemField>`);
+        }
+
+        if (params.starred !== undefined) {
+            updates.push(`<t:SetItemField><t:FieldURI FieldURI="item:Flag"/><t:Message><t:Flag><t:FlagStatus>${params.starred ? 'Flagged' : 'NotFlagged'}</t:FlagStatus></t:Flag></t:Message></t:SetItemField>`);
+        }
+
+        const update = async () => {
+
+            if (updates.length > 0) {
+                await this._operation(auth, 'UpdateItem', `
+                    <m:UpdateItem MessageDisposition="SaveOnly" ConflictResolution="AlwaysOverwrite">
+                        <m:ItemChanges>
+                            <t:ItemChange><t:ItemId Id="${internals.escape(params.id)}"/><t:Updates>${updates.join('')}</t:Updates></t:ItemChange>
+                        </m:ItemChanges>
+                    </m:UpdateItem>`);
+            }
+
+            return await this._getMessage(auth, params.id, options);
+        };
+
+        return Utils.respond(update(), callback);
+    }
+
+    /**
+     * Moving gives the item a new id, the moved message is returned with it
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - EWS item id
+     * @param {String | FolderResource} params.folder - Folder id or role, or a (partial) folder resource
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the moved item will not be transformed to the unified object
+     *
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
+     * @returns {void}
+     */
+    moveMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const move = async () => {
+
+            const folders = await this._getFolders(auth);
+            const folder = Utils.findFolder(folders.list, params.folder);
+
+            const [moved] = await this._operation(auth, 'MoveItem', `
+                <m:MoveItem>
+                    <m:ToFolderId><t:FolderId Id="${internals.escape(folder.id)}"/></m:ToFolderId>
+                    <m:ItemIds><t:ItemId Id="${internals.escape(params.id)}"/></m:ItemIds>
+                </m:MoveItem>`);
+
+            const [item] = internals.getItems(moved.Items);
+
+            return await this._getMessage(auth, item.ItemId.Id, options);
+        };
+
+        return Utils.respond(move(), callback);
+    }
+
+    /**
+     * Moves the message to the deleted items
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - EWS item id
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the moved item will not be transformed to the unified object
+     *
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
+     * @returns {void}
+     */
+    trashMessage(auth, params, options, callback) {
+
+        return this.moveMessage(auth, { ...params, folder: { role: 'trash' } }, options, callback);
+    }
+
+    /**
+     * Permanently deletes the message, it can't be recovered from the deleted items
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - EWS item id
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?):void} callback
+     * @returns {void}
+     */
+    deleteMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        const destroy = async () => {
+
+            await this._operation(auth, 'DeleteItem', `
+                <m:DeleteItem DeleteType="HardDelete">
+                    <m:ItemIds><t:ItemId Id="${internals.escape(params.id)}"/></m:ItemIds>
+                </m:DeleteItem>`);
+        };
+
+        return Utils.respond(destroy(), callback);
+    }
+
+    /**
+     * Gets the items with a few requests at a time, failures are reported per item
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {Array.<String>} params.ids - EWS item ids
+     *
+     * @param {Object} options - Same as getMessage
+     *
+     * @param {function(Error?, BatchResultResource?):void} callback
+     * @returns {void}
+     */
+    batchGetMessages(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        return Utils.batch(params.ids, (id, next) => this.getMessage(auth, { id }, options, next), callback);
+    }
+
+    /**
+     * Updates the items with a few requests at a time, failures are reported per item
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params - Same as updateMessage, with the message ids as `ids`
+     * @param {Array.<String>} params.ids - EWS item ids
+     *
+     * @param {Object} options - Same as updateMessage
+     *
+     * @param {function(Error?, BatchResultResource?):void} callback
+     * @returns {void}
+     */
+    batchUpdateMessages(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        const { ids, ...changes } = params;
+
+        return Utils.batch(ids, (id, next) => this.updateMessage(auth, { ...changes, id }, options, next), callback);
+    }
+
+    /* FILES */
+
+    /**
+     * Lists the files of the messages matching the params, the file data is not included
+     *
+     * @param {Auth} auth
+     * @param {Object} params - same as listMessages
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     * @param {function(Error?, FileListResource | { files: Array.<Object>, next_page_token: String? }):void} callback Returns an array of unified file resources when options.raw is falsy or the raw EWS file attachments when truthy
+     *
+     * @returns {void}
+     */
+    listFiles(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this.listMessages(auth, { ...params, hasAttachment: true }, { includeBody: false, raw: options.raw }, (err, response) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            const responseObject = {
+                files: response.messages.flatMap((message) => {
+
+                    return options.raw ? internals.getFileAttachments(message) : message.files;
+                })
+            };
+
+            if (response.next_page_token) {
+                responseObject.next_page_token = response.next_page_token;
+            }
+
+            return callback(null, responseObject);
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - EWS attachment id
+     * @param {String} params.messageId - EWS item id
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] If true the response will not be transformed to the unified object
+     *
+     * @param {function(Error, FileResource | Object):void} callback  Returns a unified file resource when options.raw is falsy or the raw EWS file attachment, including its content, when truthy
+     * @returns {void}
+     */
+    getFile(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        if (!params || !params.id || !params.messageId) {
+            return callback(Boom.badRequest('Invalid configuration. Please refer to the documentation to get the required fields.'));
+        }
+
+        options = options || {};
+
+        const get = async () => {
+
+            const [response] = await this._operation(auth, 'GetAttachment', `
+                <m:GetAttachment>
+                    <m:AttachmentIds><t:AttachmentId Id="${internals.escape(params.id)}"/></m:AttachmentIds>
+                </m:GetAttachment>`);
+
+            const [attachment] = internals.getFileAttachments({ Attachments: response.Attachments });
+
+            if (!attachment) {
+                throw Boom.notFound('Attachment not found');
+            }
+
+            if (options.raw) {
+                return attachment;
+            }
+
+            const [folders, [item]] = await Promise.all([this._getFolders(auth), this._getItems(auth, [params.messageId], { includeBody: false })]);
+            const file = this._transformMessage(item, folders).files.find((messageFile) => messageFile.service_file_id === params.id);
+
+            if (!file) {
+                throw Boom.notFound('Attachment not found');
+            }
+
+            file.data = attachment.Content;
+
+            return file;
+        };
+
+        return Utils.respond(get(), callback);
+    }
+
+    /* FOLDERS */
+
+    /**
+     * @param {Auth} auth
+     *
+     * @param {Object} [params]
+     *
+     * @param {Object} [options]
+     * @param {Boolean} [options.raw] - If true the raw EWS folders are returned instead of the unified shape
+     *
+     * @param {function(Error?, (Array.<FolderResource> | Array.<Object>)?):void} callback - Returns an array of unified folder resources when options.raw is falsy or the raw folders when truthy
+     *
+     * @returns {void}
+     */
+    listFolders(auth, params, options, callback) {
+
+        if (typeof params === 'function') {
+            callback = params;
+            params = {};
+            options = {};
+        }
+        else if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const list = async () => {
+
+            const folders = await this._getFolders(auth);
+
+            return options.raw ? folders.raw : folders.list;
+        };
+
+        return Utils.respond(list(), callback);
+    }
+
+    // Dummy implementation since EWS uses the credentials of the mailbox, which don't expire
+    refreshAuthCredentials(auth, callback) {
+
+        return callback(null, auth);
+    }
+
+    /* TRANSFORMERS */
+
+    /**
+     * @param {Object} item - Message as returned by GetItem
+     * @param {{ list: Array.<FolderResource> }} folders - All folders of the mailbox, to resolve the folder names
+     * @returns {MessageResource}
+     */
+    _transformMessage(item, folders) {
+
+        const addresses = {
+            from: internals.toRecipients(item.From)[0] || {},
+            to: internals.toRecipients(item.ToRecipients),
+            cc: internals.toRecipients(item.CcRecipients),
+            bcc: internals.toRecipients(item.BccRecipients)
+        };
+
+        const parentFolderId = item.ParentFolderId && item.ParentFolderId.Id;
+        const folder = folders.list.find((candidate) => candidate.id === parentFolderId);
+
+        const formattedMessage = {
+            service_type: this.name,
+            email_message_id: item.InternetMessageId || null,
+            service_message_id: item.ItemId.Id,
+            service_thread_id: item.ConversationId ? item.ConversationId.Id : null,
+            date: new Date(item.DateTimeSent || item.DateTimeReceived).getTime(),
+            subject: item.Subject || null,
+            folders: parentFolderId ? [folder ? folder.name : parentFolderId] : [],
+            body: [],
+            files: [],
+            addresses,
+            in_reply_to: item.InReplyTo || null,
+            headers: internals.getHeadersObject(item.InternetMessageHeaders),
+            attachments: false
+        };
+
+        if (item.TextBody && item.TextBody['#text']) {
+            formattedMessage.body.push({ type: 'text/plain', content: item.TextBody['#text'] });
+        }
+
+        if (item.Body && item.Body['#text']) {
+            formattedMessage.body.push({ type: item.Body.BodyType === 'HTML' ? 'text/html' : 'text/plain', content: item.Body['#text'] });
+        }
+
+        formattedMessage.files = internals.getFileAttachments(item).map((attachment) => {
+
+            const isInline = attachment.IsInline === 'true';
+
+            return {
+                type: attachment.ContentType || 'application/octet-stream',
+                size: Number(attachment.Size) || 0,
+                file_name: attachment.Name || null,
+                content_id: attachment.ContentId || null,
+                content_disposition: isInline ? 'inline' : 'attachment',
+                service_file_id: attachment.AttachmentId.Id,
+                is_embedded: isInline,
+                service_message_id: formattedMessage.service_message_id,
+                service_thread_id: formattedMessage.service_thread_id,
+                email_message_id: formattedMessage.email_message_id,
+                service_type: this.name,
+                addresses,
+                date: formattedMessage.date
+            };
+        });
+
+        formattedMessage.attachments = formattedMessage.files.length > 0;
+
+        return formattedMessage;
+    }
+
+    /**
+     * @param {Array.<Object>} rawFolders - Folders as returned by FindFolder
+     * @param {Object.<String, String>} roles - Roles by folder id
+     * @param {String} rootId - Id of the root of the mail folders
+     * @returns {Array.<FolderResource>}
+     */
+    _transformFolders(rawFolders, roles, rootId) {
+
+        return rawFolders.map((folder) => {
+
+            const parentId = folder.ParentFolderId && folder.ParentFolderId.Id;
+
+            return {
+                id: folder.FolderId.Id,
+                name: folder.DisplayName,
+                role: roles[folder.FolderId.Id] || null,
+                parent_id: parentId && parentId !== rootId ? parentId : null,
+                total_count: folder.TotalCount === undefined ? null : Number(folder.TotalCount),
+                unread_count: folder.UnreadCount === undefined ? null : Number(folder.UnreadCount),
+                service_type: this.name
+            };
+        });
+    }
+
+    /* HELPERS */
+
+    /**
+     * Lists the mail folders and resolves the ids of the well known folders to give them a role
+     *
+     * @param {Auth} auth
+     * @returns {Promise<{ list: Array.<FolderResource>, raw: Array.<Object> }>}
+     */
+    async _getFolders(auth) {
+
+        const distinguishedIds = ['msgfolderroot', ...Object.values(internals.distinguishedFolders)];
+
+        const [[found], wellKnown] = await Promise.all([
+            this._operation(auth, 'FindFolder', `
+                <m:FindFolder Traversal="Deep">
+                    <m:FolderShape><t:BaseShape>Default</t:BaseShape>
+                        <t:AdditionalProperties><t:FieldURI FieldURI="folder:ParentFolderId"/><t:FieldURI FieldURI="folder:FolderClass"/></t:AdditionalProperties>
+                    </m:FolderShape>
+                    <m:ParentFolderIds><t:DistinguishedFolderId Id="msgfolderroot"/></m:ParentFolderIds>
+                </m:FindFolder>`),
+            // Not every mailbox has all well known folders, so missing ones are not an error
+            this._operation(auth, 'GetFolder', `
+                <m:GetFolder>
+                    <m:FolderShape><t:BaseShape>IdOnly</t:BaseShape></m:FolderShape>
+                    <m:FolderIds>${distinguishedIds.map((id) => `<t:DistinguishedFolderId Id="${id}"/>`).join('')}</m:FolderIds>
+                </m:GetFolder>`, { ignoreErrors: true })
+        ]);
+
+        const roles = {};
+        const roleByDistinguishedId = Object.fromEntries(Object.entries(internals.distinguishedFolders).map(([role, id]) => [id, role]));
+        let rootId = null;
+
+        wellKnown.forEach((response, index) => {
+
+            const [folder] = internals.getFolders(response.Folders);
+
+            if (response.ResponseClass === 'Error' || !folder) {
+                return;
+            }
+
+            if (index === 0) {
+                rootId = folder.FolderId.Id;
+            }
+            else {
+                roles[folder.FolderId.Id] = roleByDistinguishedId[distinguishedIds[index]];
+            }
+        });
+
+        // Only keep mail folders, the mailbox root also contains calendars, contacts, ...
+        const raw = internals.getFolders(found.RootFolder.Folders).filter((folder) => !folder.FolderClass || folder.FolderClass.startsWith('IPF.Note'));
+
+        return { list: this._transformFolders(raw, roles, rootId), raw };
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {String} id - EWS item id
+     * @param {Object} options
+     * @param {Boolean} [options.raw]
+     * @returns {Promise<MessageResource | Object>}
+     */
+    async _getMessage(auth, id, options) {
+
+        const [folders, [item]] = await Promise.all([this._getFolders(auth), this._getItems(auth, [id], { includeBody: true })]);
+
+        return options.raw ? item : this._transformMessage(item, folders);
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {Array.<String>} ids - EWS item ids
+     * @param {Object} shape
+     * @param {Boolean} [shape.includeBody]
+     * @param {Boolean} [shape.mimeContent] - Only get the MIME content
+     * @returns {Promise<Array.<Object>>}
+     */
+    async _getItems(auth, ids, shape) {
+
+        const properties = shape.mimeContent ? [] : [...internals.itemProperties, ...(shape.includeBody ? ['item:Body', 'item:TextBody'] : [])];
+
+        const responses = await this._operation(auth, 'GetItem', `
+            <m:GetItem>
+                <m:ItemShape>
+                    <t:BaseShape>IdOnly</t:BaseShape>
+                    <t:IncludeMimeContent>${shape.mimeContent ? 'true' : 'false'}</t:IncludeMimeContent>
+                    <t:BodyType>HTML</t:BodyType>
+                    ${properties.length > 0 ? `<t:AdditionalProperties>${properties.map((property) => `<t:FieldURI FieldURI="${property}"/>`).join('')}</t:AdditionalProperties>` : ''}
+                </m:ItemShape>
+                <m:ItemIds>${ids.map((id) => `<t:ItemId Id="${internals.escape(id)}"/>`).join('')}</m:ItemIds>
+            </m:GetItem>`);
+
+        return responses.flatMap((response) => internals.getItems(response.Items));
+    }
+
+    /**
+     * Calls an EWS operation
+     *
+     * @param {Auth} auth
+     * @param {String} operation - e.g. `FindItem`
+     * @param {String} body - XML of the operation element
+     * @param {Object} [options]
+     * @param {Boolean} [options.ignoreErrors] - Return the failed response messages instead of throwing
+     * @returns {Promise<Array.<Object>>} The response messages, one per requested object
+     */
+    async _operation(auth, operation, body, options) {
+
+        options = options || {};
+
+        const envelope = `<?xml version="1.0" encoding="utf-8"?>
+            <soap:Envelope ${internals.namespaces}>
+                <soap:Header><t:RequestServerVersion Version="${this.version}"/></soap:Header>
+                <soap:Body>${body}</soap:Body>
+            </soap:Envelope>`;
+
+        const responseBody = await this._request(auth, envelope);
+        const response = responseBody[`${operation}Response`];
+
+        if (!response) {
+            throw Boom.badImplementation(`Unexpected response to ${operation}`);
+        }
+
+        const responseMessages = response.ResponseMessages[`${operation}ResponseMessage`];
+
+        if (!options.ignoreErrors) {
+            const failed = responseMessages.find((responseMessage) => responseMessage.ResponseClass === 'Error');
+
+            if (failed) {
+                throw internals.responseError(failed.ResponseCode, failed.MessageText);
+            }
+        }
+
+        return responseMessages;
+    }
+
+    /**
+     * Posts the SOAP envelope, with an NTLM handshake on a dedicated connection when needed
+     *
+     * @param {Auth} auth
+     * @param {String} envelope
+     * @returns {Promise<Object>} The parsed SOAP body
+     */
+    async _request(auth, envelope) {
+
+        const url = auth.ews_url || this.url;
+
+        if (!url) {
+            throw Boom.badRequest('No EWS url configured');
+        }
+
+        const headers = { 'Content-Type': 'text/xml; charset=utf-8' };
+
+        if (auth.auth_type === 'basic') {
+            headers.Authorization = `Basic ${Buffer.from(`${auth.user}:${auth.password}`).toString('base64')}`;
+
+            return internals.parseResponse(...await internals.post(url, headers, envelope));
+        }
+
+        // NTLM authenticates the connection, so the handshake and the request have to share a socket
+        const agent = new (url.startsWith('https:') ? Https : Http).Agent({ keepAlive: true, maxSockets: 1 });
+        const ntlmOptions = { username: auth.user, password: auth.password, domain: auth.domain || '', workstation: auth.workstation || '' };
+
+        try {
+            const [challengeResponse] = await internals.post(url, { ...headers, Authorization: Ntlm.createType1Message(ntlmOptions) }, '', agent);
+            const challenge = challengeResponse.headers['www-authenticate'];
+            const type2 = challenge && Ntlm.parseType2Message(challenge, () => null);
+
+            if (challengeResponse.statusCode !== 401 || !type2) {
+                throw Boom.unauthorized('NTLM authentication is not supported by the server');
+            }
+
+            headers.Authorization = Ntlm.createType3Message(type2, ntlmOptions);
+
+            return internals.parseResponse(...await internals.post(url, headers, envelope, agent));
+        }
+        finally {
+            agent.destroy();
+        }
+    }
+}
+
+/* Internal utility functions */
+
+internals.capabilities = {
+    filters: {
+        from: { supported: true },
+        to: { supported: true, note: 'Matches to and cc' },
+        subject: { supported: true },
+        participants: { supported: true },
+        hasAttachment: { supported: true },
+        before: { supported: true, note: 'Day precision' },
+        after: { supported: true, note: 'Day precision' },
+        folder: { supported: true, note: 'Folder roles, folder ids or folder names. Defaults to the inbox and sent items.' },
+        includeDrafts: { supported: true },
+        q: { supported: true, note: 'AQS query' }
+    },
+    max_page_size: 1000,
+    push: false,
+    delta_sync: false
+};
+
+internals.parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    isArray: (name, jpath) => {
+
+        return /(ResponseMessages\.\w+ResponseMessage|\.Items\.\w+|\.Folders\.\w+|\.Attachments\.\w+|Recipients\.Mailbox|InternetMessageHeaders\.InternetMessageHeader)$/.test(jpath);
+    }
+});
+
+/**
+ * @param {String} url
+ * @param {Object} headers
+ * @param {String} payload
+ * @param {Http.Agent} [agent]
+ * @returns {Promise<[Http.IncomingMessage, Buffer]>}
+ */
+internals.post = async (url, headers, payload, agent) => {
+
+    const response = await Wreck.request('POST', url, { headers, payload, agent });
+    const body = await Wreck.read(response);
+
+    return [response, body];
+};
+
+/**
+ * @throws
+ *
+ * @param {Http.IncomingMessage} response
+ * @param {Buffer} body
+ * @returns {Object} The parsed SOAP body
+ */
+internals.parseResponse = (response, body) => {
+
+    if (response.statusCode === 401) {
+        throw Boom.unauthorized('Invalid EWS credentials');
+    }
+
+    const parsed = body.length > 0 ? internals.parser.parse(body.toString()) : {};
+    const soapBody = parsed.Envelope && parsed.Envelope.Body;
+
+    if (soapBody && soapBody.Fault) {
+        const detail = soapBody.Fault.detail || {};
+        const error = internals.responseError(detail.ResponseCode, detail.Message || soapBody.Fault.faultstring);
+        const backOff = detail.MessageXml && detail.MessageXml.Value;
+
+        if (error.output.statusCode === 429 && backOff) {
+            error.output.headers['Retry-After'] = String(Math.ceil(Number(backOff['#text'] || backOff) / 1000));
+        }
+
+        throw error;
+    }
+
+    if (response.statusCode >= 400 || !soapBody) {
+        throw new Boom.Boom(`EWS request failed with status ${response.statusCode}`, { statusCode: response.statusCode >= 400 ? response.statusCode : 502 });
+    }
+
+    return soapBody;
+};
+
+/**
+ * @param {String} [code] - EWS response code, e.g. `ErrorItemNotFound`
+ * @param {String} [message]
+ * @returns {import('@hapi/boom').Boom}
+ */
+internals.responseError = (code, message) => {
+
+    message = message || code || 'EWS request failed';
+
+    switch (code) {
+        case 'ErrorItemNotFound':
+        case 'ErrorFolderNotFound':
+        case 'ErrorMailboxStoreUnavailable':
+        case 'ErrorNonExistentMailbox':
+            return Boom.notFound(message);
+        case 'ErrorAccessDenied':
+        case 'ErrorSendAsDenied':
+        case 'ErrorQuotaExceeded':
+            return Boom.forbidden(message);
+        case 'ErrorInvalidIdMalformed':
+        case 'ErrorInvalidIdNotAnItemAttachmentId':
+        case 'ErrorInvalidRequest':
+        case 'ErrorInvalidRecipients':
+        case 'ErrorSchemaValidation':
+            return Boom.badRequest(message);
+        case 'ErrorServerBusy':
+        case 'ErrorTooManyObjectsOpened':
+            return Boom.tooManyRequests(message);
+        case 'ErrorInvalidServerVersion':
+        case 'ErrorMailboxMoveInProgress':
+            return Boom.serverUnavailable(message);
+        default:
+            return Boom.badImplementation(message);
+    }
+};
+
+/**
+ * @param {String} value
+ * @returns {String} The value escaped for use in XML text and attributes
+ */
+internals.escape = (value) => {
+
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+};
+
+/**
+ * @param {String} value
+ * @returns {String} The value quoted for use in an AQS query
+ */
+internals.quote = (value) => {
+
+    return `"${String(value).replace(/"/g, '')}"`;
+};
+
+/**
+ * @param {Date | String | Number} date
+ * @returns {String}
+ */
+internals.formatDate = (date) => {
+
+    return new Date(date).toISOString().slice(0, 10);
+};
+
+/**
+ * @param {Object} params - The listMessages params
+ * @returns {String} AQS query string
+ */
+internals.createQueryString = (params) => {
+
+    const conditions = [];
+
+    if (params.from) {
+        conditions.push(`from:${internals.quote(params.from)}`);
+    }
+
+    if (params.to) {
+        conditions.push(`(to:${internals.quote(params.to)} OR cc:${internals.quote(params.to)})`);
+    }
+
+    if (params.subject) {
+        conditions.push(`subject:${internals.quote(params.subject)}`);
+    }
+
+    const participants = (params.participants || []).filter(Boolean);
+
+    if (participants.length > 0) {
+        conditions.push(`(${participants.map((participant) => `participants:${internals.quote(participant)}`).join(' OR ')})`);
+    }
+
+    if (params.hasAttachment === true || params.hasAttachment === false) {
+        conditions.push(`hasattachment:${params.hasAttachment}`);
+    }
+
+    if (params.before) {
+        conditions.push(`received<${internals.formatDate(params.before)}`);
+    }
+
+    if (params.after) {
+        conditions.push(`received>=${internals.formatDate(params.after)}`);
+    }
+
+    if (params.q) {
+        conditions.push(params.q);
+    }
+
+    return conditions.join(' AND ');
+};
+
+/**
+ * @throws
+ *
+ * @param {Object} params - The listMessages params
+ * @param {{ list: Array.<FolderResource> }} folders
+ * @returns {Array.<String>} FolderId or DistinguishedFolderId elements
+ */
+internals.getParentFolderIds = (params, folders) => {
+
+    if (!params.folder) {
+        const roles = params.includeDrafts ? ['inbox', 'sent', 'drafts'] : ['inbox', 'sent'];
+
+        return roles.map((role) => `<t:DistinguishedFolderId Id="${internals.distinguishedFolders[role]}"/>`);
+    }
+
+    return (Array.isArray(params.folder) ? params.folder : [params.folder]).map((name) => {
+
+        const role = name.toLowerCase();
+
+        if (internals.distinguishedFolders[role]) {
+            return `<t:DistinguishedFolderId Id="${internals.distinguishedFolders[role]}"/>`;
+        }
+
+        const folder = folders.list.find((candidate) => candidate.id === name || candidate.name === name);
+
+        if (!folder) {
+            throw Boom.notFound(`Folder ${name} not found`);
+        }
+
+        return `<t:FolderId Id="${internals.escape(folder.id)}"/>`;
+    });
+};
+
+/**
+ * @param {Object} [items] - Items element, with an array per item type
+ * @returns {Array.<Object>}
+ */
+internals.getItems = (items) => {
+
+    return items ? Object.values(items).flat() : [];
+};
+
+/**
+ * @param {Object} [folders] - Folders element, with an array per folder type
+ * @returns {Array.<Object>} Only the generic folders, so no calendars, contacts, ...
+ */
+internals.getFolders = (folders) => {
+
+    return folders && folders.Folder ? folders.Folder : [];
+};
+
+/**
+ * Item attachments (attached messages, events, ...) have no content to download and are left out
+ *
+ * @param {Object} item
+ * @returns {Array.<Object>}
+ */
+internals.getFileAttachments = (item) => {
+
+    return item.Attachments && item.Attachments.FileAttachment ? item.Attachments.FileAttachment : [];
+};
+
+/**
+ * @param {{ Mailbox: Object | Array.<Object> }} [recipients] - EWS recipients or single recipient element
+ * @returns {Array.<{ name: String, email: String }>}
+ */
+internals.toRecipients = (recipients) => {
+
+    if (!recipients || !recipients.Mailbox) {
+        return [];
+    }
+
+    const mailboxes = Array.isArray(recipients.Mailbox) ? recipients.Mailbox : [recipients.Mailbox];
+
+    return mailboxes.filter((mailbox) => mailbox.EmailAddress).map((mailbox) => {
+
+        return {
+            name: mailbox.Name || '',
+            email: mailbox.EmailAddress.toLowerCase()
+        };
+    });
+};
+
+/**
+ * @param {{ InternetMessageHeader: Array.<Object> }} [headers]
+ * @returns {Object} Keys are the lowercased header names and the values are arrays of the values of the header
+ */
+internals.getHeadersObject = (headers) => {
+
+    const headersObject = {};
+
+    ((headers && headers.InternetMessageHeader) || []).forEach((header) => {
+
+        const name = header.HeaderName.toLowerCase();
+
+        headersObject[name] = headersObject[name] || [];
+        headersObject[name].push(String(header['#text'] || '').trim());
+    });
+
+    return headersObject;
+};
+
+/**
+ * @param {Object} params - The sendMessage params
+ * @param {MessageRecipient} [from] - Left out so Exchange uses the mailbox of the user
+ * @param {String} messageId
+ * @returns {Promise<String>}
+ */
+internals.generateMessage = async (params, from, messageId) => {
+
+    const attachments = await Promise.all((params.attachments || []).map(async (attachment) => {
+
+        if (attachment.contentBytes) {
+            return { filename: attachment.name, content: attachment.contentBytes, encoding: 'base64' };
+        }
+
+        const { payload } = await Wreck.get(attachment.url);
+
+        return { filename: attachment.name, content: payload };
+    }));
+
+    const mailOptions = {
+        messageId,
+        from: from ? Utils.toMailAddresses(from) : undefined,
+        to: Utils.toMailAddresses(params.to),
+        cc: Utils.toMailAddresses(params.cc),
+        bcc: Utils.toMailAddresses(params.bcc),
+        text: params.text,
+        html: params.html,
+        subject: params.subject,
+        inReplyTo: params.inReplyTo,
+        attachments
+    };
+
+    return new Promise((resolve, reject) => {
+
+        Utils.generateMessage(mailOptions, { base64Encoded: false }, (err, rawMessage) => {
+
+            return err ? reject(err) : resolve(rawMessage);
+        });
+    });
+};
+
+module.exports = ExchangeConnector;
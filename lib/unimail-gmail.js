@@ -2,6 +2,7 @@
 'use strict';
 
 const EventEmitter = require('events');
+const Stream = require('stream');
 
 const _ = require('lodash');
 const Async = require('async');
@@ -9,8 +10,11 @@ const Batchelor = require('@salesflare/batchelor');
 const Boom = require('@hapi/boom');
 
 const Gmail = require('@googleapis/gmail').gmail('v1');
+const JWT = require('@googleapis/gmail').auth.JWT;
 const OAuth2 = require('@googleapis/gmail').auth.OAuth2;
 
+const Query = require('./query');
+const TokenStores = require('./token-stores');
 const Utils = require('./utils');
 
 const internals = {};
@@ -18,10 +22,20 @@ const internals = {};
 /**
  * @typedef {import('./index').MessageResource} MessageResource
  * @typedef {import('./index').MessageListResource} MessageListResource
+ * @typedef {import('./index').BatchResultResource} BatchResultResource
+ * @typedef {import('./index').DraftResource} DraftResource
+ * @typedef {import('./index').DraftListResource} DraftListResource
  * @typedef {import('./index').FileResource} FileResource
  * @typedef {import('./index').FileListResource} FileListResource
+ * @typedef {import('./index').FileStreamResource} FileStreamResource
  * @typedef {import('./index').MessageRecipient} MessageRecipient
  * @typedef {import('./index').FolderResource} FolderResource
+ * @typedef {import('./index').ThreadResource} ThreadResource
+ * @typedef {import('./index').ThreadListResource} ThreadListResource
+ * @typedef {import('./index').ChangeListResource} ChangeListResource
+ * @typedef {import('./index').SubscriptionResource} SubscriptionResource
+ * @typedef {import('./index').NotificationRequest} NotificationRequest
+ * @typedef {import('./index').NotificationListResource} NotificationListResource
  */
 
 class GmailConnector extends EventEmitter {
@@ -31,21 +45,30 @@ class GmailConnector extends EventEmitter {
      * @throws
      *
      * @param {Object} config - Configuration object
-     * @param {String} config.clientId
-     * @param {String} config.clientSecret
+     * @param {String} [config.clientId] - Required unless only service accounts are used
+     * @param {String} [config.clientSecret]
+     * @param {ServiceAccountKey} [config.serviceAccount] - Default key for auth objects with a `subject`
+     * @param {import('./token-stores').TokenStore} [config.tokenStore] - Persists refreshed tokens and makes sure a token is only refreshed once at a time
      */
     constructor(config) {
 
         super();
 
-        if (!config || !config.clientId || !config.clientSecret) {
+        if (!config || ((!config.clientId || !config.clientSecret) && !config.serviceAccount)) {
             throw new Error('Invalid configuration. Please refer to the documentation to get the required fields.');
         }
 
         this.clientId = config.clientId;
         this.clientSecret = config.clientSecret;
+        this.serviceAccount = config.serviceAccount || null;
+        this.serviceAccountClients = new Map();
+        this.tokenStore = config.tokenStore || null;
+
+        // Verifies the tokens Pub/Sub signs pushes with, it caches Google's certificates
+        this.idTokenClient = new OAuth2();
 
         this.name = 'gmail';
+        this.capabilities = internals.capabilities;
     }
 
     /**
@@ -54,6 +77,13 @@ class GmailConnector extends EventEmitter {
      * @property {String} refresh_token
      * @property {Date} expiration_date
      * @property {*} [id] - will be passed back when emitting `newAccessToken`
+     * @property {String} [subject] - Email address of the user to impersonate with a service account (domain-wide delegation), the tokens are not needed then
+     * @property {ServiceAccountKey} [service_account] - Overrides the connector's service account key
+     *
+     * @typedef {Object} ServiceAccountKey - As in the JSON key file of the service account
+     * @property {String} client_email
+     * @property {String} private_key
+     * @property {Array.<String>} [scopes] - Defaults to full mailbox access, all scopes have to be granted to the client id of the service account in the Workspace admin console
      */
 
     /* MESSAGES */
@@ -142,6 +172,7 @@ class GmailConnector extends EventEmitter {
      * @param {Boolean} params.includeDrafts - Whether to include drafts or not, defaults to false
      * @param {String} params.subject
      * @param {String} [params.q] - Allows you to pass a custom search to the api, mostly used for debugging
+     * @param {import('./query').QueryNode} [params.query] - Compiled to a Gmail search, except for `body` conditions which are applied to the messages
      *
      * @param {Object} options
      * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
@@ -160,11 +191,26 @@ class GmailConnector extends EventEmitter {
 
         options = options || {};
 
+        if (params.query) {
+            let query;
+
+            try {
+                query = Query.split(params.query, { conditions: internals.queryConditions });
+            }
+            catch (err) {
+                return callback(err);
+            }
+
+            const q = [params.q, internals.compileQuery(query.server)].filter(Boolean).join(' ');
+
+            return Query.filterList(query.client, options, (listOptions, next) => this.listMessages(auth, { ...params, query: null, q }, listOptions, next), callback);
+        }
+
         const paramsArray = [];
         const gmailParams = {
             auth,
             userId: 'me',
-            q: '-(in:chats) '
+            q: internals.createQuery(params)
         };
 
         if (params.limit || params.limit === 0) {
@@ -178,58 +224,10 @@ class GmailConnector extends EventEmitter {
             gmailParams.pageToken = params.pageToken;
         }
 
-        if (!params.includeDrafts) {
-            gmailParams.q += '-(in:draft) ';
-        }
-
-        if (params.hasAttachment) {
-            gmailParams.q += 'has:attachment ';
-        }
-
-        if (params.before) {
-            gmailParams.q += `before:${Math.ceil(params.before.getTime() / 1000)} `;
-        }
-
-        if (params.after) {
-            gmailParams.q += `after:${Math.ceil(params.after.getTime() / 1000)} `;
-        }
-
-        if (params.from) {
-            gmailParams.q += `from:${params.from} `;
-        }
-
-        if (params.to) {
-            gmailParams.q += `to:${params.to} `;
-        }
-
-        if (params.subject) {
-            // Does not match literally, e.g. params.subject = 'test' would also match email subject 'this is a test'
-            gmailParams.q += `subject:"${params.subject}" `;
-        }
-
-        if (params.folder) {
-            gmailParams.q += `in:${params.folder} `;
-        }
-
-        if (params.q) {
-            gmailParams.q += params.q;
-        }
-
-        // We split participants up in chunks of 50 since gmail can't handle more at the same time
-        if (params.participants) {
-            const participantsChunks = _.chunk(params.participants, 50);
-            participantsChunks.forEach((participants) => {
+        internals.chunkParticipants(gmailParams.q, params.participants).forEach((q) => {
 
-                const tempGmailParams = { ...gmailParams };
-
-                tempGmailParams.q += `{${participants.map((participant) => `from:${participant} to:${participant} cc:${participant} `).join('')}} `;
-
-                paramsArray.push(tempGmailParams);
-            });
-        }
-        else {
-            paramsArray.push(gmailParams);
-        }
+            paramsArray.push({ ...gmailParams, q });
+        });
 
         // Refresh manually so that when we do multiple calls we don't refresh multiple times
         return this.refreshAuthCredentials(gmailParams.auth, (err, token) => {
@@ -290,23 +288,15 @@ class GmailConnector extends EventEmitter {
             return callback(null, idsOnlyResponseObject);
         }
 
-        // Common batchelor parameters for batch requests
-        const batchelorParams = {
-            uri: 'https://www.googleapis.com/batch/gmail/v1',
-            method: 'POST',
-            auth: { bearer: token.access_token },
-            headers: { 'Content-Type': 'multipart/mixed' }
-        };
-
         // Create an errorBatch for failed parts to retry later
-        const errorBatch = new Batchelor(batchelorParams);
+        const errorBatch = internals.createBatch(token.access_token);
 
         let allTransformedMessages = [];
 
         // Helper function to process one chunk of messages
         const processChunk = (chunk, cb) => {
 
-            const batch = new Batchelor(batchelorParams);
+            const batch = internals.createBatch(token.access_token);
             const successfulParts = [];
 
             // Add each message request to the batch
@@ -378,7 +368,7 @@ class GmailConnector extends EventEmitter {
         };
 
         // Process each chunk sequentially
-        return Async.eachSeries(_.chunk(messages, 20), (chunk, seriesCb) => {
+        return Async.eachSeries(_.chunk(messages, internals.batchSize), (chunk, seriesCb) => {
 
             processChunk(chunk, seriesCb);
         }, (err) => {
@@ -498,28 +488,7 @@ class GmailConnector extends EventEmitter {
             callback = options;
         }
 
-        const mailOptions = {
-            from: internals.convertMessageRecipientsToCsv(params.from),
-            to: internals.convertMessageRecipientsToCsv(params.to),
-            cc: internals.convertMessageRecipientsToCsv(params.cc),
-            bcc: internals.convertMessageRecipientsToCsv(params.bcc),
-            text: params.text,
-            html: params.html,
-            subject: params.subject,
-            inReplyTo: params.inReplyTo
-        };
-
-        if (params.attachments && params.attachments.length > 0) {
-            mailOptions.attachments = params.attachments.map((attachment) => {
-
-                return {
-                    filename: attachment.name,
-                    path: attachment.url
-                };
-            });
-        }
-
-        return Utils.generateMessage(mailOptions, { base64Encoded: false }, (err, rawMessage) => {
+        return Utils.generateMessage(internals.getMailOptions(params), { base64Encoded: false }, (err, rawMessage) => {
 
             if (err) {
                 return callback(err);
@@ -583,22 +552,25 @@ class GmailConnector extends EventEmitter {
         });
     }
 
-    /* FILES */
-
     /**
+     * Changes the labels of a message, `unread` and `starred` are the UNREAD and STARRED labels in Gmail
      *
      * @param {Auth} auth
      *
-     * @param {Object} params - same as listMessages
+     * @param {Object} params
+     * @param {String} params.id - Gmail message id
+     * @param {Boolean} [params.unread]
+     * @param {Boolean} [params.starred]
+     * @param {Array.<String | FolderResource>} [params.addFolders] - Label ids or roles, or (partial) folder resources
+     * @param {Array.<String | FolderResource>} [params.removeFolders]
      *
      * @param {Object} options
-     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
-     *
-     * @param {function(Error?, FileListResource | { files: Array.<Object>, next_page_token: String? } | Array.<Object>):void} callback Returns an array of unified file resources when options.raw is falsy or the raw response of the API when truthy
+     * @param {Boolean} [options.raw] - If true the response of the modify call is returned instead of the updated unified message
      *
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
      * @returns {void}
      */
-    listFiles(auth, params, options, callback) {
+    updateMessage(auth, params, options, callback) {
 
         if (typeof options === 'function') {
             callback = options;
@@ -607,74 +579,90 @@ class GmailConnector extends EventEmitter {
 
         options = options || {};
 
-        const gmailParams = {
-            ...params,
-            auth,
-            userId: 'me',
-            hasAttachment: true
-        };
-
-        return this.listMessages(auth, gmailParams, { raw: true }, (err, messagesList) => {
+        return this._getLabelChanges(auth, params, (err, requestBody) => {
 
             if (err) {
                 return callback(err);
             }
 
-            if (messagesList.messages.length === 0) {
-                return callback(null, { files: [] });
-            }
+            return this._modifyMessage(auth, params.id, requestBody, options, callback);
+        });
+    }
 
-            if (options.raw) {
-                return callback(null, messagesList.messages);
-            }
+    /**
+     * Gmail has labels instead of folders, so moving adds the label and removes the inbox, spam and trash labels.
+     * Moving to `archive` only removes these labels since Gmail has no archive label.
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Gmail message id
+     * @param {String | FolderResource} params.folder - Label id or role, or a (partial) folder resource
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response of the modify call is returned instead of the updated unified message
+     *
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
+     * @returns {void}
+     */
+    moveMessage(auth, params, options, callback) {
 
-            // Lowercase the header name to make sure we don't get derpes due to Message-Id vs message-id
-            return this._transformMessages(messagesList.messages, (err, messages) => {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
 
-                if (err) {
-                    return callback(err);
-                }
+        options = options || {};
 
-                if (messages.length === 0) {
-                    return callback(null, { files: [] });
-                }
+        const role = typeof params.folder === 'string' ? params.folder.toLowerCase() : params.folder.role;
 
-                const fileListObject = {
-                    // eslint-disable-next-line unicorn/no-array-reduce
-                    files: messages.map((message) => message.files).reduce((allFiles, files) => [...allFiles, ...files])
-                };
+        if (role === 'archive') {
+            return this._modifyMessage(auth, params.id, { removeLabelIds: internals.locationLabelIds }, options, callback);
+        }
 
-                if (messagesList.next_page_token) {
-                    fileListObject.next_page_token = messagesList.next_page_token;
-                }
+        return this.listFolders(auth, {}, {}, (err, folders) => {
 
-                return callback(null, fileListObject);
-            });
+            if (err) {
+                return callback(err);
+            }
+
+            let label;
+
+            try {
+                label = Utils.findFolder(folders, params.folder);
+            }
+            catch (err) {
+                return callback(err);
+            }
+
+            if (label.id === 'TRASH') {
+                return this.trashMessage(auth, params, options, callback);
+            }
+
+            const requestBody = {
+                addLabelIds: [label.id],
+                removeLabelIds: internals.locationLabelIds.filter((labelId) => labelId !== label.id)
+            };
+
+            return this._modifyMessage(auth, params.id, requestBody, options, callback);
         });
     }
 
     /**
-     * Returns the list of Gmail labels for the authenticated user, transformed into the unified folder shape.
-     *
      * @param {Auth} auth
      *
-     * @param {Object} [params]
-     *
-     * @param {Object} [options]
-     * @param {Boolean} [options.raw] - If true the raw labels array from the Gmail API is returned instead of the unified shape
+     * @param {Object} params
+     * @param {String} params.id - Gmail message id
      *
-     * @param {function(Error?, (Array.<FolderResource> | Array.<Object>)?):void} callback - Returns an array of unified folder resources when options.raw is falsy or the raw labels array when truthy
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response of the trash call is returned instead of the updated unified message
      *
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
      * @returns {void}
      */
-    listFolders(auth, params, options, callback) {
+    trashMessage(auth, params, options, callback) {
 
-        if (typeof params === 'function') {
-            callback = params;
-            params = {};
-            options = {};
-        }
-        else if (typeof options === 'function') {
+        if (typeof options === 'function') {
             callback = options;
             options = {};
         }
@@ -683,153 +671,1605 @@ class GmailConnector extends EventEmitter {
 
         const gmailParams = {
             auth,
-            userId: 'me'
+            userId: 'me',
+            id: params.id
         };
 
-        return this._callAPI(Gmail.users.labels.list.bind(Gmail.users.labels), gmailParams, (err, response) => {
+        return this._callAPI(Gmail.users.messages.trash.bind(Gmail.users.messages), gmailParams, (err, response) => {
 
             if (err) {
                 return callback(err);
             }
 
-            const labels = response.labels || [];
-
             if (options.raw) {
-                return callback(null, labels);
+                return callback(null, response);
             }
 
-            return callback(null, this._transformFolders(labels));
+            return this.getMessage(auth, { id: params.id }, {}, callback);
         });
     }
 
     /**
-     * Transforms an array of raw Gmail labels into the unified folder shape.
+     * Deletes the message permanently, this needs the full `https://mail.google.com/` scope
      *
-     * @param {Array.<Object>} labels - Raw labels returned by the Gmail API
-     * @returns {Array.<FolderResource>}
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Gmail message id
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?):void} callback
+     * @returns {void}
      */
-    _transformFolders(labels) {
+    deleteMessage(auth, params, options, callback) {
 
-        return (labels || []).map((label) => {
+        if (typeof options === 'function') {
+            callback = options;
+        }
 
-            return {
-                id: label.id,
-                name: label.name,
-                role: internals.labelIdToRole[label.id] || null,
-                parent_id: null,
-                total_count: typeof label.messagesTotal === 'number' ? label.messagesTotal : null,
-                unread_count: typeof label.messagesUnread === 'number' ? label.messagesUnread : null,
-                service_type: this.name
-            };
-        });
+        const gmailParams = {
+            auth,
+            userId: 'me',
+            id: params.id
+        };
+
+        return this._callAPI(Gmail.users.messages.delete.bind(Gmail.users.messages), gmailParams, (err) => callback(err || null));
     }
 
     /**
-     * @throws
+     * Gets up to 20 messages per batch request, a message that fails is reported in its result instead of failing the others
      *
      * @param {Auth} auth
      *
      * @param {Object} params
-     * @param {String} params.id - The id of the attachment
-     * @param {String} params.messageId - The id of the message containing the attachment
+     * @param {Array.<String>} params.ids - Gmail message ids
      *
      * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the messages will not be transformed to the unified object
      *
-     * @param {function(Error?, FileResource?):void} callback - Content of the attachment
-     *
+     * @param {function(Error?, BatchResultResource?):void} callback
      * @returns {void}
      */
-    getFile(auth, params, options, callback) {
-
-        if (!params || !params.id || !params.messageId) {
-            throw new Error('Invalid configuration. Please refer to the documentation to get the required fields.');
-        }
+    batchGetMessages(auth, params, options, callback) {
 
         if (typeof options === 'function') {
             callback = options;
+            options = {};
         }
 
-        const messageParams = {
-            auth,
-            userId: 'me',
-            id: params.messageId
-        };
+        options = options || {};
 
-        return this._callAPI(Gmail.users.messages.get.bind(Gmail.users.messages), messageParams, (err, messageResponse) => {
+        return this.refreshAuthCredentials(auth, (err, token) => {
 
             if (err) {
                 return callback(err);
             }
 
-            const nonContainerParts = this._extractNonContainerParts(messageResponse.payload);
+            const requests = params.ids.map((id) => ({ method: 'GET', path: `/gmail/v1/users/me/messages/${id}` }));
 
-            const fileParts = nonContainerParts.filter((part) => {
+            return this._batch(token.access_token, requests, (err, responses) => {
 
-                return part.partId === params.id;
-            });
+                if (err) {
+                    return callback(err);
+                }
 
-            if (fileParts.length === 0) {
-                return callback(new Error(`No matching file parts found for message ${params.messageId} and file ${params.id}`));
-            }
+                return Async.map(responses.map((response, index) => ({ id: params.ids[index], ...response })), ({ id, ...response }, next) => {
 
-            const fileParams = {
-                auth,
-                userId: 'me',
-                id: fileParts[0].body.attachmentId,
-                messageId: params.messageId
-            };
+                    if (response.error || options.raw) {
+                        return next(null, Utils.createBatchResult(id, response.error, response.body));
+                    }
 
-            return this._callAPI(Gmail.users.messages.attachments.get.bind(Gmail.users.messages.attachments), fileParams, (err, fileResponse) => {
+                    return this._transformMessages(response.body, (err, transformedMessages) => {
 
-                if (err) {
-                    return callback(err);
-                }
+                        if (!err && transformedMessages.length === 0) {
+                            return next(null, Utils.createBatchResult(id, Boom.notFound('Requested message not found')));
+                        }
 
-                fileResponse.service_file_id = fileParts[0].partId;
-                fileResponse.id = fileParams.id;
-                fileResponse.type = fileParts[0].mimeType;
-                fileResponse.file_name = fileParts[0].filename;
+                        return next(null, Utils.createBatchResult(id, err, transformedMessages && transformedMessages[0]));
+                    });
+                }, (err, results) => {
 
-                return callback(null, fileResponse);
+                    return callback(err || null, { results });
+                });
             });
         });
     }
 
-
     /**
-     * Transform raw service messages to unified messages
+     * Modifies the labels of up to 20 messages per batch request and then gets the modified messages the same way.
+     * Gmail's `batchModify` endpoint isn't used since it doesn't report which messages failed.
      *
-     * @param {Object} auth
-     * @param {Object} messages
-     * @returns {Array.<Object>}
-     */
-    transformMessages(auth, messages) {
-
-        return this._transformMessages(messages);
-    }
-
-    /* TRANSFORMERS */
-
-    /**
-     * Transforms a raw Gmail API response to a unified file resource
+     * @param {Auth} auth
      *
-     * @param {Object[]} messagesArray - Array of messages in the format returned by the Gmail API
-     * @param {String?} htmlBody - Option html body of the message,used to check for inline attachments
+     * @param {Object} params - Same as updateMessage, with the message ids as `ids`
+     * @param {Array.<String>} params.ids - Gmail message ids
      *
-     * @returns {Array.<FileResource>} - Array of unified file resources
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the responses of the modify calls are returned instead of the updated unified messages
+     *
+     * @param {function(Error?, BatchResultResource?):void} callback
+     * @returns {void}
      */
-    _transformFiles(messagesArray, htmlBody) {
+    batchUpdateMessages(auth, params, options, callback) {
 
-        const messages = Array.isArray(messagesArray) ? messagesArray : [messagesArray];
-        const files = [];
-
-        messages.forEach((message) => {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
 
-            const nonContainerParts = this._extractNonContainerParts(message.payload);
+        options = options || {};
 
-            nonContainerParts.forEach((part) => {
+        return this._getLabelChanges(auth, params, (err, requestBody) => {
 
-                if (!part.filename || !part.headers) {
+            if (err) {
+                return callback(err);
+            }
+
+            return this.refreshAuthCredentials(auth, (err, token) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                const requests = params.ids.map((id) => ({ method: 'POST', path: `/gmail/v1/users/me/messages/${id}/modify`, parameters: { body: requestBody } }));
+
+                return this._batch(token.access_token, requests, (err, responses) => {
+
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    const results = responses.map((response, index) => Utils.createBatchResult(params.ids[index], response.error, response.body));
+                    const modifiedIds = results.filter((result) => !result.error).map((result) => result.id);
+
+                    if (options.raw || modifiedIds.length === 0) {
+                        return callback(null, { results });
+                    }
+
+                    return this.batchGetMessages(auth, { ids: modifiedIds }, {}, (err, modified) => {
+
+                        if (err) {
+                            return callback(err);
+                        }
+
+                        const modifiedResults = new Map(modified.results.map((result) => [result.id, result]));
+
+                        return callback(null, { results: results.map((result) => modifiedResults.get(result.id) || result) });
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Turns the unread, starred and folder changes of updateMessage into the labels to add and remove
+     *
+     * @param {Auth} auth
+     * @param {Object} params - Same as updateMessage
+     * @param {function(Error?, { addLabelIds: Array.<String>, removeLabelIds: Array.<String> }?):void} callback
+     * @returns {void}
+     */
+    _getLabelChanges(auth, params, callback) {
+
+        const requestBody = {
+            addLabelIds: [],
+            removeLabelIds: []
+        };
+
+        if (params.unread !== undefined) {
+            requestBody[params.unread ? 'addLabelIds' : 'removeLabelIds'].push('UNREAD');
+        }
+
+        if (params.starred !== undefined) {
+            requestBody[params.starred ? 'addLabelIds' : 'removeLabelIds'].push('STARRED');
+        }
+
+        if (!params.addFolders && !params.removeFolders) {
+            return callback(null, requestBody);
+        }
+
+        return this.listFolders(auth, {}, {}, (err, folders) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            try {
+                requestBody.addLabelIds.push(...(params.addFolders || []).map((target) => Utils.findFolder(folders, target).id));
+                requestBody.removeLabelIds.push(...(params.removeFolders || []).map((target) => Utils.findFolder(folders, target).id));
+            }
+            catch (err) {
+                return callback(err);
+            }
+
+            return callback(null, requestBody);
+        });
+    }
+
+    /**
+     * Sends the requests in batches of 20, one after the other.
+     * Failed requests are reported in their response, only a batch that fails as a whole (e.g. an expired token) fails the call.
+     *
+     * @param {String} accessToken
+     * @param {Array.<{ method: String, path: String, parameters: Object? }>} requests - Batchelor requests
+     * @param {function(Error?, Array.<{ body: Object?, error: import('@hapi/boom').Boom? }>?):void} callback - One response per request, in the same order
+     * @returns {void}
+     */
+    _batch(accessToken, requests, callback) {
+
+        const responses = [];
+
+        return Async.eachOfSeries(_.chunk(requests, internals.batchSize), (chunk, chunkIndex, next) => {
+
+            const batch = internals.createBatch(accessToken);
+            const offset = chunkIndex * internals.batchSize;
+
+            chunk.forEach((request, index) => {
+
+                batch.add({
+                    ...request,
+                    callback: (response) => {
+
+                        const statusCode = Number.parseInt(response.statusCode);
+
+                        if (statusCode > 399) {
+                            const message = (response.body && response.body.error && response.body.error.message) || `Batch request failed with status ${statusCode}`;
+
+                            responses[offset + index] = { error: Boom.boomify(new Error(message), { statusCode }) };
+                        }
+                        else {
+                            responses[offset + index] = { body: response.body };
+                        }
+                    }
+                });
+            });
+
+            // Guard against Batchelor calling back multiple times (e.g. late socket error after response is already fully received)
+            let called = false;
+
+            batch.run((err) => {
+
+                if (called) {
+                    return;
+                }
+
+                called = true;
+
+                return next(err);
+            });
+        }, (err) => {
+
+            if (err) {
+                return callback(Utils.boomify(err));
+            }
+
+            // Parts missing from the batch response have no callback called for them
+            return callback(null, requests.map((request, index) => responses[index] || { error: Boom.badGateway('No response for batch request') }));
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {String} id - Gmail message id
+     * @param {{ addLabelIds: Array.<String>?, removeLabelIds: Array.<String>? }} requestBody
+     * @param {{ raw: Boolean? }} options
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
+     * @returns {void}
+     */
+    _modifyMessage(auth, id, requestBody, options, callback) {
+
+        const gmailParams = {
+            auth,
+            userId: 'me',
+            id,
+            requestBody
+        };
+
+        return this._callAPI(Gmail.users.messages.modify.bind(Gmail.users.messages), gmailParams, (err, response) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            if (options.raw) {
+                return callback(null, response);
+            }
+
+            return this.getMessage(auth, { id }, {}, callback);
+        });
+    }
+
+    /* DRAFTS */
+
+    /**
+     * @param {Auth} auth
+     *
+     * @param {Object} params - Same as sendMessage, recipients are optional
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response of the create call is returned instead of the unified draft
+     *
+     * @param {function(Error?, (DraftResource | Object)?):void} callback
+     * @returns {void}
+     */
+    createDraft(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this._saveDraft(Gmail.users.drafts.create.bind(Gmail.users.drafts), auth, params, options, callback);
+    }
+
+    /**
+     * Replaces the message of the draft
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params - Same as createDraft
+     * @param {String} params.id - Gmail draft id
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response of the update call is returned instead of the unified draft
+     *
+     * @param {function(Error?, (DraftResource | Object)?):void} callback
+     * @returns {void}
+     */
+    updateDraft(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this._saveDraft(Gmail.users.drafts.update.bind(Gmail.users.drafts), auth, params, options, callback);
+    }
+
+    /**
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Gmail draft id
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     *
+     * @param {function(Error?, (DraftResource | Object)?):void} callback
+     * @returns {void}
+     */
+    getDraft(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const gmailParams = {
+            auth,
+            userId: 'me',
+            id: params.id,
+            format: 'full'
+        };
+
+        return this._callAPI(Gmail.users.drafts.get.bind(Gmail.users.drafts), gmailParams, (err, draft) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            if (options.raw) {
+                return callback(null, draft);
+            }
+
+            return this._transformMessages(draft.message, (err, transformedMessages) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                if (transformedMessages.length === 0) {
+                    return callback(Boom.notFound('Requested draft not found'));
+                }
+
+                return callback(null, { ...transformedMessages[0], service_draft_id: draft.id });
+            });
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     *
+     * @param {Object} params - Same as listMessages, except for folder and includeDrafts
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the drafts will not be transformed to the unified object
+     * @param {Boolean} [options.idsOnly] - If true the response will only contain the ids of the drafts
+     *
+     * @param {function(Error?, (DraftListResource | { drafts: Array.<Object>, next_page_token: String? })?):void} callback
+     * @returns {void}
+     */
+    listDrafts(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const gmailParams = {
+            auth,
+            userId: 'me',
+            maxResults: params.limit || params.limit === 0 ? Math.min(params.limit, 500) : 100
+        };
+
+        if (params.pageToken) {
+            gmailParams.pageToken = params.pageToken;
+        }
+
+        const q = internals.createQuery({ ...params, folder: null, includeDrafts: true });
+        const paramsArray = internals.chunkParticipants(q, params.participants).map((chunkQuery) => ({ ...gmailParams, q: chunkQuery }));
+
+        // Refresh manually so that when we do multiple calls we don't refresh multiple times
+        return this.refreshAuthCredentials(auth, (err, token) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            auth.access_token = token.access_token;
+
+            let nextPageToken = null;
+
+            return Async.map(paramsArray, (gmailParam, callback) => {
+
+                return this._callAPI(Gmail.users.drafts.list.bind(Gmail.users.drafts), gmailParam, (err, listResponse) => {
+
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    nextPageToken = listResponse.nextPageToken;
+
+                    return callback(null, listResponse.drafts || []);
+                });
+            }, (err, drafts) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                const draftIds = _.uniq(drafts.flat().map((draft) => draft.id));
+                const draftListObject = { drafts: draftIds };
+
+                // Paging over the results of multiple queries is not possible
+                if (nextPageToken && paramsArray.length === 1) {
+                    draftListObject.next_page_token = nextPageToken;
+                }
+
+                if (options.idsOnly) {
+                    return callback(null, draftListObject);
+                }
+
+                return Async.mapLimit(draftIds, 10, (id, callback) => {
+
+                    return this.getDraft(auth, { id }, options, callback);
+                }, (err, fullDrafts) => {
+
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    draftListObject.drafts = fullDrafts;
+
+                    return callback(null, draftListObject);
+                });
+            });
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Gmail draft id
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?, String?):void} callback - Returns the email message id of the sent message, like sendMessage
+     * @returns {void}
+     */
+    sendDraft(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        const gmailParams = {
+            auth,
+            userId: 'me',
+            requestBody: { id: params.id }
+        };
+
+        return this._callAPI(Gmail.users.drafts.send.bind(Gmail.users.drafts), gmailParams, (err, sendResponse) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            // Sending a draft only returns the gmail message id so we fetch the message afterwards to return the email message id.
+            return this.getMessage(auth, { id: sendResponse.id }, (err, getMessageResponse) => {
+
+                if (err) {
+                    return callback();
+                }
+
+                return callback(null, getMessageResponse.email_message_id);
+            });
+        });
+    }
+
+    /**
+     * Deletes the draft permanently, it isn't moved to the trash
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Gmail draft id
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?):void} callback
+     * @returns {void}
+     */
+    deleteDraft(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        const gmailParams = {
+            auth,
+            userId: 'me',
+            id: params.id
+        };
+
+        return this._callAPI(Gmail.users.drafts.delete.bind(Gmail.users.drafts), gmailParams, (err) => callback(err || null));
+    }
+
+    /**
+     * Creates or updates a draft, the message is uploaded like sendMessage does to allow bigger attachments
+     *
+     * @param {Function} method - `drafts.create` or `drafts.update`
+     * @param {Auth} auth
+     * @param {Object} params - Same as createDraft, with the draft id when updating
+     * @param {{ raw: Boolean? }} options
+     * @param {function(Error?, (DraftResource | Object)?):void} callback
+     * @returns {void}
+     */
+    _saveDraft(method, auth, params, options, callback) {
+
+        return Utils.generateMessage(internals.getMailOptions(params), { base64Encoded: false }, (err, rawMessage) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            const gmailParams = {
+                auth,
+                userId: 'me',
+                uploadType: 'multipart',
+                requestBody: { message: params.threadId ? { threadId: params.threadId } : {} },
+                media: {
+                    mimeType: 'message/rfc822',
+                    body: rawMessage
+                }
+            };
+
+            if (params.id) {
+                gmailParams.id = params.id;
+            }
+
+            return this._callAPI(method, gmailParams, (err, draft) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                if (options.raw) {
+                    return callback(null, draft);
+                }
+
+                return this.getDraft(auth, { id: draft.id }, {}, callback);
+            });
+        });
+    }
+
+    /* THREADS */
+
+    /**
+     * Lists the threads that have at least one message matching the filters, with all of their messages
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params - Same as listMessages, `limit` is the amount of threads
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the threads will not be transformed to the unified object
+     * @param {Boolean} [options.idsOnly] - If true the response will only contain the ids of the threads
+     *
+     * @param {function(Error?, (ThreadListResource | { threads: Array.<Object>, next_page_token: String? })?):void} callback
+     *
+     * @returns {void}
+     */
+    listThreads(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const gmailParams = {
+            auth,
+            userId: 'me',
+            maxResults: params.limit || params.limit === 0 ? Math.min(params.limit, 500) : 100
+        };
+
+        if (params.pageToken) {
+            gmailParams.pageToken = params.pageToken;
+        }
+
+        const paramsArray = internals.chunkParticipants(internals.createQuery(params), params.participants).map((q) => ({ ...gmailParams, q }));
+
+        // Refresh manually so that when we do multiple calls we don't refresh multiple times
+        return this.refreshAuthCredentials(auth, (err, token) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            auth.access_token = token.access_token;
+
+            let nextPageToken = null;
+
+            return Async.map(paramsArray, (gmailParam, callback) => {
+
+                return this._callAPI(Gmail.users.threads.list.bind(Gmail.users.threads), gmailParam, (err, listResponse) => {
+
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    nextPageToken = listResponse.nextPageToken;
+
+                    return callback(null, listResponse.threads || []);
+                });
+            }, (err, threads) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                const threadIds = _.uniq(threads.flat().map((thread) => thread.id));
+                const threadListObject = { threads: threadIds };
+
+                // Paging over the results of multiple queries is not possible
+                if (nextPageToken && paramsArray.length === 1) {
+                    threadListObject.next_page_token = nextPageToken;
+                }
+
+                if (options.idsOnly) {
+                    return callback(null, threadListObject);
+                }
+
+                return Async.mapLimit(threadIds, 10, (id, callback) => {
+
+                    return this._getThread(auth, id, params, options, callback);
+                }, (err, fullThreads) => {
+
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    threadListObject.threads = fullThreads.filter((thread) => thread.messages.length > 0);
+
+                    return callback(null, threadListObject);
+                });
+            });
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Gmail thread id
+     * @param {Boolean} [params.includeDrafts=false]
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the thread will not be transformed to the unified object
+     *
+     * @param {function(Error?, (ThreadResource | Object)?):void} callback
+     *
+     * @returns {void}
+     */
+    getThread(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this._getThread(auth, params.id, params, options, (err, thread) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            if (thread.messages.length === 0) {
+                return callback(Boom.notFound('Requested thread not found'));
+            }
+
+            return callback(null, thread);
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {String} id
+     * @param {{ includeDrafts: Boolean? }} params
+     * @param {{ raw: Boolean? }} options
+     * @param {function(Error?, (ThreadResource | Object)?):void} callback
+     *
+     * @returns {void}
+     */
+    _getThread(auth, id, params, options, callback) {
+
+        const gmailParams = {
+            auth,
+            userId: 'me',
+            id
+        };
+
+        return this._callAPI(Gmail.users.threads.get.bind(Gmail.users.threads), gmailParams, (err, thread) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            const messages = (thread.messages || []).filter((message) => params.includeDrafts || !(message.labelIds || []).includes('DRAFT'));
+
+            if (options.raw) {
+                return callback(null, { ...thread, messages });
+            }
+
+            return this._transformMessages(messages, (err, transformedMessages) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                return callback(null, Utils.createThread(thread.id, this.name, transformedMessages));
+            });
+        });
+    }
+
+    /* FILES */
+
+    /**
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params - same as listMessages
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     *
+     * @param {function(Error?, FileListResource | { files: Array.<Object>, next_page_token: String? } | Array.<Object>):void} callback Returns an array of unified file resources when options.raw is falsy or the raw response of the API when truthy
+     *
+     * @returns {void}
+     */
+    listFiles(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const gmailParams = {
+            ...params,
+            auth,
+            userId: 'me',
+            hasAttachment: true
+        };
+
+        return this.listMessages(auth, gmailParams, { raw: true }, (err, messagesList) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            if (messagesList.messages.length === 0) {
+                return callback(null, { files: [] });
+            }
+
+            if (options.raw) {
+                return callback(null, messagesList.messages);
+            }
+
+            // Lowercase the header name to make sure we don't get derpes due to Message-Id vs message-id
+            return this._transformMessages(messagesList.messages, (err, messages) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                if (messages.length === 0) {
+                    return callback(null, { files: [] });
+                }
+
+                const fileListObject = {
+                    // eslint-disable-next-line unicorn/no-array-reduce
+                    files: messages.map((message) => message.files).reduce((allFiles, files) => [...allFiles, ...files])
+                };
+
+                if (messagesList.next_page_token) {
+                    fileListObject.next_page_token = messagesList.next_page_token;
+                }
+
+                return callback(null, fileListObject);
+            });
+        });
+    }
+
+    /**
+     * Returns the list of Gmail labels for the authenticated user, transformed into the unified folder shape.
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} [params]
+     *
+     * @param {Object} [options]
+     * @param {Boolean} [options.raw] - If true the raw labels array from the Gmail API is returned instead of the unified shape
+     *
+     * @param {function(Error?, (Array.<FolderResource> | Array.<Object>)?):void} callback - Returns an array of unified folder resources when options.raw is falsy or the raw labels array when truthy
+     *
+     * @returns {void}
+     */
+    listFolders(auth, params, options, callback) {
+
+        if (typeof params === 'function') {
+            callback = params;
+            params = {};
+            options = {};
+        }
+        else if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const gmailParams = {
+            auth,
+            userId: 'me'
+        };
+
+        return this._callAPI(Gmail.users.labels.list.bind(Gmail.users.labels), gmailParams, (err, response) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            const labels = response.labels || [];
+
+            if (options.raw) {
+                return callback(null, labels);
+            }
+
+            return callback(null, this._transformFolders(labels));
+        });
+    }
+
+    /**
+     * Creates a label, a label with a parent is named `<parent name>/<name>` which nests it in Gmail
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.name
+     * @param {String | FolderResource} [params.parent] - Label id or role, or a (partial) folder resource to nest the label in
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the created label is returned instead of the unified folder
+     *
+     * @param {function(Error?, (FolderResource | Object)?):void} callback
+     * @returns {void}
+     */
+    createFolder(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this.listFolders(auth, {}, { raw: true }, (err, labels) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            let name = params.name;
+
+            if (params.parent) {
+                try {
+                    name = `${Utils.findFolder(this._transformFolders(labels), params.parent).name}/${params.name}`;
+                }
+                catch (err) {
+                    return callback(err);
+                }
+            }
+
+            const gmailParams = {
+                auth,
+                userId: 'me',
+                requestBody: {
+                    name,
+                    labelListVisibility: 'labelShow',
+                    messageListVisibility: 'show'
+                }
+            };
+
+            return this._callAPI(Gmail.users.labels.create.bind(Gmail.users.labels), gmailParams, (err, label) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                if (options.raw) {
+                    return callback(null, label);
+                }
+
+                return callback(null, this._transformFolders([...labels, label]).find((folder) => folder.id === label.id));
+            });
+        });
+    }
+
+    /**
+     * Renames and/or moves a label, the nested labels are renamed along since labels are nested by name.
+     * `params.name` is the name within the parent, like createFolder.
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Label id
+     * @param {String} [params.name]
+     * @param {String | FolderResource | null} [params.parent] - The new parent, null to move the label to the top level
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the updated label is returned instead of the unified folder
+     *
+     * @param {function(Error?, (FolderResource | Object)?):void} callback
+     * @returns {void}
+     */
+    updateFolder(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this.listFolders(auth, {}, { raw: true }, (err, labels) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            const label = labels.find((candidate) => candidate.id === params.id);
+
+            if (!label) {
+                return callback(Boom.notFound(`Folder ${params.id} not found`));
+            }
+
+            if (label.type === 'system') {
+                return callback(Boom.badRequest(`Folder ${params.id} is a system label and can't be changed`));
+            }
+
+            const currentParentName = internals.getParentLabelName(label.name);
+            let parentName = currentParentName;
+
+            if (params.parent !== undefined) {
+                try {
+                    parentName = params.parent ? Utils.findFolder(this._transformFolders(labels), params.parent).name : null;
+                }
+                catch (err) {
+                    return callback(err);
+                }
+
+                if (parentName && (parentName === label.name || parentName.startsWith(`${label.name}/`))) {
+                    return callback(Boom.badRequest('A folder can\'t be nested in itself or one of its subfolders'));
+                }
+            }
+
+            const leafName = params.name || (currentParentName ? label.name.slice(currentParentName.length + 1) : label.name);
+            const name = parentName ? `${parentName}/${leafName}` : leafName;
+            const nestedLabels = labels.filter((candidate) => candidate.name.startsWith(`${label.name}/`));
+
+            // The label itself is renamed first so a failure doesn't leave nested labels under a new name
+            return Async.mapSeries([label, ...nestedLabels], (labelToRename, callback) => {
+
+                const gmailParams = {
+                    auth,
+                    userId: 'me',
+                    id: labelToRename.id,
+                    requestBody: { name: `${name}${labelToRename.name.slice(label.name.length)}` }
+                };
+
+                return this._callAPI(Gmail.users.labels.patch.bind(Gmail.users.labels), gmailParams, callback);
+            }, (err, renamedLabels) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                if (options.raw) {
+                    return callback(null, renamedLabels[0]);
+                }
+
+                const renamedById = new Map(renamedLabels.map((renamedLabel) => [renamedLabel.id, renamedLabel]));
+                const updatedLabels = labels.map((candidate) => renamedById.get(candidate.id) || candidate);
+
+                return callback(null, this._transformFolders(updatedLabels).find((folder) => folder.id === label.id));
+            });
+        });
+    }
+
+    /**
+     * Deletes a label, the messages are kept and nested labels are not deleted
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Label id
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?):void} callback
+     * @returns {void}
+     */
+    deleteFolder(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        const gmailParams = {
+            auth,
+            userId: 'me',
+            id: params.id
+        };
+
+        return this._callAPI(Gmail.users.labels.delete.bind(Gmail.users.labels), gmailParams, (err) => callback(err || null));
+    }
+
+    /**
+     * Transforms an array of raw Gmail labels into the unified folder shape.
+     *
+     * @param {Array.<Object>} labels - Raw labels returned by the Gmail API
+     * @returns {Array.<FolderResource>}
+     */
+    _transformFolders(labels) {
+
+        // Labels are nested by name, `A/B` is shown in Gmail as `B` in `A`
+        const labelIdsByName = new Map((labels || []).map((label) => [label.name, label.id]));
+
+        return (labels || []).map((label) => {
+
+            return {
+                id: label.id,
+                name: label.name,
+                role: internals.labelIdToRole[label.id] || null,
+                parent_id: labelIdsByName.get(internals.getParentLabelName(label.name)) || null,
+                total_count: typeof label.messagesTotal === 'number' ? label.messagesTotal : null,
+                unread_count: typeof label.messagesUnread === 'number' ? label.messagesUnread : null,
+                service_type: this.name
+            };
+        });
+    }
+
+    /**
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - The id of the attachment
+     * @param {String} params.messageId - The id of the message containing the attachment
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?, FileResource?):void} callback - Content of the attachment
+     *
+     * @returns {void}
+     */
+    getFile(auth, params, options, callback) {
+
+        if (!params || !params.id || !params.messageId) {
+            throw new Error('Invalid configuration. Please refer to the documentation to get the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        const messageParams = {
+            auth,
+            userId: 'me',
+            id: params.messageId
+        };
+
+        return this._callAPI(Gmail.users.messages.get.bind(Gmail.users.messages), messageParams, (err, messageResponse) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            const nonContainerParts = this._extractNonContainerParts(messageResponse.payload);
+
+            const fileParts = nonContainerParts.filter((part) => {
+
+                return part.partId === params.id;
+            });
+
+            if (fileParts.length === 0) {
+                return callback(Boom.notFound(`No matching file parts found for message ${params.messageId} and file ${params.id}`));
+            }
+
+            const fileParams = {
+                auth,
+                userId: 'me',
+                id: fileParts[0].body.attachmentId,
+                messageId: params.messageId
+            };
+
+            return this._callAPI(Gmail.users.messages.attachments.get.bind(Gmail.users.messages.attachments), fileParams, (err, fileResponse) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                fileResponse.service_file_id = fileParts[0].partId;
+                fileResponse.id = fileParams.id;
+                fileResponse.type = fileParts[0].mimeType;
+                fileResponse.file_name = fileParts[0].filename;
+
+                return callback(null, fileResponse);
+            });
+        });
+    }
+
+    /**
+     * Streams the content of an attachment, the attachment is decoded while it is downloaded so it is never fully in memory
+     *
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - The id of the attachment
+     * @param {String} params.messageId - The id of the message containing the attachment
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?, FileStreamResource?):void} callback
+     *
+     * @returns {void}
+     */
+    streamFile(auth, params, options, callback) {
+
+        if (!params || !params.id || !params.messageId) {
+            throw new Error('Invalid configuration. Please refer to the documentation to get the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        const messageParams = {
+            auth,
+            userId: 'me',
+            id: params.messageId
+        };
+
+        return this._callAPI(Gmail.users.messages.get.bind(Gmail.users.messages), messageParams, (err, messageResponse) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            const filePart = this._extractNonContainerParts(messageResponse.payload).find((part) => part.partId === params.id);
+
+            if (!filePart) {
+                return callback(Boom.notFound(`No matching file parts found for message ${params.messageId} and file ${params.id}`));
+            }
+
+            return this._transformMessages(messageResponse, (err, transformedMessages) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                // Parts without a file name aren't listed as files, but can be downloaded all the same
+                const file = transformedMessages.length > 0 && transformedMessages[0].files.find((candidate) => candidate.service_file_id === params.id);
+                const fileResource = file || {
+                    service_type: this.name,
+                    type: filePart.mimeType,
+                    size: Number(filePart.body.size),
+                    service_message_id: params.messageId,
+                    file_name: filePart.filename || null,
+                    service_file_id: filePart.partId
+                };
+
+                // Small parts are included in the message instead of being a separate attachment
+                if (!filePart.body.attachmentId) {
+                    return callback(null, Utils.toFileStream({ ...fileResource, data: filePart.body.data }));
+                }
+
+                const fileParams = {
+                    auth,
+                    userId: 'me',
+                    id: filePart.body.attachmentId,
+                    messageId: params.messageId
+                };
+
+                return this._callAPI(Gmail.users.messages.attachments.get.bind(Gmail.users.messages.attachments), fileParams, { responseType: 'stream' }, (err, body) => {
+
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    const decoder = internals.createAttachmentDecoder();
+
+                    // Download errors are emitted on the decoder
+                    Stream.pipeline(body, decoder, _.noop);
+
+                    return callback(null, { file: fileResource, stream: decoder });
+                });
+            });
+        });
+    }
+
+    /* SYNC */
+
+    /**
+     * Returns the ids of the messages that changed since the cursor, based on the Gmail history.
+     * Without a cursor, no changes are returned but only the cursor to start syncing from.
+     * Label changes, which includes being read, starred or moved, are reported as updates.
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} [params.cursor] - `next_cursor` of a previous call, a history id
+     * @param {Number} [params.limit=100] - Maximum amount of history records, max = 500
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?, ChangeListResource?):void} callback - Errors with a 410 when the history since the cursor is gone and a full resync is needed
+     * @returns {void}
+     */
+    listChanges(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        if (!params.cursor) {
+            return this._callAPI(Gmail.users.getProfile.bind(Gmail.users), { auth, userId: 'me' }, (err, profile) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                return callback(null, { created: [], updated: [], deleted: [], next_cursor: profile.historyId, has_more: false });
+            });
+        }
+
+        const gmailParams = {
+            auth,
+            userId: 'me',
+            startHistoryId: params.cursor,
+            maxResults: Math.min(params.limit || 100, 500)
+        };
+
+        return this._callAPI(Gmail.users.history.list.bind(Gmail.users.history), gmailParams, (err, response) => {
+
+            if (err) {
+                // Gmail only keeps the history for a limited time, older history ids are not found
+                if (err.output.statusCode === 404) {
+                    return callback(Boom.resourceGone('Full resync required'));
+                }
+
+                return callback(err);
+            }
+
+            const history = response.history || [];
+            const changes = history.flatMap((record) => [
+                ...(record.messagesAdded || []).map(({ message }) => ({ type: 'created', id: message.id })),
+                ...[...(record.labelsAdded || []), ...(record.labelsRemoved || [])].map(({ message }) => ({ type: 'updated', id: message.id })),
+                ...(record.messagesDeleted || []).map(({ message }) => ({ type: 'deleted', id: message.id }))
+            ]);
+
+            // Continuing from the last record we got keeps the cursor a plain history id instead of a page token
+            const hasMore = Boolean(response.nextPageToken) && history.length > 0;
+
+            return callback(null, {
+                ...Utils.groupChanges(changes),
+                next_cursor: hasMore ? history[history.length - 1].id : response.historyId,
+                has_more: hasMore
+            });
+        });
+    }
+
+    /* SUBSCRIPTIONS */
+
+    /**
+     * Watches the mailbox, Gmail publishes a message to the Pub/Sub topic when something changes.
+     * The topic has to allow `gmail-api-push@system.gserviceaccount.com` to publish to it.
+     * A mailbox has a single watch, which expires after 7 days. Google recommends renewing it once a day.
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.topic - Full name of the topic, e.g. `projects/my-project/topics/gmail`
+     * @param {Array.<String>} [params.folders] - Label ids or roles to limit the watch to, defaults to all labels
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     *
+     * @param {function(Error?, (SubscriptionResource | Object)?):void} callback
+     * @returns {void}
+     */
+    createSubscription(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        if (!params.topic) {
+            throw new Error('Gmail subscriptions need a Pub/Sub topic');
+        }
+
+        if (!params.folders || params.folders.length === 0) {
+            return this._watch(auth, { topic: params.topic, labelIds: [] }, options, callback);
+        }
+
+        return this.listFolders(auth, {}, {}, (err, folders) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            let labelIds;
+
+            try {
+                labelIds = params.folders.map((target) => Utils.findFolder(folders, target).id);
+            }
+            catch (err) {
+                return callback(err);
+            }
+
+            return this._watch(auth, { topic: params.topic, labelIds }, options, callback);
+        });
+    }
+
+    /**
+     * Renews the watch with the same topic and labels
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Subscription id
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     *
+     * @param {function(Error?, (SubscriptionResource | Object)?):void} callback
+     * @returns {void}
+     */
+    renewSubscription(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        let watch;
+
+        try {
+            watch = Utils.decodeCursor(params.id);
+        }
+        catch (err) {
+            return callback(Boom.boomify(err, { statusCode: 400, message: 'Invalid subscription id' }));
+        }
+
+        return this._watch(auth, watch, options, callback);
+    }
+
+    /**
+     * Stops the watch, as there is only one per mailbox the id doesn't matter
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Subscription id
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?):void} callback
+     * @returns {void}
+     */
+    deleteSubscription(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._callAPI(Gmail.users.stop.bind(Gmail.users), { auth, userId: 'me' }, (err) => callback(err || null));
+    }
+
+    /**
+     * Parses the Pub/Sub push request of a watch.
+     * The notification only tells which mailbox changed, use `sync.changes` to get the changed messages.
+     *
+     * @param {null} auth - Notifications aren't tied to an auth object
+     *
+     * @param {NotificationRequest} params
+     *
+     * @param {Object} options
+     * @param {String} [options.audience] - Audience of the push subscription, when passed the OIDC token Pub/Sub signs pushes with is verified
+     *
+     * @param {function(Error?, NotificationListResource?):void} callback
+     * @returns {void}
+     */
+    parseNotification(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        let request;
+        let data;
+
+        try {
+            request = Utils.parseNotificationRequest(params);
+            data = JSON.parse(Buffer.from(request.body.message.data, 'base64').toString());
+        }
+        catch (err) {
+            return callback(Boom.isBoom(err) ? err : Boom.boomify(err, { statusCode: 400, message: 'Invalid Pub/Sub message' }));
+        }
+
+        const notificationList = {
+            notifications: [{ accountId: data.emailAddress || null, messageIds: [], changeType: null, subscriptionId: null }],
+            response: Utils.notificationResponse(200)
+        };
+
+        if (!options.audience) {
+            return callback(null, notificationList);
+        }
+
+        const idToken = (request.headers.authorization || '').replace(/^bearer /i, '');
+
+        return this.idTokenClient.verifyIdToken({ idToken, audience: options.audience })
+            .then(() => {
+
+                return process.nextTick(() => callback(null, notificationList));
+            })
+            .catch((err) => {
+
+                return process.nextTick(() => callback(Boom.boomify(err, { statusCode: 401 })));
+            });
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {{ topic: String, labelIds: Array.<String> }} watch
+     * @param {{ raw: Boolean? }} options
+     * @param {function(Error?, (SubscriptionResource | Object)?):void} callback
+     * @returns {void}
+     */
+    _watch(auth, watch, options, callback) {
+
+        const gmailParams = {
+            auth,
+            userId: 'me',
+            requestBody: { topicName: watch.topic }
+        };
+
+        if (watch.labelIds.length > 0) {
+            gmailParams.requestBody.labelIds = watch.labelIds;
+            gmailParams.requestBody.labelFilterBehavior = 'include';
+        }
+
+        return this._callAPI(Gmail.users.watch.bind(Gmail.users), gmailParams, (err, response) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            if (options.raw) {
+                return callback(null, response);
+            }
+
+            // Watches have no id, so the id keeps what is needed to renew the watch
+            return callback(null, {
+                id: Utils.encodeCursor(watch),
+                expires_at: new Date(Number(response.expiration)),
+                secret: null,
+                service_type: 'gmail'
+            });
+        });
+    }
+
+    /**
+     * Transform raw service messages to unified messages
+     *
+     * @param {Object} auth
+     * @param {Object} messages
+     * @returns {Array.<Object>}
+     */
+    transformMessages(auth, messages) {
+
+        return this._transformMessages(messages);
+    }
+
+    /* TRANSFORMERS */
+
+    /**
+     * Transforms a raw Gmail API response to a unified file resource
+     *
+     * @param {Object[]} messagesArray - Array of messages in the format returned by the Gmail API
+     * @param {String?} htmlBody - Option html body of the message,used to check for inline attachments
+     *
+     * @returns {Array.<FileResource>} - Array of unified file resources
+     */
+    _transformFiles(messagesArray, htmlBody) {
+
+        const messages = Array.isArray(messagesArray) ? messagesArray : [messagesArray];
+        const files = [];
+
+        messages.forEach((message) => {
+
+            const nonContainerParts = this._extractNonContainerParts(message.payload);
+
+            nonContainerParts.forEach((part) => {
+
+                if (!part.filename || !part.headers) {
                     return;
                 }
 
@@ -859,7 +2299,7 @@ class GmailConnector extends EventEmitter {
                     service_thread_id: message.formattedMessage.service_thread_id,
                     email_message_id: (message.headers['message-id'] && message.headers['message-id'].length > 0 && message.headers['message-id'][0]) || null,
                     date: message.date,
-                    addresses: internals.getAddressesObject(message),
+                    addresses: Utils.getAddressesObject(message),
                     file_name: part.filename,
                     content_id: contentId,
                     content_disposition: contentDisposition,
@@ -918,7 +2358,7 @@ class GmailConnector extends EventEmitter {
                     folders: message.labelIds,
                     files: [],
                     body: [],
-                    addresses: internals.getAddressesObject(mail),
+                    addresses: Utils.getAddressesObject(mail),
                     in_reply_to: (mail.headers['in-reply-to'] && mail.headers['in-reply-to'].length > 0 && mail.headers['in-reply-to'][0]) || null,
                     headers: mail.headers
                 };
@@ -927,63 +2367,213 @@ class GmailConnector extends EventEmitter {
                 const nonContainerParts = this._extractNonContainerParts(message.payload);
                 const allowedBodyMimeTypes = new Set(['text/html', 'text/plain']);
 
-                nonContainerParts.forEach((nonContainerPart) => {
+                nonContainerParts.forEach((nonContainerPart) => {
+
+                    if (allowedBodyMimeTypes.has(nonContainerPart.mimeType.toLowerCase()) && nonContainerPart.body.data) {
+                        formattedMessage.body.push({
+                            type: nonContainerPart.mimeType,
+                            content: Buffer.from(nonContainerPart.body.data, 'base64').toString()
+                        });
+                    }
+                });
+
+                // Files
+                mail.payload = message.payload;
+                mail.formattedMessage = formattedMessage;
+
+                const htmlBody = formattedMessage.body.find((body) => body.type === 'text/html')?.content;
+                const files = this._transformFiles(mail, htmlBody);
+                if (files.length > 0) {
+                    formattedMessage.attachments = true;
+                    formattedMessage.files = [...formattedMessage.files, ...files];
+                }
+
+                return callback(null, formattedMessage);
+            });
+        }, callback);
+    }
+
+    /**
+     * Emits `newAccessToken` when a new access token for the refresh token was generated.
+     * With a token store, a token that was refreshed by another call in the meantime is used instead of refreshing again.
+     *
+     * @param {Auth} auth
+     * @param {function(Error?, Auth?):void} callback
+     * @returns {void}
+     */
+    refreshAuthCredentials(auth, callback) {
+
+        // Service account tokens are minted on demand and cached per subject, so they are never emitted
+        if (auth.subject) {
+            let client;
+
+            try {
+                client = this._getServiceAccountClient(auth);
+            }
+            catch (err) {
+                return callback(err);
+            }
+
+            return client.getAccessToken((err, accessToken) => {
+
+                if (err) {
+                    return callback(Utils.boomify(err));
+                }
+
+                return callback(null, { access_token: accessToken, expiry_date: client.credentials.expiry_date, id: auth.id });
+            });
+        }
+
+        if (!internals.isExpired(auth)) {
+            return callback(null, auth);
+        }
+
+        const refresh = (callback) => {
+
+            const oauth2Client = new OAuth2(this.clientId, this.clientSecret);
+
+            oauth2Client.setCredentials({
+                refresh_token: auth.refresh_token
+            });
+
+            return oauth2Client.refreshAccessToken((err, token) => {
+
+                if (err) {
+                    return callback(Utils.boomify(err));
+                }
+
+                return callback(null, internals.toStoredToken(token, auth));
+            });
+        };
+
+        return TokenStores.refresh(this.tokenStore, auth, internals.isExpired, refresh, (err, token) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            // Make sure we emit the id for reference and also pass it for chaining abilities
+            const newToken = internals.fromStoredToken(token, auth);
+
+            this.emit('newAccessToken', newToken);
+
+            return callback(null, newToken);
+        });
+    }
+
+    /**
+     * @param {null} auth - Not used, there is no auth yet
+     *
+     * @param {Object} params
+     * @param {String} params.redirectUri - Has to be registered for the client id
+     * @param {Array.<String>} [params.methods] - Unified methods the auth will be used for, e.g. `['listMessages', 'sendMessage']`. Defaults to all.
+     * @param {Array.<String>} [params.scopes] - Extra scopes to ask for
+     * @param {String} [params.state]
+     * @param {String} [params.loginHint] - Email address to preselect
+     * @param {String} [params.prompt=consent] - Without consent Google only returns a refresh token the first time the user authorizes
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?, String?):void} callback - Returns the url to send the user to
+     * @returns {void}
+     */
+    getAuthorizationUrl(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        let scopes;
 
-                    if (allowedBodyMimeTypes.has(nonContainerPart.mimeType.toLowerCase()) && nonContainerPart.body.data) {
-                        formattedMessage.body.push({
-                            type: nonContainerPart.mimeType,
-                            content: Buffer.from(nonContainerPart.body.data, 'base64').toString()
-                        });
-                    }
-                });
+        try {
+            scopes = internals.getScopes(params);
+        }
+        catch (err) {
+            return callback(err);
+        }
 
-                // Files
-                mail.payload = message.payload;
-                mail.formattedMessage = formattedMessage;
+        const oauth2Client = new OAuth2(this.clientId, this.clientSecret, params.redirectUri);
+        const urlOptions = {
+            access_type: 'offline',
+            include_granted_scopes: true,
+            prompt: params.prompt || 'consent',
+            scope: scopes
+        };
 
-                const htmlBody = formattedMessage.body.find((body) => body.type === 'text/html')?.content;
-                const files = this._transformFiles(mail, htmlBody);
-                if (files.length > 0) {
-                    formattedMessage.attachments = true;
-                    formattedMessage.files = [...formattedMessage.files, ...files];
-                }
+        if (params.state) {
+            urlOptions.state = params.state;
+        }
 
-                return callback(null, formattedMessage);
-            });
-        }, callback);
+        if (params.loginHint) {
+            urlOptions.login_hint = params.loginHint;
+        }
+
+        return callback(null, oauth2Client.generateAuthUrl(urlOptions));
     }
 
     /**
-     * Emits `newAccessToken` when a new access token for the refresh token was generated
+     * @param {null} auth - Not used, there is no auth yet
+     *
+     * @param {Object} params
+     * @param {String} params.code - As passed to the redirect uri
+     * @param {String} params.redirectUri - Same as used for the authorization url
+     *
+     * @param {Object} options
      *
-     * @param {Auth} auth
      * @param {function(Error?, Auth?):void} callback
      * @returns {void}
      */
-    refreshAuthCredentials(auth, callback) {
+    exchangeAuthorizationCode(auth, params, options, callback) {
 
-        if (auth.access_token && (!auth.expiration_date || new Date(auth.expiration_date) > new Date())) {
-            return callback(null, auth);
+        if (typeof options === 'function') {
+            callback = options;
         }
 
-        const oauth2Client = new OAuth2(this.clientId, this.clientSecret);
+        const oauth2Client = new OAuth2(this.clientId, this.clientSecret, params.redirectUri);
+
+        return oauth2Client.getToken(params.code, (err, token) => {
+
+            if (err) {
+                return callback(Utils.boomify(err));
+            }
 
-        oauth2Client.setCredentials({
-            refresh_token: auth.refresh_token
+            return callback(null, {
+                access_token: token.access_token,
+                refresh_token: token.refresh_token,
+                expiration_date: token.expiry_date ? new Date(token.expiry_date) : undefined
+            });
         });
+    }
 
-        return oauth2Client.refreshAccessToken((err, token) => {
+    /**
+     * Revokes the refresh token, which also invalidates its access tokens.
+     * For service accounts only the cached token for the subject is forgotten, delegation is managed in the Workspace admin console.
+     *
+     * @param {Auth} auth
+     * @param {function(Error?):void} callback
+     * @returns {void}
+     */
+    revokeAuthCredentials(auth, callback) {
 
-            if (err) {
-                return callback(err);
+        if (auth.subject) {
+            const key = auth.service_account || this.serviceAccount;
+
+            if (key) {
+                this.serviceAccountClients.delete(`${key.client_email}|${auth.subject.toLowerCase()}`);
             }
 
-            // Make sure we emit the id for reference and also pass it for chaining abilities
-            token.id = auth.id;
+            return callback();
+        }
 
-            this.emit('newAccessToken', token);
+        const oauth2Client = new OAuth2(this.clientId, this.clientSecret);
+
+        return oauth2Client.revokeToken(auth.refresh_token || auth.access_token, (err) => {
+
+            if (err) {
+                return callback(Utils.boomify(err));
+            }
 
-            return callback(null, token);
+            return callback();
         });
     }
 
@@ -1009,10 +2599,17 @@ class GmailConnector extends EventEmitter {
      * @param {Object} params
      * @param {Auth} params.auth
      *
+     * @param {Object} [requestOptions] - Passed to the client, e.g. `{ responseType: 'stream' }`
+     *
      * @param {function(Error?, Object?):void} callback
      * @returns {void}
      */
-    _callAPI(method, params, callback) {
+    _callAPI(method, params, requestOptions, callback) {
+
+        if (typeof requestOptions === 'function') {
+            callback = requestOptions;
+            requestOptions = {};
+        }
 
         if (!method.name.startsWith('bound ') || Object.prototype.hasOwnProperty.call(method, 'prototype')) {
             throw new Error('Gmail functions need to be bound using `.bind`. We wrap Gmail function for auth and error handling and this causes them to lose their `this` so you need to explicitly bind the this. For example: `Gmail.users.messages.get.bind(Gmail.users.messages)`');
@@ -1020,6 +2617,45 @@ class GmailConnector extends EventEmitter {
 
         const id = params.auth.id;
 
+        if (params.auth.subject) {
+            let client;
+
+            try {
+                client = this._getServiceAccountClient(params.auth);
+            }
+            catch (err) {
+                return callback(err);
+            }
+
+            return method({ ...params, auth: client }, requestOptions, (err, res) => {
+
+                if (err) {
+                    return callback(Boom.boomify(err, { statusCode: err.code ? Number(err.code) : 500 }));
+                }
+
+                return callback(null, res.data);
+            });
+        }
+
+        // With a token store, refresh up front so concurrent calls share a single refresh
+        if (this.tokenStore && !(params.auth instanceof OAuth2) && internals.isExpired(params.auth)) {
+            return this.refreshAuthCredentials(params.auth, (err, token) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                const auth = {
+                    ...params.auth,
+                    access_token: token.access_token,
+                    refresh_token: token.refresh_token,
+                    expiration_date: token.expiry_date ? new Date(token.expiry_date) : undefined
+                };
+
+                return this._callAPI(method, { ...params, auth }, requestOptions, callback);
+            });
+        }
+
         if (!(params.auth instanceof OAuth2)) {
             const oauth2Client = new OAuth2(
                 this.clientId,
@@ -1036,105 +2672,458 @@ class GmailConnector extends EventEmitter {
 
         const oldAccessToken = params.auth.credentials.access_token;
 
-        return method(params, (err, res) => {
+        return method(params, requestOptions, (err, res) => {
 
-            if (params.auth.credentials.access_token !== oldAccessToken) {
-                this.emit('newAccessToken', { ...params.auth.credentials, id });
-            }
+            const respond = () => {
 
-            if (err) {
-                return callback(Boom.boomify(err, { statusCode: err.code ? Number(err.code) : 500 }));
+                if (err) {
+                    return callback(Boom.boomify(err, { statusCode: err.code ? Number(err.code) : 500 }));
+                }
+
+                return callback(null, res.data);
+            };
+
+            if (params.auth.credentials.access_token === oldAccessToken) {
+                return respond();
             }
 
-            return callback(null, res.data);
+            this.emit('newAccessToken', { ...params.auth.credentials, id });
+
+            // The client refreshed on its own, the call itself shouldn't fail when the token can't be stored
+            return TokenStores.save(this.tokenStore, id, internals.toStoredToken(params.auth.credentials, params.auth.credentials), () => respond());
         });
     }
+
+    /**
+     * The JWT client caches the access token it minted and only mints a new one when it expires, so one client is kept per subject
+     *
+     * @throws
+     *
+     * @param {Auth} auth
+     * @returns {JWT}
+     */
+    _getServiceAccountClient(auth) {
+
+        const key = auth.service_account || this.serviceAccount;
+
+        if (!key || !key.client_email || !key.private_key) {
+            throw Boom.badRequest('A service account key is needed to impersonate a user');
+        }
+
+        const cacheKey = `${key.client_email}|${auth.subject.toLowerCase()}`;
+
+        if (!this.serviceAccountClients.has(cacheKey)) {
+            this.serviceAccountClients.set(cacheKey, new JWT({
+                email: key.client_email,
+                key: key.private_key,
+                scopes: key.scopes || ['https://mail.google.com/'],
+                subject: auth.subject
+            }));
+        }
+
+        return this.serviceAccountClients.get(cacheKey);
+    }
 }
 
 /* Internal utility functions */
 
-internals.labelIdToRole = {
-    INBOX: 'inbox',
-    SENT: 'sent',
-    DRAFT: 'drafts',
-    TRASH: 'trash',
-    SPAM: 'spam',
-    IMPORTANT: 'important',
-    STARRED: 'starred'
+internals.capabilities = {
+    filters: {
+        from: { supported: true },
+        to: { supported: true },
+        subject: { supported: true, note: 'Does not match literally, words of the subject are matched' },
+        participants: { supported: true },
+        hasAttachment: { supported: 'partial', note: 'Only `true` is applied' },
+        before: { supported: true },
+        after: { supported: true },
+        folder: { supported: true, note: 'Any label name' },
+        includeDrafts: { supported: true },
+        q: { supported: true },
+        query: { supported: 'partial', note: '`body` conditions are applied to the listed messages, Gmail has no body-only search' }
+    },
+    max_page_size: 500,
+    push: true,
+    delta_sync: true
 };
 
-internals.getAddressesObject = (mail) => {
+/**
+ * Builds the Gmail search query for the unified list filters, except for the participants
+ *
+ * @param {Object} params - Same as listMessages
+ * @returns {String}
+ */
+internals.createQuery = (params) => {
 
-    return {
-        to: mail.to && internals.getAddressesObjectFromValue(mail.to.value),
-        from: (mail.from && internals.getAddressesObjectFromValue(mail.from.value)[0]) || {},
-        cc: mail.cc && internals.getAddressesObjectFromValue(mail.cc.value),
-        bcc: mail.bcc && internals.getAddressesObjectFromValue(mail.bcc.value)
-    };
+    let q = '-(in:chats) ';
+
+    if (!params.includeDrafts) {
+        q += '-(in:draft) ';
+    }
+
+    if (params.hasAttachment) {
+        q += 'has:attachment ';
+    }
+
+    if (params.before) {
+        q += `before:${Math.ceil(params.before.getTime() / 1000)} `;
+    }
+
+    if (params.after) {
+        q += `after:${Math.ceil(params.after.getTime() / 1000)} `;
+    }
+
+    if (params.from) {
+        q += `from:${params.from} `;
+    }
+
+    if (params.to) {
+        q += `to:${params.to} `;
+    }
+
+    if (params.subject) {
+        // Does not match literally, e.g. params.subject = 'test' would also match email subject 'this is a test'
+        q += `subject:"${params.subject}" `;
+    }
+
+    if (params.folder) {
+        q += `in:${params.folder} `;
+    }
+
+    if (params.q) {
+        q += params.q;
+    }
+
+    return q;
+};
+
+// Every query condition except `body`, Gmail only searches the body together with the subject and addresses
+internals.queryConditions = ['from', 'to', 'cc', 'bcc', 'subject', 'text', 'unread', 'starred', 'folderRole', 'hasAttachment', 'hasAttachmentType', 'larger', 'smaller', 'before', 'after'];
+
+internals.roleToSearch = {
+    inbox: 'in:inbox',
+    sent: 'in:sent',
+    drafts: 'in:drafts',
+    trash: 'in:trash',
+    spam: 'in:spam',
+    important: 'is:important',
+    starred: 'is:starred',
+    archive: '(-in:inbox -in:spam -in:trash)'
 };
 
 /**
- * @param {{ address: String, name: String }[]} value
- * @returns {Array.<{ name: String, email: String }> | undefined}
+ * Compiles a unified query to a Gmail search, see https://support.google.com/mail/answer/7190
+ *
+ * @param {import('./query').QueryNode | null} node
+ * @returns {String}
  */
-internals.getAddressesObjectFromValue = (value) => {
+internals.compileQuery = (node) => {
 
-    return value && value.map((vObject) => {
+    if (!node) {
+        return '';
+    }
 
-        if (!vObject.address) {
-            return;
-        }
+    if (node.and) {
+        return `(${node.and.map(internals.compileQuery).join(' ')})`;
+    }
 
-        return {
-            name: vObject.name,
-            email: vObject.address.toLowerCase()
-        };
-    }).filter((address) => !!address);
+    if (node.or) {
+        return `(${node.or.map(internals.compileQuery).join(' OR ')})`;
+    }
+
+    if (node.not) {
+        return `-${internals.compileQuery(node.not)}`;
+    }
+
+    const [condition] = Object.keys(node);
+    const value = node[condition];
+    const quoted = typeof value === 'string' ? `"${value.replace(/"/g, '')}"` : null;
+
+    switch (condition) {
+        case 'text':
+            return quoted;
+        case 'unread':
+            return value ? 'is:unread' : 'is:read';
+        case 'starred':
+            return value ? 'is:starred' : '-is:starred';
+        case 'folderRole':
+            return internals.roleToSearch[value.toLowerCase()] || `in:${quoted}`;
+        case 'hasAttachment':
+            return value ? 'has:attachment' : '-has:attachment';
+        case 'hasAttachmentType':
+            return `filename:${quoted}`;
+        case 'larger':
+        case 'smaller':
+            return `${condition}:${value}`;
+        case 'before':
+        case 'after':
+            return `${condition}:${Math.ceil(value.getTime() / 1000)}`;
+        default: // The address conditions and subject
+            return `${condition}:${quoted}`;
+    }
 };
 
 /**
- * @param {{ name: String, value: String }[]} headers
- * @param {String} name
- * @returns {null | String}
+ * @param {String} name - Label name
+ * @returns {String?} The name of the label it is nested in
  */
-internals.getHeaderValue = (headers, name) => {
+internals.getParentLabelName = (name) => {
 
-    const headerObject = headers.find((header) => {
+    const index = name.lastIndexOf('/');
 
-        return header.name.toLowerCase() === name.toLowerCase();
-    });
+    return index > 0 ? name.slice(0, index) : null;
+};
 
-    if (headerObject && headerObject.value) {
-        return headerObject.value;
+/**
+ * @param {Object} params - The sendMessage params
+ * @returns {Object} Nodemailer mail options
+ */
+internals.getMailOptions = (params) => {
+
+    const mailOptions = {
+        from: Utils.toMailAddresses(params.from),
+        to: Utils.toMailAddresses(params.to),
+        cc: Utils.toMailAddresses(params.cc),
+        bcc: Utils.toMailAddresses(params.bcc),
+        text: params.text,
+        html: params.html,
+        subject: params.subject,
+        inReplyTo: params.inReplyTo
+    };
+
+    if (params.attachments && params.attachments.length > 0) {
+        mailOptions.attachments = params.attachments.map((attachment) => {
+
+            return {
+                filename: attachment.name,
+                path: attachment.url
+            };
+        });
     }
 
-    return null;
+    return mailOptions;
 };
 
 /**
- * @param {MessageRecipient[] | MessageRecipient} recipients
- * @returns {'' | String} When recipients.length === 0 returns '' otherwise csv String of recipients
+ * Splits the query up in one query per 50 participants since Gmail can't handle more at the same time
+ *
+ * @param {String} q - Query without the participants
+ * @param {Array.<String>} [participants]
+ * @returns {Array.<String>}
  */
-internals.convertMessageRecipientsToCsv = (recipients) => {
+internals.chunkParticipants = (q, participants) => {
 
-    if (!Array.isArray(recipients)) {
-        recipients = [recipients];
+    if (!participants) {
+        return [q];
     }
 
-    recipients = recipients.filter((x) => !!x);
+    return _.chunk(participants, 50).map((chunk) => {
 
-    if (recipients.length === 0) {
-        return '';
+        return `${q}{${chunk.map((participant) => `from:${participant} to:${participant} cc:${participant} `).join('')}} `;
+    });
+};
+
+/**
+ * @param {Auth} auth
+ * @returns {Boolean}
+ */
+internals.isExpired = (auth) => {
+
+    return !auth.access_token || (Boolean(auth.expiration_date) && new Date(auth.expiration_date) <= new Date());
+};
+
+/**
+ * @param {{ access_token: String, refresh_token: String?, expiry_date: Number? }} credentials - As returned by the OAuth2 client
+ * @param {Auth} auth - Used for the refresh token when Google didn't return a new one
+ * @returns {import('./token-stores').StoredToken}
+ */
+internals.toStoredToken = (credentials, auth) => {
+
+    return {
+        access_token: credentials.access_token,
+        refresh_token: credentials.refresh_token || auth.refresh_token,
+        expiration_date: credentials.expiry_date ? new Date(credentials.expiry_date) : undefined
+    };
+};
+
+/**
+ * @param {import('./token-stores').StoredToken} token
+ * @param {Auth} auth - The auth the token is for
+ * @returns {Object} The token in the shape `newAccessToken` has always been emitted in
+ */
+internals.fromStoredToken = (token, auth) => {
+
+    return {
+        access_token: token.access_token,
+        refresh_token: token.refresh_token || auth.refresh_token,
+        expiry_date: token.expiration_date ? new Date(token.expiration_date).getTime() : undefined,
+        id: auth.id
+    };
+};
+
+// Gmail recommends at most 50 requests per batch, but larger batches get rate limited quickly
+internals.batchSize = 20;
+
+/**
+ * @param {String} accessToken
+ * @returns {Batchelor} A batch request to the Gmail API
+ */
+internals.createBatch = (accessToken) => {
+
+    return new Batchelor({
+        uri: 'https://www.googleapis.com/batch/gmail/v1',
+        method: 'POST',
+        auth: { bearer: accessToken },
+        headers: { 'Content-Type': 'multipart/mixed' }
+    });
+};
+
+internals.readonlyScope = 'https://www.googleapis.com/auth/gmail.readonly';
+internals.modifyScope = 'https://www.googleapis.com/auth/gmail.modify';
+internals.composeScope = 'https://www.googleapis.com/auth/gmail.compose';
+internals.labelsScope = 'https://www.googleapis.com/auth/gmail.labels';
+
+internals.methodScopes = {
+    listMessages: [internals.readonlyScope],
+    getMessage: [internals.readonlyScope],
+    sendMessage: ['https://www.googleapis.com/auth/gmail.send'],
+    updateMessage: [internals.modifyScope],
+    moveMessage: [internals.modifyScope],
+    trashMessage: [internals.modifyScope],
+    deleteMessage: ['https://mail.google.com/'],
+    batchGetMessages: [internals.readonlyScope],
+    batchUpdateMessages: [internals.modifyScope],
+    createDraft: [internals.composeScope],
+    updateDraft: [internals.composeScope],
+    getDraft: [internals.readonlyScope],
+    listDrafts: [internals.readonlyScope],
+    sendDraft: [internals.composeScope],
+    deleteDraft: [internals.composeScope],
+    listFiles: [internals.readonlyScope],
+    getFile: [internals.readonlyScope],
+    streamFile: [internals.readonlyScope],
+    listFolders: [internals.readonlyScope],
+    createFolder: [internals.labelsScope],
+    updateFolder: [internals.labelsScope],
+    deleteFolder: [internals.labelsScope],
+    listThreads: [internals.readonlyScope],
+    getThread: [internals.readonlyScope],
+    listChanges: [internals.readonlyScope],
+    createSubscription: [internals.readonlyScope],
+    renewSubscription: [internals.readonlyScope],
+    deleteSubscription: [internals.readonlyScope]
+};
+
+/**
+ * @throws
+ *
+ * @param {{ methods: Array.<String>?, scopes: Array.<String>? }} params
+ * @returns {Array.<String>} The scopes needed for the methods and the extra scopes
+ */
+internals.getScopes = (params) => {
+
+    const methods = params.methods || Object.keys(internals.methodScopes);
+    const unknown = methods.filter((method) => !internals.methodScopes[method]);
+
+    if (unknown.length > 0) {
+        throw Boom.badRequest(`No scopes known for ${unknown.join(', ')}`);
     }
 
-    return recipients.map((recipient) => {
+    return [...new Set([...methods.flatMap((method) => internals.methodScopes[method]), ...(params.scopes || [])])];
+};
+
+// Labels that behave like the folder a message is in
+internals.locationLabelIds = ['INBOX', 'SPAM', 'TRASH'];
+
+// Start of the base64url data in an attachments.get response, e.g. `{ "size": 12, "data": "SGVsbG8..." }`
+internals.attachmentDataStart = /"data"\s*:\s*"/;
+
+/**
+ * Decodes the base64url `data` of a streamed attachments.get response while it comes in
+ *
+ * @returns {Stream.Transform} Takes the JSON response and outputs the bytes of the attachment
+ */
+internals.createAttachmentDecoder = () => {
+
+    let head = '';
+    let encoded = null; // Data that isn't decoded yet, null until the data starts
+    let ended = false;
+
+    return new Stream.Transform({
+        transform(chunk, encoding, next) {
+
+            let text = chunk.toString('latin1');
+
+            if (ended) {
+                return next();
+            }
+
+            if (encoded === null) {
+                head += text;
+                const start = internals.attachmentDataStart.exec(head);
+
+                if (!start) {
+                    // Only keep what could be the start of a `"data": "` that is split over chunks
+                    head = head.slice(-32);
+                    return next();
+                }
+
+                text = head.slice(start.index + start[0].length);
+                encoded = '';
+            }
+
+            const end = text.indexOf('"');
+
+            encoded += end === -1 ? text : text.slice(0, end);
+            ended = end !== -1;
+
+            // Base64 is decoded per 4 characters, the rest waits for the next chunk
+            const length = ended ? encoded.length : encoded.length - (encoded.length % 4);
+
+            if (length > 0) {
+                this.push(Buffer.from(encoded.slice(0, length), 'base64'));
+                encoded = encoded.slice(length);
+            }
+
+            return next();
+        },
+        flush(next) {
+
+            if (encoded !== null && !ended) {
+                return next(Boom.badGateway('The attachment download ended early'));
+            }
 
-        if (recipient.name) {
-            return `"${recipient.name.replace(/"/g, '""')}" <${recipient.email}>`;
+            return next();
         }
+    });
+};
+
+internals.labelIdToRole = {
+    INBOX: 'inbox',
+    SENT: 'sent',
+    DRAFT: 'drafts',
+    TRASH: 'trash',
+    SPAM: 'spam',
+    IMPORTANT: 'important',
+    STARRED: 'starred'
+};
+
+/**
+ * @param {{ name: String, value: String }[]} headers
+ * @param {String} name
+ * @returns {null | String}
+ */
+internals.getHeaderValue = (headers, name) => {
+
+    const headerObject = headers.find((header) => {
 
-        return recipient.email;
-    }).join(', ');
+        return header.name.toLowerCase() === name.toLowerCase();
+    });
+
+    if (headerObject && headerObject.value) {
+        return headerObject.value;
+    }
+
+    return null;
 };
 
 module.exports = GmailConnector;
@@ -0,0 +1,1398 @@
+'use strict';
+
+const Crypto = require('crypto');
+const EventEmitter = require('events');
+const Util = require('util');
+
+const Async = require('async');
+const Boom = require('@hapi/boom');
+const { ImapFlow } = require('imapflow');
+const Nodemailer = require('nodemailer');
+
+const Utils = require('./utils');
+
+const internals = {
+    parseRawMail: Util.promisify(Utils.parseRawMail),
+    specialUseToRole: {
+        '\\Inbox': 'inbox',
+        '\\Sent': 'sent',
+        '\\Drafts': 'drafts',
+        '\\Trash': 'trash',
+        '\\Junk': 'spam',
+        '\\Archive': 'archive',
+        '\\Important': 'important',
+        '\\Flagged': 'starred'
+    }
+};
+
+/**
+ * @typedef {import('./index').MessageResource} MessageResource
+ * @typedef {import('./index').MessageListResource} MessageListResource
+ * @typedef {import('./index').BatchResultResource} BatchResultResource
+ * @typedef {import('./index').FileResource} FileResource
+ * @typedef {import('./index').FileListResource} FileListResource
+ * @typedef {import('./index').FolderResource} FolderResource
+ * @typedef {import('./index').MessageRecipient} MessageRecipient
+ * @typedef {import('./index').ChangeListResource} ChangeListResource
+ *
+ * @typedef {Object} ServerConfig
+ * @property {String} host
+ * @property {Number} [port]
+ * @property {Boolean} [secure] - Whether to connect over TLS, when false STARTTLS is used if the server supports it
+ * @property {Object} [tls] - Extra TLS options, e.g. `{ rejectUnauthorized: false }` for a local test server with a self signed certificate
+ */
+
+/**
+ * Reads any mailbox over IMAP and sends over SMTP.
+ * Message ids are made up of the mailbox path, its UIDVALIDITY and the message UID so they stay valid as long as the mailbox isn't reset.
+ * File ids are the IMAP body part numbers, so `getFile` needs the message id as well.
+ */
+class ImapConnector extends EventEmitter {
+
+    /**
+     * Every setting can be overridden per mailbox with `auth.imap` and `auth.smtp`, so a single connector can serve mailboxes on different servers.
+     * To test against a local server, use e.g. `{ imap: { host: '127.0.0.1', port: 3143, secure: false }, smtp: { host: '127.0.0.1', port: 3025, secure: false } }`.
+     *
+     * @class
+     *
+     * @param {Object} [config] - Configuration object
+     * @param {ServerConfig} [config.imap] - Port defaults to 993 and secure to true
+     * @param {ServerConfig} [config.smtp] - Port defaults to 465 and secure to true
+     * @param {Boolean} [config.saveSentMessages=false] - Append sent messages to the Sent mailbox, for servers that don't do this themselves
+     * @param {Object | Boolean} [config.logger=false] - Logger passed to ImapFlow
+     */
+    constructor(config) {
+
+        super();
+
+        config = config || {};
+
+        this.imap = { port: 993, secure: true, ...config.imap };
+        this.smtp = { port: 465, secure: true, ...config.smtp };
+        this.saveSentMessages = Boolean(config.saveSentMessages);
+        this.logger = config.logger || false;
+
+        this.name = 'imap';
+        this.capabilities = internals.capabilities;
+    }
+
+    /**
+     * @typedef {Object} Auth - Authentication object
+     * @property {String} user
+     * @property {String} [password]
+     * @property {String} [access_token] - Used with XOAUTH2 when there is no password
+     * @property {ServerConfig} [imap] - Overrides the connector's IMAP settings for this mailbox
+     * @property {ServerConfig} [smtp] - Overrides the connector's SMTP settings for this mailbox
+     */
+
+    /* MESSAGES */
+
+    /**
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {Number} [params.limit=100] - Maximum amount of messages in response
+     * @param {String} [params.pageToken] - Token used to retrieve a certain page in the list
+     * @param {Date} [params.before] - Only return messages received before this day
+     * @param {Date} [params.after] - Only return messages received on or after this day
+     * @param {String} [params.from] - Only return messages sent from this address
+     * @param {String} [params.to] - Only return messages sent to this address
+     * @param {String} [params.subject] - Only return messages with this text in the subject
+     * @param {String[]} [params.participants] - Only return messages from, to or cc one of these addresses
+     * @param {String} [params.folder] - A folder role (e.g. `sent`) or mailbox path, defaults to the inbox
+     * @param {Boolean} [params.includeDrafts] - Whether to include drafts or not, defaults to false
+     * @param {String} [params.q] - Only return messages containing this text
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     * @param {Boolean} [options.idsOnly] - If true the response will only contain the ids of the messages
+     * @param {Boolean} [options.includeBody] - Defaults to true, without it only headers and the structure of the messages are fetched
+     *
+     * @param {function(Error?, MessageListResource | { messages: Array.<Object | String>, next_page_token: String? }?):void} callback Returns an array of unified message resources when options.raw is falsy or the raw messages when truthy
+     * @returns {void}
+     */
+    listMessages(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = { includeBody: true, ...options };
+
+        return Utils.respond(this._withClient(auth, async (client) => {
+
+            const path = await internals.resolveMailbox(client, params.folder);
+            const lock = await client.getMailboxLock(path, { readOnly: true });
+
+            try {
+                const uids = (await client.search(internals.createSearchQuery(params), { uid: true })) || [];
+                const limit = params.limit || 100;
+                const candidates = uids
+                    .filter((uid) => !params.pageToken || uid < Number(params.pageToken))
+                    .sort((a, b) => b - a);
+
+                const page = candidates.slice(0, limit);
+                const responseObject = { messages: [] };
+
+                if (candidates.length > limit) {
+                    responseObject.next_page_token = String(page[page.length - 1]);
+                }
+
+                if (options.idsOnly) {
+                    responseObject.messages = page.map((uid) => internals.encodeMessageId(client.mailbox, uid));
+                    return responseObject;
+                }
+
+                if (page.length === 0) {
+                    return responseObject;
+                }
+
+                const messages = await internals.fetchMessages(client, page, options.includeBody);
+
+                responseObject.messages = options.raw ? messages : await this._transformMessages(messages, client.mailbox);
+
+                return responseObject;
+            }
+            finally {
+                lock.release();
+            }
+        }), callback, internals.wrapError);
+    }
+
+    /**
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Message id as returned by listMessages
+     * @param {Boolean} [params.rfc2822Format = false] - Return the email in rfc2822 format https://www.ietf.org/rfc/rfc2822.txt
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     *
+     * @param {function(Error?, (MessageResource | Object | String)?):void} callback Returns a unified message resource when options.raw is falsy or the raw message when truthy
+     * @returns {void}
+     */
+    getMessage(auth, params, options, callback) {
+
+        if (!params || !params.id) {
+            throw new Error('Invalid configuration. Please refer to the documentation to get the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return Utils.respond(this._withMessage(auth, params.id, { source: true }, async (client, message) => {
+
+            if (params.rfc2822Format) {
+                return message.source.toString();
+            }
+
+            if (options.raw) {
+                return message;
+            }
+
+            const [formattedMessage] = await this._transformMessages([message], client.mailbox);
+
+            return formattedMessage;
+        }), callback, internals.wrapError);
+    }
+
+    /**
+     * Sends a message over SMTP
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.text - Plain text content of message
+     * @param {String} params.html - Html content of message
+     * @param {String} params.subject - Subject of message
+     * @param {String} params.inReplyTo - The message id this message is replying
+     * @param {MessageRecipient} params.from - Defaults to the user of the mailbox
+     * @param {MessageRecipient[]} params.to
+     * @param {MessageRecipient[]} params.cc
+     * @param {MessageRecipient[]} params.bcc
+     * @param {{ name: String, url: String, contentBytes: String }[]} params.attachments - `contentBytes` is the base64 encoded content, otherwise the content is downloaded from `url`
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?, String?):void} callback - Returns the email message id of the sent message
+     *
+     * @returns {void}
+     */
+    sendMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        const from = params.from || { email: auth.user };
+        const messageId = `<${Crypto.randomBytes(16).toString('hex')}@${from.email.split('@').pop()}>`;
+        const mailOptions = {
+            messageId,
+            from: Utils.toMailAddresses(from),
+            to: Utils.toMailAddresses(params.to),
+            cc: Utils.toMailAddresses(params.cc),
+            bcc: Utils.toMailAddresses(params.bcc),
+            text: params.text,
+            html: params.html,
+            subject: params.subject,
+            inReplyTo: params.inReplyTo
+        };
+
+        if (params.attachments && params.attachments.length > 0) {
+            mailOptions.attachments = params.attachments.map((attachment) => {
+
+                if (attachment.contentBytes) {
+                    return {
+                        filename: attachment.name,
+                        content: attachment.contentBytes,
+                        encoding: 'base64'
+                    };
+                }
+
+                return {
+                    filename: attachment.name,
+                    path: attachment.url
+                };
+            });
+        }
+
+        return Utils.generateMessage(mailOptions, { base64Encoded: false }, (err, rawMessage) => {
+
+            if (err) {
+                return callback(Utils.boomify(err));
+            }
+
+            const recipients = [params.to, params.cc, params.bcc].flat().filter(Boolean).map((recipient) => recipient.email);
+
+            const send = async () => {
+
+                const transport = Nodemailer.createTransport(this._getServerOptions(auth, 'smtp'));
+
+                try {
+                    await transport.sendMail({ envelope: { from: from.email, to: recipients }, raw: rawMessage });
+                }
+                finally {
+                    transport.close();
+                }
+
+                if (!this.saveSentMessages) {
+                    return messageId;
+                }
+
+                await this._withClient(auth, async (client) => {
+
+                    await client.append(await internals.resolveMailbox(client, 'sent'), rawMessage, ['\\Seen']);
+                });
+
+                return messageId;
+            };
+
+            return Utils.respond(send(), callback, internals.wrapError);
+        });
+    }
+
+    /**
+     * Sets the \Seen and \Flagged flags, IMAP messages are in exactly one mailbox so folders can only be changed with moveMessage
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Message id as returned by listMessages
+     * @param {Boolean} [params.unread]
+     * @param {Boolean} [params.starred]
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the updated message will not be transformed to the unified object
+     *
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
+     * @returns {void}
+     */
+    updateMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        if (params.addFolders || params.removeFolders) {
+            return callback(Boom.badRequest('IMAP messages are in exactly one mailbox, use moveMessage to change the folder'));
+        }
+
+        const { add, remove } = internals.flagChanges(params);
+
+        return Utils.respond(this._withMessage(auth, params.id, {}, async (client, message) => {
+
+            if (add.length > 0) {
+                await client.messageFlagsAdd(message.uid, add, { uid: true });
+            }
+
+            if (remove.length > 0) {
+                await client.messageFlagsRemove(message.uid, remove, { uid: true });
+            }
+
+            const updated = await client.fetchOne(message.uid, { ...internals.fetchQuery, source: true }, { uid: true });
+
+            if (options.raw) {
+                return updated;
+            }
+
+            const [formattedMessage] = await this._transformMessages([updated], client.mailbox);
+
+            return formattedMessage;
+        }, { writable: true }), callback, internals.wrapError);
+    }
+
+    /**
+     * Moving changes the message id, the moved message is only returned when the server reports its new UID (UIDPLUS)
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Message id as returned by listMessages
+     * @param {String | FolderResource} params.folder - Mailbox path or role, or a (partial) folder resource
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the moved message will not be transformed to the unified object
+     *
+     * @param {function(Error?, (MessageResource | Object)?):void} callback - Returns null when the server doesn't report the new UID
+     * @returns {void}
+     */
+    moveMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return Utils.respond(this._withClient(auth, async (client) => {
+
+            const destination = Utils.findFolder(this._transformFolders(await client.list()), params.folder).id;
+            const moved = await internals.withMessage(client, params.id, {}, (message) => client.messageMove(message.uid, destination, { uid: true }), { writable: true });
+            const uid = moved && moved.uidMap && moved.uidMap.get(Number(internals.decodeMessageId(params.id).uid));
+
+            if (!uid) {
+                return null;
+            }
+
+            const id = internals.encodeMessageId({ path: moved.destination, uidValidity: moved.uidValidity }, uid);
+
+            return await internals.withMessage(client, id, { source: true }, async (message) => {
+
+                if (options.raw) {
+                    return message;
+                }
+
+                const [formattedMessage] = await this._transformMessages([message], client.mailbox);
+
+                return formattedMessage;
+            });
+        }), callback, internals.wrapError);
+    }
+
+    /**
+     * Moves the message to the mailbox with the \Trash special use
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Message id as returned by listMessages
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the moved message will not be transformed to the unified object
+     *
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
+     * @returns {void}
+     */
+    trashMessage(auth, params, options, callback) {
+
+        return this.moveMessage(auth, { ...params, folder: { role: 'trash' } }, options, callback);
+    }
+
+    /**
+     * Flags the message as \Deleted and expunges it
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Message id as returned by listMessages
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?):void} callback
+     * @returns {void}
+     */
+    deleteMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return Utils.respond(this._withMessage(auth, params.id, {}, async (client, message) => {
+
+            await client.messageDelete(message.uid, { uid: true });
+        }, { writable: true }), callback, internals.wrapError);
+    }
+
+    /**
+     * Gets the messages over a single connection, with one fetch per mailbox
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {Array.<String>} params.ids - Message ids as returned by listMessages
+     *
+     * @param {Object} options - Same as getMessage
+     *
+     * @param {function(Error?, BatchResultResource?):void} callback
+     * @returns {void}
+     */
+    batchGetMessages(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return Utils.respond(this._batch(auth, params.ids, (client, uids) => internals.fetchMessages(client, uids, true), options), callback, internals.wrapError);
+    }
+
+    /**
+     * Updates the messages over a single connection, with one store per mailbox and flag change
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params - Same as updateMessage, with the message ids as `ids`
+     * @param {Array.<String>} params.ids - Message ids as returned by listMessages
+     *
+     * @param {Object} options - Same as updateMessage
+     *
+     * @param {function(Error?, BatchResultResource?):void} callback
+     * @returns {void}
+     */
+    batchUpdateMessages(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        if (params.addFolders || params.removeFolders) {
+            return callback(Boom.badRequest('IMAP messages are in exactly one mailbox, use moveMessage to change the folder'));
+        }
+
+        const { add, remove } = internals.flagChanges(params);
+
+        return Utils.respond(this._batch(auth, params.ids, async (client, uids) => {
+
+            if (add.length > 0) {
+                await client.messageFlagsAdd(uids.join(','), add, { uid: true });
+            }
+
+            if (remove.length > 0) {
+                await client.messageFlagsRemove(uids.join(','), remove, { uid: true });
+            }
+
+            return await internals.fetchMessages(client, uids, true);
+        }, { ...options, writable: true }), callback, internals.wrapError);
+    }
+
+    /* FILES */
+
+    /**
+     * Lists the files of the messages matching the params, the file data is not included
+     *
+     * @param {Auth} auth
+     * @param {Object} params - same as listMessages
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     * @param {function(Error?, FileListResource | { files: Array.<Object>, next_page_token: String? }):void} callback Returns an array of unified file resources when options.raw is falsy or the raw body structure nodes when truthy
+     *
+     * @returns {void}
+     */
+    listFiles(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this.listMessages(auth, params, { includeBody: false, raw: options.raw }, (err, response) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            const responseObject = {
+                files: response.messages.flatMap((message) => {
+
+                    return options.raw ? internals.extractFileParts(message.bodyStructure) : message.files;
+                })
+            };
+
+            if (response.next_page_token) {
+                responseObject.next_page_token = response.next_page_token;
+            }
+
+            return callback(null, responseObject);
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - IMAP body part number of the file
+     * @param {String} params.messageId - Message id as returned by listMessages
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] If true the response will not be transformed to the unified object
+     *
+     * @param {function(Error, FileResource | Object):void} callback  Returns a unified file resource when options.raw is falsy or the body structure part and its content when truthy
+     * @returns {void}
+     */
+    getFile(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        if (!params || !params.id || !params.messageId) {
+            return callback(Boom.badRequest('Invalid configuration. Please refer to the documentation to get the required fields.'));
+        }
+
+        options = options || {};
+
+        return Utils.respond(this._withMessage(auth, params.messageId, { headers: true }, async (client, message) => {
+
+            const [formattedMessage] = await this._transformMessages([message], client.mailbox);
+            const file = formattedMessage.files.find((messageFile) => messageFile.service_file_id === params.id);
+
+            if (!file) {
+                throw Boom.notFound('Attachment not found');
+            }
+
+            const { content } = await client.download(String(message.uid), params.id, { uid: true });
+            const chunks = [];
+
+            for await (const chunk of content) {
+                chunks.push(chunk);
+            }
+
+            if (options.raw) {
+                const part = internals.extractFileParts(message.bodyStructure).find((filePart) => (filePart.part || '1') === params.id);
+
+                return { part, content: Buffer.concat(chunks) };
+            }
+
+            file.data = Buffer.concat(chunks).toString('base64');
+
+            return file;
+        }), callback, internals.wrapError);
+    }
+
+    /* FOLDERS */
+
+    /**
+     * Returns the mailboxes of the account, special-use flags are mapped to folder roles
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} [params]
+     *
+     * @param {Object} [options]
+     * @param {Boolean} [options.raw] - If true the raw ImapFlow mailbox list entries are returned instead of the unified shape
+     *
+     * @param {function(Error?, (Array.<FolderResource> | Array.<Object>)?):void} callback - Returns an array of unified folder resources when options.raw is falsy or the raw list entries when truthy
+     *
+     * @returns {void}
+     */
+    listFolders(auth, params, options, callback) {
+
+        if (typeof params === 'function') {
+            callback = params;
+            params = {};
+            options = {};
+        }
+        else if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return Utils.respond(this._withClient(auth, async (client) => {
+
+            const mailboxes = await client.list({ statusQuery: { messages: true, unseen: true } });
+
+            return options.raw ? mailboxes : this._transformFolders(mailboxes);
+        }), callback, internals.wrapError);
+    }
+
+    /**
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.name
+     * @param {String | FolderResource} [params.parent] - Mailbox path or role, or a (partial) folder resource to create the mailbox in
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the ImapFlow list entry of the created mailbox is returned
+     *
+     * @param {function(Error?, (FolderResource | Object)?):void} callback
+     * @returns {void}
+     */
+    createFolder(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return Utils.respond(this._withClient(auth, async (client) => {
+
+            const parentPath = params.parent ? Utils.findFolder(this._transformFolders(await client.list()), params.parent).id : null;
+
+            // ImapFlow joins the path with the delimiter of the server
+            const created = await client.mailboxCreate(parentPath ? [parentPath, params.name] : params.name);
+
+            return await this._getFolder(client, created.path, options);
+        }), callback, internals.wrapError);
+    }
+
+    /**
+     * Renames the mailbox, which is also how it is moved to another parent.
+     * The path is the id of the mailbox, so the updated folder has a new id.
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Mailbox path
+     * @param {String} [params.name]
+     * @param {String | FolderResource | null} [params.parent] - The new parent, null to move the mailbox to the top level
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the ImapFlow list entry of the renamed mailbox is returned
+     *
+     * @param {function(Error?, (FolderResource | Object)?):void} callback
+     * @returns {void}
+     */
+    updateFolder(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return Utils.respond(this._withClient(auth, async (client) => {
+
+            const mailboxes = await client.list();
+            const mailbox = internals.findUserMailbox(mailboxes, params.id);
+            let parentPath = mailbox.parentPath || null;
+
+            if (params.parent !== undefined) {
+                parentPath = params.parent ? Utils.findFolder(this._transformFolders(mailboxes), params.parent).id : null;
+
+                if (parentPath && (parentPath === mailbox.path || parentPath.startsWith(`${mailbox.path}${mailbox.delimiter}`))) {
+                    throw Boom.badRequest('A folder can\'t be nested in itself or one of its subfolders');
+                }
+            }
+
+            const name = params.name || mailbox.name;
+            const renamed = await client.mailboxRename(mailbox.path, parentPath ? [parentPath, name] : name);
+
+            return await this._getFolder(client, renamed.newPath, options);
+        }), callback, internals.wrapError);
+    }
+
+    /**
+     * Deletes the mailbox and its messages, whether the subfolders are deleted along depends on the server
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Mailbox path
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?):void} callback
+     * @returns {void}
+     */
+    deleteFolder(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return Utils.respond(this._withClient(auth, async (client) => {
+
+            internals.findUserMailbox(await client.list(), params.id);
+
+            await client.mailboxDelete(params.id);
+        }), callback, internals.wrapError);
+    }
+
+    /**
+     * @param {ImapFlow} client
+     * @param {String} path
+     * @param {{ raw: Boolean? }} options
+     * @returns {Promise<FolderResource | Object>}
+     */
+    async _getFolder(client, path, options) {
+
+        const mailboxes = await client.list({ statusQuery: { messages: true, unseen: true } });
+        const mailbox = mailboxes.find((candidate) => candidate.path === path);
+
+        if (!mailbox) {
+            throw Boom.notFound(`Folder ${path} not found`);
+        }
+
+        return options.raw ? mailbox : this._transformFolders([mailbox])[0];
+    }
+
+    /* SYNC */
+
+    /**
+     * Returns the ids of the messages in a mailbox that changed since the cursor.
+     * New messages are found with the UIDNEXT of the mailbox, changed flags with CONDSTORE when the server supports it.
+     * Expunged messages are not reported, since that needs QRESYNC.
+     * Without a cursor, no changes are returned but only the cursor to start syncing from.
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} [params.cursor] - `next_cursor` of a previous call
+     * @param {String} [params.folder=inbox] - Folder role or mailbox path to sync, only used without a cursor
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?, ChangeListResource?):void} callback - Errors with a 410 when the mailbox was reset and a full resync is needed
+     * @returns {void}
+     */
+    listChanges(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return Utils.respond(this._withClient(auth, async (client) => {
+
+            const cursor = params.cursor ? Utils.decodeCursor(params.cursor) : null;
+            const path = cursor ? cursor.path : await internals.resolveMailbox(client, params.folder);
+            const lock = await client.getMailboxLock(path, { readOnly: true });
+
+            try {
+                const state = {
+                    path,
+                    uidValidity: String(client.mailbox.uidValidity),
+                    uidNext: client.mailbox.uidNext,
+                    modseq: client.mailbox.highestModseq ? String(client.mailbox.highestModseq) : null
+                };
+
+                const changeList = { created: [], updated: [], deleted: [], next_cursor: Utils.encodeCursor(state), has_more: false };
+
+                if (!cursor) {
+                    return changeList;
+                }
+
+                // The UIDs of the cursor mean nothing anymore
+                if (cursor.uidValidity !== state.uidValidity) {
+                    throw Boom.resourceGone('Full resync required');
+                }
+
+                if (state.uidNext > cursor.uidNext) {
+                    // `*` is always included in the range, even when it is below the start
+                    const uids = (await client.search({ uid: `${cursor.uidNext}:*` }, { uid: true })) || [];
+                    changeList.created = uids.filter((uid) => uid >= cursor.uidNext).map((uid) => internals.encodeMessageId(client.mailbox, uid));
+                }
+
+                if (cursor.modseq && state.modseq && cursor.modseq !== state.modseq) {
+                    for await (const message of client.fetch('1:*', { uid: true }, { uid: true, changedSince: BigInt(cursor.modseq) })) {
+                        if (message.uid < cursor.uidNext) {
+                            changeList.updated.push(internals.encodeMessageId(client.mailbox, message.uid));
+                        }
+                    }
+                }
+
+                return changeList;
+            }
+            finally {
+                lock.release();
+            }
+        }), callback, internals.wrapError);
+    }
+
+    // Dummy implementation since IMAP passwords don't expire, OAuth access tokens have to be refreshed by the caller
+    refreshAuthCredentials(auth, callback) {
+
+        return callback(null, auth);
+    }
+
+    /* TRANSFORMERS */
+
+    /**
+     * @param {Array.<Object>} messages - Messages as fetched by ImapFlow
+     * @param {{path: String, uidValidity: bigint | Number | String}} mailbox
+     * @returns {Promise<Array.<MessageResource>>}
+     */
+    _transformMessages(messages, mailbox) {
+
+        // Parsed one at a time, parsing a page of large messages at once takes a lot of memory
+        return Async.mapSeries(messages, async (message) => {
+
+            const mail = await internals.parseRawMail((message.source || message.headers).toString());
+            const date = mail.date || message.internalDate;
+
+            const formattedMessage = {
+                service_type: this.name,
+                email_message_id: mail.messageId || null,
+                service_message_id: internals.encodeMessageId(mailbox, message.uid),
+                service_thread_id: message.threadId || null,
+                date: date ? new Date(date).getTime() : null,
+                subject: (mail.headers.subject && mail.headers.subject.length > 0 && mail.headers.subject[0]) || null,
+                folders: [mailbox.path],
+                files: [],
+                body: [],
+                addresses: Utils.getAddressesObject(mail),
+                in_reply_to: (mail.headers['in-reply-to'] && mail.headers['in-reply-to'].length > 0 && mail.headers['in-reply-to'][0]) || null,
+                headers: mail.headers,
+                attachments: false
+            };
+
+            if (message.source) {
+                formattedMessage.body = [mail.textBody, mail.htmlBody].filter((body) => body && body.content);
+            }
+
+            formattedMessage.files = internals.extractFileParts(message.bodyStructure).map((part) => this._transformFile(part, formattedMessage));
+            formattedMessage.attachments = formattedMessage.files.length > 0;
+
+            return formattedMessage;
+        });
+    }
+
+    /**
+     * @param {Object} part - Body structure node of the file
+     * @param {MessageResource} message - The message the file is part of
+     * @returns {FileResource}
+     */
+    _transformFile(part, message) {
+
+        const contentId = part.id ? part.id.replace(/[<>]/g, '') : null;
+
+        return {
+            type: part.type,
+            size: part.size,
+            file_name: (part.dispositionParameters && part.dispositionParameters.filename) || (part.parameters && part.parameters.name) || null,
+            content_id: contentId,
+            content_disposition: part.disposition || null,
+            service_file_id: part.part || '1',
+            is_embedded: part.disposition === 'inline' || (!part.disposition && Boolean(contentId)),
+            service_message_id: message.service_message_id,
+            service_thread_id: message.service_thread_id,
+            email_message_id: message.email_message_id,
+            service_type: this.name,
+            addresses: message.addresses,
+            date: message.date
+        };
+    }
+
+    /**
+     * @param {Array.<Object>} mailboxes - Mailboxes as listed by ImapFlow
+     * @returns {Array.<FolderResource>}
+     */
+    _transformFolders(mailboxes) {
+
+        return mailboxes.map((mailbox) => {
+
+            return {
+                id: mailbox.path,
+                name: mailbox.name,
+                role: internals.specialUseToRole[mailbox.specialUse] || null,
+                parent_id: mailbox.parentPath || null,
+                total_count: mailbox.status && typeof mailbox.status.messages === 'number' ? mailbox.status.messages : null,
+                unread_count: mailbox.status && typeof mailbox.status.unseen === 'number' ? mailbox.status.unseen : null,
+                service_type: this.name
+            };
+        });
+    }
+
+    /* HELPERS */
+
+    /**
+     * @param {Auth} auth
+     * @param {'imap' | 'smtp'} protocol
+     * @returns {Object} Options for ImapFlow or Nodemailer
+     */
+    _getServerOptions(auth, protocol) {
+
+        const server = { ...this[protocol], ...auth[protocol] };
+
+        if (!server.host) {
+            throw Boom.badRequest(`No ${protocol.toUpperCase()} host configured. Set it in the connector config or on the auth object.`);
+        }
+
+        const credentials = auth.password ? { user: auth.user, pass: auth.password } : { user: auth.user, accessToken: auth.access_token };
+
+        if (protocol === 'smtp') {
+            return {
+                host: server.host,
+                port: server.port,
+                secure: server.secure,
+                tls: server.tls,
+                auth: auth.password ? credentials : { type: 'OAuth2', ...credentials }
+            };
+        }
+
+        return {
+            host: server.host,
+            port: server.port,
+            secure: server.secure,
+            tls: server.tls,
+            auth: credentials,
+            logger: this.logger
+        };
+    }
+
+    /**
+     * Connects, runs the method and logs out again
+     *
+     * @param {Auth} auth
+     * @param {function(ImapFlow):Promise<*>} method
+     * @returns {Promise<*>}
+     */
+    async _withClient(auth, method) {
+
+        const client = new ImapFlow(this._getServerOptions(auth, 'imap'));
+
+        // Connection errors are emitted as well as rejected, without a listener they would crash the process so we re-emit them under another name
+        client.on('error', (err) => {
+
+            this.emit('connectionError', err);
+        });
+
+        // A failed login rejects without closing the connection
+        await client.connect().catch((err) => {
+
+            client.close();
+            throw err;
+        });
+
+        try {
+            return await method(client);
+        }
+        finally {
+            await client.logout().catch(() => client.close());
+        }
+    }
+
+    /**
+     * Fetches a single message and runs the method with the mailbox of the message selected
+     *
+     * @param {Auth} auth
+     * @param {String} id - Message id as returned by listMessages
+     * @param {Object} query - What to fetch besides the flags, structure and dates, e.g. `{ source: true }`
+     * @param {function(ImapFlow, Object):Promise<*>} method
+     * @param {Object} [options]
+     * @param {Boolean} [options.writable] - Select the mailbox read-write, to change flags or remove the message
+     * @returns {Promise<*>}
+     */
+    async _withMessage(auth, id, query, method, options) {
+
+        return await this._withClient(auth, (client) => internals.withMessage(client, id, query, (message) => method(client, message), options));
+    }
+
+    /**
+     * Runs the method once per mailbox of the ids, over a single connection.
+     * Errors are reported per id, a mailbox that fails only fails the ids in that mailbox.
+     *
+     * @param {Auth} auth
+     * @param {Array.<String>} ids - Message ids as returned by listMessages
+     * @param {function(ImapFlow, Array.<Number>):Promise<Array.<Object>>} method - Called with the mailbox selected and the uids in it, returns the fetched messages
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the messages will not be transformed to the unified object
+     * @param {Boolean} [options.writable] - Select the mailboxes read-write
+     * @returns {Promise<BatchResultResource>}
+     */
+    async _batch(auth, ids, method, options) {
+
+        const results = new Map();
+        const mailboxes = new Map();
+
+        ids.forEach((id) => {
+
+            let decoded;
+
+            try {
+                decoded = internals.decodeMessageId(id);
+            }
+            catch (err) {
+                return results.set(id, Utils.createBatchResult(id, err));
+            }
+
+            const key = `${decoded.path}:${decoded.uidValidity}`;
+
+            if (!mailboxes.has(key)) {
+                mailboxes.set(key, { path: decoded.path, uidValidity: decoded.uidValidity, uids: new Map() });
+            }
+
+            mailboxes.get(key).uids.set(id, Number(decoded.uid));
+        });
+
+        if (mailboxes.size > 0) {
+            await this._withClient(auth, (client) => {
+
+                return Async.eachSeries([...mailboxes.values()], async ({ path, uidValidity, uids }) => {
+
+                    let fetched = [];
+                    let messages = [];
+                    let error = null;
+
+                    try {
+                        await internals.withMailbox(client, path, uidValidity, async () => {
+
+                            fetched = await method(client, [...new Set(uids.values())]);
+                            messages = options.raw ? fetched : await this._transformMessages(fetched, client.mailbox);
+                        }, options);
+                    }
+                    catch (err) {
+                        error = internals.wrapError(err);
+                    }
+
+                    uids.forEach((uid, id) => {
+
+                        const message = messages[fetched.findIndex((candidate) => candidate.uid === uid)];
+
+                        results.set(id, Utils.createBatchResult(id, error || (message ? null : Boom.notFound('Message not found')), message));
+                    });
+                });
+            });
+        }
+
+        return { results: ids.map((id) => results.get(id)) };
+    }
+}
+
+/* Internal utility functions */
+
+internals.capabilities = {
+    filters: {
+        from: { supported: true, note: 'Matches any part of the address' },
+        to: { supported: true, note: 'Matches any part of the address' },
+        subject: { supported: true, note: 'Matches any part of the subject' },
+        participants: { supported: true },
+        hasAttachment: { supported: false },
+        before: { supported: 'partial', note: 'Day precision, based on the received date' },
+        after: { supported: 'partial', note: 'Day precision, based on the received date' },
+        folder: { supported: true, note: 'A folder role or a mailbox path, one folder per call' },
+        includeDrafts: { supported: true },
+        q: { supported: true, note: 'Plain text, matched against the headers and body' }
+    },
+    max_page_size: 500,
+    push: false,
+    delta_sync: true
+};
+
+internals.roleToSpecialUse = Object.fromEntries(Object.entries(internals.specialUseToRole).map(([specialUse, role]) => [role, specialUse]));
+
+internals.fetchQuery = {
+    uid: true,
+    flags: true,
+    internalDate: true,
+    bodyStructure: true,
+    threadId: true
+};
+
+/**
+ * @param {Error} err - Error thrown by ImapFlow, Nodemailer or ourselves
+ * @returns {import('@hapi/boom').Boom}
+ */
+internals.wrapError = (err) => {
+
+    if (Boom.isBoom(err)) {
+        return err;
+    }
+
+    if (err.authenticationFailed || err.code === 'EAUTH') {
+        return Boom.boomify(err, { statusCode: 401 });
+    }
+
+    if (err.serverResponseCode === 'NONEXISTENT') {
+        return Boom.boomify(err, { statusCode: 404 });
+    }
+
+    if (['NoConnection', 'ECONNECTION', 'ECONNREFUSED', 'ETIMEDOUT', 'ETIMEOUT'].includes(err.code)) {
+        return Boom.boomify(err, { statusCode: 503 });
+    }
+
+    return Utils.boomify(err);
+};
+
+/**
+ * @param {{path: String, uidValidity: bigint | Number | String}} mailbox
+ * @param {Number} uid
+ * @returns {String}
+ */
+internals.encodeMessageId = (mailbox, uid) => {
+
+    return `${mailbox.path}:${mailbox.uidValidity}:${uid}`;
+};
+
+/**
+ * @throws
+ *
+ * @param {String} id
+ * @returns {{ path: String, uidValidity: String, uid: String }}
+ */
+internals.decodeMessageId = (id) => {
+
+    const match = /^(.+):(\d+):(\d+)$/.exec(id);
+
+    if (!match) {
+        throw Boom.badRequest(`Invalid IMAP message id ${id}`);
+    }
+
+    return { path: match[1], uidValidity: match[2], uid: match[3] };
+};
+
+/**
+ * Fetches a single message and runs the method while the mailbox of the message is locked
+ *
+ * @param {ImapFlow} client
+ * @param {String} id - Message id as returned by listMessages
+ * @param {Object} query - What to fetch besides the flags, structure and dates
+ * @param {function(Object):Promise<*>} method
+ * @param {Object} [options]
+ * @param {Boolean} [options.writable]
+ * @returns {Promise<*>}
+ */
+internals.withMessage = async (client, id, query, method, options) => {
+
+    const { path, uidValidity, uid } = internals.decodeMessageId(id);
+
+    return await internals.withMailbox(client, path, uidValidity, async () => {
+
+        const message = await client.fetchOne(uid, { ...internals.fetchQuery, ...query }, { uid: true });
+
+        if (!message) {
+            throw Boom.notFound('Message not found');
+        }
+
+        return await method(message);
+    }, options);
+};
+
+/**
+ * Runs the method while the mailbox is locked, when it still has the uid validity the ids were created with
+ *
+ * @param {ImapFlow} client
+ * @param {String} path
+ * @param {String} uidValidity
+ * @param {function():Promise<*>} method
+ * @param {Object} [options]
+ * @param {Boolean} [options.writable]
+ * @returns {Promise<*>}
+ */
+internals.withMailbox = async (client, path, uidValidity, method, options) => {
+
+    const lock = await client.getMailboxLock(path, { readOnly: !(options && options.writable) });
+
+    try {
+        if (String(client.mailbox.uidValidity) !== uidValidity) {
+            throw Boom.notFound('Message not found, the mailbox has been reset');
+        }
+
+        return await method();
+    }
+    finally {
+        lock.release();
+    }
+};
+
+/**
+ * @param {{ unread: Boolean?, starred: Boolean? }} params - The updateMessage params
+ * @returns {{ add: Array.<String>, remove: Array.<String> }} The flags to add and remove
+ */
+internals.flagChanges = (params) => {
+
+    const add = [];
+    const remove = [];
+
+    if (params.unread !== undefined) {
+        (params.unread ? remove : add).push('\\Seen');
+    }
+
+    if (params.starred !== undefined) {
+        (params.starred ? add : remove).push('\\Flagged');
+    }
+
+    return { add, remove };
+};
+
+/**
+ * @throws
+ *
+ * @param {ImapFlow} client
+ * @param {String | String[]} [folder] - A folder role or mailbox path
+ * @returns {Promise<String>} The mailbox path
+ */
+internals.resolveMailbox = async (client, folder) => {
+
+    const folders = Array.isArray(folder) ? folder : [folder || 'inbox'];
+
+    if (folders.length !== 1) {
+        throw Boom.badRequest('IMAP can only list one folder at a time');
+    }
+
+    const specialUse = internals.roleToSpecialUse[folders[0].toLowerCase()];
+
+    if (!specialUse) {
+        return folders[0];
+    }
+
+    if (specialUse === '\\Inbox') {
+        return 'INBOX';
+    }
+
+    const mailboxes = await client.list();
+    const mailbox = mailboxes.find((entry) => entry.specialUse === specialUse);
+
+    if (!mailbox) {
+        throw Boom.notFound(`Folder ${folders[0]} not found`);
+    }
+
+    return mailbox.path;
+};
+
+/**
+ * @throws
+ *
+ * @param {Array.<Object>} mailboxes - Mailboxes as listed by ImapFlow
+ * @param {String} path
+ * @returns {Object} The mailbox, when it isn't a special-use mailbox
+ */
+internals.findUserMailbox = (mailboxes, path) => {
+
+    const mailbox = mailboxes.find((candidate) => candidate.path === path);
+
+    if (!mailbox) {
+        throw Boom.notFound(`Folder ${path} not found`);
+    }
+
+    if (mailbox.specialUse) {
+        throw Boom.badRequest(`Folder ${path} is a special-use mailbox and can't be changed`);
+    }
+
+    return mailbox;
+};
+
+/**
+ * @param {Object} params - The listMessages params
+ * @returns {Object} ImapFlow search query
+ */
+internals.createSearchQuery = (params) => {
+
+    const query = {};
+
+    if (params.from) {
+        query.from = params.from;
+    }
+
+    if (params.to) {
+        query.to = params.to;
+    }
+
+    if (params.subject) {
+        query.subject = params.subject;
+    }
+
+    if (params.before) {
+        query.before = params.before;
+    }
+
+    if (params.after) {
+        query.since = params.after;
+    }
+
+    if (params.q) {
+        query.text = params.q;
+    }
+
+    if (!params.includeDrafts) {
+        query.draft = false;
+    }
+
+    const participants = (params.participants || []).filter(Boolean);
+
+    if (participants.length > 0) {
+        query.or = participants.flatMap((participant) => [{ from: participant }, { to: participant }, { cc: participant }]);
+    }
+
+    return Object.keys(query).length > 0 ? query : { all: true };
+};
+
+/**
+ * @param {ImapFlow} client
+ * @param {Array.<Number>} uids
+ * @param {Boolean} includeBody - Fetch the whole message instead of only the headers
+ * @returns {Promise<Array.<Object>>} The messages, newest first
+ */
+internals.fetchMessages = async (client, uids, includeBody) => {
+
+    const query = { ...internals.fetchQuery, ...(includeBody ? { source: true } : { headers: true }) };
+    const messages = [];
+
+    for await (const message of client.fetch(uids.join(','), query, { uid: true })) {
+        messages.push(message);
+    }
+
+    return messages.sort((a, b) => b.uid - a.uid);
+};
+
+/**
+ * Walks the body structure and returns the parts that are files rather than message bodies
+ *
+ * @param {Object} [node] - Body structure node as returned by ImapFlow
+ * @returns {Array.<Object>}
+ */
+internals.extractFileParts = (node) => {
+
+    if (!node) {
+        return [];
+    }
+
+    if (node.childNodes && node.childNodes.length > 0) {
+        return node.childNodes.flatMap((childNode) => internals.extractFileParts(childNode));
+    }
+
+    if (node.disposition === 'attachment') {
+        return [node];
+    }
+
+    const isBody = ['text/plain', 'text/html'].includes(node.type) && !(node.dispositionParameters && node.dispositionParameters.filename);
+
+    return isBody ? [] : [node];
+};
+
+module.exports = ImapConnector;
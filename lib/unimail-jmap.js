@@ -0,0 +1,1254 @@
+'use strict';
+
+const Crypto = require('crypto');
+const EventEmitter = require('events');
+
+const Boom = require('@hapi/boom');
+const Wreck = require('@hapi/wreck');
+
+const Utils = require('./utils');
+
+const internals = {
+    capabilityUris: {
+        core: 'urn:ietf:params:jmap:core',
+        mail: 'urn:ietf:params:jmap:mail',
+        submission: 'urn:ietf:params:jmap:submission'
+    },
+    jmapRoleToRole: {
+        inbox: 'inbox',
+        sent: 'sent',
+        drafts: 'drafts',
+        trash: 'trash',
+        junk: 'spam',
+        archive: 'archive',
+        important: 'important',
+        flagged: 'starred'
+    },
+    sessionTtl: 5 * 60 * 1000
+};
+
+/**
+ * @typedef {import('./index').MessageResource} MessageResource
+ * @typedef {import('./index').MessageListResource} MessageListResource
+ * @typedef {import('./index').BatchResultResource} BatchResultResource
+ * @typedef {import('./index').FileResource} FileResource
+ * @typedef {import('./index').FileListResource} FileListResource
+ * @typedef {import('./index').FolderResource} FolderResource
+ * @typedef {import('./index').MessageRecipient} MessageRecipient
+ * @typedef {import('./index').ChangeListResource} ChangeListResource
+ */
+
+/**
+ * Speaks JMAP Mail (RFC 8620/8621), e.g. for Fastmail or Stalwart.
+ * Calls that need several JMAP methods send them in a single request.
+ */
+class JmapConnector extends EventEmitter {
+
+    /**
+     * @class
+     *
+     * @param {Object} [config] - Configuration object
+     * @param {String} [config.sessionUrl=https://api.fastmail.com/jmap/session] - Url of the JMAP session resource, can be overridden per mailbox with `auth.session_url`
+     */
+    constructor(config) {
+
+        super();
+
+        config = config || {};
+
+        this.sessionUrl = config.sessionUrl || 'https://api.fastmail.com/jmap/session';
+        this.sessions = new Map();
+
+        this.name = 'jmap';
+        this.capabilities = internals.capabilities;
+    }
+
+    /**
+     * @typedef {Object} Auth - Authentication object
+     * @property {String} [access_token] - Bearer token, e.g. a Fastmail API token
+     * @property {String} [user] - Used with `password` for basic authentication when there is no access token
+     * @property {String} [password]
+     * @property {String} [session_url] - Overrides the connector's session url for this mailbox
+     */
+
+    /* MESSAGES */
+
+    /**
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {Number} [params.limit=100] - Maximum amount of messages in response
+     * @param {String} [params.pageToken] - Token used to retrieve a certain page in the list
+     * @param {Boolean} [params.hasAttachment] - If set, only return messages with or without attachments
+     * @param {Date} [params.before] - Only return messages received before this date
+     * @param {Date} [params.after] - Only return messages received after this date
+     * @param {String} [params.from] - Only return messages sent from this address
+     * @param {String} [params.to] - Only return messages sent to this address
+     * @param {String} [params.subject] - Only return messages with this text in the subject
+     * @param {String[]} [params.participants] - Only return messages from, to or cc one of these addresses
+     * @param {String | String[]} [params.folder] - Folder roles (e.g. `sent`), mailbox ids or mailbox names
+     * @param {Boolean} [params.includeDrafts] - Whether to include drafts or not, defaults to false
+     * @param {String} [params.q] - Only return messages containing this text
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     * @param {Boolean} [options.idsOnly] - If true the response will only contain the ids of the messages
+     * @param {Boolean} [options.includeBody] - Defaults to true
+     *
+     * @param {function(Error?, MessageListResource | { messages: Array.<Object | String>, next_page_token: String? }?):void} callback Returns an array of unified message resources when options.raw is falsy or the raw emails when truthy
+     * @returns {void}
+     */
+    listMessages(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = { includeBody: true, ...options };
+
+        const limit = params.limit || 100;
+        const position = Number(params.pageToken) || 0;
+
+        const list = async () => {
+
+            const session = await this._getSession(auth);
+
+            // Folder filters need mailbox ids, which can't be back referenced in a filter, so the mailboxes of an earlier call are used
+            const cached = Boolean(params.folder && session.mailboxes);
+            const mailboxes = params.folder ? (session.mailboxes || await this._getMailboxes(auth, session)) : null;
+            const responses = await this._queryEmails(auth, session, { ...params, limit, position }, options, mailboxes, cached);
+            const ids = responses.emailQuery.ids;
+            const responseObject = { messages: ids };
+
+            if (ids.length === limit) {
+                responseObject.next_page_token = String(position + ids.length);
+            }
+
+            if (options.idsOnly) {
+                return responseObject;
+            }
+
+            // Email/get doesn't keep the order of the query
+            const emails = ids.map((id) => responses.emailGet.list.find((email) => email.id === id)).filter(Boolean);
+
+            responseObject.messages = options.raw ? emails : emails.map((email) => this._transformMessage(email, responses.mailboxGet.list));
+
+            return responseObject;
+        };
+
+        return Utils.respond(list(), callback);
+    }
+
+    /**
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - JMAP email id
+     * @param {Boolean} [params.rfc2822Format = false] - Return the email in rfc2822 format https://www.ietf.org/rfc/rfc2822.txt
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     *
+     * @param {function(Error?, (MessageResource | Object | String)?):void} callback Returns a unified message resource when options.raw is falsy or the raw email when truthy
+     * @returns {void}
+     */
+    getMessage(auth, params, options, callback) {
+
+        if (!params || !params.id) {
+            throw new Error('Invalid configuration. Please refer to the documentation to get the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const get = async () => {
+
+            const session = await this._getSession(auth);
+            const { mailboxes, email } = await this._getEmail(auth, session, params.id, true);
+
+            if (params.rfc2822Format) {
+                const blob = await this._download(auth, session, email.blobId, 'message/rfc822');
+
+                return blob.toString();
+            }
+
+            return options.raw ? email : this._transformMessage(email, mailboxes.list);
+        };
+
+        return Utils.respond(get(), callback);
+    }
+
+    /**
+     * Sends a message by importing it in the drafts mailbox and submitting it, on success it is moved to the sent mailbox
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.text - Plain text content of message
+     * @param {String} params.html - Html content of message
+     * @param {String} params.subject - Subject of message
+     * @param {String} params.inReplyTo - The message id this message is replying
+     * @param {MessageRecipient} params.from - Defaults to the first identity of the account
+     * @param {MessageRecipient[]} params.to
+     * @param {MessageRecipient[]} params.cc
+     * @param {MessageRecipient[]} params.bcc
+     * @param {{ name: String, url: String, contentBytes: String }[]} params.attachments - `contentBytes` is the base64 encoded content, otherwise the content is downloaded from `url`
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?, String?):void} callback - Returns the email message id of the sent message
+     *
+     * @returns {void}
+     */
+    sendMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        const send = async () => {
+
+            const session = await this._getSession(auth, true);
+            const { mailboxGet: mailboxes, identityGet: identities } = await this._call(auth, session, [
+                ['Mailbox/get', { accountId: session.accountId, ids: null }],
+                ['Identity/get', { accountId: session.accountId, ids: null }]
+            ]);
+
+            const identity = params.from ? identities.list.find((candidate) => candidate.email.toLowerCase() === params.from.email.toLowerCase()) : identities.list[0];
+
+            if (!identity) {
+                throw Boom.badRequest(`No identity to send as ${params.from ? params.from.email : ''}`.trim());
+            }
+
+            const drafts = mailboxes.list.find((mailbox) => mailbox.role === 'drafts');
+            const sent = mailboxes.list.find((mailbox) => mailbox.role === 'sent');
+
+            if (!drafts || !sent) {
+                throw Boom.notFound('Drafts or sent mailbox not found');
+            }
+
+            const from = params.from || { name: identity.name, email: identity.email };
+            const messageId = `<${Crypto.randomBytes(16).toString('hex')}@${from.email.split('@').pop()}>`;
+            const rawMessage = await internals.generateMessage(params, from, messageId);
+            const blobId = await this._upload(auth, session, rawMessage);
+            const recipients = [params.to, params.cc, params.bcc].flat().filter(Boolean);
+
+            await this._call(auth, session, [
+                ['Email/import', {
+                    accountId: session.accountId,
+                    emails: {
+                        draft: {
+                            blobId,
+                            mailboxIds: { [drafts.id]: true },
+                            keywords: { $draft: true, $seen: true }
+                        }
+                    }
+                }],
+                ['EmailSubmission/set', {
+                    accountId: session.accountId,
+                    create: {
+                        submission: {
+                            emailId: '#draft',
+                            identityId: identity.id,
+                            envelope: {
+                                mailFrom: { email: from.email },
+                                rcptTo: recipients.map((recipient) => ({ email: recipient.email }))
+                            }
+                        }
+                    },
+                    onSuccessUpdateEmail: {
+                        '#submission': {
+                            [`mailboxIds/${drafts.id}`]: null,
+                            [`mailboxIds/${sent.id}`]: true,
+                            'keywords/$draft': null
+                        }
+                    }
+                }]
+            ], true);
+
+            return messageId;
+        };
+
+        return Utils.respond(send(), callback);
+    }
+
+    /**
+     * Sets the `$seen` and `$flagged` keywords and adds or removes mailboxes
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - JMAP email id
+     * @param {Boolean} [params.unread]
+     * @param {Boolean} [params.starred]
+     * @param {Array.<String | FolderResource>} [params.addFolders] - Mailbox ids or roles, or (partial) folder resources
+     * @param {Array.<String | FolderResource>} [params.removeFolders]
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the updated email will not be transformed to the unified object
+     *
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
+     * @returns {void}
+     */
+    updateMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const update = async () => {
+
+            const session = await this._getSession(auth);
+            const patch = {};
+
+            if (params.unread !== undefined) {
+                patch['keywords/$seen'] = params.unread ? null : true;
+            }
+
+            if (params.starred !== undefined) {
+                patch['keywords/$flagged'] = params.starred ? true : null;
+            }
+
+            if (params.addFolders || params.removeFolders) {
+                const { mailboxGet: mailboxes } = await this._call(auth, session, [['Mailbox/get', { accountId: session.accountId, ids: null }]]);
+                const folders = this._transformFolders(mailboxes.list);
+
+                (params.removeFolders || []).forEach((target) => {
+
+                    patch[`mailboxIds/${Utils.findFolder(folders, target).id}`] = null;
+                });
+
+                (params.addFolders || []).forEach((target) => {
+
+                    patch[`mailboxIds/${Utils.findFolder(folders, target).id}`] = true;
+                });
+            }
+
+            return await this._updateEmail(auth, session, params.id, patch, options.raw);
+        };
+
+        return Utils.respond(update(), callback);
+    }
+
+    /**
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - JMAP email id
+     * @param {String | FolderResource} params.folder - Mailbox id or role, or a (partial) folder resource
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the moved email will not be transformed to the unified object
+     *
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
+     * @returns {void}
+     */
+    moveMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const move = async () => {
+
+            const session = await this._getSession(auth);
+            const { mailboxGet: mailboxes } = await this._call(auth, session, [['Mailbox/get', { accountId: session.accountId, ids: null }]]);
+            const folder = Utils.findFolder(this._transformFolders(mailboxes.list), params.folder);
+
+            return await this._updateEmail(auth, session, params.id, { mailboxIds: { [folder.id]: true } }, options.raw);
+        };
+
+        return Utils.respond(move(), callback);
+    }
+
+    /**
+     * Moves the email to the mailbox with the trash role
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - JMAP email id
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the moved email will not be transformed to the unified object
+     *
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
+     * @returns {void}
+     */
+    trashMessage(auth, params, options, callback) {
+
+        return this.moveMessage(auth, { ...params, folder: { role: 'trash' } }, options, callback);
+    }
+
+    /**
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - JMAP email id
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?):void} callback
+     * @returns {void}
+     */
+    deleteMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        const destroy = async () => {
+
+            const session = await this._getSession(auth);
+
+            await this._call(auth, session, [['Email/set', { accountId: session.accountId, destroy: [params.id] }]]);
+        };
+
+        return Utils.respond(destroy(), callback);
+    }
+
+    /**
+     * Gets the emails with a few requests at a time, failures are reported per email
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {Array.<String>} params.ids - JMAP email ids
+     *
+     * @param {Object} options - Same as getMessage
+     *
+     * @param {function(Error?, BatchResultResource?):void} callback
+     * @returns {void}
+     */
+    batchGetMessages(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        return Utils.batch(params.ids, (id, next) => this.getMessage(auth, { id }, options, next), callback);
+    }
+
+    /**
+     * Updates the emails with a few requests at a time, failures are reported per email
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params - Same as updateMessage, with the message ids as `ids`
+     * @param {Array.<String>} params.ids - JMAP email ids
+     *
+     * @param {Object} options - Same as updateMessage
+     *
+     * @param {function(Error?, BatchResultResource?):void} callback
+     * @returns {void}
+     */
+    batchUpdateMessages(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        const { ids, ...changes } = params;
+
+        return Utils.batch(ids, (id, next) => this.updateMessage(auth, { ...changes, id }, options, next), callback);
+    }
+
+    /* FILES */
+
+    /**
+     * Lists the files of the messages matching the params, the file data is not included
+     *
+     * @param {Auth} auth
+     * @param {Object} params - same as listMessages
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     * @param {function(Error?, FileListResource | { files: Array.<Object>, next_page_token: String? }):void} callback Returns an array of unified file resources when options.raw is falsy or the raw attachment body parts when truthy
+     *
+     * @returns {void}
+     */
+    listFiles(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this.listMessages(auth, { ...params, hasAttachment: true }, { includeBody: false, raw: options.raw }, (err, response) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            const responseObject = {
+                files: response.messages.flatMap((message) => {
+
+                    return options.raw ? message.attachments : message.files;
+                })
+            };
+
+            if (response.next_page_token) {
+                responseObject.next_page_token = response.next_page_token;
+            }
+
+            return callback(null, responseObject);
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Blob id of the file
+     * @param {String} params.messageId - JMAP email id
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] If true the response will not be transformed to the unified object
+     *
+     * @param {function(Error, FileResource | Object):void} callback  Returns a unified file resource when options.raw is falsy or the attachment body part and its content when truthy
+     * @returns {void}
+     */
+    getFile(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        if (!params || !params.id || !params.messageId) {
+            return callback(Boom.badRequest('Invalid configuration. Please refer to the documentation to get the required fields.'));
+        }
+
+        options = options || {};
+
+        const get = async () => {
+
+            const session = await this._getSession(auth);
+            const { mailboxes, email } = await this._getEmail(auth, session, params.messageId, false);
+            const attachment = (email.attachments || []).find((part) => part.blobId === params.id);
+
+            if (!attachment) {
+                throw Boom.notFound('Attachment not found');
+            }
+
+            const content = await this._download(auth, session, attachment.blobId, attachment.type);
+
+            if (options.raw) {
+                return { part: attachment, content };
+            }
+
+            const file = this._transformMessage(email, mailboxes.list).files.find((messageFile) => messageFile.service_file_id === params.id);
+
+            file.data = content.toString('base64');
+
+            return file;
+        };
+
+        return Utils.respond(get(), callback);
+    }
+
+    /* FOLDERS */
+
+    /**
+     * @param {Auth} auth
+     *
+     * @param {Object} [params]
+     *
+     * @param {Object} [options]
+     * @param {Boolean} [options.raw] - If true the raw JMAP mailboxes are returned instead of the unified shape
+     *
+     * @param {function(Error?, (Array.<FolderResource> | Array.<Object>)?):void} callback - Returns an array of unified folder resources when options.raw is falsy or the raw mailboxes when truthy
+     *
+     * @returns {void}
+     */
+    listFolders(auth, params, options, callback) {
+
+        if (typeof params === 'function') {
+            callback = params;
+            params = {};
+            options = {};
+        }
+        else if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const list = async () => {
+
+            const session = await this._getSession(auth);
+            const { mailboxGet: mailboxes } = await this._call(auth, session, [['Mailbox/get', { accountId: session.accountId, ids: null }]]);
+
+            return options.raw ? mailboxes.list : this._transformFolders(mailboxes.list);
+        };
+
+        return Utils.respond(list(), callback);
+    }
+
+    /* SYNC */
+
+    /**
+     * Returns the ids of the emails that changed since the cursor, based on JMAP state strings.
+     * Without a cursor, no changes are returned but only the cursor to start syncing from.
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} [params.cursor] - `next_cursor` of a previous call
+     * @param {Number} [params.limit] - Maximum amount of changes, the server might return less
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?, ChangeListResource?):void} callback - Errors with a 410 when the server can't calculate the changes since the cursor anymore and a full resync is needed
+     * @returns {void}
+     */
+    listChanges(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        const list = async () => {
+
+            const session = await this._getSession(auth);
+
+            if (!params.cursor) {
+                const { emailGet } = await this._call(auth, session, [['Email/get', { accountId: session.accountId, ids: [] }]]);
+
+                return { created: [], updated: [], deleted: [], next_cursor: emailGet.state, has_more: false };
+            }
+
+            const { emailChanges } = await this._call(auth, session, [['Email/changes', {
+                accountId: session.accountId,
+                sinceState: params.cursor,
+                maxChanges: params.limit || null
+            }]]);
+
+            return {
+                created: emailChanges.created,
+                updated: emailChanges.updated,
+                deleted: emailChanges.destroyed,
+                next_cursor: emailChanges.newState,
+                has_more: emailChanges.hasMoreChanges
+            };
+        };
+
+        return Utils.respond(list(), callback);
+    }
+
+    // Dummy implementation since JMAP API tokens don't expire, OAuth access tokens have to be refreshed by the caller
+    refreshAuthCredentials(auth, callback) {
+
+        return callback(null, auth);
+    }
+
+    /* TRANSFORMERS */
+
+    /**
+     * @param {Object} email - Email as returned by Email/get
+     * @param {Array.<Object>} mailboxes - All mailboxes of the account, to resolve the folder names
+     * @returns {MessageResource}
+     */
+    _transformMessage(email, mailboxes) {
+
+        const addresses = {
+            from: internals.toRecipients(email.from)[0] || {},
+            to: internals.toRecipients(email.to),
+            cc: internals.toRecipients(email.cc),
+            bcc: internals.toRecipients(email.bcc)
+        };
+
+        const formattedMessage = {
+            service_type: this.name,
+            email_message_id: email.messageId && email.messageId.length > 0 ? `<${email.messageId[0]}>` : null,
+            service_message_id: email.id,
+            service_thread_id: email.threadId,
+            date: new Date(email.sentAt || email.receivedAt).getTime(),
+            subject: email.subject || null,
+            folders: Object.keys(email.mailboxIds || {}).map((mailboxId) => {
+
+                const mailbox = mailboxes.find((candidate) => candidate.id === mailboxId);
+
+                return mailbox ? mailbox.name : mailboxId;
+            }),
+            body: [],
+            files: [],
+            addresses,
+            in_reply_to: email.inReplyTo && email.inReplyTo.length > 0 ? `<${email.inReplyTo[0]}>` : null,
+            headers: internals.getHeadersObject(email.headers),
+            attachments: false
+        };
+
+        const bodyParts = [...(email.textBody || []), ...(email.htmlBody || [])]
+            .filter((part, index, parts) => parts.findIndex((other) => other.partId === part.partId) === index);
+
+        bodyParts.forEach((part) => {
+
+            const bodyValue = email.bodyValues && email.bodyValues[part.partId];
+
+            if (bodyValue) {
+                formattedMessage.body.push({ type: part.type, content: bodyValue.value });
+            }
+        });
+
+        formattedMessage.files = (email.attachments || []).map((part) => {
+
+            const contentId = part.cid ? part.cid.replace(/[<>]/g, '') : null;
+
+            return {
+                type: part.type,
+                size: part.size,
+                file_name: part.name || null,
+                content_id: contentId,
+                content_disposition: part.disposition || null,
+                service_file_id: part.blobId,
+                is_embedded: part.disposition === 'inline' || (!part.disposition && Boolean(contentId)),
+                service_message_id: formattedMessage.service_message_id,
+                service_thread_id: formattedMessage.service_thread_id,
+                email_message_id: formattedMessage.email_message_id,
+                service_type: this.name,
+                addresses,
+                date: formattedMessage.date
+            };
+        });
+
+        formattedMessage.attachments = formattedMessage.files.length > 0;
+
+        return formattedMessage;
+    }
+
+    /**
+     * @param {Array.<Object>} mailboxes - Mailboxes as returned by Mailbox/get
+     * @returns {Array.<FolderResource>}
+     */
+    _transformFolders(mailboxes) {
+
+        return mailboxes.map((mailbox) => {
+
+            return {
+                id: mailbox.id,
+                name: mailbox.name,
+                role: internals.jmapRoleToRole[mailbox.role] || null,
+                parent_id: mailbox.parentId || null,
+                total_count: typeof mailbox.totalEmails === 'number' ? mailbox.totalEmails : null,
+                unread_count: typeof mailbox.unreadEmails === 'number' ? mailbox.unreadEmails : null,
+                service_type: this.name
+            };
+        });
+    }
+
+    /* HELPERS */
+
+    /**
+     * Fetches the JMAP session, sessions are cached for a few minutes per mailbox
+     *
+     * @param {Auth} auth
+     * @param {Boolean} [submission] - Whether the account needs to be able to send
+     * @returns {Promise<{ apiUrl: String, downloadUrl: String, uploadUrl: String, accountId: String, mailboxes: Object? }>} `mailboxes` is set once a call got them
+     */
+    async _getSession(auth, submission) {
+
+        const sessionUrl = auth.session_url || this.sessionUrl;
+        const key = `${sessionUrl}|${auth.access_token || auth.user}`;
+        const cached = this.sessions.get(key);
+
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.session;
+        }
+
+        const { payload } = await Wreck.get(sessionUrl, { headers: internals.getHeaders(auth), json: 'force' });
+        const accountId = payload.primaryAccounts && payload.primaryAccounts[internals.capabilityUris.mail];
+
+        if (!accountId) {
+            throw Boom.forbidden('The JMAP session has no mail account');
+        }
+
+        if (submission && !payload.primaryAccounts[internals.capabilityUris.submission]) {
+            throw Boom.forbidden('The JMAP account is not allowed to send');
+        }
+
+        const session = {
+            apiUrl: payload.apiUrl,
+            downloadUrl: payload.downloadUrl,
+            uploadUrl: payload.uploadUrl,
+            accountId
+        };
+
+        // Drop expired sessions so the cache doesn't grow with every mailbox ever used
+        this.sessions.forEach((entry, entryKey) => {
+
+            if (entry.expiresAt <= Date.now()) {
+                this.sessions.delete(entryKey);
+            }
+        });
+
+        this.sessions.set(key, { session, expiresAt: Date.now() + internals.sessionTtl });
+
+        return session;
+    }
+
+    /**
+     * Sends the method calls in a single request.
+     * The responses are keyed by the camelcased method name, e.g. `emailGet` for `Email/get`.
+     * The mailboxes of a Mailbox/get call are kept on the session, to resolve folders without an extra request next time.
+     *
+     * @param {Auth} auth
+     * @param {Object} session
+     * @param {Array.<[String, Object]>} methodCalls - Call ids are set to the index of the call so they can be used in back references
+     * @param {Boolean} [submission] - Whether the calls need the submission capability
+     * @returns {Promise<Object>}
+     */
+    async _call(auth, session, methodCalls, submission) {
+
+        const using = [internals.capabilityUris.core, internals.capabilityUris.mail];
+
+        if (submission) {
+            using.push(internals.capabilityUris.submission);
+        }
+
+        const { payload } = await Wreck.post(session.apiUrl, {
+            headers: { ...internals.getHeaders(auth), 'Content-Type': 'application/json' },
+            payload: JSON.stringify({ using, methodCalls: methodCalls.map(([name, args], index) => [name, args, String(index)]) }),
+            json: 'force'
+        });
+
+        const responses = {};
+
+        payload.methodResponses.forEach(([name, args]) => {
+
+            if (name === 'error') {
+                throw internals.methodError(args);
+            }
+
+            const [type, method] = name.split('/');
+
+            responses[`${type.charAt(0).toLowerCase()}${type.slice(1)}${method.charAt(0).toUpperCase()}${method.slice(1)}`] = args;
+
+            // Set methods report failures per created, updated or destroyed object
+            const failure = [args.notCreated, args.notUpdated, args.notDestroyed].map((failures) => failures && Object.values(failures)[0]).find(Boolean);
+
+            if (failure) {
+                throw internals.methodError(failure);
+            }
+        });
+
+        if (responses.mailboxGet) {
+            session.mailboxes = responses.mailboxGet;
+        }
+
+        return responses;
+    }
+
+    /**
+     * Gets the mailboxes, queries the emails and gets them in a single request
+     *
+     * @param {Auth} auth
+     * @param {Object} session
+     * @param {Object} params - The listMessages params, with the `limit` and `position` to query
+     * @param {Object} options - The listMessages options
+     * @param {{ state: String, list: Array.<Object> }?} mailboxes - To resolve the folder filters, when there are any
+     * @param {Boolean} cached - Whether the mailboxes are the ones of an earlier call
+     * @returns {Promise<Object>} The responses, as returned by `_call`
+     */
+    async _queryEmails(auth, session, params, options, mailboxes, cached) {
+
+        let filter;
+
+        try {
+            filter = internals.createFilter(params, mailboxes ? mailboxes.list : []);
+        }
+        catch (err) {
+            // The folder might be newer than the mailboxes of the earlier call
+            if (cached) {
+                return await this._queryEmails(auth, session, params, options, await this._getMailboxes(auth, session), false);
+            }
+
+            throw err;
+        }
+
+        const methodCalls = [
+            ['Mailbox/get', { accountId: session.accountId, ids: null }],
+            ['Email/query', {
+                accountId: session.accountId,
+                filter,
+                sort: [{ property: 'receivedAt', isAscending: false }],
+                position: params.position,
+                limit: params.limit
+            }]
+        ];
+
+        if (!options.idsOnly) {
+            methodCalls.push(['Email/get', {
+                accountId: session.accountId,
+                '#ids': { resultOf: '1', name: 'Email/query', path: '/ids' },
+                ...internals.emailGetArguments(options.includeBody)
+            }]);
+        }
+
+        const responses = await this._call(auth, session, methodCalls);
+
+        // The folders were resolved with mailboxes that changed since
+        if (mailboxes && responses.mailboxGet.state !== mailboxes.state) {
+            return await this._queryEmails(auth, session, params, options, responses.mailboxGet, false);
+        }
+
+        return responses;
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} session
+     * @returns {Promise<{ state: String, list: Array.<Object> }>} The Mailbox/get response with all mailboxes
+     */
+    async _getMailboxes(auth, session) {
+
+        const { mailboxGet } = await this._call(auth, session, [['Mailbox/get', { accountId: session.accountId, ids: null }]]);
+
+        return mailboxGet;
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} session
+     * @param {String} id - JMAP email id
+     * @param {Boolean} includeBody
+     * @returns {Promise<{ mailboxes: Object, email: Object }>}
+     */
+    async _getEmail(auth, session, id, includeBody) {
+
+        const { mailboxGet: mailboxes, emailGet } = await this._call(auth, session, [
+            ['Mailbox/get', { accountId: session.accountId, ids: null }],
+            ['Email/get', { accountId: session.accountId, ids: [id], ...internals.emailGetArguments(includeBody) }]
+        ]);
+
+        if (emailGet.list.length === 0) {
+            throw Boom.notFound('Message not found');
+        }
+
+        return { mailboxes, email: emailGet.list[0] };
+    }
+
+    /**
+     * Updates the email and fetches it again in the same request
+     *
+     * @param {Auth} auth
+     * @param {Object} session
+     * @param {String} id - JMAP email id
+     * @param {Object} patch - Email/set patch object
+     * @param {Boolean} [raw]
+     * @returns {Promise<MessageResource | Object>}
+     */
+    async _updateEmail(auth, session, id, patch, raw) {
+
+        const { mailboxGet: mailboxes, emailGet } = await this._call(auth, session, [
+            ['Email/set', { accountId: session.accountId, update: { [id]: patch } }],
+            ['Mailbox/get', { accountId: session.accountId, ids: null }],
+            ['Email/get', { accountId: session.accountId, ids: [id], ...internals.emailGetArguments(true) }]
+        ]);
+
+        return raw ? emailGet.list[0] : this._transformMessage(emailGet.list[0], mailboxes.list);
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} session
+     * @param {String} blobId
+     * @param {String} type - MIME type to download the blob as
+     * @returns {Promise<Buffer>}
+     */
+    async _download(auth, session, blobId, type) {
+
+        const url = session.downloadUrl
+            .replace('{accountId}', encodeURIComponent(session.accountId))
+            .replace('{blobId}', encodeURIComponent(blobId))
+            .replace('{type}', encodeURIComponent(type || 'application/octet-stream'))
+            .replace('{name}', 'download');
+
+        const { payload } = await Wreck.get(url, { headers: internals.getHeaders(auth) });
+
+        return payload;
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} session
+     * @param {String} rawMessage
+     * @returns {Promise<String>} The blob id
+     */
+    async _upload(auth, session, rawMessage) {
+
+        const { payload } = await Wreck.post(session.uploadUrl.replace('{accountId}', encodeURIComponent(session.accountId)), {
+            headers: { ...internals.getHeaders(auth), 'Content-Type': 'message/rfc822' },
+            payload: rawMessage,
+            json: 'force'
+        });
+
+        return payload.blobId;
+    }
+}
+
+/* Internal utility functions */
+
+internals.capabilities = {
+    filters: {
+        from: { supported: true },
+        to: { supported: true },
+        subject: { supported: true },
+        participants: { supported: true },
+        hasAttachment: { supported: true },
+        before: { supported: true },
+        after: { supported: true },
+        folder: { supported: true, note: 'Folder roles, mailbox ids or mailbox names' },
+        includeDrafts: { supported: true },
+        q: { supported: true, note: 'Plain text, matched against the headers and body' }
+    },
+    max_page_size: 500,
+    push: false,
+    delta_sync: true
+};
+
+internals.roleToJmapRole = Object.fromEntries(Object.entries(internals.jmapRoleToRole).map(([jmapRole, role]) => [role, jmapRole]));
+
+/**
+ * @param {Auth} auth
+ * @returns {Object}
+ */
+internals.getHeaders = (auth) => {
+
+    if (auth.access_token) {
+        return { Authorization: `Bearer ${auth.access_token}` };
+    }
+
+    return { Authorization: `Basic ${Buffer.from(`${auth.user}:${auth.password}`).toString('base64')}` };
+};
+
+/**
+ * @param {{ type: String, description: String? }} error - JMAP method level or set error
+ * @returns {import('@hapi/boom').Boom}
+ */
+internals.methodError = (error) => {
+
+    const message = error.description || error.type;
+
+    switch (error.type) {
+        case 'cannotCalculateChanges':
+            return Boom.resourceGone('Full resync required');
+        case 'notFound':
+        case 'accountNotFound':
+            return Boom.notFound(message);
+        case 'forbidden':
+        case 'forbiddenFrom':
+        case 'forbiddenToSend':
+        case 'accountReadOnly':
+            return Boom.forbidden(message);
+        case 'invalidArguments':
+        case 'invalidProperties':
+        case 'invalidEmail':
+        case 'unsupportedFilter':
+        case 'unsupportedSort':
+        case 'tooManyRecipients':
+        case 'noRecipients':
+        case 'invalidRecipients':
+            return Boom.badRequest(message);
+        case 'overQuota':
+        case 'rateLimit':
+            return Boom.tooManyRequests(message);
+        default:
+            return Boom.badImplementation(message);
+    }
+};
+
+/**
+ * @param {Boolean} includeBody
+ * @returns {Object} Email/get arguments besides the account and ids
+ */
+internals.emailGetArguments = (includeBody) => {
+
+    return {
+        properties: [
+            'id', 'blobId', 'threadId', 'mailboxIds', 'keywords', 'messageId', 'inReplyTo', 'from', 'to', 'cc', 'bcc',
+            'subject', 'receivedAt', 'sentAt', 'headers', 'textBody', 'htmlBody', 'bodyValues', 'attachments', 'hasAttachment', 'size'
+        ],
+        fetchTextBodyValues: includeBody,
+        fetchHTMLBodyValues: includeBody
+    };
+};
+
+/**
+ * @param {Object} params - The listMessages params
+ * @param {Array.<Object>} mailboxes - All mailboxes of the account, to resolve folder filters
+ * @returns {Object} Email/query filter
+ */
+internals.createFilter = (params, mailboxes) => {
+
+    const conditions = [];
+    const condition = {};
+
+    if (params.from) {
+        condition.from = params.from;
+    }
+
+    if (params.to) {
+        condition.to = params.to;
+    }
+
+    if (params.subject) {
+        condition.subject = params.subject;
+    }
+
+    if (params.before) {
+        condition.before = new Date(params.before).toISOString();
+    }
+
+    if (params.after) {
+        condition.after = new Date(params.after).toISOString();
+    }
+
+    if (params.hasAttachment === true || params.hasAttachment === false) {
+        condition.hasAttachment = params.hasAttachment;
+    }
+
+    if (params.q) {
+        condition.text = params.q;
+    }
+
+    if (!params.includeDrafts) {
+        condition.notKeyword = '$draft';
+    }
+
+    conditions.push(condition);
+
+    const participants = (params.participants || []).filter(Boolean);
+
+    if (participants.length > 0) {
+        conditions.push({
+            operator: 'OR',
+            conditions: participants.flatMap((participant) => [{ from: participant }, { to: participant }, { cc: participant }])
+        });
+    }
+
+    if (params.folder) {
+        const folders = Array.isArray(params.folder) ? params.folder : [params.folder];
+
+        conditions.push({
+            operator: 'OR',
+            conditions: folders.map((folder) => ({ inMailbox: internals.findMailboxId(mailboxes, folder) }))
+        });
+    }
+
+    return conditions.length === 1 ? condition : { operator: 'AND', conditions };
+};
+
+/**
+ * @throws
+ *
+ * @param {Array.<Object>} mailboxes
+ * @param {String} folder - A folder role, mailbox id or mailbox name
+ * @returns {String}
+ */
+internals.findMailboxId = (mailboxes, folder) => {
+
+    const role = internals.roleToJmapRole[folder.toLowerCase()];
+    const mailbox = mailboxes.find((candidate) => (role && candidate.role === role) || candidate.id === folder || candidate.name === folder);
+
+    if (!mailbox) {
+        throw Boom.notFound(`Folder ${folder} not found`);
+    }
+
+    return mailbox.id;
+};
+
+/**
+ * @param {Array.<{ name: String?, email: String }>} [addresses] - JMAP EmailAddress objects
+ * @returns {Array.<{ name: String, email: String }>}
+ */
+internals.toRecipients = (addresses) => {
+
+    return (addresses || []).filter((address) => address.email).map((address) => {
+
+        return {
+            name: address.name || '',
+            email: address.email.toLowerCase()
+        };
+    });
+};
+
+/**
+ * @param {Array.<{ name: String, value: String }>} [headers]
+ * @returns {Object} Keys are the lowercased header names and the values are arrays of the values of the header
+ */
+internals.getHeadersObject = (headers) => {
+
+    const headersObject = {};
+
+    (headers || []).forEach((header) => {
+
+        const name = header.name.toLowerCase();
+
+        headersObject[name] = headersObject[name] || [];
+        headersObject[name].push(header.value.trim());
+    });
+
+    return headersObject;
+};
+
+/**
+ * @param {Object} params - The sendMessage params
+ * @param {MessageRecipient} from
+ * @param {String} messageId
+ * @returns {Promise<String>}
+ */
+internals.generateMessage = async (params, from, messageId) => {
+
+    const attachments = await Promise.all((params.attachments || []).map(async (attachment) => {
+
+        if (attachment.contentBytes) {
+            return { filename: attachment.name, content: attachment.contentBytes, encoding: 'base64' };
+        }
+
+        const { payload } = await Wreck.get(attachment.url);
+
+        return { filename: attachment.name, content: payload };
+    }));
+
+    const mailOptions = {
+        messageId,
+        from: Utils.toMailAddresses(from),
+        to: Utils.toMailAddresses(params.to),
+        cc: Utils.toMailAddresses(params.cc),
+        bcc: Utils.toMailAddresses(params.bcc),
+        text: params.text,
+        html: params.html,
+        subject: params.subject,
+        inReplyTo: params.inReplyTo,
+        attachments
+    };
+
+    return new Promise((resolve, reject) => {
+
+        Utils.generateMessage(mailOptions, { base64Encoded: false }, (err, rawMessage) => {
+
+            return err ? reject(err) : resolve(rawMessage);
+        });
+    });
+};
+
+module.exports = JmapConnector;
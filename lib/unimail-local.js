@@ -0,0 +1,679 @@
+'use strict';
+
+const EventEmitter = require('events');
+const Fs = require('fs');
+const Path = require('path');
+const Util = require('util');
+
+const Async = require('async');
+const Boom = require('@hapi/boom');
+
+const Utils = require('./utils');
+
+const internals = {
+    parseRawMail: Util.promisify(Utils.parseRawMail)
+};
+
+/**
+ * @typedef {import('./index').MessageResource} MessageResource
+ * @typedef {import('./index').MessageListResource} MessageListResource
+ * @typedef {import('./index').BatchResultResource} BatchResultResource
+ * @typedef {import('./index').FileResource} FileResource
+ * @typedef {import('./index').FileListResource} FileListResource
+ */
+
+/**
+ * Reads exported mailboxes from disk: mbox files (e.g. Google Takeout), Maildir directories and directories of .eml files.
+ * Messages are parsed with `Utils.parseRawMail`, the same way the live connectors parse raw messages.
+ *
+ * Filtering happens after parsing, what the filters need of every message is kept per mailbox so a message is only parsed again when its file changes.
+ * Bodies aren't kept, so filtering on `q` still reads the messages that match the other filters.
+ * Message ids are the path of the message file relative to the mailbox or, for mbox files, the byte offset and length of the message.
+ * File ids are the index of the attachment in the message, so `getFile` needs the message id as well.
+ */
+class LocalConnector extends EventEmitter {
+
+    /**
+     * @class
+     *
+     * @param {Object} [config] - Configuration object
+     * @param {String} [config.root] - When set, mailbox paths are resolved relative to this directory and can't point outside of it
+     */
+    constructor(config) {
+
+        super();
+
+        config = config || {};
+
+        this.root = config.root ? Path.resolve(config.root) : null;
+        this.mboxIndexes = new Map();
+        this.messageIndexes = new Map();
+
+        this.name = 'local';
+        this.capabilities = internals.capabilities;
+    }
+
+    /**
+     * @typedef {Object} Auth - Authentication object
+     * @property {String} path - Path to the mbox file, Maildir directory or directory of .eml files
+     */
+
+    /* MESSAGES */
+
+    /**
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {Number} [params.limit=100] - Maximum amount of messages in response
+     * @param {String} [params.pageToken] - Token used to retrieve a certain page in the list
+     * @param {Boolean} [params.hasAttachment] - If set, only return messages with or without attachments
+     * @param {Date} [params.before] - Only return messages sent before this date
+     * @param {Date} [params.after] - Only return messages sent after this date
+     * @param {String} [params.from] - Only return messages sent from this address
+     * @param {String} [params.to] - Only return messages sent to this address
+     * @param {String} [params.subject] - Only return messages with this text in the subject
+     * @param {String[]} [params.participants] - Only return messages from, to, cc or bcc one of these addresses
+     * @param {String | String[]} [params.folder] - Maildir folders, .eml subdirectories or, for Takeout exports, Gmail labels
+     * @param {String} [params.q] - Only return messages containing this text
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the raw messages are returned instead of the unified objects
+     * @param {Boolean} [options.idsOnly] - If true the response will only contain the ids of the messages
+     *
+     * @param {function(Error?, MessageListResource | { messages: Array.<String>, next_page_token: String? }?):void} callback Returns an array of unified message resources when options.raw is falsy or the raw messages when truthy
+     * @returns {void}
+     */
+    listMessages(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const list = async () => {
+
+            const mailbox = await this._openMailbox(auth);
+            const indexed = await this._indexMessages(mailbox);
+            const matching = await Async.filterSeries(indexed, async ({ entry, summary }) => {
+
+                return Utils.matchesFilters(summary, { ...params, q: null }) && (!params.q || await this._matchesBody(mailbox, entry, params.q));
+            });
+
+            const matches = matching.map(({ entry, summary }) => ({ entry, date: summary.date }));
+            matches.sort((a, b) => b.date - a.date);
+
+            const limit = params.limit || 100;
+            const position = Number(params.pageToken) || 0;
+            const page = matches.slice(position, position + limit);
+            const responseObject = { messages: [] };
+
+            if (matches.length > position + limit) {
+                responseObject.next_page_token = String(position + limit);
+            }
+
+            if (options.idsOnly) {
+                responseObject.messages = page.map((match) => match.entry.id);
+                return responseObject;
+            }
+
+            responseObject.messages = await Async.mapSeries(page, async ({ entry }) => {
+
+                const raw = await internals.readEntry(mailbox, entry);
+
+                return options.raw ? raw.toString() : this._transformMessage(entry, raw);
+            });
+
+            return responseObject;
+        };
+
+        return Utils.respond(list(), callback);
+    }
+
+    /**
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Message id as returned by listMessages
+     * @param {Boolean} [params.rfc2822Format = false] - Return the email in rfc2822 format https://www.ietf.org/rfc/rfc2822.txt
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the raw message is returned instead of the unified object
+     *
+     * @param {function(Error?, (MessageResource | String)?):void} callback Returns a unified message resource when options.raw and params.rfc2822Format are falsy or the raw message when truthy
+     * @returns {void}
+     */
+    getMessage(auth, params, options, callback) {
+
+        if (!params || !params.id) {
+            throw new Error('Invalid configuration. Please refer to the documentation to get the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const get = async () => {
+
+            const mailbox = await this._openMailbox(auth);
+            const entry = internals.findEntry(mailbox, params.id);
+            const raw = await internals.readEntry(mailbox, entry);
+
+            if (params.rfc2822Format || options.raw) {
+                return raw.toString();
+            }
+
+            return await this._transformMessage(entry, raw);
+        };
+
+        return Utils.respond(get(), callback);
+    }
+
+    /**
+     * Reads the messages a few at a time, a message that can't be read is reported in its result
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {Array.<String>} params.ids - Message ids as returned by listMessages
+     *
+     * @param {Object} options - Same as getMessage
+     *
+     * @param {function(Error?, BatchResultResource?):void} callback
+     * @returns {void}
+     */
+    batchGetMessages(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        return Utils.batch(params.ids, (id, next) => this.getMessage(auth, { id }, options, next), callback);
+    }
+
+    /* FILES */
+
+    /**
+     * Lists the files of the messages matching the params, the file data is not included
+     *
+     * @param {Auth} auth
+     * @param {Object} params - same as listMessages
+     * @param {Object} options
+     * @param {function(Error?, FileListResource):void} callback
+     *
+     * @returns {void}
+     */
+    listFiles(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        return this.listMessages(auth, { ...params, hasAttachment: true }, {}, (err, response) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            const responseObject = {
+                files: response.messages.flatMap((message) => message.files)
+            };
+
+            if (response.next_page_token) {
+                responseObject.next_page_token = response.next_page_token;
+            }
+
+            return callback(null, responseObject);
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Index of the file in the message
+     * @param {String} params.messageId - Message id as returned by listMessages
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] If true the attachment as parsed by mailparser is returned
+     *
+     * @param {function(Error, FileResource | Object):void} callback  Returns a unified file resource when options.raw is falsy or the parsed attachment when truthy
+     * @returns {void}
+     */
+    getFile(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        if (!params || !params.id || !params.messageId) {
+            return callback(Boom.badRequest('Invalid configuration. Please refer to the documentation to get the required fields.'));
+        }
+
+        options = options || {};
+
+        const get = async () => {
+
+            const mailbox = await this._openMailbox(auth);
+            const entry = internals.findEntry(mailbox, params.messageId);
+            const mail = await internals.parseRawMail(await internals.readEntry(mailbox, entry));
+            const attachment = mail.attachments[Number(params.id)];
+
+            if (!attachment) {
+                throw Boom.notFound('Attachment not found');
+            }
+
+            if (options.raw) {
+                return attachment;
+            }
+
+            const message = this._transformParsedMessage(entry, mail);
+            const file = message.files.find((messageFile) => messageFile.service_file_id === params.id);
+
+            file.data = attachment.content.toString('base64');
+
+            return file;
+        };
+
+        return Utils.respond(get(), callback);
+    }
+
+    // Dummy implementation since there are no credentials
+    refreshAuthCredentials(auth, callback) {
+
+        return callback(null, auth);
+    }
+
+    /* TRANSFORMERS */
+
+    /**
+     * @param {Object} entry
+     * @param {Buffer} raw
+     * @returns {Promise<MessageResource>}
+     */
+    async _transformMessage(entry, raw) {
+
+        const mail = await internals.parseRawMail(raw);
+
+        return this._transformParsedMessage(entry, mail);
+    }
+
+    /**
+     * @param {{ id: String, folder: String? }} entry
+     * @param {Object} mail - Output of `Utils.parseRawMail`
+     * @returns {MessageResource}
+     */
+    _transformParsedMessage(entry, mail) {
+
+        const header = (name) => (mail.headers[name] && mail.headers[name].length > 0 && mail.headers[name][0]) || null;
+
+        // Takeout exports keep the Gmail labels in a header
+        const labels = header('x-gmail-labels');
+        const folders = labels ? labels.split(',').map((label) => label.trim()).filter(Boolean) : [];
+
+        if (entry.folder) {
+            folders.push(entry.folder);
+        }
+
+        const formattedMessage = {
+            service_type: this.name,
+            email_message_id: mail.messageId || null,
+            service_message_id: entry.id,
+            service_thread_id: header('x-gm-thrid'),
+            date: mail.date ? new Date(mail.date).getTime() : null,
+            subject: header('subject'),
+            folders,
+            files: [],
+            body: [mail.textBody, mail.htmlBody].filter((body) => body && body.content),
+            addresses: Utils.getAddressesObject(mail),
+            in_reply_to: header('in-reply-to'),
+            headers: mail.headers,
+            attachments: false
+        };
+
+        formattedMessage.files = mail.attachments.map((attachment, index) => {
+
+            return {
+                type: attachment.contentType,
+                size: attachment.size,
+                file_name: attachment.filename || null,
+                content_id: attachment.contentId ? attachment.contentId.replace(/[<>]/g, '') : null,
+                content_disposition: attachment.contentDisposition || null,
+                service_file_id: String(index),
+                is_embedded: Boolean(attachment.related) || attachment.contentDisposition === 'inline',
+                service_message_id: formattedMessage.service_message_id,
+                service_thread_id: formattedMessage.service_thread_id,
+                email_message_id: formattedMessage.email_message_id,
+                service_type: this.name,
+                addresses: formattedMessage.addresses,
+                date: formattedMessage.date
+            };
+        });
+
+        formattedMessage.attachments = formattedMessage.files.length > 0;
+
+        return formattedMessage;
+    }
+
+    /* HELPERS */
+
+    /**
+     * @param {Object} mailbox
+     * @param {Object} entry
+     * @param {String} q
+     * @returns {Promise<Boolean>} Whether the subject, addresses or body of the message contain the text
+     */
+    async _matchesBody(mailbox, entry, q) {
+
+        const message = await this._transformMessage(entry, await internals.readEntry(mailbox, entry));
+
+        return Utils.matchesFilters(message, { q });
+    }
+
+    /**
+     * Finds out what kind of mailbox the path points to and lists its messages
+     *
+     * @param {Auth} auth
+     * @returns {Promise<{ type: 'mbox' | 'maildir' | 'eml', path: String, stats: Fs.Stats?, entries: Array.<Object> }>} The stats are only set for mbox files
+     */
+    async _openMailbox(auth) {
+
+        if (!auth || !auth.path) {
+            throw Boom.badRequest('Invalid authentication. The path of the mailbox is required.');
+        }
+
+        const path = this.root ? Path.resolve(this.root, auth.path) : Path.resolve(auth.path);
+
+        if (this.root && !internals.isInside(this.root, path)) {
+            throw Boom.forbidden('The mailbox path is outside of the configured root');
+        }
+
+        const stats = await Fs.promises.stat(path).catch((err) => {
+
+            throw err.code === 'ENOENT' ? Boom.notFound(`Mailbox ${auth.path} not found`) : err;
+        });
+
+        if (stats.isFile()) {
+            return { type: 'mbox', path, stats, entries: await this._indexMbox(path, stats) };
+        }
+
+        if (await internals.isMaildir(path)) {
+            return { type: 'maildir', path, entries: await internals.listMaildir(path) };
+        }
+
+        return { type: 'eml', path, entries: await internals.listEmlFiles(path, '') };
+    }
+
+    /**
+     * Finds where the messages in an mbox file start, the index is kept until the file changes
+     *
+     * @param {String} path
+     * @param {Fs.Stats} stats
+     * @returns {Promise<Array.<{ id: String, offset: Number, length: Number }>>}
+     */
+    async _indexMbox(path, stats) {
+
+        const cached = this.mboxIndexes.get(path);
+
+        if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+            return cached.entries;
+        }
+
+        const entries = await internals.indexMbox(path);
+
+        this.mboxIndexes.set(path, { mtimeMs: stats.mtimeMs, size: stats.size, entries });
+
+        return entries;
+    }
+
+    /**
+     * Returns what the filters need of every message in the mailbox, a message is only parsed again when its file changes.
+     * The messages of an mbox file all change with the file, Maildir and .eml files are checked one by one.
+     *
+     * @param {Object} mailbox - As returned by `_openMailbox`
+     * @returns {Promise<Array.<{ entry: Object, summary: Object }>>}
+     */
+    async _indexMessages(mailbox) {
+
+        const cached = this.messageIndexes.get(mailbox.path) || new Map();
+        const index = new Map();
+
+        const indexed = await Async.mapSeries(mailbox.entries, async (entry) => {
+
+            const stats = mailbox.stats || await Fs.promises.stat(Path.join(mailbox.path, entry.id));
+            let item = cached.get(entry.id);
+
+            if (!item || item.mtimeMs !== stats.mtimeMs || item.size !== stats.size) {
+                const message = await this._transformMessage(entry, await internals.readEntry(mailbox, entry));
+
+                item = { mtimeMs: stats.mtimeMs, size: stats.size, summary: internals.summarize(message) };
+            }
+
+            index.set(entry.id, item);
+
+            return { entry, summary: item.summary };
+        });
+
+        // Only the current entries are kept, so removed messages don't stay in memory
+        this.messageIndexes.set(mailbox.path, index);
+
+        return indexed;
+    }
+}
+
+/* Internal utility functions */
+
+internals.capabilities = {
+    filters: {
+        from: { supported: true, note: 'Matches any part of the address' },
+        to: { supported: true, note: 'Matches any part of a to or cc address' },
+        subject: { supported: true },
+        participants: { supported: true },
+        hasAttachment: { supported: true },
+        before: { supported: true },
+        after: { supported: true },
+        folder: { supported: true, note: 'Maildir folders, .eml subdirectories or Gmail labels of Takeout exports' },
+        q: { supported: true, note: 'Matches the subject, body and addresses' }
+    },
+    max_page_size: 1000,
+    push: false,
+    delta_sync: false
+};
+
+/**
+ * @param {String} parent
+ * @param {String} path
+ * @returns {Boolean}
+ */
+internals.isInside = (parent, path) => {
+
+    const relative = Path.relative(parent, path);
+
+    return relative === '' || (!relative.startsWith('..') && !Path.isAbsolute(relative));
+};
+
+/**
+ * @param {String} path
+ * @returns {Promise<Boolean>}
+ */
+internals.isMaildir = async (path) => {
+
+    const names = await Fs.promises.readdir(path);
+
+    return names.includes('cur') && names.includes('new');
+};
+
+/**
+ * Lists the messages of a Maildir and its Maildir++ subfolders (`.Sent`, `.Archive.2023`, ...)
+ *
+ * @param {String} path
+ * @returns {Promise<Array.<{ id: String, folder: String }>>}
+ */
+internals.listMaildir = async (path) => {
+
+    const dirents = await Fs.promises.readdir(path, { withFileTypes: true });
+    const folders = [{ name: 'INBOX', directory: '' }, ...dirents
+        .filter((dirent) => dirent.isDirectory() && dirent.name.startsWith('.') && dirent.name.length > 1)
+        .map((dirent) => ({ name: dirent.name.slice(1), directory: dirent.name }))];
+
+    const directories = folders.flatMap((folder) => ['cur', 'new'].map((subdirectory) => ({ folder, subdirectory })));
+
+    return Async.concatSeries(directories, async ({ folder, subdirectory }) => {
+
+        const names = await Fs.promises.readdir(Path.join(path, folder.directory, subdirectory)).catch(() => []);
+
+        return names.filter((name) => !name.startsWith('.')).map((name) => ({ id: Path.posix.join(folder.directory, subdirectory, name), folder: folder.name }));
+    });
+};
+
+/**
+ * Lists the .eml files in a directory and its subdirectories, the subdirectory is used as folder
+ *
+ * @param {String} root
+ * @param {String} directory - Relative to the root
+ * @returns {Promise<Array.<{ id: String, folder: String? }>>}
+ */
+internals.listEmlFiles = async (root, directory) => {
+
+    const dirents = await Fs.promises.readdir(Path.join(root, directory), { withFileTypes: true });
+
+    const entries = await Promise.all(dirents.map((dirent) => {
+
+        const id = Path.posix.join(directory, dirent.name);
+
+        if (dirent.isDirectory()) {
+            return internals.listEmlFiles(root, id);
+        }
+
+        if (dirent.isFile() && dirent.name.toLowerCase().endsWith('.eml')) {
+            return [{ id, folder: directory || null }];
+        }
+
+        return [];
+    }));
+
+    return entries.flat();
+};
+
+/**
+ * Messages in an mbox file start after a line starting with `From `
+ *
+ * @param {String} path
+ * @returns {Promise<Array.<{ id: String, offset: Number, length: Number }>>}
+ */
+internals.indexMbox = (path) => {
+
+    return new Promise((resolve, reject) => {
+
+        const entries = [];
+        const stream = Fs.createReadStream(path);
+        let position = 0; // File offset of the start of `rest`
+        let rest = Buffer.alloc(0);
+        let start = null;
+
+        const addEntry = (end) => {
+
+            if (start !== null && end > start) {
+                entries.push({ id: `${start}-${end - start}`, offset: start, length: end - start });
+            }
+        };
+
+        stream.on('data', (chunk) => {
+
+            const buffer = Buffer.concat([rest, chunk]);
+            let lineStart = 0;
+            let newline = buffer.indexOf(10);
+
+            while (newline !== -1) {
+                if (buffer.toString('latin1', lineStart, lineStart + 5) === 'From ') {
+                    addEntry(position + lineStart);
+                    start = position + newline + 1;
+                }
+
+                lineStart = newline + 1;
+                newline = buffer.indexOf(10, lineStart);
+            }
+
+            rest = buffer.subarray(lineStart);
+            position += lineStart;
+        });
+
+        stream.on('error', reject);
+        stream.on('end', () => {
+
+            addEntry(position + rest.length);
+
+            return resolve(entries);
+        });
+    });
+};
+
+/**
+ * Keeps what `Utils.matchesFilters` needs besides the body, a mailbox can be much larger than what fits in memory
+ *
+ * @param {MessageResource} message
+ * @returns {Object}
+ */
+internals.summarize = (message) => {
+
+    const { date, subject, addresses, folders, attachments } = message;
+
+    return { date, subject, addresses, folders, attachments };
+};
+
+/**
+ * @throws
+ *
+ * @param {Object} mailbox
+ * @param {String} id
+ * @returns {Object}
+ */
+internals.findEntry = (mailbox, id) => {
+
+    const entry = mailbox.entries.find((candidate) => candidate.id === id);
+
+    if (!entry) {
+        throw Boom.notFound('Message not found');
+    }
+
+    return entry;
+};
+
+/**
+ * The raw message is read as is, 8bit parts can be in any charset
+ *
+ * @param {Object} mailbox
+ * @param {{ id: String, offset: Number?, length: Number? }} entry
+ * @returns {Promise<Buffer>} The raw message
+ */
+internals.readEntry = async (mailbox, entry) => {
+
+    if (mailbox.type !== 'mbox') {
+        return await Fs.promises.readFile(Path.join(mailbox.path, entry.id));
+    }
+
+    const handle = await Fs.promises.open(mailbox.path, 'r');
+
+    try {
+        const buffer = Buffer.alloc(entry.length);
+
+        await handle.read(buffer, 0, entry.length, entry.offset);
+
+        // Undo the mboxrd escaping of lines starting with `From `, latin1 maps every byte to a character and back
+        return Buffer.from(buffer.toString('latin1').replace(/^>(>*From )/gm, '$1'), 'latin1');
+    }
+    finally {
+        await handle.close();
+    }
+};
+
+module.exports = LocalConnector;
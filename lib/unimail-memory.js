@@ -0,0 +1,1635 @@
+'use strict';
+
+const Crypto = require('crypto');
+const EventEmitter = require('events');
+
+const Boom = require('@hapi/boom');
+const _ = require('lodash');
+
+const Query = require('./query');
+const Utils = require('./utils');
+
+const internals = {
+    defaultFolders: ['inbox', 'sent', 'drafts', 'trash', 'spam', 'archive']
+};
+
+/**
+ * @typedef {import('./index').MessageResource} MessageResource
+ * @typedef {import('./index').MessageListResource} MessageListResource
+ * @typedef {import('./index').DraftResource} DraftResource
+ * @typedef {import('./index').DraftListResource} DraftListResource
+ * @typedef {import('./index').BatchResultResource} BatchResultResource
+ * @typedef {import('./index').FileResource} FileResource
+ * @typedef {import('./index').FileListResource} FileListResource
+ * @typedef {import('./index').FileStreamResource} FileStreamResource
+ * @typedef {import('./index').FolderResource} FolderResource
+ * @typedef {import('./index').MessageRecipient} MessageRecipient
+ * @typedef {import('./index').ThreadResource} ThreadResource
+ * @typedef {import('./index').ChangeListResource} ChangeListResource
+ * @typedef {import('./index').ThreadListResource} ThreadListResource
+ * @typedef {import('./index').SubscriptionResource} SubscriptionResource
+ * @typedef {import('./index').NotificationRequest} NotificationRequest
+ * @typedef {import('./index').NotificationListResource} NotificationListResource
+ *
+ * @typedef {Object} Fault
+ * @property {String} [method] - Only fail calls to this connector method, e.g. `listMessages`. All methods when omitted.
+ * @property {Number} [statusCode] - Fail the call with this status code, e.g. 429 or 401
+ * @property {String} [message]
+ * @property {Boolean} [expireToken] - Instead of failing, expire the access token before the call so it gets refreshed and `newAccessToken` is emitted
+ * @property {Number} [times=1] - How many calls the fault applies to, `Infinity` to keep failing until `clearFaults()`
+ */
+
+/**
+ * Test double that keeps mailboxes in memory.
+ * Messages are seeded as (partial) unified message resources and filtered with the same helper the offline connectors use.
+ * Faults can be injected to exercise error paths, e.g. `connector.injectFault({ method: 'listMessages', statusCode: 429 })`.
+ *
+ * Access tokens expire like real ones: calls with an expired token refresh it first and emit `newAccessToken`.
+ * Changes are delivered to the subscriptions of a mailbox as `notification` events, with a request that can be passed to `parseNotification`.
+ */
+class MemoryConnector extends EventEmitter {
+
+    /**
+     * @class
+     *
+     * @param {Object} [config] - Configuration object
+     * @param {Array.<Object>} [config.messages] - Messages of the `default` mailbox
+     * @param {Array.<String | Object>} [config.folders] - Folders of the `default` mailbox, names or (partial) folder resources. Defaults to a folder per common role.
+     * @param {Object.<String, { messages: Array.<Object>?, folders: Array.<String | Object>? }>} [config.mailboxes] - Other mailboxes, selected with `auth.mailbox`
+     * @param {Number} [config.tokenLifetime=3600000] - Lifetime of refreshed access tokens in ms
+     */
+    constructor(config) {
+
+        super();
+
+        config = config || {};
+
+        this.tokenLifetime = config.tokenLifetime || 60 * 60 * 1000;
+        this.mailboxes = new Map();
+        this.faults = [];
+        this.counter = 0;
+
+        this.name = 'memory';
+        this.capabilities = internals.capabilities;
+
+        this.seed('default', { messages: config.messages, folders: config.folders });
+
+        Object.entries(config.mailboxes || {}).forEach(([name, mailbox]) => this.seed(name, mailbox));
+    }
+
+    /**
+     * @typedef {Object} Auth - Authentication object
+     * @property {String} [mailbox=default] - Name of the seeded mailbox to use
+     * @property {String} [access_token]
+     * @property {String} [refresh_token]
+     * @property {Date} [expiration_date] - The token is refreshed when this is in the past
+     * @property {*} [id] - will be passed back when emitting `newAccessToken`
+     */
+
+    /**
+     * Replaces the content of a mailbox
+     *
+     * @param {String} name - Name of the mailbox, used with `auth.mailbox`
+     * @param {Object} content
+     * @param {Array.<Object>} [content.messages] - (Partial) unified message resources, files can contain their `data` as a base64 string
+     * @param {Array.<String | Object>} [content.folders] - Folder names or (partial) folder resources
+     *
+     * @returns {void}
+     */
+    seed(name, content) {
+
+        const mailbox = {
+            messages: [],
+            folders: (content.folders || internals.defaultFolders).map((folder) => this._normalizeFolder(folder)),
+            changes: [], // Changes made through the connector, for listChanges
+            epoch: ++this.counter, // Invalidates the cursors of the mailbox this one replaces
+            subscriptions: new Map(),
+            notify: (change) => this._notify(name, change)
+        };
+
+        this.mailboxes.set(name, mailbox);
+
+        (content.messages || []).forEach((message) => mailbox.messages.push(this._normalizeMessage(message)));
+    }
+
+    /**
+     * @param {Fault} fault
+     * @returns {void}
+     */
+    injectFault(fault) {
+
+        this.faults.push({ times: 1, ...fault });
+    }
+
+    /**
+     * @returns {void}
+     */
+    clearFaults() {
+
+        this.faults = [];
+    }
+
+    /* MESSAGES */
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} params - All listMessages filters are supported, the `larger` and `smaller` query conditions use the size of the bodies and files
+     * @param {Object} options
+     * @param {Boolean} [options.idsOnly] - If true the response will only contain the ids of the messages
+     * @param {function(Error?, MessageListResource | { messages: Array.<String>, next_page_token: String? }?):void} callback
+     * @returns {void}
+     */
+    listMessages(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this._call('listMessages', auth, callback, (mailbox) => {
+
+            const messages = mailbox.messages
+                .filter((message) => Utils.matchesFilters(message, params))
+                .filter((message) => internals.matchesQuery(mailbox, message, params.query))
+                .filter((message) => params.includeDrafts || params.folder || !internals.isInFolder(message, 'drafts'))
+                .sort((a, b) => b.date - a.date);
+
+            const limit = params.limit || 100;
+            const position = Number(params.pageToken) || 0;
+            const page = messages.slice(position, position + limit);
+            const responseObject = {
+                messages: options.idsOnly ? page.map((message) => message.service_message_id) : page.map(internals.copyMessage)
+            };
+
+            if (messages.length > position + limit) {
+                responseObject.next_page_token = String(position + limit);
+            }
+
+            return responseObject;
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} params
+     * @param {String} params.id
+     * @param {Boolean} [params.rfc2822Format = false] - Return the email in rfc2822 format https://www.ietf.org/rfc/rfc2822.txt
+     * @param {Object} options
+     * @param {function(Error?, (MessageResource | String)?):void} callback
+     * @returns {void}
+     */
+    getMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        return this._call('getMessage', auth, callback, (mailbox, done) => {
+
+            const message = internals.findMessage(mailbox, params.id);
+
+            if (!params.rfc2822Format) {
+                return done(null, internals.copyMessage(message));
+            }
+
+            const textBody = message.body.find((body) => body.type === 'text/plain');
+            const htmlBody = message.body.find((body) => body.type === 'text/html');
+
+            return Utils.generateMessage({
+                messageId: message.email_message_id,
+                date: new Date(message.date),
+                from: Utils.toMailAddresses(message.addresses.from),
+                to: Utils.toMailAddresses(message.addresses.to),
+                cc: Utils.toMailAddresses(message.addresses.cc),
+                subject: message.subject,
+                inReplyTo: message.in_reply_to,
+                text: textBody && textBody.content,
+                html: htmlBody && htmlBody.content,
+                attachments: message.files.map((file) => ({ filename: file.file_name, contentType: file.type, content: file.data || '', encoding: 'base64' }))
+            }, { base64Encoded: false }, done);
+        });
+    }
+
+    /**
+     * Adds the message to the sent folder of the mailbox
+     *
+     * @param {Auth} auth
+     * @param {Object} params - Same as the other connectors, attachments need `contentBytes`
+     * @param {Object} options
+     * @param {function(Error?, String?):void} callback - Returns the email message id of the sent message
+     * @returns {void}
+     */
+    sendMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._call('sendMessage', auth, callback, (mailbox) => {
+
+            const message = this._composeMessage(auth, params, { folders: ['sent'] });
+
+            mailbox.messages.push(message);
+            internals.recordChange(mailbox, 'created', message.service_message_id);
+
+            return message.email_message_id;
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} params
+     * @param {String} params.id
+     * @param {Boolean} [params.unread]
+     * @param {Boolean} [params.starred]
+     * @param {Array.<String | Object>} [params.addFolders] - Folder ids or roles, or (partial) folder resources
+     * @param {Array.<String | Object>} [params.removeFolders]
+     * @param {Object} options
+     * @param {function(Error?, MessageResource?):void} callback
+     * @returns {void}
+     */
+    updateMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._call('updateMessage', auth, callback, (mailbox) => {
+
+            const message = internals.findMessage(mailbox, params.id);
+
+            if (params.unread !== undefined) {
+                message.unread = params.unread;
+            }
+
+            if (params.starred !== undefined) {
+                message.starred = params.starred;
+            }
+
+            (params.removeFolders || []).forEach((target) => {
+
+                const folder = Utils.findFolder(mailbox.folders, target);
+                message.folders = message.folders.filter((messageFolder) => !internals.isFolder(folder, messageFolder));
+            });
+
+            (params.addFolders || []).forEach((target) => {
+
+                const folder = Utils.findFolder(mailbox.folders, target);
+
+                if (!message.folders.some((messageFolder) => internals.isFolder(folder, messageFolder))) {
+                    message.folders.push(folder.id);
+                }
+            });
+
+            internals.recordChange(mailbox, 'updated', message.service_message_id);
+
+            return internals.copyMessage(message);
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} params
+     * @param {String} params.id
+     * @param {String | Object} params.folder - Folder id or role, or a (partial) folder resource
+     * @param {Object} options
+     * @param {function(Error?, MessageResource?):void} callback
+     * @returns {void}
+     */
+    moveMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._call('moveMessage', auth, callback, (mailbox) => {
+
+            const message = internals.findMessage(mailbox, params.id);
+
+            message.folders = [Utils.findFolder(mailbox.folders, params.folder).id];
+            internals.recordChange(mailbox, 'updated', message.service_message_id);
+
+            return internals.copyMessage(message);
+        });
+    }
+
+    /**
+     * Moves the message to the folder with the `trash` role
+     *
+     * @param {Auth} auth
+     * @param {Object} params
+     * @param {String} params.id
+     * @param {Object} options
+     * @param {function(Error?, MessageResource?):void} callback
+     * @returns {void}
+     */
+    trashMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._call('trashMessage', auth, callback, (mailbox) => {
+
+            const message = internals.findMessage(mailbox, params.id);
+
+            message.folders = [Utils.findFolder(mailbox.folders, { role: 'trash' }).id];
+            internals.recordChange(mailbox, 'updated', message.service_message_id);
+
+            return internals.copyMessage(message);
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} params
+     * @param {String} params.id
+     * @param {Object} options
+     * @param {function(Error?):void} callback
+     * @returns {void}
+     */
+    deleteMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._call('deleteMessage', auth, callback, (mailbox, done) => {
+
+            const message = internals.findMessage(mailbox, params.id);
+
+            mailbox.messages.splice(mailbox.messages.indexOf(message), 1);
+            internals.recordChange(mailbox, 'deleted', message.service_message_id);
+
+            return done();
+        });
+    }
+
+    /**
+     * Gets the messages one by one, a missing message is reported in its result
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {Array.<String>} params.ids - Message ids
+     *
+     * @param {Object} options - Same as getMessage
+     *
+     * @param {function(Error?, BatchResultResource?):void} callback
+     * @returns {void}
+     */
+    batchGetMessages(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        return Utils.batch(params.ids, (id, next) => this.getMessage(auth, { id }, options, next), callback);
+    }
+
+    /**
+     * Updates the messages one by one, a missing message is reported in its result
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params - Same as updateMessage, with the message ids as `ids`
+     * @param {Array.<String>} params.ids - Message ids
+     *
+     * @param {Object} options - Same as updateMessage
+     *
+     * @param {function(Error?, BatchResultResource?):void} callback
+     * @returns {void}
+     */
+    batchUpdateMessages(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        const { ids, ...changes } = params;
+
+        return Utils.batch(ids, (id, next) => this.updateMessage(auth, { ...changes, id }, options, next), callback);
+    }
+
+    /**
+     * @param {Object} auth
+     * @param {Object | Array.<Object>} messages - (Partial) unified message resources
+     * @returns {Array.<MessageResource>}
+     */
+    transformMessages(auth, messages) {
+
+        return (Array.isArray(messages) ? messages : [messages]).map((message) => this._normalizeMessage(message));
+    }
+
+    /* DRAFTS */
+
+    /**
+     * Adds the message to the drafts folder of the mailbox
+     *
+     * @param {Auth} auth
+     * @param {Object} params - Same as sendMessage, recipients are optional
+     * @param {Object} options
+     * @param {function(Error?, DraftResource?):void} callback
+     * @returns {void}
+     */
+    createDraft(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._call('createDraft', auth, callback, (mailbox) => {
+
+            const draft = this._composeMessage(auth, params, { folders: ['drafts'] });
+
+            mailbox.messages.push(draft);
+            internals.recordChange(mailbox, 'created', draft.service_message_id);
+
+            return internals.copyDraft(draft);
+        });
+    }
+
+    /**
+     * Replaces the content of the draft
+     *
+     * @param {Auth} auth
+     * @param {Object} params - Same as createDraft
+     * @param {String} params.id - Draft id
+     * @param {Object} options
+     * @param {function(Error?, DraftResource?):void} callback
+     * @returns {void}
+     */
+    updateDraft(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._call('updateDraft', auth, callback, (mailbox) => {
+
+            const draft = internals.findDraft(mailbox, params.id);
+            const updatedDraft = this._composeMessage(auth, params, draft);
+
+            mailbox.messages.splice(mailbox.messages.indexOf(draft), 1, updatedDraft);
+            internals.recordChange(mailbox, 'updated', updatedDraft.service_message_id);
+
+            return internals.copyDraft(updatedDraft);
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} params
+     * @param {String} params.id - Draft id
+     * @param {Object} options
+     * @param {function(Error?, DraftResource?):void} callback
+     * @returns {void}
+     */
+    getDraft(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._call('getDraft', auth, callback, (mailbox) => {
+
+            return internals.copyDraft(internals.findDraft(mailbox, params.id));
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} params - All listMessages filters are supported, except for folder
+     * @param {Object} options
+     * @param {Boolean} [options.idsOnly] - If true the response will only contain the ids of the drafts
+     * @param {function(Error?, DraftListResource | { drafts: Array.<String>, next_page_token: String? }?):void} callback
+     * @returns {void}
+     */
+    listDrafts(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this._call('listDrafts', auth, callback, (mailbox) => {
+
+            const drafts = mailbox.messages
+                .filter((message) => internals.isInFolder(message, 'drafts'))
+                .filter((message) => Utils.matchesFilters(message, { ...params, folder: null }))
+                .sort((a, b) => b.date - a.date);
+
+            const limit = params.limit || 100;
+            const position = Number(params.pageToken) || 0;
+            const page = drafts.slice(position, position + limit);
+            const responseObject = {
+                drafts: options.idsOnly ? page.map((draft) => draft.service_message_id) : page.map(internals.copyDraft)
+            };
+
+            if (drafts.length > position + limit) {
+                responseObject.next_page_token = String(position + limit);
+            }
+
+            return responseObject;
+        });
+    }
+
+    /**
+     * Moves the draft to the sent folder
+     *
+     * @param {Auth} auth
+     * @param {Object} params
+     * @param {String} params.id - Draft id
+     * @param {Object} options
+     * @param {function(Error?, String?):void} callback - Returns the email message id of the sent message, like sendMessage
+     * @returns {void}
+     */
+    sendDraft(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._call('sendDraft', auth, callback, (mailbox) => {
+
+            const draft = internals.findDraft(mailbox, params.id);
+
+            if (draft.addresses.to.length === 0 && draft.addresses.cc.length === 0 && draft.addresses.bcc.length === 0) {
+                throw Boom.badRequest('The draft has no recipients');
+            }
+
+            draft.folders = ['sent'];
+            draft.date = Date.now();
+            internals.recordChange(mailbox, 'updated', draft.service_message_id);
+
+            return draft.email_message_id;
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} params
+     * @param {String} params.id - Draft id
+     * @param {Object} options
+     * @param {function(Error?):void} callback
+     * @returns {void}
+     */
+    deleteDraft(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._call('deleteDraft', auth, callback, (mailbox, done) => {
+
+            const draft = internals.findDraft(mailbox, params.id);
+
+            mailbox.messages.splice(mailbox.messages.indexOf(draft), 1);
+            internals.recordChange(mailbox, 'deleted', draft.service_message_id);
+
+            return done();
+        });
+    }
+
+    /* FILES */
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} params - same as listMessages
+     * @param {Object} options
+     * @param {function(Error?, FileListResource?):void} callback - The file data is not included
+     * @returns {void}
+     */
+    listFiles(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        return this.listMessages(auth, { ...params, hasAttachment: true }, {}, (err, response) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            const responseObject = {
+                files: response.messages.flatMap((message) => message.files)
+            };
+
+            if (response.next_page_token) {
+                responseObject.next_page_token = response.next_page_token;
+            }
+
+            return callback(null, responseObject);
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} params
+     * @param {String} params.id
+     * @param {String} [params.messageId] - Searched across all messages when omitted
+     * @param {Object} options
+     * @param {function(Error?, FileResource?):void} callback - Includes the file data
+     * @returns {void}
+     */
+    getFile(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        return this._call('getFile', auth, callback, (mailbox) => {
+
+            return { ...internals.findFile(mailbox, params) };
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} params
+     * @param {String} params.id
+     * @param {String} [params.messageId] - Searched across all messages when omitted
+     * @param {Object} options
+     * @param {function(Error?, FileStreamResource?):void} callback
+     * @returns {void}
+     */
+    streamFile(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        return this._call('streamFile', auth, callback, (mailbox) => {
+
+            return Utils.toFileStream(internals.findFile(mailbox, params));
+        });
+    }
+
+    /* FOLDERS */
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} [params]
+     * @param {Object} [options]
+     * @param {function(Error?, Array.<FolderResource>?):void} callback - Counts are calculated from the messages in the mailbox
+     * @returns {void}
+     */
+    listFolders(auth, params, options, callback) {
+
+        if (typeof params === 'function') {
+            callback = params;
+        }
+        else if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._call('listFolders', auth, callback, (mailbox) => {
+
+            return mailbox.folders.map((folder) => internals.countFolder(mailbox, folder));
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.name
+     * @param {String | FolderResource} [params.parent] - Folder id or role, or a (partial) folder resource to nest the folder in
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?, FolderResource?):void} callback
+     * @returns {void}
+     */
+    createFolder(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._call('createFolder', auth, callback, (mailbox) => {
+
+            const parentId = params.parent ? Utils.findFolder(mailbox.folders, params.parent).id : null;
+
+            internals.assertUniqueName(mailbox, params.name, parentId);
+
+            const folder = this._normalizeFolder({
+                id: `memory-folder-${++this.counter}`,
+                name: params.name,
+                role: null,
+                parent_id: parentId
+            });
+
+            mailbox.folders.push(folder);
+
+            return internals.countFolder(mailbox, folder);
+        });
+    }
+
+    /**
+     * Renames the folder and/or moves it to another parent, folders with a role can't be changed
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id
+     * @param {String} [params.name]
+     * @param {String | FolderResource | null} [params.parent] - The new parent, null to move the folder to the top level
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?, FolderResource?):void} callback
+     * @returns {void}
+     */
+    updateFolder(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._call('updateFolder', auth, callback, (mailbox) => {
+
+            const folder = internals.findUserFolder(mailbox, params.id);
+            let parentId = folder.parent_id;
+
+            if (params.parent !== undefined) {
+                parentId = params.parent ? Utils.findFolder(mailbox.folders, params.parent).id : null;
+
+                if (parentId && [folder, ...internals.getDescendants(mailbox, folder)].some((descendant) => descendant.id === parentId)) {
+                    throw Boom.badRequest('A folder can\'t be nested in itself or one of its subfolders');
+                }
+            }
+
+            const name = params.name || folder.name;
+
+            if (name !== folder.name || parentId !== folder.parent_id) {
+                internals.assertUniqueName(mailbox, name, parentId);
+            }
+
+            folder.name = name;
+            folder.parent_id = parentId;
+
+            return internals.countFolder(mailbox, folder);
+        });
+    }
+
+    /**
+     * Deletes the folder and its subfolders, the messages are kept but no longer in the deleted folders
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?):void} callback
+     * @returns {void}
+     */
+    deleteFolder(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._call('deleteFolder', auth, callback, (mailbox, done) => {
+
+            const folder = internals.findUserFolder(mailbox, params.id);
+            const deletedIds = new Set([folder, ...internals.getDescendants(mailbox, folder)].map((deleted) => deleted.id));
+
+            mailbox.folders = mailbox.folders.filter((candidate) => !deletedIds.has(candidate.id));
+            mailbox.messages.forEach((message) => {
+
+                if (message.folders.some((messageFolder) => deletedIds.has(messageFolder))) {
+                    message.folders = message.folders.filter((messageFolder) => !deletedIds.has(messageFolder));
+                    internals.recordChange(mailbox, 'updated', message.service_message_id);
+                }
+            });
+
+            return done();
+        });
+    }
+
+    /* SYNC */
+
+    /**
+     * Returns the ids of the messages that were changed through the connector since the cursor.
+     * Without a cursor, no changes are returned but only the cursor to start syncing from.
+     * Seeding the mailbox again expires its cursors.
+     *
+     * @param {Auth} auth
+     * @param {Object} params
+     * @param {String} [params.cursor] - `next_cursor` of a previous call
+     * @param {Number} [params.limit=100] - Maximum amount of changes
+     * @param {Object} options
+     * @param {function(Error?, ChangeListResource?):void} callback - Errors with a 410 when the cursor expired and a full resync is needed
+     * @returns {void}
+     */
+    listChanges(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._call('listChanges', auth, callback, (mailbox) => {
+
+            if (!params.cursor) {
+                return { created: [], updated: [], deleted: [], next_cursor: `${mailbox.epoch}:${mailbox.changes.length}`, has_more: false };
+            }
+
+            const [epoch, position] = params.cursor.split(':').map(Number);
+
+            if (!Number.isInteger(epoch) || !Number.isInteger(position) || position < 0) {
+                throw Boom.badRequest('Invalid cursor');
+            }
+
+            if (epoch !== mailbox.epoch) {
+                throw Boom.resourceGone('Full resync required');
+            }
+
+            if (position > mailbox.changes.length) {
+                throw Boom.badRequest('Invalid cursor');
+            }
+
+            const end = Math.min(position + (params.limit || 100), mailbox.changes.length);
+
+            return {
+                ...Utils.groupChanges(mailbox.changes.slice(position, end)),
+                next_cursor: `${mailbox.epoch}:${end}`,
+                has_more: end < mailbox.changes.length
+            };
+        });
+    }
+
+    /* SUBSCRIPTIONS */
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} params
+     * @param {String} [params.url] - Passed on as the url of the notification requests
+     * @param {String} [params.topic] - Used as url when there is no url
+     * @param {String} [params.secret] - Sent back in a header of the notification requests
+     * @param {Date} [params.expiresAt] - Notifications stop after this date, never when omitted
+     * @param {Object} options
+     * @param {function(Error?, SubscriptionResource?):void} callback
+     * @returns {void}
+     */
+    createSubscription(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._call('createSubscription', auth, callback, (mailbox) => {
+
+            const subscription = {
+                id: `memory-subscription-${++this.counter}`,
+                expires_at: params.expiresAt ? new Date(params.expiresAt) : null,
+                secret: params.secret || null,
+                service_type: 'memory'
+            };
+
+            mailbox.subscriptions.set(subscription.id, { url: params.url || params.topic, resource: subscription });
+
+            return { ...subscription };
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} params
+     * @param {String} params.id
+     * @param {Date} [params.expiresAt] - Never expires when omitted
+     * @param {Object} options
+     * @param {function(Error?, SubscriptionResource?):void} callback - Errors with a 404 when the subscription expired
+     * @returns {void}
+     */
+    renewSubscription(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._call('renewSubscription', auth, callback, (mailbox) => {
+
+            const subscription = internals.findSubscription(mailbox, params.id);
+
+            subscription.resource.expires_at = params.expiresAt ? new Date(params.expiresAt) : null;
+
+            return { ...subscription.resource };
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} params
+     * @param {String} params.id
+     * @param {Object} options
+     * @param {function(Error?):void} callback
+     * @returns {void}
+     */
+    deleteSubscription(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._call('deleteSubscription', auth, callback, (mailbox, done) => {
+
+            internals.findSubscription(mailbox, params.id);
+            mailbox.subscriptions.delete(params.id);
+
+            return done();
+        });
+    }
+
+    /**
+     * Parses the requests emitted with `notification`, the account id is the name of the mailbox
+     *
+     * @param {null} auth - Notifications aren't tied to an auth object
+     * @param {NotificationRequest} params
+     * @param {Object} options
+     * @param {String} [options.secret] - When passed, notifications without this secret are rejected
+     * @param {function(Error?, NotificationListResource?):void} callback
+     * @returns {void}
+     */
+    parseNotification(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        let request;
+
+        try {
+            request = Utils.parseNotificationRequest(params);
+        }
+        catch (err) {
+            return process.nextTick(() => callback(err));
+        }
+
+        if (options.secret && !Utils.secretsMatch(options.secret, request.headers[internals.secretHeader])) {
+            return process.nextTick(() => callback(Boom.unauthorized('Invalid secret')));
+        }
+
+        if (!request.body || !Array.isArray(request.body.messageIds)) {
+            return process.nextTick(() => callback(Boom.badRequest('Invalid notification payload')));
+        }
+
+        const { accountId, messageIds, changeType, subscriptionId } = request.body;
+        const notificationList = {
+            notifications: [{ accountId, messageIds, changeType, subscriptionId }],
+            response: Utils.notificationResponse(200)
+        };
+
+        return process.nextTick(() => callback(null, notificationList));
+    }
+
+    /* THREADS */
+
+    /**
+     * Returns the threads with at least one message matching the filters, most recent first
+     *
+     * @param {Auth} auth
+     * @param {Object} params - Same as listMessages, `limit` is the amount of threads
+     * @param {Object} options
+     * @param {Boolean} [options.idsOnly]
+     * @param {function(Error?, (ThreadListResource | { threads: Array.<String>, next_page_token: String? })?):void} callback
+     * @returns {void}
+     */
+    listThreads(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this._call('listThreads', auth, callback, (mailbox) => {
+
+            const matchingMessages = mailbox.messages
+                .filter((message) => Utils.matchesFilters(message, params))
+                .filter((message) => params.includeDrafts || params.folder || !internals.isInFolder(message, 'drafts'));
+
+            const threadIds = _.uniq(matchingMessages.map((message) => message.service_thread_id));
+            const threads = threadIds
+                .map((id) => this._createThread(mailbox, id, params))
+                .sort((a, b) => b.last_date - a.last_date);
+
+            const limit = params.limit || 100;
+            const position = Number(params.pageToken) || 0;
+            const page = threads.slice(position, position + limit);
+            const responseObject = {
+                threads: options.idsOnly ? page.map((thread) => thread.service_thread_id) : page
+            };
+
+            if (threads.length > position + limit) {
+                responseObject.next_page_token = String(position + limit);
+            }
+
+            return responseObject;
+        });
+    }
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} params
+     * @param {String} params.id
+     * @param {Boolean} [params.includeDrafts=false]
+     * @param {Object} options
+     * @param {function(Error?, ThreadResource?):void} callback
+     * @returns {void}
+     */
+    getThread(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._call('getThread', auth, callback, (mailbox) => {
+
+            const thread = this._createThread(mailbox, params.id, params);
+
+            if (thread.message_count === 0) {
+                throw Boom.notFound('Thread not found');
+            }
+
+            return thread;
+        });
+    }
+
+    /* AUTH */
+
+    /**
+     * Emits `newAccessToken` when the access token was expired
+     *
+     * @param {Auth} auth
+     * @param {function(Error?, Auth?):void} callback
+     * @returns {void}
+     */
+    refreshAuthCredentials(auth, callback) {
+
+        const fault = this._takeFault('refreshAuthCredentials');
+
+        if (fault && !fault.expireToken) {
+            return process.nextTick(() => callback(internals.faultError(fault)));
+        }
+
+        if (!fault && !internals.isExpired(auth)) {
+            return process.nextTick(() => callback(null, auth));
+        }
+
+        const token = {
+            access_token: `memory-access-token-${++this.counter}`,
+            refresh_token: auth.refresh_token,
+            expiration_date: new Date(Date.now() + this.tokenLifetime),
+            id: auth.id
+        };
+
+        this.emit('newAccessToken', token);
+
+        return process.nextTick(() => callback(null, token));
+    }
+
+    /* HELPERS */
+
+    /**
+     * Applies injected faults and refreshes expired tokens before running the method against the mailbox of the auth.
+     * The method can return its result, throw or call `done`.
+     *
+     * @param {String} methodName
+     * @param {Auth} auth
+     * @param {function(Error?, *?):void} callback
+     * @param {function(Object, function(Error?, *?):void):*} method
+     * @returns {void}
+     */
+    _call(methodName, auth, callback, method) {
+
+        const fault = this._takeFault(methodName);
+
+        if (fault && !fault.expireToken) {
+            return process.nextTick(() => callback(internals.faultError(fault)));
+        }
+
+        const expiredAuth = fault ? { ...auth, expiration_date: new Date(0) } : auth;
+
+        return this.refreshAuthCredentials(expiredAuth, (err) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            const mailbox = this.mailboxes.get(auth.mailbox || 'default');
+
+            if (!mailbox) {
+                return callback(Boom.unauthorized(`Unknown mailbox ${auth.mailbox}`));
+            }
+
+            let result;
+
+            try {
+                result = method(mailbox, (err, asyncResult) => callback(err ? Utils.boomify(err) : null, asyncResult));
+            }
+            catch (err) {
+                return callback(Utils.boomify(err));
+            }
+
+            if (result !== undefined) {
+                return callback(null, result);
+            }
+        });
+    }
+
+    /**
+     * Emits a notification for every subscription of the mailbox, after the change is done
+     *
+     * @param {String} name - Name of the mailbox
+     * @param {{ type: ('created' | 'updated' | 'deleted'), id: String }} change
+     * @returns {void}
+     */
+    _notify(name, change) {
+
+        const mailbox = this.mailboxes.get(name);
+
+        mailbox.subscriptions.forEach(({ url, resource }) => {
+
+            if (resource.expires_at && resource.expires_at <= new Date()) {
+                return;
+            }
+
+            /** @type {NotificationRequest} */
+            const request = {
+                method: 'POST',
+                url,
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify({ accountId: name, messageIds: [change.id], changeType: change.type, subscriptionId: resource.id })
+            };
+
+            if (resource.secret) {
+                request.headers[internals.secretHeader] = resource.secret;
+            }
+
+            process.nextTick(() => this.emit('notification', request));
+        });
+    }
+
+    /**
+     * @param {String} methodName
+     * @returns {Fault | undefined}
+     */
+    _takeFault(methodName) {
+
+        const fault = this.faults.find((candidate) => !candidate.method || candidate.method === methodName);
+
+        if (!fault) {
+            return;
+        }
+
+        fault.times -= 1;
+
+        if (fault.times <= 0) {
+            this.faults.splice(this.faults.indexOf(fault), 1);
+        }
+
+        return fault;
+    }
+
+    /**
+     * @param {Object} mailbox
+     * @param {String} id - Thread id
+     * @param {{ includeDrafts: Boolean? }} params
+     * @returns {ThreadResource}
+     */
+    _createThread(mailbox, id, params) {
+
+        const messages = mailbox.messages
+            .filter((message) => message.service_thread_id === id)
+            .filter((message) => params.includeDrafts || !internals.isInFolder(message, 'drafts'));
+
+        return Utils.createThread(id, this.name, messages.map(internals.copyMessage));
+    }
+
+    /**
+     * Creates a message from the sendMessage params
+     *
+     * @param {Auth} auth
+     * @param {Object} params - Same as sendMessage
+     * @param {Object} existing - Properties to keep, e.g. the folders, or the ids of the draft that is updated
+     * @returns {MessageResource}
+     */
+    _composeMessage(auth, params, existing) {
+
+        const body = [];
+
+        if (params.text) {
+            body.push({ type: 'text/plain', content: params.text });
+        }
+
+        if (params.html) {
+            body.push({ type: 'text/html', content: params.html });
+        }
+
+        return this._normalizeMessage({
+            service_message_id: existing.service_message_id,
+            email_message_id: existing.email_message_id,
+            subject: params.subject,
+            body,
+            in_reply_to: params.inReplyTo || null,
+            service_thread_id: params.threadId || existing.service_thread_id,
+            folders: existing.folders,
+            addresses: {
+                from: params.from || { email: auth.email || `${auth.mailbox || 'default'}@memory.local` },
+                to: params.to || [],
+                cc: params.cc || [],
+                bcc: params.bcc || []
+            },
+            files: (params.attachments || []).map((attachment) => {
+
+                return {
+                    file_name: attachment.name,
+                    data: attachment.contentBytes,
+                    size: attachment.contentBytes ? Buffer.from(attachment.contentBytes, 'base64').length : 0
+                };
+            })
+        });
+    }
+
+    /**
+     * @param {Object} message - (Partial) unified message resource
+     * @returns {MessageResource}
+     */
+    _normalizeMessage(message) {
+
+        const id = message.service_message_id || `memory-message-${++this.counter}`;
+        const addresses = message.addresses || {};
+        const normalizedAddresses = {
+            from: internals.normalizeRecipients(addresses.from)[0] || {},
+            to: internals.normalizeRecipients(addresses.to),
+            cc: internals.normalizeRecipients(addresses.cc),
+            bcc: internals.normalizeRecipients(addresses.bcc)
+        };
+
+        const normalizedMessage = {
+            service_type: this.name,
+            service_message_id: id,
+            service_thread_id: message.service_thread_id || id,
+            email_message_id: message.email_message_id || `<${Crypto.randomBytes(8).toString('hex')}@memory.local>`,
+            subject: message.subject || null,
+            date: new Date(message.date || Date.now()).getTime(),
+            folders: message.folders || ['inbox'],
+            headers: message.headers || {},
+            body: message.body || [],
+            in_reply_to: message.in_reply_to || null,
+            addresses: normalizedAddresses,
+            unread: Boolean(message.unread),
+            starred: Boolean(message.starred),
+            files: []
+        };
+
+        normalizedMessage.files = (message.files || []).map((file, index) => {
+
+            return {
+                type: file.type || 'application/octet-stream',
+                size: file.size === undefined ? Buffer.from(file.data || '', 'base64').length : file.size,
+                file_name: file.file_name || null,
+                content_id: file.content_id || null,
+                content_disposition: file.content_disposition || 'attachment',
+                service_file_id: file.service_file_id || `${id}-file-${index}`,
+                is_embedded: Boolean(file.is_embedded),
+                service_message_id: id,
+                service_thread_id: normalizedMessage.service_thread_id,
+                email_message_id: normalizedMessage.email_message_id,
+                service_type: this.name,
+                addresses: normalizedAddresses,
+                date: normalizedMessage.date,
+                data: file.data
+            };
+        });
+
+        normalizedMessage.attachments = normalizedMessage.files.length > 0;
+
+        return normalizedMessage;
+    }
+
+    /**
+     * @param {String | Object} folder - Folder name or (partial) folder resource
+     * @returns {FolderResource}
+     */
+    _normalizeFolder(folder) {
+
+        if (typeof folder === 'string') {
+            folder = { id: folder, name: folder };
+        }
+
+        const role = folder.role === undefined ? folder.id.toLowerCase() : folder.role;
+
+        return {
+            id: folder.id,
+            name: folder.name || folder.id,
+            role: internals.defaultFolders.includes(role) || ['important', 'starred', 'outbox'].includes(role) ? role : null,
+            parent_id: folder.parent_id || null,
+            total_count: null,
+            unread_count: null,
+            service_type: this.name
+        };
+    }
+}
+
+/* Internal utility functions */
+
+/**
+ * @param {Object} mailbox
+ * @param {'created' | 'updated' | 'deleted'} type
+ * @param {String} id - Message id
+ * @returns {void}
+ */
+internals.recordChange = (mailbox, type, id) => {
+
+    mailbox.changes.push({ type, id });
+    mailbox.notify({ type, id });
+};
+
+/**
+ * @param {Object} mailbox
+ * @param {FolderResource} folder
+ * @returns {FolderResource} A copy of the folder with the counts calculated from the messages in the mailbox
+ */
+internals.countFolder = (mailbox, folder) => {
+
+    const messages = mailbox.messages.filter((message) => internals.isInFolder(message, folder.id) || (folder.role && internals.isInFolder(message, folder.role)));
+
+    return {
+        ...folder,
+        total_count: messages.length,
+        unread_count: messages.filter((message) => message.unread).length
+    };
+};
+
+/**
+ * @throws
+ *
+ * @param {Object} mailbox
+ * @param {String} id
+ * @returns {FolderResource} The folder, when it isn't a folder with a role
+ */
+internals.findUserFolder = (mailbox, id) => {
+
+    const folder = mailbox.folders.find((candidate) => candidate.id === id);
+
+    if (!folder) {
+        throw Boom.notFound(`Folder ${id} not found`);
+    }
+
+    if (folder.role) {
+        throw Boom.badRequest(`Folder ${id} is a system folder and can't be changed`);
+    }
+
+    return folder;
+};
+
+/**
+ * @param {Object} mailbox
+ * @param {FolderResource} folder
+ * @returns {Array.<FolderResource>} The subfolders of the folder, at any depth
+ */
+internals.getDescendants = (mailbox, folder) => {
+
+    const children = mailbox.folders.filter((candidate) => candidate.parent_id === folder.id);
+
+    return children.flatMap((child) => [child, ...internals.getDescendants(mailbox, child)]);
+};
+
+/**
+ * @throws
+ *
+ * @param {Object} mailbox
+ * @param {String} name
+ * @param {String?} parentId
+ * @returns {void}
+ */
+internals.assertUniqueName = (mailbox, name, parentId) => {
+
+    if (mailbox.folders.some((folder) => folder.name.toLowerCase() === name.toLowerCase() && folder.parent_id === parentId)) {
+        throw Boom.conflict(`Folder ${name} already exists`);
+    }
+};
+
+internals.capabilities = {
+    filters: {
+        from: { supported: true, note: 'Matches any part of the address' },
+        to: { supported: true, note: 'Matches any part of a to or cc address' },
+        subject: { supported: true },
+        participants: { supported: true },
+        hasAttachment: { supported: true },
+        before: { supported: true },
+        after: { supported: true },
+        folder: { supported: true },
+        includeDrafts: { supported: true },
+        q: { supported: true },
+        query: { supported: true }
+    },
+    max_page_size: 1000,
+    push: true,
+    delta_sync: true
+};
+
+internals.secretHeader = 'x-memory-secret';
+
+/**
+ * @param {Fault} fault
+ * @returns {import('@hapi/boom').Boom}
+ */
+internals.faultError = (fault) => {
+
+    const statusCode = fault.statusCode || 500;
+    const error = new Boom.Boom(fault.message || `Injected ${statusCode} fault`, { statusCode });
+
+    if (statusCode === 429) {
+        error.output.headers['Retry-After'] = '1';
+    }
+
+    return error;
+};
+
+/**
+ * @param {Auth} auth
+ * @returns {Boolean}
+ */
+internals.isExpired = (auth) => {
+
+    return !auth.access_token || (Boolean(auth.expiration_date) && new Date(auth.expiration_date) <= new Date());
+};
+
+/**
+ * @param {MessageResource} message
+ * @param {String} folder
+ * @returns {Boolean}
+ */
+internals.isInFolder = (message, folder) => {
+
+    return message.folders.some((messageFolder) => messageFolder.toLowerCase() === folder.toLowerCase());
+};
+
+/**
+ * @param {Object} mailbox
+ * @param {MessageResource} message
+ * @param {import('./query').QueryNode | null} query
+ * @returns {Boolean}
+ */
+internals.matchesQuery = (mailbox, message, query) => {
+
+    // The query matches folder roles, messages can also refer to folders by id
+    const folders = message.folders.map((messageFolder) => {
+
+        const folder = mailbox.folders.find((candidate) => internals.isFolder(candidate, messageFolder));
+        return (folder && folder.role) || messageFolder;
+    });
+
+    const size = message.body.reduce((total, body) => total + Buffer.byteLength(body.content || ''), 0) + message.files.reduce((total, file) => total + file.size, 0);
+
+    return Query.matches({ ...message, folders, size }, query);
+};
+
+/**
+ * @throws 404 when the file doesn't exist
+ *
+ * @param {Object} mailbox
+ * @param {{ id: String, messageId: String? }} params - The getFile params
+ * @returns {FileResource} The stored file, including its data
+ */
+internals.findFile = (mailbox, params) => {
+
+    const messages = params.messageId ? [internals.findMessage(mailbox, params.messageId)] : mailbox.messages;
+    const file = messages.flatMap((message) => message.files).find((candidate) => candidate.service_file_id === params.id);
+
+    if (!file) {
+        throw Boom.notFound('Attachment not found');
+    }
+
+    return file;
+};
+
+/**
+ * Messages refer to folders by id or by role
+ *
+ * @param {FolderResource} folder
+ * @param {String} messageFolder
+ * @returns {Boolean}
+ */
+internals.isFolder = (folder, messageFolder) => {
+
+    return messageFolder.toLowerCase() === folder.id.toLowerCase() || (Boolean(folder.role) && messageFolder.toLowerCase() === folder.role);
+};
+
+/**
+ * @throws
+ *
+ * @param {Object} mailbox
+ * @param {String} id
+ * @returns {MessageResource}
+ */
+internals.findMessage = (mailbox, id) => {
+
+    const message = mailbox.messages.find((candidate) => candidate.service_message_id === id);
+
+    if (!message) {
+        throw Boom.notFound('Message not found');
+    }
+
+    return message;
+};
+
+/**
+ * @throws
+ *
+ * @param {Object} mailbox
+ * @param {String} id
+ * @returns {{ url: String, resource: SubscriptionResource }}
+ */
+internals.findSubscription = (mailbox, id) => {
+
+    const subscription = mailbox.subscriptions.get(id);
+
+    if (!subscription || (subscription.resource.expires_at && subscription.resource.expires_at <= new Date())) {
+        throw Boom.notFound('Subscription not found');
+    }
+
+    return subscription;
+};
+
+/**
+ * @throws
+ *
+ * @param {Object} mailbox
+ * @param {String} id - Draft id, which is the message id
+ * @returns {MessageResource}
+ */
+internals.findDraft = (mailbox, id) => {
+
+    const message = mailbox.messages.find((candidate) => candidate.service_message_id === id);
+
+    if (!message || !internals.isInFolder(message, 'drafts')) {
+        throw Boom.notFound('Draft not found');
+    }
+
+    return message;
+};
+
+/**
+ * Copies a stored message without the file data, like list calls of the real connectors
+ *
+ * @param {MessageResource} message
+ * @returns {MessageResource}
+ */
+internals.copyMessage = (message) => {
+
+    return {
+        ...message,
+        files: message.files.map((file) => _.omit(file, 'data'))
+    };
+};
+
+/**
+ * @param {MessageResource} message
+ * @returns {DraftResource}
+ */
+internals.copyDraft = (message) => {
+
+    return {
+        ...internals.copyMessage(message),
+        service_draft_id: message.service_message_id
+    };
+};
+
+/**
+ * @param {MessageRecipient | Array.<MessageRecipient | String> | String} [recipients]
+ * @returns {Array.<{ name: String, email: String }>}
+ */
+internals.normalizeRecipients = (recipients) => {
+
+    return (Array.isArray(recipients) ? recipients : [recipients]).filter(Boolean).map((recipient) => {
+
+        if (typeof recipient === 'string') {
+            return { name: '', email: recipient.toLowerCase() };
+        }
+
+        return { name: recipient.name || '', email: recipient.email.toLowerCase() };
+    });
+};
+
+module.exports = MemoryConnector;
@@ -1,10 +1,14 @@
 'use strict';
 
+const Crypto = require('crypto');
 const EventEmitter = require('events');
 const Async = require('async');
 
 const Nylas = require('nylas').default;
 const Boom = require('@hapi/boom');
+const Wreck = require('@hapi/wreck');
+
+const Utils = require('./utils');
 
 const internals = {
     folderMap: {
@@ -20,29 +24,45 @@ const internals = {
 /**
  * @typedef {import('./index').MessageResource} MessageResource
  * @typedef {import('./index').MessageListResource} MessageListResource
+ * @typedef {import('./index').BatchResultResource} BatchResultResource
+ * @typedef {import('./index').DraftResource} DraftResource
+ * @typedef {import('./index').DraftListResource} DraftListResource
  * @typedef {import('./index').FileResource} FileResource
  * @typedef {import('./index').FileListResource} FileListResource
  * @typedef {import('./index').MessageRecipient} MessageRecipient
+ * @typedef {import('./index').FolderResource} FolderResource
+ * @typedef {import('./index').ThreadResource} ThreadResource
+ * @typedef {import('./index').ThreadListResource} ThreadListResource
+ * @typedef {import('./index').SubscriptionResource} SubscriptionResource
+ * @typedef {import('./index').NotificationRequest} NotificationRequest
+ * @typedef {import('./index').NotificationListResource} NotificationListResource
  */
 
 class NylasV3Connector extends EventEmitter {
 
     /**
      * @class
+     * @throws
      *
      * @param {Object} config - Configuration object
-     * @param {String} config.clientId
-     * @param {String} config.clientSecret
+     * @param {String} config.apiKey
+     * @param {String} [config.apiUri] - Defaults to the US region of the Nylas API
+     * @param {String} [config.clientId]
      */
     constructor(config) {
 
         super();
 
+        if (!config || !config.apiKey) {
+            throw new Error('Invalid configuration. Please refer to the documentation to get the required fields.');
+        }
+
         this.apiKey = config.apiKey;
         this.apiUri = config.apiUri;
         this.clientId = config.clientId;
 
         this.name = 'nylas-v3';
+        this.capabilities = internals.capabilities;
 
         const nylasConfig = {
             apiKey: this.apiKey,
@@ -51,11 +71,6 @@ class NylasV3Connector extends EventEmitter {
         };
 
         internals.nylas = new Nylas(nylasConfig);
-
-        internals.nylas.applications.getDetails({
-            redirectUris: [config.callbackUri]
-        });
-        // Response ?
     }
 
     /* MESSAGES */
@@ -106,34 +121,7 @@ class NylasV3Connector extends EventEmitter {
                 return callback(null, internals.generateMIMEMessage(response.data));
             }
 
-            const message = response.data;
-
-            const messageIdHeader = message.headers.find((header) => header.name === 'Message-Id');
-            message.email_message_id = messageIdHeader ? messageIdHeader.value : null;
-
-            const inReplyToHeader = message.headers.find((header) => header.name === 'In-Reply-To');
-
-            if (inReplyToHeader && inReplyToHeader.value?.length > 0) {
-                message.in_reply_to = inReplyToHeader.value;
-            }
-            else {
-                message.in_reply_to = null;
-            }
-
-            if (message.attachments && message.attachments.length > 0) {
-                message.files = message.attachments.map((file) => {
-
-                    const fileObject = {
-                        message,
-                        metadata: file
-                    };
-
-                    return this._transformFiles(fileObject)[0];
-                }).filter((x) => !!x);
-            }
-            else {
-                message.files = [];
-            }
+            const message = this._prepareMessage(response.data);
 
             return internals.getFolders(auth, (err, folders) => {
 
@@ -336,34 +324,7 @@ class NylasV3Connector extends EventEmitter {
 
                     responseObject.messages = responseObject.messages.map((message) => {
 
-                        const messageIdHeader = message.headers.find((header) => header.name === 'Message-Id');
-                        message.email_message_id = messageIdHeader ? messageIdHeader.value : null;
-
-                        const inReplyToHeader = message.headers.find((header) => header.name === 'In-Reply-To');
-
-                        if (inReplyToHeader && inReplyToHeader.value?.length > 0) {
-                            message.in_reply_to = inReplyToHeader.value;
-                        }
-                        else {
-                            message.in_reply_to = null;
-                        }
-
-                        if (message.attachments && message.attachments.length > 0) {
-                            message.files = message.attachments.map((file) => {
-
-                                const fileObject = {
-                                    message,
-                                    metadata: file
-                                };
-
-                                return this._transformFiles(fileObject)[0];
-                            }).filter((x) => !!x);
-                        }
-                        else {
-                            message.files = [];
-                        }
-
-                        return this._transformMessages(message, folders)[0];
+                        return this._transformMessages(this._prepareMessage(message), folders)[0];
                     });
                     return callback(null, responseObject);
                 });
@@ -402,78 +363,73 @@ class NylasV3Connector extends EventEmitter {
         }
     }
 
-    sendMessage(auth, params, options, callback) {
-
-        const err = new Error('Not implemented');
-        return callback(err);
-    }
-
-    /* FILES */
-
     /**
+     * Sends a message
+     *
      * @param {Object} auth - Authentication object
      * @param {String} auth.access_token - Access token
-     * @param {String} auth.refresh_token - Refresh token
-     * @param {Object} params - same as listMessages
+     *
+     * @param {Object} params
+     * @param {String} params.text - Plain text content of message, only used when there is no html
+     * @param {String} params.html - Html content of message
+     * @param {String} params.subject - Subject of message
+     * @param {String} params.inReplyTo - The Nylas id of the message this message is replying to
+     * @param {MessageRecipient} params.from
+     * @param {MessageRecipient[]} params.to
+     * @param {MessageRecipient[]} params.cc
+     * @param {MessageRecipient[]} params.bcc
+     * @param {{ name: String, url: String, contentBytes: String, contentType: String }[]} params.attachments - `contentBytes` is the base64 encoded content, otherwise the content is downloaded from `url`
+     *
      * @param {Object} options
-     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
-     * @param {function(Error?, FileListResource | { files: Array.<Object>, next_page_token: String? }):void} callback Returns an array of unified file resources when options.raw is falsy or the raw response of the API when truthy
+     *
+     * @param {function(Error?, String?):void} callback - Returns the email message id of the sent message
      *
      * @returns {void}
      */
-    //TODO: implement decent solution
-    listFiles(auth, params, options, callback) {
+    sendMessage(auth, params, options, callback) {
 
         if (typeof options === 'function') {
             callback = options;
             options = {};
         }
 
-        options = options || {};
-
-        params.hasAttachment = true;
-
-        return this.listMessages(auth, params, options, (err, response) => {
+        return this._composeRequestBody(params, (err, requestBody) => {
 
             if (err) {
                 return callback(err);
             }
 
-            return Async.reduce(response.messages, [], (files, message, callback) => {
-
-                return callback(null, [...files, ...message.files]);
-            }, (err, files) => {
+            return internals.nylas.messages.send({
+                identifier: auth.access_token,
+                requestBody
+            }).then((response) => {
 
-                if (err) {
-                    return callback(err);
-                }
+                return this._getSentMessageId(auth, response.data, callback);
+            }).catch((err) => {
 
-                return callback(null, { files, next_page_token: response.nextCursor });
+                return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
             });
         });
     }
 
     /**
-     *
-     * @throws
-     *
      * @param {Object} auth - Authentication object
      * @param {String} auth.access_token - Access token
      *
      * @param {Object} params
-     * @param {String} params.id - Nylas attachment id
+     * @param {String} params.id - Nylas message id
+     * @param {Boolean} [params.unread]
+     * @param {Boolean} [params.starred]
+     * @param {Array.<String | FolderResource>} [params.addFolders] - Folder ids or roles, or (partial) folder resources
+     * @param {Array.<String | FolderResource>} [params.removeFolders]
      *
      * @param {Object} options
-     * @param {Boolean} [options.raw] If true the response will not be transformed to the unified object
+     * @param {Boolean} [options.raw] - If true the updated message will not be transformed to the unified object
      *
-     * @param {function(Error, FileResource | Object):void} callback  Returns a unified file resource when options.raw is falsy or the raw response of the API when truthy
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
      * @returns {void}
      */
-    getFile(auth, params, options, callback) {
-
-        if (!params || !params.id || !params.messageId) {
-            throw new Error('Invalid configuration. Please refer to the documentation to get the required fields.');
-        }
+    updateMessage(auth, params, options, callback) {
 
         if (typeof options === 'function') {
             callback = options;
@@ -482,150 +438,1268 @@ class NylasV3Connector extends EventEmitter {
 
         options = options || {};
 
-        const fileObject = {};
+        const requestBody = {};
 
-        return internals.nylas.attachments.find({
-            identifier: auth.access_token,
-            attachmentId: params.id,
-            queryParams: {
-                messageId: encodeURIComponent(params.messageId)
-            }
-        }).then((response) => {
+        if (params.unread !== undefined) {
+            requestBody.unread = params.unread;
+        }
 
-            fileObject.metadata = response.data;
+        if (params.starred !== undefined) {
+            requestBody.starred = params.starred;
+        }
 
-            return internals.nylas.attachments.download({
-                identifier: auth.access_token,
-                attachmentId: params.id,
-                queryParams: {
-                    messageId: encodeURIComponent(params.messageId)
-                }
-            }).then((attachmentResponse) => {
+        return internals.getFolders(auth, (err, folders) => {
 
-                const chunks = [];
+            if (err) {
+                return callback(err);
+            }
 
-                attachmentResponse.on('data', (chunk) => chunks.push(chunk));
-                attachmentResponse.on('end', () => {
+            if (!params.addFolders && !params.removeFolders) {
+                return this._updateMessage(auth, params.id, requestBody, folders, options, callback);
+            }
 
-                    fileObject.download = Buffer.concat(chunks);
+            let addFolderIds;
+            let removeFolderIds;
 
-                    return internals.nylas.messages.find({
-                        identifier: auth.access_token,
-                        messageId: encodeURIComponent(params.messageId)
-                    }).then((messageResponse) => {
+            try {
+                const unifiedFolders = this._transformFolders(folders);
 
-                        fileObject.message = messageResponse.data;
+                addFolderIds = (params.addFolders || []).map((target) => Utils.findFolder(unifiedFolders, target).id);
+                removeFolderIds = (params.removeFolders || []).map((target) => Utils.findFolder(unifiedFolders, target).id);
+            }
+            catch (err) {
+                return callback(err);
+            }
 
-                        if (options.raw) {
-                            return callback(null, fileObject);
-                        }
+            // The folders of a message can only be replaced as a whole
+            return internals.nylas.messages.find({
+                identifier: auth.access_token,
+                messageId: encodeURIComponent(params.id)
+            }).then((response) => {
 
-                        return callback(null, this._transformFiles(fileObject)[0]);
-                    }).catch((err) => {
+                const currentFolderIds = response.data.folders.filter((folderId) => !removeFolderIds.includes(folderId));
+                requestBody.folders = [...new Set([...currentFolderIds, ...addFolderIds])];
 
-                        let statusCode = 500;
+                return this._updateMessage(auth, params.id, requestBody, folders, options, callback);
+            }).catch((err) => {
 
-                        if (err.message) {
-                            if (err.message.includes('Couldn\'t find')) {
-                                statusCode = 404;
-                            }
+                return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+            });
+        });
+    }
 
-                            if (err.message.includes('Too many concurrent query requests')) {
-                                statusCode = 429;
-                            }
-                        }
+    /**
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {String} params.id - Nylas message id
+     * @param {String | FolderResource} params.folder - Folder id or role, or a (partial) folder resource
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the moved message will not be transformed to the unified object
+     *
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
+     * @returns {void}
+     */
+    moveMessage(auth, params, options, callback) {
 
-                        return callback(Boom.boomify(err, { statusCode }));
-                    });
-                });
-            }).catch((err) => {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
 
-                let statusCode = 500;
+        options = options || {};
 
-                if (err.message) {
-                    if (err.message.includes('Couldn\'t find')) {
-                        statusCode = 404;
-                    }
+        return internals.getFolders(auth, (err, folders) => {
 
-                    if (err.message.includes('Too many concurrent query requests')) {
-                        statusCode = 429;
-                    }
-                }
+            if (err) {
+                return callback(err);
+            }
 
-                return callback(Boom.boomify(err, { statusCode }));
-            });
-        }).catch((err) => {
+            let folder;
 
-            return callback(Boom.boomify(err, { statusCode: err.message.includes('Couldn\'t find') ? 404 : 500 }));
+            try {
+                folder = Utils.findFolder(this._transformFolders(folders), params.folder);
+            }
+            catch (err) {
+                return callback(err);
+            }
+
+            return this._updateMessage(auth, params.id, { folders: [folder.id] }, folders, options, callback);
         });
     }
 
+    /**
+     * Moves the message to the trash folder
+     *
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {String} params.id - Nylas message id
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the moved message will not be transformed to the unified object
+     *
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
+     * @returns {void}
+     */
+    trashMessage(auth, params, options, callback) {
 
-    /* TRANSFORMERS */
+        return this.moveMessage(auth, { ...params, folder: { role: 'trash' } }, options, callback);
+    }
 
     /**
-     * Transforms a raw Nylas API messages response to a unified message resource
+     * Nylas moves the message to the trash instead for some providers, e.g. Google and Microsoft
      *
-     * @param {Object[]} messagesArray - Array of messages in the format returned by the Nylas API
-     * @param {Object[]} folders - Array of folders in the format returned by the Nylas API
-     * @returns {Array.<MessageResource>} - Array of unified message resources
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {String} params.id - Nylas message id
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?):void} callback
+     * @returns {void}
      */
-    _transformMessages(messagesArray, folders) {
+    deleteMessage(auth, params, options, callback) {
 
-        if (!messagesArray || messagesArray.length === 0) {
-            return [];
+        if (typeof options === 'function') {
+            callback = options;
         }
 
-        const messages = Array.isArray(messagesArray) ? messagesArray : [messagesArray];
+        return internals.nylas.messages.destroy({
+            identifier: auth.access_token,
+            messageId: encodeURIComponent(params.id)
+        }).then(() => {
 
-        return messages.map((message) => {
+            return callback(null);
+        }).catch((err) => {
 
-            const formattedMessage = {
-                email_message_id: message.email_message_id,
-                service_message_id: message.id,
-                service_thread_id: message.threadId,
-                date: Number(message.date * 1000),
-                subject: message.subject,
-                folders: [],
-                attachments: message.files.length > 0,
-                body: [{ content: message.body, type: 'text/html' }],
-                addresses: internals.getAddressesObject(message),
-                in_reply_to: message.in_reply_to,
-                service_type: this.name,
-                headers: message.headers,
-                files: message.files
-            };
+            return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+        });
+    }
 
-            if (message.folders) {
-                formattedMessage.folders = message.folders.map((folder) => {
+    /**
+     * @param {Object} auth
+     * @param {String} id - Nylas message id
+     * @param {{ unread: Boolean?, starred: Boolean?, folders: Array.<String>? }} requestBody
+     * @param {Object[]} folders - Array of folders in the format returned by the Nylas API
+     * @param {{ raw: Boolean? }} options
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
+     * @returns {void}
+     */
+    _updateMessage(auth, id, requestBody, folders, options, callback) {
 
-                    const messageFolder = folders.find((f) => f.id === folder);
-                    const commonName = Object.values(internals.folderMap).find((value) => messageFolder.attributes.includes(value));
-                    if (commonName) {
-                        const folderName = commonName.replace('\\', '');
-                        return folderName;
-                    }
+        return internals.nylas.messages.update({
+            identifier: auth.access_token,
+            messageId: encodeURIComponent(id),
+            requestBody
+        }).then((response) => {
 
-                    return messageFolder.name;
-                });
+            if (options.raw) {
+                return callback(null, response.data);
             }
 
-            if (message.textBody) {
-                formattedMessage.body.push(message.textBody);
-            }
+            // Updates don't return the headers
+            return callback(null, this._transformMessages(this._prepareMessage({ headers: [], ...response.data }), folders)[0]);
+        }).catch((err) => {
 
-            return formattedMessage;
+            return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
         });
     }
 
     /**
-     * Transforms a raw Nylas API response to a unified file resource
+     * The Nylas API has no batch endpoint, so the messages are fetched a few at a time
      *
-     * @param {Array.<Object> | Object} filesArray - Array of messages in the format returned by the Nylas API
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
      *
-     * @returns {Array.<FileResource>} - Array of unified file resources
-     * TODO: test inline attachments
-     */
+     * @param {Object} params
+     * @param {Array.<String>} params.ids - Nylas message ids
+     *
+     * @param {Object} options - Same as getMessage
+     *
+     * @param {function(Error?, BatchResultResource?):void} callback
+     * @returns {void}
+     */
+    batchGetMessages(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        return Utils.batch(params.ids, (id, next) => this.getMessage(auth, { id }, options, next), callback);
+    }
+
+    /**
+     * The Nylas API has no batch endpoint, so the messages are updated a few at a time
+     *
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params - Same as updateMessage, with the message ids as `ids`
+     * @param {Array.<String>} params.ids - Nylas message ids
+     *
+     * @param {Object} options - Same as updateMessage
+     *
+     * @param {function(Error?, BatchResultResource?):void} callback
+     * @returns {void}
+     */
+    batchUpdateMessages(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        const { ids, ...changes } = params;
+
+        return Utils.batch(ids, (id, next) => this.updateMessage(auth, { ...changes, id }, options, next), callback);
+    }
+
+    /**
+     * Sending only returns the Nylas message so we fetch the message afterwards to return the email message id
+     *
+     * @param {Object} auth
+     * @param {{ id: String }} sentMessage - The Nylas message returned by sending
+     * @param {function(Error?, String?):void} callback - Returns null as email message id when the message can't be fetched
+     * @returns {void}
+     */
+    _getSentMessageId(auth, sentMessage, callback) {
+
+        return this.getMessage(auth, { id: sentMessage.id }, {}, (err, message) => {
+
+            // The message was still sent, so we notify this without failing the call
+            // The emit allows the caller to still log non-blocking errors
+            if (err) {
+                err.id = sentMessage.id;
+                this.emit('error', err);
+
+                return callback(null, null);
+            }
+
+            return callback(null, message.email_message_id);
+        });
+    }
+
+    /**
+     * Converts the sendMessage params to a Nylas request body, downloading the attachments that are passed as url
+     *
+     * @param {Object} params - The sendMessage params, recipients are optional for drafts
+     * @param {function(Error?, Object?):void} callback
+     * @returns {void}
+     */
+    _composeRequestBody(params, callback) {
+
+        return Async.map(params.attachments || [], (attachment, callback) => {
+
+            const contentType = attachment.contentType || 'application/octet-stream';
+
+            if (attachment.contentBytes) {
+                return callback(null, { filename: attachment.name, contentType, content: attachment.contentBytes });
+            }
+
+            return Wreck.get(attachment.url).then((result) => {
+
+                return process.nextTick(() => callback(null, { filename: attachment.name, contentType, content: Buffer.from(result.payload).toString('base64') }));
+            }).catch((err) => {
+
+                return process.nextTick(() => callback(Boom.boomify(err, { statusCode: 500 })));
+            });
+        }, (err, attachments) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            const requestBody = {
+                from: params.from ? [internals.toNylasRecipient(params.from)] : undefined,
+                to: params.to ? params.to.map(internals.toNylasRecipient) : undefined,
+                cc: params.cc ? params.cc.map(internals.toNylasRecipient) : undefined,
+                bcc: params.bcc ? params.bcc.map(internals.toNylasRecipient) : undefined,
+                subject: params.subject,
+                body: params.html || params.text,
+                replyToMessageId: params.inReplyTo || undefined,
+                attachments: attachments.length > 0 ? attachments : undefined
+            };
+
+            return callback(null, Object.fromEntries(Object.entries(requestBody).filter(([, value]) => value !== undefined)));
+        });
+    }
+
+    /* DRAFTS */
+
+    /**
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params - Same as sendMessage, recipients are optional
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the created draft will not be transformed to the unified object
+     *
+     * @param {function(Error?, (DraftResource | Object)?):void} callback
+     * @returns {void}
+     */
+    createDraft(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this._composeRequestBody(params, (err, requestBody) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            return internals.nylas.drafts.create({
+                identifier: auth.access_token,
+                requestBody
+            }).then((response) => {
+
+                return this._transformDraft(auth, response.data, options, callback);
+            }).catch((err) => {
+
+                return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+            });
+        });
+    }
+
+    /**
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params - Same as createDraft
+     * @param {String} params.id - Nylas draft id
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the updated draft will not be transformed to the unified object
+     *
+     * @param {function(Error?, (DraftResource | Object)?):void} callback
+     * @returns {void}
+     */
+    updateDraft(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this._composeRequestBody(params, (err, requestBody) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            return internals.nylas.drafts.update({
+                identifier: auth.access_token,
+                draftId: encodeURIComponent(params.id),
+                requestBody
+            }).then((response) => {
+
+                return this._transformDraft(auth, response.data, options, callback);
+            }).catch((err) => {
+
+                return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+            });
+        });
+    }
+
+    /**
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {String} params.id - Nylas draft id
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     *
+     * @param {function(Error?, (DraftResource | Object)?):void} callback
+     * @returns {void}
+     */
+    getDraft(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return internals.nylas.drafts.find({
+            identifier: auth.access_token,
+            draftId: encodeURIComponent(params.id)
+        }).then((response) => {
+
+            return this._transformDraft(auth, response.data, options, callback);
+        }).catch((err) => {
+
+            return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+        });
+    }
+
+    /**
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     * @param {Object} params
+     * @param {Number} params.limit - Maximum amount of drafts in response, max = 100
+     * @param {String} params.pageToken - Token used to retrieve a certain page in the list
+     * @param {String[]} params.participants - Array of email addresses: only return drafts where at least one of these participants is involved
+     * @param {String} params.subject
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the drafts will not be transformed to the unified object
+     * @param {Boolean} [options.idsOnly] - If true the response will only contain the ids of the drafts
+     *
+     * @param {function(Error?, (DraftListResource | { drafts: Array.<Object | String>, next_page_token: String? })?):void} callback
+     * @returns {void}
+     */
+    listDrafts(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const nylasParams = {
+            limit: params.limit,
+            subject: params.subject,
+            any_email: Array.isArray(params.participants) ? params.participants.join(',') : undefined,
+            page_token: params.pageToken
+        };
+
+        return internals.nylas.drafts.list({
+            identifier: auth.access_token,
+            queryParams: Object.fromEntries(Object.entries(nylasParams).filter(([, value]) => value !== undefined))
+        }).then((response) => {
+
+            const responseObject = {
+                drafts: response.data.map((draft) => draft.id)
+            };
+
+            if (response.nextCursor) {
+                responseObject.next_page_token = response.nextCursor;
+            }
+
+            if (options.idsOnly) {
+                return callback(null, responseObject);
+            }
+
+            if (options.raw) {
+                responseObject.drafts = response.data;
+
+                return callback(null, responseObject);
+            }
+
+            return internals.getFolders(auth, (err, folders) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                responseObject.drafts = response.data.map((draft) => internals.toDraftResource(this._transformMessages(this._prepareMessage({ headers: [], ...draft }), folders)[0], draft));
+
+                return callback(null, responseObject);
+            });
+        }).catch((err) => {
+
+            return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+        });
+    }
+
+    /**
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {String} params.id - Nylas draft id
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?, String?):void} callback - Returns the email message id of the sent message, like sendMessage
+     * @returns {void}
+     */
+    sendDraft(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return internals.nylas.drafts.send({
+            identifier: auth.access_token,
+            draftId: encodeURIComponent(params.id)
+        }).then((response) => {
+
+            return this._getSentMessageId(auth, response.data, callback);
+        }).catch((err) => {
+
+            return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+        });
+    }
+
+    /**
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {String} params.id - Nylas draft id
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?):void} callback
+     * @returns {void}
+     */
+    deleteDraft(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return internals.nylas.drafts.destroy({
+            identifier: auth.access_token,
+            draftId: encodeURIComponent(params.id)
+        }).then(() => {
+
+            return callback(null);
+        }).catch((err) => {
+
+            return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+        });
+    }
+
+    /**
+     * @param {Object} auth
+     * @param {Object} draft - Draft in the format returned by the Nylas API
+     * @param {{ raw: Boolean? }} options
+     * @param {function(Error?, (DraftResource | Object)?):void} callback
+     * @returns {void}
+     */
+    _transformDraft(auth, draft, options, callback) {
+
+        if (options.raw) {
+            return callback(null, draft);
+        }
+
+        return internals.getFolders(auth, (err, folders) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            // Drafts don't have headers
+            return callback(null, internals.toDraftResource(this._transformMessages(this._prepareMessage({ headers: [], ...draft }), folders)[0], draft));
+        });
+    }
+
+    /* FILES */
+
+    /**
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     * @param {String} auth.refresh_token - Refresh token
+     * @param {Object} params - same as listMessages
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     * @param {function(Error?, FileListResource | { files: Array.<Object>, next_page_token: String? }):void} callback Returns an array of unified file resources when options.raw is falsy or the raw response of the API when truthy
+     *
+     * @returns {void}
+     */
+    //TODO: implement decent solution
+    listFiles(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        params.hasAttachment = true;
+
+        return this.listMessages(auth, params, options, (err, response) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            return Async.reduce(response.messages, [], (files, message, callback) => {
+
+                return callback(null, [...files, ...message.files]);
+            }, (err, files) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                return callback(null, { files, next_page_token: response.nextCursor });
+            });
+        });
+    }
+
+    /**
+     *
+     * @throws
+     *
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {String} params.id - Nylas attachment id
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] If true the response will not be transformed to the unified object
+     *
+     * @param {function(Error, FileResource | Object):void} callback  Returns a unified file resource when options.raw is falsy or the raw response of the API when truthy
+     * @returns {void}
+     */
+    getFile(auth, params, options, callback) {
+
+        if (!params || !params.id || !params.messageId) {
+            throw new Error('Invalid configuration. Please refer to the documentation to get the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const fileObject = {};
+
+        return internals.nylas.attachments.find({
+            identifier: auth.access_token,
+            attachmentId: params.id,
+            queryParams: {
+                messageId: encodeURIComponent(params.messageId)
+            }
+        }).then((response) => {
+
+            fileObject.metadata = response.data;
+
+            return internals.nylas.attachments.download({
+                identifier: auth.access_token,
+                attachmentId: params.id,
+                queryParams: {
+                    messageId: encodeURIComponent(params.messageId)
+                }
+            }).then((attachmentResponse) => {
+
+                const chunks = [];
+
+                attachmentResponse.on('data', (chunk) => chunks.push(chunk));
+                attachmentResponse.on('end', () => {
+
+                    fileObject.download = Buffer.concat(chunks);
+
+                    return internals.nylas.messages.find({
+                        identifier: auth.access_token,
+                        messageId: encodeURIComponent(params.messageId)
+                    }).then((messageResponse) => {
+
+                        fileObject.message = messageResponse.data;
+
+                        if (options.raw) {
+                            return callback(null, fileObject);
+                        }
+
+                        return callback(null, this._transformFiles(fileObject)[0]);
+                    }).catch((err) => {
+
+                        let statusCode = 500;
+
+                        if (err.message) {
+                            if (err.message.includes('Couldn\'t find')) {
+                                statusCode = 404;
+                            }
+
+                            if (err.message.includes('Too many concurrent query requests')) {
+                                statusCode = 429;
+                            }
+                        }
+
+                        return callback(Boom.boomify(err, { statusCode }));
+                    });
+                });
+            }).catch((err) => {
+
+                let statusCode = 500;
+
+                if (err.message) {
+                    if (err.message.includes('Couldn\'t find')) {
+                        statusCode = 404;
+                    }
+
+                    if (err.message.includes('Too many concurrent query requests')) {
+                        statusCode = 429;
+                    }
+                }
+
+                return callback(Boom.boomify(err, { statusCode }));
+            });
+        }).catch((err) => {
+
+            return callback(Boom.boomify(err, { statusCode: err.message.includes('Couldn\'t find') ? 404 : 500 }));
+        });
+    }
+
+
+    /* FOLDERS */
+
+    /**
+     * Returns the list of folders for the Nylas grant, transformed into the unified folder shape.
+     *
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} [params]
+     *
+     * @param {Object} [options]
+     * @param {Boolean} [options.raw] - If true the raw Nylas folders are returned instead of the unified shape
+     *
+     * @param {function(Error?, (Array.<FolderResource> | Array.<Object>)?):void} callback - Returns an array of unified folder resources when options.raw is falsy or the raw folders when truthy
+     *
+     * @returns {void}
+     */
+    listFolders(auth, params, options, callback) {
+
+        if (typeof params === 'function') {
+            callback = params;
+            params = {};
+            options = {};
+        }
+        else if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return internals.nylas.folders.list({
+            identifier: auth.access_token,
+            queryParams: { limit: 200 }
+        }).then((folderResponse) => {
+
+            if (options.raw) {
+                return callback(null, folderResponse.data);
+            }
+
+            return callback(null, this._transformFolders(folderResponse.data));
+        }).catch((err) => {
+
+            return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+        });
+    }
+
+    /* THREADS */
+
+    /**
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     * @param {Object} params
+     * @param {Number} params.limit - Maximum amount of threads in response, max = 100
+     * @param {Boolean} params.hasAttachment - If true, only return threads with attachments
+     * @param {Date} params.before - Only return threads with a latest message before this date
+     * @param {Date} params.after - Only return threads with a latest message after this date
+     * @param {String} params.pageToken - Token used to retrieve a certain page in the list
+     * @param {String} params.from - Only return threads with a message sent from this address
+     * @param {String} params.to - Only return threads with a message sent to this address
+     * @param {String[]} params.participants - Array of email addresses: only return threads where at least one of these participants is involved, max 25
+     * @param {String} params.folder - Only return threads in this folder
+     * @param {String} params.subject
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the messages will not be transformed to the unified object
+     * @param {Boolean} [options.idsOnly] - If true the response will only contain the ids of the threads
+     *
+     * @param {function(Error?, (ThreadListResource | { threads: Array.<Object | String>, next_page_token: String? })?):void} callback
+     * @returns {void}
+     */
+    listThreads(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return internals.getFolders(auth, (err, folders) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            let folderId;
+
+            if (params.folder) {
+                const nylasFolder = folders.find((folder) => folder.attributes.includes(internals.folderMap[params.folder]));
+
+                if (!nylasFolder) {
+                    return callback(Boom.notFound(`Folder ${params.folder} not found`));
+                }
+
+                folderId = nylasFolder.id;
+            }
+
+            const nylasParams = {
+                limit: params.limit,
+                latest_message_before: params.before ? Math.floor(new Date(params.before) / 1000) : undefined,
+                latest_message_after: params.after ? Math.floor(new Date(params.after) / 1000) : undefined,
+                to: params.to,
+                from: params.from,
+                subject: params.subject,
+                in: folderId,
+                has_attachment: params.hasAttachment ? true : (params.hasAttachment === false ? false : undefined),
+                any_email: Array.isArray(params.participants) ? params.participants.join(',') : undefined,
+                page_token: params.pageToken,
+                select: options.idsOnly ? 'id' : undefined
+            };
+
+            // Remove undefined values since Nylas API doesn't like them
+            const definedParams = Object.fromEntries(
+                Object.entries(nylasParams).filter(([, value]) => value !== undefined)
+            );
+
+            return internals.nylas.threads.list({
+                identifier: auth.access_token,
+                queryParams: definedParams
+            }).then((response) => {
+
+                const responseObject = {
+                    threads: response.data.map((thread) => thread.id)
+                };
+
+                if (response.nextCursor) {
+                    responseObject.next_page_token = response.nextCursor;
+                }
+
+                if (options.idsOnly) {
+                    return callback(null, responseObject);
+                }
+
+                return Async.mapLimit(responseObject.threads, 5, (id, callback) => {
+
+                    return this._getThread(auth, id, folders, options, callback);
+                }, (err, threads) => {
+
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    responseObject.threads = threads;
+
+                    return callback(null, responseObject);
+                });
+            }).catch((err) => {
+
+                return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+            });
+        });
+    }
+
+    /**
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {String} params.id - Nylas thread id
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the messages will not be transformed to the unified object
+     *
+     * @param {function(Error?, (ThreadResource | { id: String, messages: Array.<Object> })?):void} callback
+     * @returns {void}
+     */
+    getThread(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return internals.getFolders(auth, (err, folders) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            return this._getThread(auth, params.id, folders, options, (err, thread) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                if (thread.messages.length === 0) {
+                    return callback(Boom.notFound('Requested thread not found'));
+                }
+
+                return callback(null, thread);
+            });
+        });
+    }
+
+    /**
+     * Drafts are not returned, like with listMessages. Only the first 200 messages of a thread are returned.
+     *
+     * @param {Object} auth
+     * @param {String} id - Nylas thread id
+     * @param {Object[]} folders - Array of folders in the format returned by the Nylas API
+     * @param {{ raw: Boolean? }} options
+     * @param {function(Error?, (ThreadResource | { id: String, messages: Array.<Object> })?):void} callback
+     * @returns {void}
+     */
+    _getThread(auth, id, folders, options, callback) {
+
+        return internals.nylas.messages.list({
+            identifier: auth.access_token,
+            queryParams: { thread_id: id, fields: 'include_headers', limit: 200 }
+        }).then((response) => {
+
+            if (options.raw) {
+                return callback(null, { id, messages: response.data });
+            }
+
+            const messages = this._transformMessages(response.data.map((message) => this._prepareMessage(message)), folders);
+
+            return callback(null, Utils.createThread(id, this.name, messages));
+        }).catch((err) => {
+
+            return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+        });
+    }
+
+    /* SUBSCRIPTIONS */
+
+    /**
+     * Creates a webhook for created and updated messages.
+     * Nylas webhooks are for the whole application, the notifications of every grant are delivered to the url.
+     * Nylas verifies the url with a challenge first, so the url has to answer with `parseNotification` already.
+     * Webhooks don't expire, keep the `secret` of the subscription to verify the notifications with.
+     *
+     * @param {Object} auth - Not used, webhooks aren't tied to a grant
+     *
+     * @param {Object} params
+     * @param {String} params.url - Webhook url, has to be https
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     *
+     * @param {function(Error?, (SubscriptionResource | Object)?):void} callback
+     * @returns {void}
+     */
+    createSubscription(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        if (!params.url) {
+            throw new Error('Nylas subscriptions need a webhook url');
+        }
+
+        return internals.nylas.webhooks.create({
+            requestBody: {
+                triggerTypes: ['message.created', 'message.updated'],
+                webhookUrl: params.url,
+                description: 'unimail'
+            }
+        }).then((response) => {
+
+            return callback(null, options.raw ? response.data : internals.toSubscriptionResource(response.data));
+        }).catch((err) => {
+
+            return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+        });
+    }
+
+    /**
+     * Webhooks don't expire, so this only checks the webhook still exists
+     *
+     * @param {Object} auth - Not used, webhooks aren't tied to a grant
+     *
+     * @param {Object} params
+     * @param {String} params.id - Webhook id
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     *
+     * @param {function(Error?, (SubscriptionResource | Object)?):void} callback
+     * @returns {void}
+     */
+    renewSubscription(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return internals.nylas.webhooks.find({
+            webhookId: encodeURIComponent(params.id)
+        }).then((response) => {
+
+            return callback(null, options.raw ? response.data : internals.toSubscriptionResource(response.data));
+        }).catch((err) => {
+
+            return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+        });
+    }
+
+    /**
+     * @param {Object} auth - Not used, webhooks aren't tied to a grant
+     *
+     * @param {Object} params
+     * @param {String} params.id - Webhook id
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?):void} callback
+     * @returns {void}
+     */
+    deleteSubscription(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return internals.nylas.webhooks.destroy({
+            webhookId: encodeURIComponent(params.id)
+        }).then(() => {
+
+            return callback(null);
+        }).catch((err) => {
+
+            return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+        });
+    }
+
+    /**
+     * Verifies the signature of a webhook notification and parses it, challenges are answered with their challenge.
+     * Notifications about anything but messages, e.g. grants, are left out.
+     *
+     * @throws
+     *
+     * @param {null} auth - Notifications aren't tied to an auth object
+     *
+     * @param {NotificationRequest} params - The body has to be the raw body to verify the signature
+     *
+     * @param {Object} options
+     * @param {String} options.secret - The secret of the webhook
+     *
+     * @param {function(Error?, NotificationListResource?):void} callback
+     * @returns {void}
+     */
+    parseNotification(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        let request;
+
+        try {
+            request = Utils.parseNotificationRequest(params);
+        }
+        catch (err) {
+            return callback(err);
+        }
+
+        if (request.query.challenge) {
+            return callback(null, { notifications: [], response: Utils.notificationResponse(200, request.query.challenge) });
+        }
+
+        if (!options.secret) {
+            throw new Error('The webhook secret is needed to verify Nylas notifications');
+        }
+
+        const signature = Crypto.createHmac('sha256', options.secret).update(request.rawBody || '').digest('hex');
+
+        if (!request.rawBody || !Utils.secretsMatch(signature, request.headers['x-nylas-signature'])) {
+            return callback(Boom.unauthorized('Invalid signature'));
+        }
+
+        // Large messages are sent as e.g. `message.updated.truncated`
+        const [objectType, changeType] = (request.body.type || '').split('.');
+        const object = (request.body.data && request.body.data.object) || {};
+        const notifications = [];
+
+        if (objectType === 'message' && ['created', 'updated'].includes(changeType)) {
+            notifications.push({ accountId: object.grant_id || null, messageIds: object.id ? [object.id] : [], changeType, subscriptionId: null });
+        }
+
+        return callback(null, { notifications, response: Utils.notificationResponse(200) });
+    }
+
+    /**
+     * Transform raw service messages to unified messages.
+     * Folders are returned as Nylas folder ids since they can't be resolved without an API call.
+     *
+     * @param {Object} auth
+     * @param {Object} messages
+     * @returns {Array.<Object>}
+     */
+    transformMessages(auth, messages) {
+
+        const messagesArray = Array.isArray(messages) ? messages : [messages];
+
+        return this._transformMessages(messagesArray.map((message) => this._prepareMessage({ headers: [], ...message })), []);
+    }
+
+    /* TRANSFORMERS */
+
+    /**
+     * Adds the ids from the headers and the transformed files to a raw Nylas message, which `_transformMessages` expects
+     *
+     * @param {Object} message - Message in the format returned by the Nylas API
+     * @returns {Object}
+     */
+    _prepareMessage(message) {
+
+        const messageIdHeader = message.headers.find((header) => header.name === 'Message-Id');
+        message.email_message_id = messageIdHeader ? messageIdHeader.value : null;
+
+        const inReplyToHeader = message.headers.find((header) => header.name === 'In-Reply-To');
+
+        if (inReplyToHeader && inReplyToHeader.value?.length > 0) {
+            message.in_reply_to = inReplyToHeader.value;
+        }
+        else {
+            message.in_reply_to = null;
+        }
+
+        if (message.attachments && message.attachments.length > 0) {
+            message.files = message.attachments.map((file) => {
+
+                const fileObject = {
+                    message,
+                    metadata: file
+                };
+
+                return this._transformFiles(fileObject)[0];
+            }).filter((x) => !!x);
+        }
+        else {
+            message.files = [];
+        }
+
+        return message;
+    }
+
+    /**
+     * Transforms an array of raw Nylas folders into the unified folder shape.
+     *
+     * @param {Array.<Object>} folders - Raw folders returned by the Nylas API
+     * @returns {Array.<FolderResource>}
+     */
+    _transformFolders(folders) {
+
+        return (folders || []).map((folder) => {
+
+            const attribute = (folder.attributes || []).find((value) => internals.attributeToRole[value]);
+
+            return {
+                id: folder.id,
+                name: folder.name,
+                role: attribute ? internals.attributeToRole[attribute] : null,
+                parent_id: folder.parentId || null,
+                total_count: typeof folder.totalCount === 'number' ? folder.totalCount : null,
+                unread_count: typeof folder.unreadCount === 'number' ? folder.unreadCount : null,
+                service_type: this.name
+            };
+        });
+    }
+
+    /**
+     * Transforms a raw Nylas API messages response to a unified message resource
+     *
+     * @param {Object[]} messagesArray - Array of messages in the format returned by the Nylas API
+     * @param {Object[]} folders - Array of folders in the format returned by the Nylas API
+     * @returns {Array.<MessageResource>} - Array of unified message resources
+     */
+    _transformMessages(messagesArray, folders) {
+
+        if (!messagesArray || messagesArray.length === 0) {
+            return [];
+        }
+
+        const messages = Array.isArray(messagesArray) ? messagesArray : [messagesArray];
+
+        return messages.map((message) => {
+
+            const formattedMessage = {
+                email_message_id: message.email_message_id,
+                service_message_id: message.id,
+                service_thread_id: message.threadId,
+                date: Number(message.date * 1000),
+                subject: message.subject,
+                folders: [],
+                attachments: message.files.length > 0,
+                body: [{ content: message.body, type: 'text/html' }],
+                addresses: internals.getAddressesObject(message),
+                in_reply_to: message.in_reply_to,
+                service_type: this.name,
+                headers: message.headers,
+                files: message.files
+            };
+
+            if (message.folders) {
+                formattedMessage.folders = message.folders.map((folder) => {
+
+                    const messageFolder = folders.find((f) => f.id === folder);
+
+                    if (!messageFolder) {
+                        return folder;
+                    }
+
+                    const commonName = Object.values(internals.folderMap).find((value) => messageFolder.attributes.includes(value));
+                    if (commonName) {
+                        const folderName = commonName.replace('\\', '');
+                        return folderName;
+                    }
+
+                    return messageFolder.name;
+                });
+            }
+
+            if (message.textBody) {
+                formattedMessage.body.push(message.textBody);
+            }
+
+            return formattedMessage;
+        });
+    }
+
+    /**
+     * Transforms a raw Nylas API response to a unified file resource
+     *
+     * @param {Array.<Object> | Object} filesArray - Array of messages in the format returned by the Nylas API
+     *
+     * @returns {Array.<FileResource>} - Array of unified file resources
+     * TODO: test inline attachments
+     */
     _transformFiles(filesArray) {
 
         const files = Array.isArray(filesArray) ? filesArray : [filesArray];
@@ -685,6 +1759,89 @@ class NylasV3Connector extends EventEmitter {
 
 /* Internal utility functions */
 
+internals.capabilities = {
+    filters: {
+        from: { supported: true },
+        to: { supported: true },
+        subject: { supported: true },
+        participants: { supported: true },
+        hasAttachment: { supported: true },
+        before: { supported: true },
+        after: { supported: true },
+        folder: { supported: 'partial', values: Object.keys(internals.folderMap) }
+    },
+    max_page_size: 100,
+    push: true,
+    delta_sync: false
+};
+
+internals.attributeToRole = {
+    '\\Inbox': 'inbox',
+    '\\Sent': 'sent',
+    '\\Drafts': 'drafts',
+    '\\Trash': 'trash',
+    '\\Junk': 'spam',
+    '\\Archive': 'archive',
+    '\\Important': 'important',
+    '\\Flagged': 'starred'
+};
+
+/**
+ * @param {MessageResource} message - The transformed draft
+ * @param {Object} draft - Draft in the format returned by the Nylas API
+ * @returns {DraftResource}
+ */
+internals.toDraftResource = (message, draft) => {
+
+    return { ...message, service_draft_id: draft.id };
+};
+
+/**
+ * @param {Object} webhook - Webhook in the format returned by the Nylas SDK
+ * @returns {SubscriptionResource}
+ */
+internals.toSubscriptionResource = (webhook) => {
+
+    return {
+        id: webhook.id,
+        expires_at: null,
+        secret: webhook.webhookSecret || null, // Only returned when the webhook is created
+        service_type: 'nylas-v3'
+    };
+};
+
+/**
+ * @param {Error} err - Error thrown by the Nylas SDK
+ * @returns {Number}
+ */
+internals.getStatusCode = (err) => {
+
+    if (err.statusCode >= 400 && err.statusCode < 600) {
+        return err.statusCode;
+    }
+
+    if (err.message) {
+        if (err.message.includes('Couldn\'t find')) {
+            return 404;
+        }
+
+        if (err.message.includes('Too many concurrent query requests')) {
+            return 429;
+        }
+    }
+
+    return 500;
+};
+
+/**
+ * @param {MessageRecipient} recipient
+ * @returns {{ name: String?, email: String }}
+ */
+internals.toNylasRecipient = (recipient) => {
+
+    return recipient.name ? { name: recipient.name, email: recipient.email } : { email: recipient.email };
+};
+
 /**
  * @param {({ addresses: any , from: any[], to: any[], cc: any[], bcc: any[] })} message
  * @returns {{ from: any[], to: any[], cc: any[], bcc: any[] }}
@@ -14,9 +14,12 @@ const internals = {};
 /**
  * @typedef {import('./index').MessageResource} MessageResource
  * @typedef {import('./index').MessageListResource} MessageListResource
+ * @typedef {import('./index').BatchResultResource} BatchResultResource
  * @typedef {import('./index').FileResource} FileResource
  * @typedef {import('./index').FileListResource} FileListResource
  * @typedef {import('./index').MessageRecipient} MessageRecipient
+ * @typedef {import('./index').ThreadResource} ThreadResource
+ * @typedef {import('./index').ThreadListResource} ThreadListResource
  */
 
 class NylasConnector extends EventEmitter {
@@ -40,6 +43,7 @@ class NylasConnector extends EventEmitter {
         this.clientSecret = config.clientSecret;
 
         this.name = 'nylas';
+        this.capabilities = internals.capabilities;
 
         Nylas.config({
             appId: this.clientId,
@@ -149,19 +153,7 @@ class NylasConnector extends EventEmitter {
         })
             .catch((err) => {
 
-                let statusCode = 500;
-
-                if (err.message) {
-                    if (err.message.includes('Couldn\'t find')) {
-                        statusCode = 404;
-                    }
-
-                    if (err.message.includes('Too many concurrent query requests')) {
-                        statusCode = 429;
-                    }
-                }
-
-                return callback(Boom.boomify(err, { statusCode }));
+                return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
             });
     }
 
@@ -274,64 +266,223 @@ class NylasConnector extends EventEmitter {
             // eslint-disable-next-line unicorn/explicit-length-check
             const limit = clonedParams.limit || response.length;
 
-            const responseObject = {
-                messages: response,
-                next_page_token: (limit + (nylasParams.offset || 0)).toString()
-            };
+            const responseObject = { messages: response };
+
+            // A page that isn't full is the last one
+            if (response.length > 0 && response.length >= limit) {
+                responseObject.next_page_token = (limit + (nylasParams.offset || 0)).toString();
+            }
 
             if (options.raw || options.idsOnly) {
                 return callback(null, responseObject);
             }
 
-            responseObject.messages = responseObject.messages.map((message) => {
+            responseObject.messages = responseObject.messages.map((message) => this._transformExpandedMessage(message));
 
-                message.email_message_id = message.headers['Message-Id'];
+            return callback(null, responseObject);
+        })
+            .catch((err) => {
 
-                if (message.headers['In-Reply-To'] && message.headers['In-Reply-To'].length > 0) {
-                    message.in_reply_to = message.headers['In-Reply-To'];
-                }
-                else {
-                    message.in_reply_to = null;
-                }
+                return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+            });
+    }
 
-                if (message.files && message.files.length > 0) {
-                    message.files = message.files.map((file) => {
+    sendMessage(auth, params, options, callback) {
 
-                        const fileObject = {
-                            message,
-                            metadata: file
-                        };
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return callback(Boom.notImplemented('Not yet implemented!'));
+    }
+
+    /**
+     * The Nylas API has no batch endpoint, so the messages are fetched a few at a time
+     *
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {Array.<String>} params.ids - Nylas message ids
+     *
+     * @param {Object} options - Same as getMessage
+     *
+     * @param {function(Error?, BatchResultResource?):void} callback
+     * @returns {void}
+     */
+    batchGetMessages(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        return Utils.batch(params.ids, (id, next) => this.getMessage(auth, { id }, options, next), callback);
+    }
+
+    /* THREADS */
+
+    /**
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     * @param {Object} params
+     * @param {Number} params.limit - Maximum amount of threads in response, max = 100
+     * @param {Date} params.before - Only return threads with a last message before this date
+     * @param {Date} params.after - Only return threads with a last message after this date
+     * @param {String | Number} params.pageToken - Token used to retrieve a certain page in the list
+     * @param {String} params.from - Only return threads with a message sent from this address
+     * @param {String} params.to - Only return threads with a message sent to this address
+     * @param {String[]} params.participants - Array of email addresses: only return threads where at least one of these participants is involved, max 25
+     * @param {String} params.folder - Only return threads in a specific folder
+     * @param {Boolean} params.includeDrafts - Whether to include drafts in the messages of the threads or not, defaults to false
+     * @param {String} params.subject
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     * @param {Boolean} [options.idsOnly] - If true the response will only contain the ids of the threads
+     *
+     * @param {function(Error?, (ThreadListResource | { threads: Array.<Object | String>, next_page_token: String? })?):void} callback
+     * @returns {void}
+     */
+    listThreads(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const nylas = Nylas.with(auth.access_token);
+
+        const nylasParams = {
+            limit: params.limit,
+            last_message_before: params.before,
+            last_message_after: params.after,
+            to: params.to,
+            from: params.from,
+            subject: params.subject,
+            in: params.folder
+        };
+
+        if (options.idsOnly) {
+            nylasParams.view = 'ids';
+        }
+
+        if (params.participants && params.participants.length > 0) {
+            nylasParams.any_email = params.participants.join(',');
+        }
+
+        if (params.pageToken) {
+            nylasParams.offset = Number.parseInt(params.pageToken);
+        }
+
+        return nylas.threads.list(nylasParams).then((response) => {
+
+            // eslint-disable-next-line unicorn/explicit-length-check
+            const limit = params.limit || response.length;
+
+            const responseObject = { threads: response };
+
+            // A page that isn't full is the last one
+            if (response.length > 0 && response.length >= limit) {
+                responseObject.next_page_token = (limit + (nylasParams.offset || 0)).toString();
+            }
+
+            if (options.idsOnly) {
+                return callback(null, responseObject);
+            }
+
+            return Async.mapLimit(response, 5, (thread, callback) => {
+
+                return this._getThread(auth, thread.id, params, options, callback);
+            }, (err, threads) => {
 
-                        return this._transformFiles(fileObject)[0];
-                    }).filter((x) => !!x);
+                if (err) {
+                    return callback(err);
                 }
 
-                return this._transformMessages(message)[0];
-            });
+                responseObject.threads = threads;
 
-            return callback(null, responseObject);
+                return callback(null, responseObject);
+            });
         })
             .catch((err) => {
 
-                let statusCode = 500;
+                return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+            });
+    }
 
-                if (err.message) {
-                    if (err.message.includes('Couldn\'t find')) {
-                        statusCode = 404;
-                    }
+    /**
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {String} params.id - Nylas thread id
+     * @param {Boolean} [params.includeDrafts=false]
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the messages will not be transformed to the unified object
+     *
+     * @param {function(Error?, (ThreadResource | { id: String, messages: Array.<Object> })?):void} callback
+     * @returns {void}
+     */
+    getThread(auth, params, options, callback) {
 
-                    if (err.message.includes('Too many concurrent query requests')) {
-                        statusCode = 429;
-                    }
-                }
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
 
-                return callback(Boom.boomify(err, { statusCode }));
-            });
+        options = options || {};
+
+        return this._getThread(auth, params.id, params, options, (err, thread) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            if (thread.messages.length === 0) {
+                return callback(Boom.notFound('Requested thread not found'));
+            }
+
+            return callback(null, thread);
+        });
     }
 
-    sendMessage() {
+    /**
+     * @param {Object} auth
+     * @param {String} id - Nylas thread id
+     * @param {{ includeDrafts: Boolean? }} params
+     * @param {{ raw: Boolean? }} options
+     * @param {function(Error?, (ThreadResource | { id: String, messages: Array.<Object> })?):void} callback
+     * @returns {void}
+     */
+    _getThread(auth, id, params, options, callback) {
+
+        const nylas = Nylas.with(auth.access_token);
 
-        throw new Error('Not yet implemented!');
+        const nylasParams = {
+            thread_id: id,
+            view: 'expanded' // `expanded` so we get headers (message id) back
+        };
+
+        if (!params.includeDrafts) {
+            nylasParams.not_in = 'drafts';
+        }
+
+        return nylas.messages.list(nylasParams).then((messages) => {
+
+            if (options.raw) {
+                return callback(null, { id, messages });
+            }
+
+            return callback(null, Utils.createThread(id, this.name, messages.map((message) => this._transformExpandedMessage(message))));
+        })
+            .catch((err) => {
+
+                return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+            });
     }
 
     /* FILES */
@@ -427,7 +578,7 @@ class NylasConnector extends EventEmitter {
                 return this.getMessage(auth, { id: fileObject.metadata.message_ids[0] }, options, (err, message) => {
 
                     if (err) {
-                        return callback(Boom.boomify(err, 500));
+                        return callback(Boom.boomify(err, { statusCode: 500 }));
                     }
 
                     fileObject.message = message;
@@ -464,6 +615,39 @@ class NylasConnector extends EventEmitter {
 
     /* TRANSFORMERS */
 
+    /**
+     * Transforms a message listed with the `expanded` view, which contains the headers instead of the raw message
+     *
+     * @param {Object} message - Message in the format returned by the Nylas API
+     *
+     * @returns {MessageResource}
+     */
+    _transformExpandedMessage(message) {
+
+        message.email_message_id = message.headers['Message-Id'];
+
+        if (message.headers['In-Reply-To'] && message.headers['In-Reply-To'].length > 0) {
+            message.in_reply_to = message.headers['In-Reply-To'];
+        }
+        else {
+            message.in_reply_to = null;
+        }
+
+        if (message.files && message.files.length > 0) {
+            message.files = message.files.map((file) => {
+
+                const fileObject = {
+                    message,
+                    metadata: file
+                };
+
+                return this._transformFiles(fileObject)[0];
+            }).filter((x) => !!x);
+        }
+
+        return this._transformMessages(message)[0];
+    }
+
     /**
      * Transforms a raw Nylas API messages response to a unified message resource
      *
@@ -576,12 +760,49 @@ class NylasConnector extends EventEmitter {
             callback = options;
         }
 
-        return callback(new Error('Method not implemented'));
+        return callback(Boom.notImplemented('Method not implemented'));
     }
 }
 
 /* Internal utility functions */
 
+internals.capabilities = {
+    unsupported_methods: ['sendMessage', 'listFolders'],
+    filters: {
+        from: { supported: true },
+        to: { supported: true },
+        subject: { supported: true },
+        participants: { supported: 'partial', note: 'Only applied together with `after`, `limit` and `pageToken` are then ignored' },
+        hasAttachment: { supported: 'partial', note: 'Only `true` is applied' },
+        before: { supported: true },
+        after: { supported: true },
+        folder: { supported: true },
+        includeDrafts: { supported: true }
+    },
+    max_page_size: 100,
+    push: false,
+    delta_sync: false
+};
+
+/**
+ * @param {Error} err - Error thrown by the Nylas SDK
+ * @returns {Number}
+ */
+internals.getStatusCode = (err) => {
+
+    if (err.message) {
+        if (err.message.includes('Couldn\'t find')) {
+            return 404;
+        }
+
+        if (err.message.includes('Too many concurrent query requests')) {
+            return 429;
+        }
+    }
+
+    return 500;
+};
+
 /**
  * @param {({ addresses: any , from: any[], to: any[], cc: any[], bcc: any[] })} message
  * @returns {{ from: any[], to: any[], cc: any[], bcc: any[] }}
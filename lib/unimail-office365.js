@@ -9,17 +9,24 @@ const MicrosoftGraph = require('@microsoft/microsoft-graph-client');
 const Oauth2 = require('simple-oauth2');
 const Wreck = require('@hapi/wreck');
 
+const Query = require('../lib/query');
+const TokenStores = require('../lib/token-stores');
 const Utils = require('../lib/utils');
 
 const internals = {
     paramTypes: {
         search: 'search',
         filter: 'filter'
-    }
+    },
+    multiTenantAuthorities: ['common', 'organizations', 'consumers'],
+    // App-only tokens can't be refreshed after a 401, so they are renewed a bit before they expire
+    appTokenMargin: 5 * 60 * 1000
 };
 
 // Needed because of https://docs.microsoft.com/en-us/graph/throttling#outlook-service-limits and fix for https://github.com/Salesflare/Server/issues/6616
 const concurrentLimitFiles = 4;
+// Graph accepts at most 20 requests per $batch, Outlook still throttles the requests of a batch like separate requests
+const batchSizeLimit = 20;
 
 /**
  * TODO:
@@ -30,10 +37,20 @@ const concurrentLimitFiles = 4;
 /**
  * @typedef {import('./index').MessageResource} MessageResource
  * @typedef {import('./index').MessageListResource} MessageListResource
+ * @typedef {import('./index').BatchResultResource} BatchResultResource
+ * @typedef {import('./index').DraftResource} DraftResource
+ * @typedef {import('./index').DraftListResource} DraftListResource
  * @typedef {import('./index').FileResource} FileResource
  * @typedef {import('./index').FileListResource} FileListResource
+ * @typedef {import('./index').FileStreamResource} FileStreamResource
  * @typedef {import('./index').MessageRecipient} MessageRecipient
  * @typedef {import('./index').FolderResource} FolderResource
+ * @typedef {import('./index').ThreadResource} ThreadResource
+ * @typedef {import('./index').ThreadListResource} ThreadListResource
+ * @typedef {import('./index').ChangeListResource} ChangeListResource
+ * @typedef {import('./index').SubscriptionResource} SubscriptionResource
+ * @typedef {import('./index').NotificationRequest} NotificationRequest
+ * @typedef {import('./index').NotificationListResource} NotificationListResource
  *
  * @typedef {import('@hapi/boom').Boom} Boom
  */
@@ -46,6 +63,10 @@ class Office365Connector extends EventEmitter {
      * @param {Object} config - Configuration object
      * @param {String} config.clientId
      * @param {String} config.clientSecret
+     * @param {import('./token-stores').TokenStore} [config.tokenStore] - Persists refreshed tokens and makes sure a token is only refreshed once at a time
+     * @param {String} [config.tenant=common] - Tenant id or domain for single-tenant apps, also the default tenant for app-only auth objects
+     * @param {String} [config.tokenHost=https://login.microsoftonline.com] - Host of the authority, e.g. `https://login.microsoftonline.us` for US Government
+     * @param {String} [config.graphHost=https://graph.microsoft.com] - Host of the Graph API, e.g. `https://graph.microsoft.us` for US Government
      */
     constructor(config) {
 
@@ -57,21 +78,22 @@ class Office365Connector extends EventEmitter {
 
         this.clientId = config.clientId;
         this.clientSecret = config.clientSecret;
+        this.tokenStore = config.tokenStore || null;
+        this.tenant = config.tenant || 'common';
+        this.tokenHost = config.tokenHost || 'https://login.microsoftonline.com';
+        this.graphHost = (config.graphHost || 'https://graph.microsoft.com').replace(/\/+$/, '');
 
-        this.oauthCredentials = {
-            client: {
-                id: this.clientId,
-                secret: this.clientSecret
-            },
-            auth: {
-                tokenHost: 'https://login.microsoftonline.com',
-                authorizePath: 'common/oauth2/v2.0/authorize',
-                tokenPath: 'common/oauth2/v2.0/token'
-            }
-        };
+        // App-only tokens are only useful within this process, so they are kept per tenant in memory
+        this.appTokens = new TokenStores.MemoryTokenStore();
+        this.appOauth2 = new Map();
 
+        // Renewal timers of the subscriptions created by this process, by subscription id
+        this.subscriptionTimers = new Map();
+
+        this.oauthCredentials = this._getOauthCredentials(this.tenant);
         this.oauth2 = Oauth2.create(this.oauthCredentials);
         this.name = 'office365';
+        this.capabilities = internals.capabilities;
     }
 
     /**
@@ -80,6 +102,8 @@ class Office365Connector extends EventEmitter {
      * @property {String} refresh_token
      * @property {Date} expiration_date
      * @property {*} [id] - will be passed back when emitting `newAccessToken`
+     * @property {String} [user] - Id or user principal name of the mailbox, calls go to `/users/{user}` instead of `/me`. Without a refresh token the app's own client credentials are used (app-only).
+     * @property {String} [tenant_id] - Tenant of the mailbox for app-only auth, defaults to the connector's tenant
      */
 
     /* MESSAGES */
@@ -131,7 +155,7 @@ class Office365Connector extends EventEmitter {
             auth = token;
 
             if (params.rfc2822Format) {
-                const client = internals.getClient(auth.access_token, 'beta');
+                const client = internals.getClient(auth, 'beta', this.graphHost);
 
                 return client.api(`/me/messages/${params.id}/$value`)
                     .get()
@@ -145,11 +169,11 @@ class Office365Connector extends EventEmitter {
                     });
             }
 
-            const client = internals.getClient(auth.access_token);
+            const client = internals.getClient(auth, 'v1.0', this.graphHost);
 
             return client.api(`/me/messages/${params.id}`)
-                .select(['id', 'from', 'toRecipients', 'ccRecipients', 'bccRecipients', 'sentDateTime', 'subject', 'internetMessageId', 'conversationId', 'body', 'hasAttachments', 'SingleValueExtendedProperties'])
-                .expand('SingleValueExtendedProperties($filter=id eq \'String 0x7D\')')
+                .select(internals.messageFields)
+                .expand(internals.headersExpand)
                 .get()
                 .then((resMessage) => {
 
@@ -172,7 +196,7 @@ class Office365Connector extends EventEmitter {
 
                         // Only select the properties we need so we don't fetch the content bytes (for performance reasons)
                         return client.api(`/me/messages/${transformedMessage.service_message_id}/attachments`)
-                            .select(['microsoft.graph.fileAttachment/contentId', 'microsoft.graph.fileAttachment/contentType', 'id', 'size', 'name', 'lastModifiedDateTime', 'isInline'])
+                            .select(internals.attachmentFields)
                             .get()
                             .then((resFiles) => {
 
@@ -207,7 +231,7 @@ class Office365Connector extends EventEmitter {
      * @typedef {Object} ListOptions
      * @property {Boolean} [raw] If true the response will not be transformed to the unified object
      * @param {Boolean} [idsOnly] - If true the response will only contain the ids of the messages
-     * @property {String} [wellKnownFolderName] Restrict messages to a certain folder, currently only supports 'sent'
+     * @property {String} [wellKnownFolderName] Restrict messages to a certain folder, 'sent' or one of the roles in `internals.wellKnownFolders`
      */
 
     /**
@@ -230,6 +254,7 @@ class Office365Connector extends EventEmitter {
      * @param {String} params.folder - Only return messages in a specific folder, currently only supports 'sent'!
      * @param {Boolean} params.includeDrafts - Whether to include drafts or not, defaults to false
      * @param {Boolean} params.onboarding - Wether call is made to process an onboarding
+     * @param {import('../lib/query').QueryNode} [params.query] - Compiled to a filter, or to a search when the filter can't express it. A `folderRole` is only supported at the top level.
      *
      * @param {ListOptions}  options
      *
@@ -253,6 +278,20 @@ class Office365Connector extends EventEmitter {
         }
 
         options = options || {};
+
+        if (params.query) {
+            let query;
+
+            try {
+                query = internals.planQuery(params);
+            }
+            catch (err) {
+                return callback(err);
+            }
+
+            return Query.filterList(query.client, options, (listOptions, next) => this.listMessages(auth, query.params, listOptions, next), callback);
+        }
+
         params.original_limit = params.limit;
 
         return this._refreshTokenIfNeeded(auth, (err, token) => {
@@ -263,7 +302,7 @@ class Office365Connector extends EventEmitter {
 
             auth = token;
 
-            const client = internals.getClient(auth.access_token);
+            const client = internals.getClient(auth, 'v1.0', this.graphHost);
             let uri = '';
 
             // PageToken for Office means `nextLink` so it is a uri
@@ -373,7 +412,7 @@ class Office365Connector extends EventEmitter {
 
                 return this._getMessages(client, {
                     ...options,
-                    wellKnownFolderName: callParams.folder
+                    wellKnownFolderName: callParams.folder || callParams.queryFolder
                 }, uri, (err, resMessages) => {
 
                     if (err) {
@@ -501,127 +540,49 @@ class Office365Connector extends EventEmitter {
             options = {};
         }
 
-        return Async.parallel({
-            refreshToken: Async.apply(this._refreshTokenIfNeeded.bind(this), auth),
-            convertAttachments: (callback) => {
-
-                if (!params.attachments || params.attachments.length === 0) {
-                    return callback();
-                }
-
-                return Async.map(params.attachments, (attachment, callback) => {
-
-                    if (attachment.contentBytes) {
-                        return callback(null, {
-                            ...attachment,
-                            '@odata.type': '#microsoft.graph.FileAttachment'
-                        });
-                    }
-
-                    return Wreck.get(attachment.url).then((result) => {
-
-                        return process.nextTick(() => {
-
-                            return callback(null, {
-                                '@odata.type': '#microsoft.graph.FileAttachment',
-                                name: attachment.name,
-                                contentLocation: attachment.url,
-                                contentBytes: Buffer.from(result.payload).toString('base64')
-                            });
-                        });
-                    })
-                        .catch((err) => {
-
-                            if (err) {
-                                if (err.data && err.data.payload) {
-                                    return process.nextTick(() => callback(err.data.payload));
-                                }
-
-                                return process.nextTick(() => callback(err));
-                            }
-                        });
-                }, (err, convertedAttachments) => {
-
-                    if (err) {
-                        return callback(err);
-                    }
-
-                    return callback(null, convertedAttachments);
-                });
-            }
-        }, (err, results) => {
+        return this._composeMessage(auth, params, (err, message, client) => {
 
             if (err) {
-                return callback(internals.wrapError(err));
+                return callback(err);
             }
 
-            const contentType = params.html ? 'html' : 'text';
-            const message = {
-                subject: params.subject,
-                from: internals.convertUnimailToMSGraphRecipient(params.from),
-                toRecipients: params.to.map(internals.convertUnimailToMSGraphRecipient),
-                body: {
-                    contentType,
-                    content: params[contentType]
-                }
-            };
-
-            let version = 'v1.0';
-            const attachments = results.convertAttachments;
-
-            if (attachments && attachments.length > 0) {
-                message.hasAttachments = true;
-                message.attachments = attachments;
+            return this._createDraft(message, params, client, (err, draft) => {
 
-                if (attachments.some((attachment) => attachment['@odata.type'] === '#microsoft.graph.ReferenceAttachment')) {
-                    version = 'beta';
+                if (err) {
+                    return callback(err);
                 }
-            }
-
-            const client = internals.getClient(results.refreshToken.access_token, version);
-
-            if (params.cc && params.cc.length > 0) {
-                message.ccRecipients = params.cc.map(internals.convertUnimailToMSGraphRecipient);
-            }
-
-            if (params.bcc && params.bcc.length > 0) {
-                message.bccRecipients = params.bcc.map(internals.convertUnimailToMSGraphRecipient);
-            }
 
-            if (params.inReplyTo) {
-                return this._reply(message, params, client, callback);
-            }
-
-            return this._sendMessage(message, client, callback);
+                return this._sendDraft(draft, message, client, callback);
+            });
         });
     }
 
-    /* FILES */
-
-    /**
-     * @typedef {Object} FilesResponse
-     * @property {Object[]} files
-     * @property {String} [next_page_token]
-     */
-
     /**
+     * Marks a message as read or unread and flags or unflags it, starred messages are flagged in Outlook.
+     * Messages are in exactly one folder, so `addFolders` and `removeFolders` are not supported, use moveMessage instead.
+     *
+     * @throws
+     *
      * @param {Auth} auth
+     *
      * @param {Object} params
+     * @param {String} params.id - The message id
+     * @param {Boolean} [params.unread]
+     * @param {Boolean} [params.starred]
+     *
      * @param {Object} options
-     * @param {Boolean} [options.raw]
-     * @param {function(Error, FilesResponse):void} callback
+     * @param {Boolean} [options.raw] - If true the updated message will not be transformed to the unified object
+     *
+     * @param {function(Error, (MessageResource | Object)?):void} callback
      *
      * @returns {void}
      */
-    listFiles(auth, params, options, callback) {
+    updateMessage(auth, params, options, callback) {
 
         if (!internals.isValidAuthentication(auth)) {
-            throw new Error('Invalid authentication. The authentication information is incorrect or expired.');
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
         }
 
-        // Set params.hasAttachment to true
-        params.hasAttachment = true;
-
         if (typeof options === 'function') {
             callback = options;
             options = {};
@@ -629,77 +590,116 @@ class Office365Connector extends EventEmitter {
 
         options = options || {};
 
-        return this._refreshTokenIfNeeded(auth, (err, token) => {
+        if (params.addFolders || params.removeFolders) {
+            return callback(Boom.badRequest('Messages are in exactly one folder in Office 365, use moveMessage instead of addFolders and removeFolders'));
+        }
 
-            if (err) {
-                return callback(internals.wrapError(err));
-            }
+        const message = internals.getMessageChanges(params);
 
-            auth = token;
+        return this._changeMessage(auth, (client) => client.api(`/me/messages/${params.id}`).patch(message), options, callback);
+    }
 
-            const client = internals.getClient(auth.access_token);
-            let files = [];
-            let uri = '';
+    /**
+     * Moving gives the message a new id, the returned message has the new id
+     *
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - The message id
+     * @param {String | FolderResource} params.folder - Folder id or role, or a (partial) folder resource
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the moved message will not be transformed to the unified object
+     *
+     * @param {function(Error, (MessageResource | Object)?):void} callback
+     *
+     * @returns {void}
+     */
+    moveMessage(auth, params, options, callback) {
 
-            /**
-             * TODO Page tokens, UPDATE: nvm, not super imported right now.
-             */
-            uri = this._getUri(params);
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
+        }
 
-            return client.api(`/me/messages${uri}`)
-                .select(['id', 'from', 'toRecipients', 'ccRecipients', 'bccRecipients', 'sentDateTime', 'subject', 'internetMessageId', 'conversationId'])
-                .get()
-                .then((resMessages) => {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
 
-                    if (!resMessages || !resMessages.value || resMessages.value.length === 0) {
-                        return process.nextTick(() => callback(null, { files: [] }));
-                    }
+        options = options || {};
 
-                    return Async.eachLimit(resMessages.value, concurrentLimitFiles, (message, callback) => {
+        const destinationId = internals.getDestinationId(params.folder);
 
-                        // Only select the properties we need so we don't fetch the content bytes (for performance reasons)
-                        return client.api(`/me/messages/${message.id}/attachments`)
-                            .select(['microsoft.graph.fileAttachment/contentId', 'microsoft.graph.fileAttachment/contentType', 'id', 'size', 'name', 'lastModifiedDateTime', 'isInline'])
-                            .get()
-                            .then((resFiles) => {
+        if (!destinationId) {
+            return callback(Boom.notFound(`Folder ${params.folder.role} not found`));
+        }
 
-                                if (!resFiles) {
-                                    return process.nextTick(() => callback());
-                                }
+        return this._changeMessage(auth, (client) => client.api(`/me/messages/${params.id}/move`).post({ destinationId }), options, callback);
+    }
 
-                                if (!options.raw) {
-                                    resFiles.value.forEach((resFile) => {
+    /**
+     * Moves the message to the deleted items, this gives the message a new id
+     *
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - The message id
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the moved message will not be transformed to the unified object
+     *
+     * @param {function(Error, (MessageResource | Object)?):void} callback
+     *
+     * @returns {void}
+     */
+    trashMessage(auth, params, options, callback) {
 
-                                        resFile.messageInfo = message;
-                                    });
-                                }
+        return this.moveMessage(auth, { ...params, folder: { role: 'trash' } }, options, callback);
+    }
 
-                                files = [...files, ...resFiles.value];
+    /**
+     * Deletes the message permanently, it can't be recovered from the deleted items
+     *
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - The message id
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error):void} callback
+     *
+     * @returns {void}
+     */
+    deleteMessage(auth, params, options, callback) {
 
-                                return process.nextTick(() => callback());
-                            })
-                            .catch((err) => {
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
+        }
 
-                                return process.nextTick(() => callback(err));
-                            });
-                    }, (err) => {
+        if (typeof options === 'function') {
+            callback = options;
+        }
 
-                        if (err) {
-                            return process.nextTick(() => callback(internals.wrapError(err)));
-                        }
+        return this._refreshTokenIfNeeded(auth, (err, token) => {
 
-                        if (options.raw) {
-                            return process.nextTick(() => callback(null, files));
-                        }
+            if (err) {
+                return callback(internals.wrapError(err));
+            }
 
-                        const filesResponse = { files: this._transformFiles(files) };
+            const client = internals.getClient(token, 'v1.0', this.graphHost);
 
-                        if (resMessages['@odata.nextLink']) {
-                            filesResponse.next_page_token = resMessages['@odata.nextLink'];
-                        }
+            return client.api(`/me/messages/${params.id}/permanentDelete`)
+                .post({})
+                .then(() => {
 
-                        return process.nextTick(() => callback(null, filesResponse));
-                    });
+                    return process.nextTick(() => callback(null));
                 })
                 .catch((err_) => {
 
@@ -709,32 +709,29 @@ class Office365Connector extends EventEmitter {
     }
 
     /**
-     * Returns the list of Outlook mail folders for the authenticated user, transformed into the unified folder shape.
-     * Uses the beta endpoint because `wellKnownName` and sub-sub folders are not exposed in v1.0.
+     * Gets the messages with `$batch` requests, a message that fails is reported in its result instead of failing the others
+     *
+     * @throws
      *
      * @param {Auth} auth
      *
-     * @param {Object} [params]
+     * @param {Object} params
+     * @param {Array.<String>} params.ids - The message ids
      *
-     * @param {Object} [options]
-     * @param {Boolean} [options.raw] - If true the raw (flattened) mail folders are returned instead of the unified shape
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the messages will not be transformed to the unified object
      *
-     * @param {function(Error?, (Array.<FolderResource> | Array.<Object>)?):void} callback - Returns an array of unified folder resources when options.raw is falsy or the flattened raw folders when truthy
+     * @param {function(Error, BatchResultResource?):void} callback
      *
      * @returns {void}
      */
-    listFolders(auth, params, options, callback) {
+    batchGetMessages(auth, params, options, callback) {
 
         if (!internals.isValidAuthentication(auth)) {
             throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
         }
 
-        if (typeof params === 'function') {
-            callback = params;
-            params = {};
-            options = {};
-        }
-        else if (typeof options === 'function') {
+        if (typeof options === 'function') {
             callback = options;
             options = {};
         }
@@ -747,48 +744,1592 @@ class Office365Connector extends EventEmitter {
                 return callback(internals.wrapError(err));
             }
 
-            auth = token;
+            const messageQuery = `$select=${internals.messageFields.join(',')}&$expand=${encodeURIComponent(internals.headersExpand)}`;
 
-            const client = internals.getClient(auth.access_token, 'beta');
+            return this._batch(token, params.ids, (id) => ({ method: 'GET', url: `/messages/${id}?${messageQuery}` }), (err, responses) => {
 
-            return client.api('/me/mailFolders')
-                .select(['id', 'displayName', 'wellKnownName', 'parentFolderId', 'totalItemCount', 'unreadItemCount', 'childFolders'])
-                .expand('childFolders')
-                .top(250)
+                if (err) {
+                    return callback(err);
+                }
+
+                return this._transformBatchResponses(token, params.ids, responses, options, (err, results) => {
+
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    // Like getMessage, only messages with attachments or inline images need their files listed
+                    const withFiles = results.filter((result, index) => {
+
+                        const body = responses[index].body;
+
+                        return result.message && !options.raw && (result.message.attachments || (body.body && body.body.content.indexOf('cid:') > 0));
+                    });
+
+                    if (withFiles.length === 0) {
+                        return callback(null, { results });
+                    }
+
+                    const filesQuery = `$select=${internals.attachmentFields.join(',')}`;
+
+                    return this._batch(token, withFiles.map((result) => result.message.service_message_id), (id) => ({ method: 'GET', url: `/messages/${id}/attachments?${filesQuery}` }), (err, fileResponses) => {
+
+                        if (err) {
+                            return callback(err);
+                        }
+
+                        withFiles.forEach((result, index) => {
+
+                            const fileResponse = fileResponses[index];
+
+                            if (fileResponse.error) {
+                                Object.assign(result, Utils.createBatchResult(result.id, fileResponse.error));
+
+                                return;
+                            }
+
+                            const messageInfo = responses[params.ids.indexOf(result.id)].body;
+
+                            result.message.files = fileResponse.body.value.length === 0 ? [] : this._transformFiles(fileResponse.body.value.map((file) => ({ ...file, messageInfo })));
+                        });
+
+                        return callback(null, { results });
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Updates the messages with `$batch` requests, a message that fails is reported in its result instead of failing the others
+     *
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params - Same as updateMessage, with the message ids as `ids`
+     * @param {Array.<String>} params.ids - The message ids
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the updated messages will not be transformed to the unified object
+     *
+     * @param {function(Error, BatchResultResource?):void} callback
+     *
+     * @returns {void}
+     */
+    batchUpdateMessages(auth, params, options, callback) {
+
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        if (params.addFolders || params.removeFolders) {
+            return callback(Boom.badRequest('Messages are in exactly one folder in Office 365, use moveMessage instead of addFolders and removeFolders'));
+        }
+
+        const message = internals.getMessageChanges(params);
+
+        return this._refreshTokenIfNeeded(auth, (err, token) => {
+
+            if (err) {
+                return callback(internals.wrapError(err));
+            }
+
+            return this._batch(token, params.ids, (id) => ({ method: 'PATCH', url: `/messages/${id}`, body: message }), (err, responses) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                return this._transformBatchResponses(token, params.ids, responses, options, (err, results) => {
+
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    return callback(null, { results });
+                });
+            });
+        });
+    }
+
+    /**
+     * Sends one request per message id in `$batch` requests of 20, one batch at a time.
+     * Requests that are throttled are retried once, after the delay Outlook asks for.
+     *
+     * @param {Auth} token
+     * @param {Array.<String>} ids - Message ids
+     * @param {function(String):{ method: String, url: String, body: Object? }} createRequest - Creates the request for a message id, the url is relative to the user
+     * @param {function(Error, Array.<{ body: Object?, error: Boom? }>?):void} callback - One response per id, in the same order
+     *
+     * @returns {void}
+     */
+    _batch(token, ids, createRequest, callback) {
+
+        const client = internals.getClient(token, 'v1.0', this.graphHost);
+        const userPath = internals.getUserPath(token);
+        const responses = new Map();
+
+        const run = (batchIds, retry, done) => {
+
+            return Async.eachSeries(_.chunk(batchIds, batchSizeLimit), (chunk, next) => {
+
+                const requests = chunk.map((id, index) => {
+
+                    const request = createRequest(id);
+
+                    return {
+                        id: String(index),
+                        method: request.method,
+                        url: `${userPath}${request.url}`,
+                        ...(request.body && { body: request.body, headers: { 'Content-Type': 'application/json' } })
+                    };
+                });
+
+                return client.api('/$batch')
+                    .post({ requests })
+                    .then((resBatch) => {
+
+                        resBatch.responses.forEach((response) => responses.set(chunk[Number(response.id)], response));
+
+                        return process.nextTick(() => next());
+                    })
+                    .catch((err_) => {
+
+                        return process.nextTick(() => next(internals.wrapError(err_)));
+                    });
+            }, (err) => {
+
+                if (err) {
+                    return done(err);
+                }
+
+                const throttled = batchIds.filter((id) => responses.get(id) && responses.get(id).status === 429);
+
+                if (!retry || throttled.length === 0) {
+                    return done();
+                }
+
+                const retryAfter = Math.max(...throttled.map((id) => Number(responses.get(id).headers && responses.get(id).headers['Retry-After']) || 1));
+
+                return setTimeout(() => run(throttled, false, done), Math.min(retryAfter, 10) * 1000);
+            });
+        };
+
+        return run(ids, true, (err) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            return callback(null, ids.map((id) => {
+
+                const response = responses.get(id);
+
+                if (!response) {
+                    return { error: Boom.badGateway('No response for batch request') };
+                }
+
+                if (response.status > 399) {
+                    const error = (response.body && response.body.error) || {};
+
+                    return { error: internals.wrapError({ message: error.message || `Batch request failed with status ${response.status}`, code: error.code, statusCode: response.status }) };
+                }
+
+                return { body: response.body };
+            }));
+        });
+    }
+
+    /**
+     * @param {Auth} token
+     * @param {Array.<String>} ids
+     * @param {Array.<{ body: Object?, error: Boom? }>} responses - As returned by `_batch`
+     * @param {{ raw: Boolean? }} options
+     * @param {function(Error, Array.<import('./index').BatchResult>?):void} callback
+     *
+     * @returns {void}
+     */
+    _transformBatchResponses(token, ids, responses, options, callback) {
+
+        const messages = responses.filter((response) => !response.error).map((response) => response.body);
+
+        if (options.raw || messages.length === 0) {
+            return callback(null, responses.map((response, index) => Utils.createBatchResult(ids[index], response.error, response.body)));
+        }
+
+        return this._transformMessages(messages, token, (err, transformedMessages) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            return callback(null, responses.map((response, index) => {
+
+                return Utils.createBatchResult(ids[index], response.error, response.error ? null : transformedMessages.shift());
+            }));
+        });
+    }
+
+    /**
+     * Runs a request that returns the changed message and transforms it
+     *
+     * @param {Auth} auth
+     * @param {function(MicrosoftGraph.Client):Promise.<Object>} request
+     * @param {{ raw: Boolean? }} options
+     * @param {function(Error, (MessageResource | Object)?):void} callback
+     *
+     * @returns {void}
+     */
+    _changeMessage(auth, request, options, callback) {
+
+        return this._refreshTokenIfNeeded(auth, (err, token) => {
+
+            if (err) {
+                return callback(internals.wrapError(err));
+            }
+
+            const client = internals.getClient(token, 'v1.0', this.graphHost);
+
+            return request(client)
+                .then((resMessage) => {
+
+                    if (options.raw) {
+                        return process.nextTick(() => callback(null, resMessage));
+                    }
+
+                    return this._transformMessages(resMessage, token, (err, transformedMessages) => {
+
+                        if (err) {
+                            return process.nextTick(() => callback(err));
+                        }
+
+                        return process.nextTick(() => callback(null, transformedMessages[0]));
+                    });
+                })
+                .catch((err_) => {
+
+                    return process.nextTick(() => callback(internals.wrapError(err_)));
+                });
+        });
+    }
+
+    /* DRAFTS */
+
+    /**
+     * Creates a draft, a draft with `inReplyTo` is created as a reply so Outlook threads it
+     *
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params - Same as sendMessage, recipients are optional
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the created draft will not be transformed to the unified object
+     *
+     * @param {function(Error, (DraftResource | Object)?):void} callback
+     *
+     * @returns {void}
+     */
+    createDraft(auth, params, options, callback) {
+
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this._composeMessage(auth, params, (err, message, client) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            return this._createDraft(message, params, client, (err, draft) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                if (options.raw) {
+                    return callback(null, draft);
+                }
+
+                return this.getDraft(auth, { id: draft.id }, {}, callback);
+            });
+        });
+    }
+
+    /**
+     * Replaces the content of a draft, the attachments are only replaced when `params.attachments` is passed
+     *
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params - Same as createDraft, except for inReplyTo
+     * @param {String} params.id - The message id of the draft
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the updated draft will not be transformed to the unified object
+     *
+     * @param {function(Error, (DraftResource | Object)?):void} callback
+     *
+     * @returns {void}
+     */
+    updateDraft(auth, params, options, callback) {
+
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this._composeMessage(auth, params, (err, message, client) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            const attachments = message.attachments || [];
+            delete message.attachments;
+            delete message.hasAttachments;
+
+            return client.api(`/me/messages/${params.id}`).patch(message)
+                .then((draft) => {
+
+                    if (!params.attachments) {
+                        return draft;
+                    }
+
+                    return client.api(`/me/messages/${params.id}/attachments`).select(['id']).get()
+                        .then((existing) => Promise.all(existing.value.map((attachment) => client.api(`/me/messages/${params.id}/attachments/${attachment.id}`).delete())))
+                        .then(() => Promise.all(attachments.map((attachment) => client.api(`/me/messages/${params.id}/attachments`).post(attachment))))
+                        .then(() => draft);
+                })
+                .then((draft) => {
+
+                    if (options.raw) {
+                        return process.nextTick(() => callback(null, draft));
+                    }
+
+                    return process.nextTick(() => this.getDraft(auth, { id: params.id }, {}, callback));
+                })
+                .catch((err_) => {
+
+                    return process.nextTick(() => callback(internals.wrapError(err_)));
+                });
+        });
+    }
+
+    /**
+     * Drafts are regular messages in Outlook, so the draft id is the message id
+     *
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - The message id of the draft
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     *
+     * @param {function(Error, (DraftResource | Object)?):void} callback
+     *
+     * @returns {void}
+     */
+    getDraft(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this.getMessage(auth, { id: params.id }, options, (err, message) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            if (options.raw) {
+                return callback(null, message);
+            }
+
+            return callback(null, { ...message, service_draft_id: message.service_message_id });
+        });
+    }
+
+    /**
+     * Lists the messages in the drafts folder, newest first
+     * Only `limit` and `pageToken` are supported, the other listMessages filters are ignored
+     *
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {Number} [params.limit] - Maximum amount of drafts in response
+     * @param {String} [params.pageToken] - Token used to retrieve a certain page in the list
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     * @param {Boolean} [options.idsOnly] - If true the response will only contain the ids of the drafts
+     *
+     * @param {function(Error, (DraftListResource | { drafts: Array.<String> } | Object)?):void} callback
+     *
+     * @returns {void}
+     */
+    listDrafts(auth, params, options, callback) {
+
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this._refreshTokenIfNeeded(auth, (err, token) => {
+
+            if (err) {
+                return callback(internals.wrapError(err));
+            }
+
+            auth = token;
+
+            const client = internals.getClient(auth, 'v1.0', this.graphHost);
+
+            // PageToken for Office means `nextLink` so it already contains the query
+            const request = params.pageToken ? client.api(params.pageToken) : client.api('/me/mailFolders/drafts/messages')
+                .select(internals.messageFields)
+                .expand(internals.headersExpand)
+                .orderby('lastModifiedDateTime DESC')
+                .top(params.limit || params.limit === 0 ? Math.min(params.limit, 1000) : 100);
+
+            return request.get()
+                .then((resDrafts) => {
+
+                    if (options.raw) {
+                        return process.nextTick(() => callback(null, resDrafts));
+                    }
+
+                    const draftListResource = {
+                        drafts: resDrafts.value.map((draft) => draft.id)
+                    };
+
+                    if (resDrafts['@odata.nextLink']) {
+                        draftListResource.next_page_token = resDrafts['@odata.nextLink'];
+                    }
+
+                    if (options.idsOnly) {
+                        return process.nextTick(() => callback(null, draftListResource));
+                    }
+
+                    return this._transformMessages(resDrafts.value, auth, (err, transformedMessages) => {
+
+                        if (err) {
+                            return process.nextTick(() => callback(err));
+                        }
+
+                        draftListResource.drafts = transformedMessages.map((message) => ({ ...message, service_draft_id: message.service_message_id }));
+
+                        return process.nextTick(() => callback(null, draftListResource));
+                    });
+                })
+                .catch((err_) => {
+
+                    return process.nextTick(() => callback(internals.wrapError(err_)));
+                });
+        });
+    }
+
+    /**
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - The message id of the draft
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error, String?):void} callback - Returns the internet message id of the sent message, like sendMessage
+     *
+     * @returns {void}
+     */
+    sendDraft(auth, params, options, callback) {
+
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._refreshTokenIfNeeded(auth, (err, token) => {
+
+            if (err) {
+                return callback(internals.wrapError(err));
+            }
+
+            const client = internals.getClient(token, 'v1.0', this.graphHost);
+
+            return this._get(client, `/me/messages/${params.id}`, ['id', 'internetMessageId'], (err, draft) => {
+
+                if (err) {
+                    return callback(internals.wrapError(err));
+                }
+
+                return this._sendDraft(draft, null, client, callback);
+            });
+        });
+    }
+
+    /**
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - The message id of the draft
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error):void} callback
+     *
+     * @returns {void}
+     */
+    deleteDraft(auth, params, options, callback) {
+
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._refreshTokenIfNeeded(auth, (err, token) => {
+
+            if (err) {
+                return callback(internals.wrapError(err));
+            }
+
+            const client = internals.getClient(token, 'v1.0', this.graphHost);
+
+            return client.api(`/me/messages/${params.id}`)
+                .delete()
+                .then(() => {
+
+                    return process.nextTick(() => callback(null));
+                })
+                .catch((err_) => {
+
+                    return process.nextTick(() => callback(internals.wrapError(err_)));
+                });
+        });
+    }
+
+    /* THREADS */
+
+    /**
+     * Returns the conversations of the messages matching the filters, with all of their messages.
+     * The Graph API has no endpoint to list conversations, so a page of messages is listed and grouped on `conversationId`.
+     * Because of this `limit` is the amount of messages and a thread can be returned again on a next page.
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params - Same as listMessages
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the messages of the threads will not be transformed to the unified object
+     * @param {Boolean} [options.idsOnly] - If true the response will only contain the ids of the threads
+     *
+     * @param {function(Error, (ThreadListResource | { threads: Array.<Object>, next_page_token: String? })?):void} callback
+     *
+     * @returns {void}
+     */
+    listThreads(auth, params, options, callback) {
+
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
+        }
+
+        if (params.folder && params.folder !== 'sent') {
+            throw new Error('Invalid configuration. Filtering messages by folder currently only supports the well known folder name "sent".');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this._refreshTokenIfNeeded(auth, (err, token) => {
+
+            if (err) {
+                return callback(internals.wrapError(err));
+            }
+
+            auth = token;
+
+            return this.listMessages(auth, { ...params }, {}, (err, messageList) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                const threadIds = Utils.groupByThread(messageList.messages).map((group) => group.id);
+                const threadListObject = { threads: threadIds };
+
+                if (messageList.next_page_token) {
+                    threadListObject.next_page_token = messageList.next_page_token;
+                }
+
+                if (options.idsOnly) {
+                    return callback(null, threadListObject);
+                }
+
+                const client = internals.getClient(auth, 'v1.0', this.graphHost);
+
+                return Async.mapLimit(threadIds, 5, (id, callback) => {
+
+                    return this._getThread(client, auth, id, params, options, callback);
+                }, (err, threads) => {
+
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    threadListObject.threads = threads;
+
+                    return callback(null, threadListObject);
+                });
+            });
+        });
+    }
+
+    /**
+     * Returns all messages of a conversation
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - The conversation id
+     * @param {Boolean} [params.includeDrafts=false]
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the messages will not be transformed to the unified object
+     *
+     * @param {function(Error, (ThreadResource | { id: String, messages: Array.<Object> })?):void} callback
+     *
+     * @returns {void}
+     */
+    getThread(auth, params, options, callback) {
+
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
+        }
+
+        if (!params || !params.id) {
+            throw new Error('Invalid configuration. Please refer to the documentation to get the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this._refreshTokenIfNeeded(auth, (err, token) => {
+
+            if (err) {
+                return callback(internals.wrapError(err));
+            }
+
+            auth = token;
+
+            const client = internals.getClient(auth, 'v1.0', this.graphHost);
+
+            return this._getThread(client, auth, params.id, params, options, (err, thread) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                if (thread.messages.length === 0) {
+                    return callback(Boom.notFound('Requested thread not found'));
+                }
+
+                return callback(null, thread);
+            });
+        });
+    }
+
+    /**
+     * Fetches every page of messages with the conversation id.
+     * Ordering can't be combined with filtering on `conversationId`, the messages are sorted when creating the thread.
+     *
+     * @param {MicrosoftGraph.Client} client - The microsoft graph client
+     * @param {Auth} auth - Auth will be used to add folder data
+     * @param {String} id - The conversation id
+     * @param {{ includeDrafts: Boolean? }} params
+     * @param {{ raw: Boolean? }} options
+     * @param {function(Error, (ThreadResource | { id: String, messages: Array.<Object> })?):void} callback
+     *
+     * @returns {void}
+     */
+    _getThread(client, auth, id, params, options, callback) {
+
+        const messages = [];
+
+        const getPage = (uri) => {
+
+            return this._get(client, uri, undefined, (err, resMessages) => {
+
+                if (err) {
+                    return callback(internals.wrapError(err));
+                }
+
+                messages.push(...resMessages.value);
+
+                if (resMessages['@odata.nextLink']) {
+                    return getPage(resMessages['@odata.nextLink']);
+                }
+
+                const threadMessages = params.includeDrafts ? messages : internals.removeDrafts(messages);
+
+                if (options.raw) {
+                    return callback(null, { id, messages: threadMessages });
+                }
+
+                return this._transformMessages(threadMessages, auth, (err, transformedMessages) => {
+
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    return callback(null, Utils.createThread(id, this.name, transformedMessages));
+                });
+            });
+        };
+
+        return getPage(`/me/messages?$filter=conversationId eq '${internals.encodeParam(id)}'&$top=100`);
+    }
+
+    /* SYNC */
+
+    /**
+     * Returns the ids of the messages in a folder that changed since the cursor, based on a delta query of the folder.
+     * Without a cursor, no changes are returned but only the cursor to start syncing from, this pages through the whole folder once.
+     * Delta queries don't tell new messages from changed ones, so messages created after the previous sync are reported as created.
+     *
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} [params.cursor] - `next_cursor` of a previous call
+     * @param {Number} [params.limit=100] - Maximum amount of changes, Graph might return less
+     * @param {String} [params.folder=inbox] - Folder id or role to sync, only used without a cursor
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error, ChangeListResource?):void} callback - Errors with a 410 when the cursor expired and a full resync is needed
+     *
+     * @returns {void}
+     */
+    listChanges(auth, params, options, callback) {
+
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        let cursor = null;
+
+        try {
+            cursor = params.cursor ? Utils.decodeCursor(params.cursor) : null;
+        }
+        catch (err) {
+            return callback(err);
+        }
+
+        const folderId = internals.getDestinationId(params.folder || 'inbox');
+
+        if (!cursor && !folderId) {
+            return callback(Boom.notFound(`Folder ${params.folder} not found`));
+        }
+
+        const prefer = `odata.maxpagesize=${Math.min(params.limit || 100, 1000)}`;
+
+        return this._refreshTokenIfNeeded(auth, (err, token) => {
+
+            if (err) {
+                return callback(internals.wrapError(err));
+            }
+
+            const client = internals.getClient(token, 'v1.0', this.graphHost);
+
+            const sync = async () => {
+
+                const startedAt = new Date().toISOString();
+
+                if (!cursor) {
+                    // Follows the next links to the last page, which has the delta link
+                    const skipToDeltaLink = async (page) => {
+
+                        if (!page['@odata.nextLink']) {
+                            return page;
+                        }
+
+                        return skipToDeltaLink(await client.api(page['@odata.nextLink']).header('Prefer', prefer).get());
+                    };
+
+                    // The delta links keep the select of the first request
+                    const response = await skipToDeltaLink(await client.api(`/me/mailFolders/${folderId}/messages/delta`).select(['id', 'createdDateTime']).header('Prefer', prefer).get());
+
+                    return { created: [], updated: [], deleted: [], next_cursor: Utils.encodeCursor({ link: response['@odata.deltaLink'], since: startedAt }), has_more: false };
+                }
+
+                const response = await client.api(cursor.link).header('Prefer', prefer).get();
+                const changes = response.value.map((message) => {
+
+                    if (message['@removed']) {
+                        return { type: 'deleted', id: message.id };
+                    }
+
+                    return { type: new Date(message.createdDateTime) >= new Date(cursor.since) ? 'created' : 'updated', id: message.id };
+                });
+
+                const nextLink = response['@odata.nextLink'];
+
+                return {
+                    ...Utils.groupChanges(changes),
+                    next_cursor: Utils.encodeCursor(nextLink ? { link: nextLink, since: cursor.since } : { link: response['@odata.deltaLink'], since: startedAt }),
+                    has_more: Boolean(nextLink)
+                };
+            };
+
+            return sync()
+                .then((changeList) => {
+
+                    return process.nextTick(() => callback(null, changeList));
+                })
+                .catch((err_) => {
+
+                    // Graph drops the sync state of delta links that aren't used for a while
+                    if (err_.statusCode === 410) {
+                        return process.nextTick(() => callback(Boom.resourceGone('Full resync required')));
+                    }
+
+                    return process.nextTick(() => callback(internals.wrapError(err_)));
+                });
+        });
+    }
+
+    /* SUBSCRIPTIONS */
+
+    /**
+     * Subscribes to the created, updated and deleted messages of the mailbox or of a single folder.
+     * Graph validates the notification url before it creates the subscription, so the url has to answer with `parseNotification` already.
+     *
+     * Message subscriptions expire after about 3 days. Unless `options.autoRenew` is false, they are renewed to the maximum an hour before they expire, for as long as this process runs.
+     * `subscriptionRenewed` is emitted with every renewed subscription, and `subscriptionRenewalFailed` with the error of a failed renewal, which has the `subscriptionId`.
+     * Failed renewals aren't emitted as `error`, which would crash processes that don't listen to it.
+     *
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.url - Notification url, has to be https
+     * @param {Array.<String>} [params.folders] - A single folder id or role, defaults to all folders
+     * @param {String} [params.secret] - Sent back as the `clientState` of every notification
+     * @param {Date} [params.expiresAt] - Defaults to the maximum
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     * @param {Boolean} [options.autoRenew=true]
+     *
+     * @param {function(Error, (SubscriptionResource | Object)?):void} callback
+     * @returns {void}
+     */
+    createSubscription(auth, params, options, callback) {
+
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const folders = params.folders || [];
+
+        if (!params.url) {
+            throw new Error('Office365 subscriptions need a notification url');
+        }
+
+        if (folders.length > 1) {
+            throw new Error('Office365 subscriptions can only watch a single folder');
+        }
+
+        const folderId = folders.length > 0 ? internals.getDestinationId(folders[0]) : null;
+        // The resource isn't a path of the request, so it isn't rewritten for app-only auth
+        const userPath = auth.user ? `users/${auth.user}` : 'me';
+
+        const subscription = {
+            changeType: 'created,updated,deleted',
+            notificationUrl: params.url,
+            resource: folderId ? `${userPath}/mailFolders/${folderId}/messages` : `${userPath}/messages`,
+            expirationDateTime: internals.getSubscriptionExpiration(params.expiresAt)
+        };
+
+        if (params.secret) {
+            subscription.clientState = params.secret;
+        }
+
+        return this._changeSubscription(auth, (client) => client.api('/subscriptions').post(subscription), options, callback);
+    }
+
+    /**
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Subscription id
+     * @param {Date} [params.expiresAt] - Defaults to the maximum
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     * @param {Boolean} [options.autoRenew=true] - See createSubscription
+     *
+     * @param {function(Error, (SubscriptionResource | Object)?):void} callback
+     * @returns {void}
+     */
+    renewSubscription(auth, params, options, callback) {
+
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const changes = { expirationDateTime: internals.getSubscriptionExpiration(params.expiresAt) };
+
+        return this._changeSubscription(auth, (client) => client.api(`/subscriptions/${params.id}`).patch(changes), options, callback);
+    }
+
+    /**
+     * Deletes the subscription and stops renewing it
+     *
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - Subscription id
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error):void} callback
+     * @returns {void}
+     */
+    deleteSubscription(auth, params, options, callback) {
+
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        this._stopRenewal(params.id);
+
+        return this._refreshTokenIfNeeded(auth, (err, token) => {
+
+            if (err) {
+                return callback(internals.wrapError(err));
+            }
+
+            const client = internals.getClient(token, 'v1.0', this.graphHost);
+
+            return client.api(`/subscriptions/${params.id}`)
+                .delete()
+                .then(() => {
+
+                    return process.nextTick(() => callback(null));
+                })
+                .catch((err_) => {
+
+                    return process.nextTick(() => callback(internals.wrapError(err_)));
+                });
+        });
+    }
+
+    /**
+     * Parses the change notifications Graph posts to the notification url, several notifications can be delivered at once.
+     * Validation requests are answered with their validation token.
+     *
+     * @param {null} auth - Notifications aren't tied to an auth object
+     *
+     * @param {NotificationRequest} params
+     *
+     * @param {Object} options
+     * @param {String} [options.secret] - When passed, notifications without this `clientState` are rejected
+     *
+     * @param {function(Error, NotificationListResource?):void} callback
+     * @returns {void}
+     */
+    parseNotification(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        let request;
+
+        try {
+            request = Utils.parseNotificationRequest(params);
+        }
+        catch (err) {
+            return callback(err);
+        }
+
+        if (request.query.validationToken) {
+            return callback(null, { notifications: [], response: Utils.notificationResponse(200, request.query.validationToken) });
+        }
+
+        const values = (request.body && request.body.value) || [];
+
+        if (options.secret && !values.every((value) => Utils.secretsMatch(options.secret, value.clientState))) {
+            return callback(Boom.unauthorized('Invalid client state'));
+        }
+
+        const notifications = values.map((value) => {
+
+            return {
+                accountId: internals.getResourceUserId(value.resource),
+                messageIds: value.resourceData && value.resourceData.id ? [value.resourceData.id] : [],
+                changeType: value.changeType || null,
+                subscriptionId: value.subscriptionId || null
+            };
+        });
+
+        return callback(null, { notifications, response: Utils.notificationResponse(202) });
+    }
+
+    /**
+     * Runs a request that returns the created or renewed subscription, schedules its renewal and transforms it
+     *
+     * @param {Auth} auth
+     * @param {function(MicrosoftGraph.Client):Promise.<Object>} request
+     * @param {{ raw: Boolean?, autoRenew: Boolean? }} options
+     * @param {function(Error, (SubscriptionResource | Object)?):void} callback
+     *
+     * @returns {void}
+     */
+    _changeSubscription(auth, request, options, callback) {
+
+        return this._refreshTokenIfNeeded(auth, (err, token) => {
+
+            if (err) {
+                return callback(internals.wrapError(err));
+            }
+
+            const client = internals.getClient(token, 'v1.0', this.graphHost);
+
+            return request(client)
+                .then((subscription) => {
+
+                    if (options.autoRenew !== false) {
+                        this._scheduleRenewal(auth, subscription);
+                    }
+
+                    if (options.raw) {
+                        return process.nextTick(() => callback(null, subscription));
+                    }
+
+                    return process.nextTick(() => callback(null, internals.toSubscriptionResource(subscription)));
+                })
+                .catch((err_) => {
+
+                    return process.nextTick(() => callback(internals.wrapError(err_)));
+                });
+        });
+    }
+
+    /**
+     * Renews the subscription an hour before it expires, the renewal schedules the next one
+     *
+     * @param {Auth} auth - The auth object is kept, so accounts that update their auth in place keep working
+     * @param {Object} subscription - Subscription in the format returned by the Graph API
+     *
+     * @returns {void}
+     */
+    _scheduleRenewal(auth, subscription) {
+
+        this._stopRenewal(subscription.id);
+
+        const delay = Math.max(new Date(subscription.expirationDateTime).getTime() - Date.now() - internals.subscriptionRenewalMargin, 0);
+
+        const timer = setTimeout(() => {
+
+            this.subscriptionTimers.delete(subscription.id);
+
+            const failed = (err) => {
+
+                err.subscriptionId = subscription.id;
+                this.emit('subscriptionRenewalFailed', err);
+            };
+
+            // The auth object can have changed in place since the subscription was created, so it can be invalid by now
+            try {
+                return this.renewSubscription(auth, { id: subscription.id }, {}, (err, renewed) => {
+
+                    if (err) {
+                        return failed(err);
+                    }
+
+                    return this.emit('subscriptionRenewed', renewed);
+                });
+            }
+            catch (err) {
+                return failed(err);
+            }
+        }, delay);
+
+        // Pending renewals shouldn't keep the process running
+        timer.unref();
+
+        this.subscriptionTimers.set(subscription.id, timer);
+    }
+
+    /**
+     * @param {String} id - Subscription id
+     * @returns {void}
+     */
+    _stopRenewal(id) {
+
+        clearTimeout(this.subscriptionTimers.get(id));
+        this.subscriptionTimers.delete(id);
+    }
+
+    /* FILES */
+
+    /**
+     * @typedef {Object} FilesResponse
+     * @property {Object[]} files
+     * @property {String} [next_page_token]
+     */
+
+    /**
+     * @param {Auth} auth
+     * @param {Object} params
+     * @param {Object} options
+     * @param {Boolean} [options.raw]
+     * @param {function(Error, FilesResponse):void} callback
+     *
+     * @returns {void}
+     */
+    listFiles(auth, params, options, callback) {
+
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. The authentication information is incorrect or expired.');
+        }
+
+        // Set params.hasAttachment to true
+        params.hasAttachment = true;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this._refreshTokenIfNeeded(auth, (err, token) => {
+
+            if (err) {
+                return callback(internals.wrapError(err));
+            }
+
+            auth = token;
+
+            const client = internals.getClient(auth, 'v1.0', this.graphHost);
+            let files = [];
+            let uri = '';
+
+            /**
+             * TODO Page tokens, UPDATE: nvm, not super imported right now.
+             */
+            uri = this._getUri(params);
+
+            return client.api(`/me/messages${uri}`)
+                .select(['id', 'from', 'toRecipients', 'ccRecipients', 'bccRecipients', 'sentDateTime', 'subject', 'internetMessageId', 'conversationId'])
+                .get()
+                .then((resMessages) => {
+
+                    if (!resMessages || !resMessages.value || resMessages.value.length === 0) {
+                        return process.nextTick(() => callback(null, { files: [] }));
+                    }
+
+                    return Async.eachLimit(resMessages.value, concurrentLimitFiles, (message, callback) => {
+
+                        // Only select the properties we need so we don't fetch the content bytes (for performance reasons)
+                        return client.api(`/me/messages/${message.id}/attachments`)
+                            .select(internals.attachmentFields)
+                            .get()
+                            .then((resFiles) => {
+
+                                if (!resFiles) {
+                                    return process.nextTick(() => callback());
+                                }
+
+                                if (!options.raw) {
+                                    resFiles.value.forEach((resFile) => {
+
+                                        resFile.messageInfo = message;
+                                    });
+                                }
+
+                                files = [...files, ...resFiles.value];
+
+                                return process.nextTick(() => callback());
+                            })
+                            .catch((err) => {
+
+                                return process.nextTick(() => callback(err));
+                            });
+                    }, (err) => {
+
+                        if (err) {
+                            return process.nextTick(() => callback(internals.wrapError(err)));
+                        }
+
+                        if (options.raw) {
+                            return process.nextTick(() => callback(null, files));
+                        }
+
+                        const filesResponse = { files: this._transformFiles(files) };
+
+                        if (resMessages['@odata.nextLink']) {
+                            filesResponse.next_page_token = resMessages['@odata.nextLink'];
+                        }
+
+                        return process.nextTick(() => callback(null, filesResponse));
+                    });
+                })
+                .catch((err_) => {
+
+                    return process.nextTick(() => callback(internals.wrapError(err_)));
+                });
+        });
+    }
+
+    /**
+     * Returns the list of Outlook mail folders for the authenticated user, transformed into the unified folder shape.
+     * Uses the beta endpoint because `wellKnownName` and sub-sub folders are not exposed in v1.0.
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} [params]
+     *
+     * @param {Object} [options]
+     * @param {Boolean} [options.raw] - If true the raw (flattened) mail folders are returned instead of the unified shape
+     *
+     * @param {function(Error?, (Array.<FolderResource> | Array.<Object>)?):void} callback - Returns an array of unified folder resources when options.raw is falsy or the flattened raw folders when truthy
+     *
+     * @returns {void}
+     */
+    listFolders(auth, params, options, callback) {
+
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
+        }
+
+        if (typeof params === 'function') {
+            callback = params;
+            params = {};
+            options = {};
+        }
+        else if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this._refreshTokenIfNeeded(auth, (err, token) => {
+
+            if (err) {
+                return callback(internals.wrapError(err));
+            }
+
+            auth = token;
+
+            const client = internals.getClient(auth, 'beta', this.graphHost);
+
+            return client.api('/me/mailFolders')
+                .select(['id', 'displayName', 'wellKnownName', 'parentFolderId', 'totalItemCount', 'unreadItemCount', 'childFolders'])
+                .expand('childFolders')
+                .top(250)
                 .get()
                 .then((res) => {
 
-                    const rawFolders = res.value || [];
+                    const rawFolders = res.value || [];
+
+                    /**
+                     * The beta endpoint returns sub folders both nested in `childFolders`
+                     * and as duplicate top-level entries. We flatten and dedupe by id,
+                     * keeping the first occurrence (which carries the correct parentFolderId).
+                     */
+                    const flattened = [];
+                    const seen = new Set();
+
+                    const pushUnique = (folder) => {
+
+                        if (!seen.has(folder.id)) {
+                            seen.add(folder.id);
+                            flattened.push(folder);
+                        }
+                    };
+
+                    rawFolders.forEach((folder) => {
+
+                        pushUnique(folder);
+                        if (folder.childFolders) {
+                            folder.childFolders.forEach(pushUnique);
+                        }
+                    });
+
+                    if (options.raw) {
+                        return process.nextTick(() => callback(null, flattened));
+                    }
+
+                    return process.nextTick(() => callback(null, this._transformFolders(flattened)));
+                })
+                .catch((err_) => {
+
+                    return process.nextTick(() => callback(internals.wrapError(err_)));
+                });
+        });
+    }
+
+    /**
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.name
+     * @param {String | FolderResource} [params.parent] - Folder id or role, or a (partial) folder resource to create the folder in
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the created mail folder will not be transformed to the unified object
+     *
+     * @param {function(Error, (FolderResource | Object)?):void} callback
+     *
+     * @returns {void}
+     */
+    createFolder(auth, params, options, callback) {
+
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        const parentId = params.parent ? internals.getDestinationId(params.parent) : null;
+
+        if (params.parent && !parentId) {
+            return callback(Boom.notFound(`Folder ${params.parent.role} not found`));
+        }
+
+        const uri = parentId ? `/me/mailFolders/${parentId}/childFolders` : '/me/mailFolders';
+
+        return this._changeFolder(auth, (client) => client.api(uri).post({ displayName: params.name }), options, callback);
+    }
+
+    /**
+     * Renames the folder and/or moves it to another parent, the folder keeps its id
+     *
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - The folder id
+     * @param {String} [params.name]
+     * @param {String | FolderResource | null} [params.parent] - The new parent, null to move the folder to the top level
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the updated mail folder will not be transformed to the unified object
+     *
+     * @param {function(Error, (FolderResource | Object)?):void} callback
+     *
+     * @returns {void}
+     */
+    updateFolder(auth, params, options, callback) {
+
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        // The root of the folder tree has a well-known name too
+        const destinationId = params.parent ? internals.getDestinationId(params.parent) : 'msgfolderroot';
+
+        if (!destinationId) {
+            return callback(Boom.notFound(`Folder ${params.parent.role} not found`));
+        }
+
+        return this._changeFolder(auth, async (client) => {
+
+            let folder;
+
+            if (params.name) {
+                folder = await client.api(`/me/mailFolders/${params.id}`).patch({ displayName: params.name });
+            }
+
+            if (params.parent !== undefined) {
+                folder = await client.api(`/me/mailFolders/${params.id}/move`).post({ destinationId });
+            }
+
+            return folder;
+        }, options, callback);
+    }
+
+    /**
+     * Deletes the folder with its subfolders and messages, the folder is moved to the deleted items
+     *
+     * @throws
+     *
+     * @param {Auth} auth
+     *
+     * @param {Object} params
+     * @param {String} params.id - The folder id
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error):void} callback
+     *
+     * @returns {void}
+     */
+    deleteFolder(auth, params, options, callback) {
+
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._refreshTokenIfNeeded(auth, (err, token) => {
 
-                    /**
-                     * The beta endpoint returns sub folders both nested in `childFolders`
-                     * and as duplicate top-level entries. We flatten and dedupe by id,
-                     * keeping the first occurrence (which carries the correct parentFolderId).
-                     */
-                    const flattened = [];
-                    const seen = new Set();
+            if (err) {
+                return callback(internals.wrapError(err));
+            }
 
-                    const pushUnique = (folder) => {
+            const client = internals.getClient(token, 'v1.0', this.graphHost);
 
-                        if (!seen.has(folder.id)) {
-                            seen.add(folder.id);
-                            flattened.push(folder);
-                        }
-                    };
+            return client.api(`/me/mailFolders/${params.id}`)
+                .delete()
+                .then(() => {
 
-                    rawFolders.forEach((folder) => {
+                    return process.nextTick(() => callback(null));
+                })
+                .catch((err_) => {
 
-                        pushUnique(folder);
-                        if (folder.childFolders) {
-                            folder.childFolders.forEach(pushUnique);
-                        }
-                    });
+                    return process.nextTick(() => callback(internals.wrapError(err_)));
+                });
+        });
+    }
+
+    /**
+     * Runs a request that returns the changed mail folder and transforms it
+     *
+     * @param {Auth} auth
+     * @param {function(MicrosoftGraph.Client):Promise.<Object>} request
+     * @param {{ raw: Boolean? }} options
+     * @param {function(Error, (FolderResource | Object)?):void} callback
+     *
+     * @returns {void}
+     */
+    _changeFolder(auth, request, options, callback) {
+
+        return this._refreshTokenIfNeeded(auth, (err, token) => {
+
+            if (err) {
+                return callback(internals.wrapError(err));
+            }
+
+            const client = internals.getClient(token, 'v1.0', this.graphHost);
+
+            return request(client)
+                .then((folder) => {
 
                     if (options.raw) {
-                        return process.nextTick(() => callback(null, flattened));
+                        return process.nextTick(() => callback(null, folder));
                     }
 
-                    return process.nextTick(() => callback(null, this._transformFolders(flattened)));
+                    return process.nextTick(() => callback(null, this._transformFolders([folder])[0]));
                 })
                 .catch((err_) => {
 
@@ -853,28 +2394,77 @@ class Office365Connector extends EventEmitter {
 
             auth = token;
 
-            const client = internals.getClient(auth.access_token);
+            const client = internals.getClient(auth, 'v1.0', this.graphHost);
 
             return client.api(`me/messages/${params.messageId}/attachments/${params.id}`)
                 .get()
                 .then((resFile) => {
 
-                    return process.nextTick(() => {
+                    return process.nextTick(() => callback(null, internals.toFileResource(resFile, params.messageId)));
+                })
+                .catch((err_) => {
 
-                        return callback(null, {
-                            size: resFile.size,
-                            file_name: resFile.name,
-                            type: resFile.contentType,
-                            service_file_id: resFile.id,
-                            service_message_id: params.messageId,
-                            data: resFile.contentBytes,
-                            file_id: resFile.contentId
-                        });
-                    });
+                    return process.nextTick(() => callback(internals.wrapError(err_)));
+                });
+        });
+    }
+
+    /**
+     * Streams the content of an attachment from `/$value`, so it is never fully in memory
+     *
+     * @throws
+     *
+     * @param {Auth} auth
+     * @param {Object} params
+     * @param {String} params.id - The id of the attachment
+     * @param {String} params.messageId - The id of the message containing the attachment
+     * @param {Object} options
+     * @param {function(Error, FileStreamResource):void} callback
+     *
+     * @returns {void}
+     */
+    streamFile(auth, params, options, callback) {
+
+        if (!internals.isValidAuthentication(auth)) {
+            throw new Error('Invalid authentication. One of the needed properties is missing. Please refer to the documentation to find the required fields.');
+        }
+
+        if (!params || !params.id || !params.messageId) {
+            throw new Error('Invalid configuration. Please refer to the documentation to get the required fields.');
+        }
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this._refreshTokenIfNeeded(auth, (err, token) => {
+
+            if (err) {
+                return callback(internals.wrapError(err));
+            }
+
+            auth = token;
+
+            const client = internals.getClient(auth, 'v1.0', this.graphHost);
+            const uri = `me/messages/${params.messageId}/attachments/${params.id}`;
+            let file;
+
+            // The metadata without `contentBytes` first, so a missing attachment fails before the download starts
+            return client.api(uri)
+                .select(internals.attachmentFields)
+                .get()
+                .then((resFile) => {
+
+                    file = internals.toFileResource(resFile, params.messageId);
+                    return client.api(`${uri}/$value`).getStream();
+                })
+                .then((body) => {
+
+                    return process.nextTick(() => callback(null, { file: _.omit(file, 'data'), stream: Utils.toReadable(body) }));
                 })
                 .catch((err_) => {
 
-                    return process.nextTick(() => callback(err_));
+                    return process.nextTick(() => callback(internals.wrapError(err_)));
                 });
         });
     }
@@ -884,7 +2474,7 @@ class Office365Connector extends EventEmitter {
         this._refreshTokenIfNeeded(auth, (err, resAuth) => {
 
             if (err) {
-                return callback(err);
+                return callback(internals.wrapError(err));
             }
 
             auth = resAuth;
@@ -892,6 +2482,117 @@ class Office365Connector extends EventEmitter {
         });
     }
 
+    /**
+     * @param {null} auth - Not used, there is no auth yet
+     *
+     * @param {Object} params
+     * @param {String} params.redirectUri - Has to be registered for the app
+     * @param {Array.<String>} [params.methods] - Unified methods the auth will be used for, e.g. `['listMessages', 'sendMessage']`. Defaults to all.
+     * @param {Array.<String>} [params.scopes] - Extra scopes to ask for
+     * @param {String} [params.state]
+     * @param {String} [params.loginHint] - Email address to preselect
+     * @param {String} [params.prompt] - e.g. `select_account` or `consent`
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?, String?):void} callback - Returns the url to send the user to
+     * @returns {void}
+     */
+    getAuthorizationUrl(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        let scopes;
+
+        try {
+            scopes = internals.getScopes(params, this.graphHost);
+        }
+        catch (err) {
+            return callback(err);
+        }
+
+        const query = {
+            redirect_uri: params.redirectUri,
+            scope: scopes.join(' '),
+            response_mode: 'query'
+        };
+
+        if (params.state) {
+            query.state = params.state;
+        }
+
+        if (params.loginHint) {
+            query.login_hint = params.loginHint;
+        }
+
+        if (params.prompt) {
+            query.prompt = params.prompt;
+        }
+
+        return callback(null, this.oauth2.authorizationCode.authorizeURL(query));
+    }
+
+    /**
+     * @param {null} auth - Not used, there is no auth yet
+     *
+     * @param {Object} params
+     * @param {String} params.code - As passed to the redirect uri
+     * @param {String} params.redirectUri - Same as used for the authorization url
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?, Auth?):void} callback
+     * @returns {void}
+     */
+    exchangeAuthorizationCode(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return this.oauth2.authorizationCode.getToken({ code: params.code, redirect_uri: params.redirectUri }, (err, result) => {
+
+            if (err) {
+                // Modify error a bit to match expected error format
+                if (err.context && err.context.error) {
+                    err.message = err.context.error;
+                }
+
+                err.statusCode = err.status;
+
+                return callback(internals.wrapError(err));
+            }
+
+            const { token } = this.oauth2.accessToken.create(result);
+
+            return callback(null, {
+                access_token: token.access_token,
+                refresh_token: token.refresh_token,
+                expiration_date: token.expires_at
+            });
+        });
+    }
+
+    /**
+     * Microsoft has no endpoint to revoke the tokens of a single app, users remove the app at https://myapps.microsoft.com.
+     * `/me/revokeSignInSessions` would sign the user out of every app, so the method is listed as unsupported.
+     * For app-only auth the cached token of the tenant is forgotten.
+     *
+     * @param {Auth} auth
+     * @param {function(Error?):void} callback
+     * @returns {void}
+     */
+    revokeAuthCredentials(auth, callback) {
+
+        if (!internals.isAppOnly(auth)) {
+            return callback(Boom.notImplemented('Microsoft does not support revoking tokens'));
+        }
+
+        return this.appTokens.set(auth.tenant_id || this.tenant, {}, () => callback());
+    }
+
     /**
      *
      * INTERNAL METHODS
@@ -909,7 +2610,7 @@ class Office365Connector extends EventEmitter {
     _getUri(params) {
 
         // If no participants or to are specified, we can use filters
-        if (!params.participants && !params.to && !params.onboarding) {
+        if (!params.participants && !params.to && !params.onboarding && !params.querySearch) {
             return internals.createFilterQuery(params);
         }
         else {
@@ -931,8 +2632,8 @@ class Office365Connector extends EventEmitter {
 
         let messagesUri;
 
-        if (params.wellKnownFolderName === 'sent') {
-            messagesUri = `/me/mailFolders('sentItems')/messages${uri}`;
+        if (internals.wellKnownFolders[params.wellKnownFolderName]) {
+            messagesUri = `/me/mailFolders('${internals.wellKnownFolders[params.wellKnownFolderName]}')/messages${uri}`;
         }
         else {
             messagesUri = `/me/messages${uri}`;
@@ -977,56 +2678,132 @@ class Office365Connector extends EventEmitter {
     }
 
     /**
-     * @param {Object} message
-     * @param {MicrosoftGraph.Client} client - The microsoft graph client
-     * @param {function(Error, Object):void} callback
+     * Converts the sendMessage params to a Graph message, fetching the attachments that are passed as url
+     *
+     * @param {Auth} auth
+     * @param {Object} params - The sendMessage params, recipients are optional for drafts
+     * @param {function(Error, Object?, MicrosoftGraph.Client?):void} callback - Returns the message and a client for the Graph version the message needs
      * @returns {void}
      */
-    _sendMessage(message, client, callback) {
+    _composeMessage(auth, params, callback) {
 
-        // `/sendMail` doesn't return an id, or anything for that matter.
-        // So we have to create a draft first and then send
-        client.api('/me/messages').post(message)
-            .then((result) => {
-
-                return client.api(`/me/messages/${result.id}/send`).post({})
-                    .then(() => {
-
-                        // If we don't get an id back we want to notify this without failing the call
-                        // since the message was still sent
-                        // The emit allows the caller to still log non-blocking errors
-                        if (!result.internetMessageId) {
-                            const err = new Error('No internetMessageId returned on Office365 message creation');
-                            err.id = result.id;
-                            err.mail_message = message;
-                            this.emit('error', err);
-                        }
+        return Async.parallel({
+            refreshToken: Async.apply(this._refreshTokenIfNeeded.bind(this), auth),
+            convertAttachments: (callback) => {
+
+                if (!params.attachments || params.attachments.length === 0) {
+                    return callback();
+                }
+
+                return Async.map(params.attachments, (attachment, callback) => {
+
+                    if (attachment.contentBytes) {
+                        return callback(null, {
+                            ...attachment,
+                            '@odata.type': '#microsoft.graph.FileAttachment'
+                        });
+                    }
+
+                    return Wreck.get(attachment.url).then((result) => {
+
+                        return process.nextTick(() => {
 
-                        return process.nextTick(() => callback(null, result.internetMessageId));
+                            return callback(null, {
+                                '@odata.type': '#microsoft.graph.FileAttachment',
+                                name: attachment.name,
+                                contentLocation: attachment.url,
+                                contentBytes: Buffer.from(result.payload).toString('base64')
+                            });
+                        });
                     })
-                    .catch((err) => {
+                        .catch((err) => {
 
-                        return process.nextTick(() => callback(internals.wrapError(err)));
-                    });
-            })
-            .catch((err) => {
+                            if (err) {
+                                if (err.data && err.data.payload) {
+                                    return process.nextTick(() => callback(err.data.payload));
+                                }
+
+                                return process.nextTick(() => callback(err));
+                            }
+                        });
+                }, (err, convertedAttachments) => {
+
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    return callback(null, convertedAttachments);
+                });
+            }
+        }, (err, results) => {
+
+            if (err) {
+                return callback(internals.wrapError(err));
+            }
+
+            const contentType = params.html ? 'html' : 'text';
+            const message = {
+                subject: params.subject,
+                toRecipients: (params.to || []).map(internals.convertUnimailToMSGraphRecipient),
+                body: {
+                    contentType,
+                    content: params[contentType]
+                }
+            };
+
+            if (params.from) {
+                message.from = internals.convertUnimailToMSGraphRecipient(params.from);
+            }
+
+            let version = 'v1.0';
+            const attachments = results.convertAttachments;
+
+            if (attachments && attachments.length > 0) {
+                message.hasAttachments = true;
+                message.attachments = attachments;
+
+                if (attachments.some((attachment) => attachment['@odata.type'] === '#microsoft.graph.ReferenceAttachment')) {
+                    version = 'beta';
+                }
+            }
+
+            const client = internals.getClient(results.refreshToken, version, this.graphHost);
+
+            if (params.cc && params.cc.length > 0) {
+                message.ccRecipients = params.cc.map(internals.convertUnimailToMSGraphRecipient);
+            }
+
+            if (params.bcc && params.bcc.length > 0) {
+                message.bccRecipients = params.bcc.map(internals.convertUnimailToMSGraphRecipient);
+            }
 
-                return process.nextTick(() => callback(internals.wrapError(err)));
-            });
+            return callback(null, message, client);
+        });
     }
 
     /**
      * @param {Object} message
-     * @param {{ inReplyTo: String }} params
+     * @param {{ inReplyTo: String? }} params
      * @param {MicrosoftGraph.Client} client - The microsoft graph client
-     * @param {function(Error, Object):void} callback
+     * @param {function(Error, Object):void} callback - Returns the created draft
      * @returns {void}
      */
-    _reply(message, params, client, callback) {
+    _createDraft(message, params, client, callback) {
+
+        if (!params.inReplyTo) {
+            return client.api('/me/messages').post(message)
+                .then((draft) => {
 
-        // `/reply` doesn't return an id, or anything for that matter.
-        // So we have to create a draft first and set everything we want manually and then send
-        client.api(`/me/messages/${params.inReplyTo}/createReply`).post({})
+                    return process.nextTick(() => callback(null, draft));
+                })
+                .catch((err) => {
+
+                    return process.nextTick(() => callback(internals.wrapError(err)));
+                });
+        }
+
+        // We create a reply draft so Outlook threads it and set everything we want manually
+        return client.api(`/me/messages/${params.inReplyTo}/createReply`).post({})
             .then((response) => {
 
                 // Remove the attachments from message to prevent double attachments if PATCH /messages starts supporting attachments
@@ -1044,17 +2821,7 @@ class Office365Connector extends EventEmitter {
                         return Promise.all(attachmentPromises)
                             .then(() => {
 
-                                return client.api(`/me/messages/${response.id}/send`).post({}).then(() => {
-
-                                    return process.nextTick(() => callback(null, updateResponse.internetMessageId));
-                                }).catch((err) => {
-
-                                    return process.nextTick(() => callback(internals.wrapError(err)));
-                                });
-                            })
-                            .catch((err) => {
-
-                                return process.nextTick(() => callback(internals.wrapError(err)));
+                                return process.nextTick(() => callback(null, { ...updateResponse, id: response.id }));
                             });
                     })
                     .catch((err) => {
@@ -1064,13 +2831,45 @@ class Office365Connector extends EventEmitter {
             })
             .catch((err) => {
 
-                // This most likely means we are replying to an email not in our mailbox, if so just send a regular message
+                // This most likely means we are replying to an email not in our mailbox, if so just create a regular message
                 // Hotmail for example seems to return a 404 resource not found while Outlook returns a 400 bad request
                 // Office365 mailboxes can also return this vague 'Mailbox move in progress' error when attempting to reply to a message from another inbox.
                 if ((err.statusCode >= 400 && err.statusCode <= 404) || (err.statusCode === 503 && err.message?.toLowerCase()?.includes('mailbox move in progress'))) {
-                    return this._sendMessage(message, client, callback);
+                    return this._createDraft(message, { ...params, inReplyTo: null }, client, callback);
+                }
+
+                return process.nextTick(() => callback(internals.wrapError(err)));
+            });
+    }
+
+    /**
+     * @param {{ id: String, internetMessageId: String? }} draft
+     * @param {Object} message - Only used to report a missing internetMessageId
+     * @param {MicrosoftGraph.Client} client - The microsoft graph client
+     * @param {function(Error, String?):void} callback - Returns the internet message id of the sent message
+     * @returns {void}
+     */
+    _sendDraft(draft, message, client, callback) {
+
+        // `/sendMail` doesn't return an id, or anything for that matter.
+        // So messages are always sent from a draft
+        return client.api(`/me/messages/${draft.id}/send`).post({})
+            .then(() => {
+
+                // If we don't get an id back we want to notify this without failing the call
+                // since the message was still sent
+                // The emit allows the caller to still log non-blocking errors
+                if (!draft.internetMessageId) {
+                    const err = new Error('No internetMessageId returned on Office365 message creation');
+                    err.id = draft.id;
+                    err.mail_message = message;
+                    this.emit('error', err);
                 }
 
+                return process.nextTick(() => callback(null, draft.internetMessageId));
+            })
+            .catch((err) => {
+
                 return process.nextTick(() => callback(internals.wrapError(err)));
             });
     }
@@ -1155,7 +2954,7 @@ class Office365Connector extends EventEmitter {
          * So we fetch all the folders and match the folders ourselves.
          * Note that the graph api also doesn't support filtering by id 🤷‍♀️
          */
-        return internals.getFolders(auth, (err, folders) => {
+        return internals.getFolders(auth, this.graphHost, (err, folders) => {
 
             if (err) {
                 return callback(internals.wrapError(err));
@@ -1236,6 +3035,10 @@ class Office365Connector extends EventEmitter {
      */
     _refreshTokenIfNeeded(authObject, callback) {
 
+        if (internals.isAppOnly(authObject)) {
+            return this._getAppToken(authObject, callback);
+        }
+
         if (!(authObject.access_token && authObject.refresh_token && authObject.expiration_date)) {
             throw new Error('Authentication object is missing properties. Refer to the docs for more info.');
         }
@@ -1251,26 +3054,45 @@ class Office365Connector extends EventEmitter {
             return callback(null, authObject);
         }
 
-        token.refresh((err, resAuth) => {
+        const refresh = (callback) => {
 
-            if (err) {
-                // Modify error a bit to match expected error format
-                if (err.context && err.context.error) {
-                    err.message = err.context.error;
+            return token.refresh((err, resAuth) => {
+
+                if (err) {
+                    // Modify error a bit to match expected error format
+                    if (err.context && err.context.error) {
+                        err.message = err.context.error;
+                    }
+
+                    err.statusCode = err.status;
+
+                    return callback(err);
                 }
 
-                err.statusCode = err.status;
+                return callback(null, {
+                    access_token: resAuth.token.access_token,
+                    refresh_token: resAuth.token.refresh_token || authObject.refresh_token,
+                    expiration_date: resAuth.token.expires_at
+                });
+            });
+        };
+
+        const isExpired = (storedToken) => this.oauth2.accessToken.create({ expires_at: storedToken.expiration_date }).expired();
 
+        return TokenStores.refresh(this.tokenStore, authObject, isExpired, refresh, (err, newToken) => {
+
+            if (err) {
                 return callback(err);
             }
 
-            authObject.access_token = resAuth.token.access_token;
-            authObject.expiration_date = resAuth.token.expires_at;
+            authObject.access_token = newToken.access_token;
+            authObject.refresh_token = newToken.refresh_token;
+            authObject.expiration_date = new Date(newToken.expiration_date);
 
             this._tokensUpdated({
                 refresh_token: authObject.refresh_token,
-                access_token: resAuth.token.access_token,
-                expires_at: resAuth.token.expires_at,
+                access_token: authObject.access_token,
+                expires_at: authObject.expiration_date,
                 id: authObject.id
             });
 
@@ -1279,6 +3101,87 @@ class Office365Connector extends EventEmitter {
     }
 
 
+    /**
+     * Gets a token for the app itself with the client credentials grant, tokens are cached and shared per tenant.
+     * They are never emitted since they can always be requested again.
+     *
+     * @param {Auth} authObject - Gets the token set on it
+     * @param {(function(Error):void) | (function(null, Auth):void)} callback
+     *
+     * @returns {void}
+     */
+    _getAppToken(authObject, callback) {
+
+        const tenant = authObject.tenant_id || this.tenant;
+        const isExpired = (token) => !token.access_token || !token.expiration_date || new Date(token.expiration_date).getTime() - internals.appTokenMargin <= Date.now();
+
+        if (internals.multiTenantAuthorities.includes(tenant.toLowerCase())) {
+            return callback(Boom.badRequest('App-only authentication needs a tenant, set `tenant_id` on the auth object or `tenant` on the connector'));
+        }
+
+        if (!isExpired(authObject)) {
+            return callback(null, authObject);
+        }
+
+        if (!this.appOauth2.has(tenant)) {
+            this.appOauth2.set(tenant, Oauth2.create(this._getOauthCredentials(tenant)));
+        }
+
+        const oauth2 = this.appOauth2.get(tenant);
+
+        const refresh = (callback) => {
+
+            return oauth2.clientCredentials.getToken({ scope: `${this.graphHost}/.default` }, (err, result) => {
+
+                if (err) {
+                    // Modify error a bit to match expected error format
+                    if (err.context && err.context.error) {
+                        err.message = err.context.error;
+                    }
+
+                    err.statusCode = err.status;
+
+                    return callback(err);
+                }
+
+                const { token } = oauth2.accessToken.create(result);
+
+                return callback(null, { access_token: token.access_token, expiration_date: token.expires_at });
+            });
+        };
+
+        return TokenStores.refresh(this.appTokens, { id: tenant, access_token: authObject.access_token }, isExpired, refresh, (err, token) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            authObject.access_token = token.access_token;
+            authObject.expiration_date = new Date(token.expiration_date);
+
+            return callback(null, authObject);
+        });
+    }
+
+    /**
+     * @param {String} tenant
+     * @returns {Object} simple-oauth2 options for the authority of the tenant
+     */
+    _getOauthCredentials(tenant) {
+
+        return {
+            client: {
+                id: this.clientId,
+                secret: this.clientSecret
+            },
+            auth: {
+                tokenHost: this.tokenHost,
+                authorizePath: `${tenant}/oauth2/v2.0/authorize`,
+                tokenPath: `${tenant}/oauth2/v2.0/token`
+            }
+        };
+    }
+
     /**
      * Makes sure authentication information gets updated when the access token has been renewed
      *
@@ -1309,6 +3212,123 @@ class Office365Connector extends EventEmitter {
  *
  */
 
+internals.capabilities = {
+    // Only app-only auth can be revoked, see `revokeAuthCredentials()`
+    unsupported_methods: ['revokeAuthCredentials'],
+    filters: {
+        from: { supported: true },
+        to: { supported: true },
+        subject: { supported: true },
+        participants: { supported: true },
+        hasAttachment: { supported: true },
+        before: { supported: true },
+        after: { supported: true },
+        folder: { supported: 'partial', values: ['sent'], note: 'Paging is not supported when filtering on a folder' },
+        includeDrafts: { supported: true },
+        query: { supported: 'partial', note: 'A filter and a search can\'t be combined, `unread` and `starred` only work with `from`, `hasAttachment`, `before` and `after`. `folderRole` only works at the top level and without the `folder` param.' }
+    },
+    max_page_size: 1000,
+    push: true,
+    delta_sync: true
+};
+
+// Query conditions a `$filter` and a `$search` can express
+internals.filterConditions = ['from', 'unread', 'starred', 'hasAttachment', 'before', 'after'];
+internals.searchConditions = ['from', 'to', 'cc', 'bcc', 'subject', 'body', 'text', 'hasAttachment', 'hasAttachmentType', 'larger', 'smaller', 'before', 'after'];
+
+// Folder roles and their well-known folder name in Graph
+internals.wellKnownFolders = {
+    sent: 'sentItems',
+    inbox: 'inbox',
+    drafts: 'drafts',
+    trash: 'deletedItems',
+    spam: 'junkemail',
+    archive: 'archive'
+};
+
+internals.methodScopes = {
+    listMessages: ['Mail.Read'],
+    getMessage: ['Mail.Read'],
+    sendMessage: ['Mail.ReadWrite', 'Mail.Send'], // Messages are sent by creating a draft first
+    updateMessage: ['Mail.ReadWrite'],
+    moveMessage: ['Mail.ReadWrite'],
+    trashMessage: ['Mail.ReadWrite'],
+    deleteMessage: ['Mail.ReadWrite'],
+    batchGetMessages: ['Mail.Read'],
+    batchUpdateMessages: ['Mail.ReadWrite'],
+    createDraft: ['Mail.ReadWrite'],
+    updateDraft: ['Mail.ReadWrite'],
+    getDraft: ['Mail.Read'],
+    listDrafts: ['Mail.Read'],
+    sendDraft: ['Mail.ReadWrite', 'Mail.Send'],
+    deleteDraft: ['Mail.ReadWrite'],
+    listFiles: ['Mail.Read'],
+    getFile: ['Mail.Read'],
+    streamFile: ['Mail.Read'],
+    listFolders: ['Mail.Read'],
+    createFolder: ['Mail.ReadWrite'],
+    updateFolder: ['Mail.ReadWrite'],
+    deleteFolder: ['Mail.ReadWrite'],
+    listThreads: ['Mail.Read'],
+    getThread: ['Mail.Read'],
+    listChanges: ['Mail.Read'],
+    createSubscription: ['Mail.Read'],
+    renewSubscription: ['Mail.Read'],
+    deleteSubscription: ['Mail.Read']
+};
+
+// Graph rejects message subscriptions that expire later than this
+internals.maxSubscriptionLifetime = 4230 * 60 * 1000;
+internals.subscriptionRenewalMargin = 60 * 60 * 1000;
+
+/**
+ * @throws
+ *
+ * @param {{ methods: Array.<String>?, scopes: Array.<String>? }} params
+ * @param {String} graphHost - Scopes for other clouds than the global one have to be prefixed with the Graph host
+ * @returns {Array.<String>} The scopes needed for the methods and the extra scopes, always including `offline_access` to get a refresh token
+ */
+internals.getScopes = (params, graphHost) => {
+
+    const methods = params.methods || Object.keys(internals.methodScopes);
+    const unknown = methods.filter((method) => !internals.methodScopes[method]);
+
+    if (unknown.length > 0) {
+        throw Boom.badRequest(`No scopes known for ${unknown.join(', ')}`);
+    }
+
+    const prefix = graphHost === 'https://graph.microsoft.com' ? '' : `${graphHost}/`;
+    const scopes = methods.flatMap((method) => internals.methodScopes[method]).map((scope) => `${prefix}${scope}`);
+
+    return [...new Set(['offline_access', ...scopes, ...(params.scopes || [])])];
+};
+
+internals.messageFields = ['id', 'from', 'toRecipients', 'ccRecipients', 'bccRecipients', 'sentDateTime', 'subject', 'internetMessageId', 'conversationId', 'body', 'hasAttachments', 'SingleValueExtendedProperties'];
+
+// The transport headers, to get the complete headers of a message
+internals.headersExpand = 'SingleValueExtendedProperties($filter=id eq \'String 0x7D\')';
+
+internals.attachmentFields = ['microsoft.graph.fileAttachment/contentId', 'microsoft.graph.fileAttachment/contentType', 'id', 'size', 'name', 'lastModifiedDateTime', 'isInline'];
+
+/**
+ * @param {{ unread: Boolean?, starred: Boolean? }} params - The updateMessage params
+ * @returns {Object} The message properties to patch, starred messages are flagged in Outlook
+ */
+internals.getMessageChanges = (params) => {
+
+    const message = {};
+
+    if (params.unread !== undefined) {
+        message.isRead = !params.unread;
+    }
+
+    if (params.starred !== undefined) {
+        message.flag = { flagStatus: params.starred ? 'flagged' : 'notFlagged' };
+    }
+
+    return message;
+};
+
 internals.wellKnownNameToRole = {
     inbox: 'inbox',
     sentitems: 'sent',
@@ -1320,26 +3340,108 @@ internals.wellKnownNameToRole = {
 };
 
 /**
- * Initiates the Microsoft Graph client with an access token.
+ * Roles are moved to by their well-known folder name, which saves looking up the folder id
+ *
+ * @param {String | { id: String?, role: String? }} target - Folder id or role, or a (partial) folder resource
+ * @returns {String | null} Null for a role without a well-known folder
+ */
+internals.getDestinationId = (target) => {
+
+    if (typeof target !== 'string' && target.id) {
+        return target.id;
+    }
+
+    const role = typeof target === 'string' ? target.toLowerCase() : target.role;
+    const wellKnownName = Object.keys(internals.wellKnownNameToRole).find((name) => internals.wellKnownNameToRole[name] === role);
+
+    if (wellKnownName) {
+        return wellKnownName;
+    }
+
+    // Strings that aren't a role are folder ids
+    return typeof target === 'string' ? target : null;
+};
+
+/**
+ * @param {Date} [expiresAt]
+ * @returns {String} The requested expiration, capped to the maximum Graph allows
+ */
+internals.getSubscriptionExpiration = (expiresAt) => {
+
+    const max = Date.now() + internals.maxSubscriptionLifetime;
+
+    return new Date(expiresAt ? Math.min(new Date(expiresAt).getTime(), max) : max).toISOString();
+};
+
+/**
+ * @param {Object} subscription - Subscription in the format returned by the Graph API
+ * @returns {SubscriptionResource}
+ */
+internals.toSubscriptionResource = (subscription) => {
+
+    return {
+        id: subscription.id,
+        expires_at: new Date(subscription.expirationDateTime),
+        secret: subscription.clientState || null,
+        service_type: 'office365'
+    };
+};
+
+/**
+ * @param {String} [resource] - Resource of a notification, e.g. `Users/{user id}/Messages/{message id}`
+ * @returns {String|null} The id of the user
+ */
+internals.getResourceUserId = (resource) => {
+
+    const match = /^\/?users[/(]'?([^'/)]+)/i.exec(resource || '');
+
+    return match ? match[1] : null;
+};
+
+/**
+ * Initiates the Microsoft Graph client with the access token of the auth object.
+ * When the auth object has a user, `/me` paths are rewritten to the path of that user.
  *
- * @param {String} accessToken
+ * @param {Auth} auth
  * @param {String} [version='v1.0']
+ * @param {String} [graphHost='https://graph.microsoft.com']
  *
  * @returns {MicrosoftGraph.Client} - The API client
  */
-internals.getClient = (accessToken, version = 'v1.0') => {
+internals.getClient = (auth, version = 'v1.0', graphHost = 'https://graph.microsoft.com') => {
 
+    const accessToken = auth.access_token;
     const client = MicrosoftGraph.Client.initWithMiddleware({
         defaultVersion: version,
+        baseUrl: `${graphHost}/`,
+        customHosts: new Set([new URL(graphHost).hostname]),
         authProvider: {
             getAccessToken: () => accessToken
         },
         debugLogging: false
     });
 
+    if (auth.user) {
+        const api = client.api.bind(client);
+        const userPath = internals.getUserPath(auth);
+
+        client.api = (path) => api(typeof path === 'string' ? path.replace(/^\/?me(?=[/?(]|$)/, userPath) : path);
+    }
+
     return client;
 };
 
+/**
+ * App-only tokens have no `/me`, they act on the mailbox of `auth.user`
+ *
+ * @param {Auth} auth
+ * @returns {String}
+ */
+internals.getUserPath = (auth) => {
+
+    return auth.user ? `/users/${encodeURIComponent(auth.user)}` : '/me';
+};
+
 /**
  *
  * @param {Error} errorObject
@@ -1347,6 +3449,10 @@ internals.getClient = (accessToken, version = 'v1.0') => {
  */
 internals.wrapError = (errorObject) => {
 
+    if (Boom.isBoom(errorObject)) {
+        return errorObject;
+    }
+
     let error = errorObject;
 
     if (!(errorObject instanceof Error)) {
@@ -1412,7 +3518,16 @@ internals.getEmailAddressObjects = (recipients) => {
  */
 internals.isValidAuthentication = (authObject) => {
 
-    return (authObject && authObject.access_token && authObject.refresh_token && !!authObject.expiration_date);
+    return Boolean(authObject) && ((authObject.access_token && authObject.refresh_token && !!authObject.expiration_date) || internals.isAppOnly(authObject));
+};
+
+/**
+ * @param {Auth} authObject
+ * @returns {Boolean} - Whether the app's own client credentials have to be used
+ */
+internals.isAppOnly = (authObject) => {
+
+    return Boolean(authObject.user) && !authObject.refresh_token;
 };
 
 /**
@@ -1460,6 +3575,17 @@ internals.createSearchQuery = (params) => {
             searchQuery += `sent>${params.after.toISOString()}`;
         }
 
+        if (params.querySearch) {
+            if (searchQuery) {
+                searchQuery += ' AND ';
+            }
+            else {
+                searchQuery += '?$search="';
+            }
+
+            searchQuery += params.querySearch;
+        }
+
         if (params.from) {
             if (searchQuery) {
                 searchQuery += ' AND ';
@@ -1648,6 +3774,10 @@ internals.createFilterQuery = (params) => {
             filterQuery += 'IsDraft eq false';
         }
 
+        if (params.queryFilter) {
+            filterQuery += ` and ${params.queryFilter}`;
+        }
+
         if (params.limit) {
             filterQuery += `${filterQuery ? '&' : '?'}$top=${params.limit}`;
         }
@@ -1659,6 +3789,160 @@ internals.createFilterQuery = (params) => {
     }
 };
 
+/**
+ * @param {Object} resFile - A Graph attachment
+ * @param {String} messageId
+ * @returns {FileResource}
+ */
+internals.toFileResource = (resFile, messageId) => {
+
+    return {
+        size: resFile.size,
+        file_name: resFile.name,
+        type: resFile.contentType,
+        service_file_id: resFile.id,
+        service_message_id: messageId,
+        data: resFile.contentBytes,
+        file_id: resFile.contentId
+    };
+};
+
+/**
+ * Splits the unified query of the listMessages params into a filter or search for Graph and the part that is applied to the listed messages.
+ * A filter is preferred since it can be ordered, a search is used when the filter can't express the query or `to` or participants need one anyway.
+ *
+ * @throws 400 when the query can't be evaluated
+ *
+ * @param {Object} params - The listMessages params
+ *
+ * @returns {{ params: Object, client: (import('../lib/query').QueryNode | null) }} The listMessages params with the compiled query and the client-side part
+ */
+internals.planQuery = (params) => {
+
+    let conjuncts = Query.conjuncts(params.query);
+    const folderRole = params.folder ? null : conjuncts.find((node) => internals.wellKnownFolders[node.folderRole]);
+    const listParams = { ...params, query: null };
+
+    if (folderRole) {
+        conjuncts = conjuncts.filter((node) => node !== folderRole);
+        listParams.queryFolder = folderRole.folderRole;
+        listParams.includeDrafts = params.includeDrafts || folderRole.folderRole === 'drafts';
+    }
+
+    const query = Query.and(conjuncts);
+    const canFilter = !params.participants && !params.to && !params.onboarding;
+    const filter = canFilter ? internals.trySplitQuery(query, internals.filterConditions) : null;
+
+    if (filter && !filter.client) {
+        return { params: { ...listParams, queryFilter: internals.compileFilter(filter.server) }, client: null };
+    }
+
+    // Throws the error when the query can't be split either way
+    const search = filter ? internals.trySplitQuery(query, internals.searchConditions) : Query.split(query, { conditions: internals.searchConditions });
+
+    if (search) {
+        return { params: { ...listParams, querySearch: search.server && internals.compileSearch(search.server) }, client: search.client };
+    }
+
+    return { params: { ...listParams, queryFilter: filter.server && internals.compileFilter(filter.server) }, client: filter.client };
+};
+
+/**
+ * @param {import('../lib/query').QueryNode | null} query
+ * @param {Array.<String>} conditions
+ * @returns {{ server: Object, client: Object } | null} Null when the client-side part can't be evaluated
+ */
+internals.trySplitQuery = (query, conditions) => {
+
+    try {
+        return Query.split(query, { conditions });
+    }
+    catch (err) {
+        if (err.isBoom && err.output.statusCode === 400) {
+            return null;
+        }
+
+        throw err;
+    }
+};
+
+/**
+ * @param {import('../lib/query').QueryNode} node
+ * @returns {String} The node as (part of) a `$filter`
+ */
+internals.compileFilter = (node) => {
+
+    if (node.and || node.or) {
+        return `(${(node.and || node.or).map(internals.compileFilter).join(node.and ? ' and ' : ' or ')})`;
+    }
+
+    if (node.not) {
+        return `not ${internals.compileFilter(node.not)}`;
+    }
+
+    const [condition] = Object.keys(node);
+    const value = node[condition];
+
+    switch (condition) {
+        case 'from': {
+            const encodedParam = internals.encodeParam(value);
+            return `(startswith(from/emailAddress/address,'${encodedParam}') or from/emailAddress/address eq '${encodedParam}')`;
+        }
+
+        case 'unread':
+            return `isRead eq ${!value}`;
+        case 'starred':
+            return `flag/flagStatus ${value ? 'eq' : 'ne'} 'flagged'`;
+        case 'hasAttachment':
+            return `hasAttachments eq ${value}`;
+        case 'before':
+            return `SentDateTime lt ${value.toISOString()}`;
+        default: // After
+            return `SentDateTime gt ${value.toISOString()}`;
+    }
+};
+
+/**
+ * @param {import('../lib/query').QueryNode} node
+ * @returns {String} The node as (part of) a `$search`, which uses KQL
+ */
+internals.compileSearch = (node) => {
+
+    if (node.and || node.or) {
+        return `(${(node.and || node.or).map(internals.compileSearch).join(node.and ? ' AND ' : ' OR ')})`;
+    }
+
+    if (node.not) {
+        return `NOT ${internals.compileSearch(node.not)}`;
+    }
+
+    const [condition] = Object.keys(node);
+    const value = node[condition];
+
+    switch (condition) {
+        case 'hasAttachment':
+            return `hasAttachments:${value}`;
+        case 'larger':
+            return `size>${value}`;
+        case 'smaller':
+            return `size<${value}`;
+        case 'before':
+            return `sent<${value.toISOString()}`;
+        case 'after':
+            return `sent>${value.toISOString()}`;
+        default: {
+            // Phrases are quoted, otherwise KQL searches the words separately
+            const term = internals.encodeParam(/\s/.test(value) ? `"${value.replace(/"/g, '')}"` : value, internals.paramTypes.search);
+
+            if (condition === 'text') {
+                return term;
+            }
+
+            return `${condition === 'hasAttachmentType' ? 'attachment' : condition}:${term}`;
+        }
+    }
+};
+
 /**
  * Filter query is wrapped in single quotes and when the value contains a quote a badData is returned. Escaped by doubling the single quote.
  * Search query is wrapped in double quotes and when the value contains a double quote a badData is returned or results may not be correct. Escaped by inserting \ before the double quote
@@ -1748,10 +4032,11 @@ internals.convertUnimailToMSGraphRecipient = (recipient) => {
 
 /**
  * @param {Auth} auth
+ * @param {String} graphHost
  * @param {function(Error, FoldersMap):void} callback
  * @returns {void}
  */
-internals.getFolders = (auth, callback) => {
+internals.getFolders = (auth, graphHost, callback) => {
 
     /**
      * We need the beta for 2 reasons:
@@ -1760,7 +4045,7 @@ internals.getFolders = (auth, callback) => {
      *
      * Note that beta also returns sub folders on the top level but since they are dupes we can just dedupe those
      */
-    const client = internals.getClient(auth.access_token, 'beta');
+    const client = internals.getClient(auth, 'beta', graphHost);
 
     client.api('/me/mailFolders')
         .select(['id', 'displayName', 'wellKnownName', 'childFolders'])
@@ -1,19 +1,30 @@
 'use strict';
 
 const EventEmitter = require('events');
+const Async = require('async');
 
 const { UnipileClient } = require('unipile-node-sdk');
 const Boom = require('@hapi/boom');
 
+const Query = require('./query');
+const Utils = require('./utils');
+
 const internals = {};
 
 /**
  * @typedef {import('./index').MessageResource} MessageResource
  * @typedef {import('./index').MessageListResource} MessageListResource
+ * @typedef {import('./index').BatchResultResource} BatchResultResource
  * @typedef {import('./index').FileResource} FileResource
  * @typedef {import('./index').FileListResource} FileListResource
  * @typedef {import('./index').MessageRecipient} MessageRecipient
  * @typedef {import('./index').FolderResource} FolderResource
+ * @typedef {import('./index').ThreadResource} ThreadResource
+ * @typedef {import('./index').ThreadListResource} ThreadListResource
+ * @typedef {import('./index').ChangeListResource} ChangeListResource
+ * @typedef {import('./index').SubscriptionResource} SubscriptionResource
+ * @typedef {import('./index').NotificationRequest} NotificationRequest
+ * @typedef {import('./index').NotificationListResource} NotificationListResource
  */
 
 class UnipileConnector extends EventEmitter {
@@ -32,6 +43,7 @@ class UnipileConnector extends EventEmitter {
         this.baseUrl = config.baseUrl;
         this.accessToken = config.accessToken;
         this.name = 'unipile';
+        this.capabilities = internals.capabilities;
 
         internals.client = new UnipileClient(this.baseUrl, this.accessToken);
     }
@@ -108,15 +120,7 @@ class UnipileConnector extends EventEmitter {
             return callback(null, this._transformMessages(message)[0]);
         }).catch((err) => {
 
-            let statusCode = 500;
-
-            if (err.body) {
-                if (err.body.status < 500) {
-                    statusCode = err.body.status;
-                }
-            }
-
-            return callback(Boom.boomify(err, { statusCode }));
+            return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
         });
     }
 
@@ -137,6 +141,7 @@ class UnipileConnector extends EventEmitter {
      * @param {Boolean} params.includeDrafts - Whether to include drafts or not, defaults to false
      * @param {String} params.subject - ! TODO: SUBJECT NOT SUPPORTED this is currently not an issue, since it's only used for getting messages by email message id
      * in practice the date param included in that call will be enough to get the correct message
+     * @param {import('./query').QueryNode} [params.query] - Top level `from`, `to`, `before`, `after` and `folderRole` conditions are sent as params, the rest is applied to the listed messages
      *
      * @param {Object} options
      * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
@@ -154,6 +159,20 @@ class UnipileConnector extends EventEmitter {
         }
 
         options = options || {};
+
+        if (params.query) {
+            let query;
+
+            try {
+                query = internals.planQuery(params);
+            }
+            catch (err) {
+                return callback(err);
+            }
+
+            return Query.filterList(query.client, options, (listOptions, next) => this.listMessages(auth, query.params, listOptions, next), callback);
+        }
+
         options = { includeBody: true, ...options };
         const clonedParams = { ...params };
 
@@ -410,34 +429,374 @@ class UnipileConnector extends EventEmitter {
                 })
                 .catch((err) => {
 
-                    let statusCode = 500;
-                    if (err.body) {
-                        if (err.body.status < 500) {
-                            statusCode = err.body.status;
-                        }
-                    }
-
-                    return callback(Boom.boomify(err, { statusCode }));
+                    return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
                 });
         }
         catch (err) {
 
-            let statusCode = 500;
+            return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+        }
+    }
 
-            if (err.body) {
-                if (err.body.status < 500) {
-                    statusCode = err.body.status;
-                }
+    sendMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return callback(Boom.notImplemented('Not implemented'));
+    }
+
+    /**
+     * Unipile can only mark messages as read or unread, use moveMessage to change the folder
+     *
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {String} params.id - Unipile message id
+     * @param {Boolean} [params.unread]
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response of the update is returned instead of the updated unified message
+     *
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
+     * @returns {void}
+     */
+    updateMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        if (params.starred !== undefined || params.addFolders || params.removeFolders) {
+            return callback(Boom.badRequest('Unipile only supports updating unread, use moveMessage to change the folder'));
+        }
+
+        return this._updateMessage(auth, { email_id: params.id, unread: params.unread }, options, callback);
+    }
+
+    /**
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {String} params.id - Unipile message id
+     * @param {String | FolderResource} params.folder - Folder id or role, or a (partial) folder resource
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response of the update is returned instead of the updated unified message
+     *
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
+     * @returns {void}
+     */
+    moveMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return internals.getFolders(auth, (err, folders) => {
+
+            // Don't fail the call if the sent or inbox folder is not found
+            if (err && !err.message.includes('folder not found')) {
+                return callback(err);
+            }
+
+            let folder;
+
+            try {
+                folder = Utils.findFolder(this._transformFolders(folders), params.folder);
+            }
+            catch (err) {
+                return callback(err);
+            }
+
+            // Messages are moved with the provider id of the folder, like they are listed
+            const providerId = folders.find((unipileFolder) => unipileFolder.id === folder.id).provider_id;
+
+            return this._updateMessage(auth, { email_id: params.id, folders: [providerId] }, options, callback);
+        });
+    }
+
+    /**
+     * Moves the message to the trash folder
+     *
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {String} params.id - Unipile message id
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response of the update is returned instead of the updated unified message
+     *
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
+     * @returns {void}
+     */
+    trashMessage(auth, params, options, callback) {
+
+        return this.moveMessage(auth, { ...params, folder: { role: 'trash' } }, options, callback);
+    }
+
+    /**
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {String} params.id - Unipile message id
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?):void} callback
+     * @returns {void}
+     */
+    deleteMessage(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return internals.client.email.delete(params.id).then(() => {
+
+            return callback(null);
+        }).catch((err) => {
+
+            return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+        });
+    }
+
+    /**
+     * @param {Object} auth
+     * @param {{ email_id: String, unread: Boolean?, folders: Array.<String>? }} input
+     * @param {{ raw: Boolean? }} options
+     * @param {function(Error?, (MessageResource | Object)?):void} callback
+     * @returns {void}
+     */
+    _updateMessage(auth, input, options, callback) {
+
+        return internals.client.email.update(input).then((response) => {
+
+            if (options.raw) {
+                return callback(null, response);
             }
 
-            return callback(Boom.boomify(err, { statusCode }));
+            return this.getMessage(auth, { id: input.email_id }, {}, callback);
+        }).catch((err) => {
+
+            return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+        });
+    }
+
+    /**
+     * Unipile has no batch endpoint, so the messages are fetched a few at a time
+     *
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {Array.<String>} params.ids - Unipile message ids
+     *
+     * @param {Object} options - Same as getMessage
+     *
+     * @param {function(Error?, BatchResultResource?):void} callback
+     * @returns {void}
+     */
+    batchGetMessages(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
         }
+
+        return Utils.batch(params.ids, (id, next) => this.getMessage(auth, { id }, options, next), callback);
     }
 
-    sendMessage(auth, params, options, callback) {
+    /**
+     * Unipile has no batch endpoint, so the messages are updated a few at a time
+     *
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params - Same as updateMessage, with the message ids as `ids`
+     * @param {Array.<String>} params.ids - Unipile message ids
+     *
+     * @param {Object} options - Same as updateMessage
+     *
+     * @param {function(Error?, BatchResultResource?):void} callback
+     * @returns {void}
+     */
+    batchUpdateMessages(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        const { ids, ...changes } = params;
+
+        return Utils.batch(ids, (id, next) => this.updateMessage(auth, { ...changes, id }, options, next), callback);
+    }
+
+    /* THREADS */
+
+    /**
+     * Unipile has no endpoint to list threads, so a page of messages is listed and grouped on their thread id.
+     * Because of this `limit` is the amount of messages and a thread can be returned again on a next page.
+     *
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     * @param {Object} params - Same as listMessages
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the messages of the threads will not be transformed to the unified object
+     * @param {Boolean} [options.idsOnly] - If true the response will only contain the ids of the threads
+     *
+     * @param {function(Error?, (ThreadListResource | { threads: Array.<Object | String>, next_page_token: String? })?):void} callback
+     * @returns {void}
+     */
+    listThreads(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this.listMessages(auth, params, {}, (err, messageList) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            const groups = Utils.groupByThread(messageList.messages);
+            const responseObject = {
+                threads: groups.map((group) => group.id)
+            };
+
+            if (messageList.next_page_token) {
+                responseObject.next_page_token = messageList.next_page_token;
+            }
+
+            if (options.idsOnly) {
+                return callback(null, responseObject);
+            }
+
+            return Async.mapLimit(groups, 5, (group, callback) => {
+
+                // Messages without a thread id are a thread on their own
+                if (!group.messages[0].service_thread_id) {
+                    return callback(null, options.raw ? group : Utils.createThread(group.id, this.name, group.messages));
+                }
+
+                return this._getThread(auth, group.id, params, options, callback);
+            }, (err, threads) => {
+
+                if (err) {
+                    return callback(err);
+                }
+
+                responseObject.threads = threads;
+
+                return callback(null, responseObject);
+            });
+        });
+    }
+
+    /**
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {String} params.id - The thread id of the messages
+     * @param {Boolean} [params.includeDrafts=false]
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the messages will not be transformed to the unified object
+     *
+     * @param {function(Error?, (ThreadResource | { id: String, messages: Array.<Object> })?):void} callback
+     * @returns {void}
+     */
+    getThread(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return this._getThread(auth, params.id, params, options, (err, thread) => {
 
-        const err = new Error('Not implemented');
-        return callback(err);
+            if (err) {
+                return callback(err);
+            }
+
+            if (thread.messages.length === 0) {
+                return callback(Boom.notFound('Requested thread not found'));
+            }
+
+            return callback(null, thread);
+        });
+    }
+
+    /**
+     * Only the last 100 messages of a thread are returned.
+     * Messages are filtered on their thread id again, in case the `thread_id` parameter is ignored by the API.
+     *
+     * @param {Object} auth
+     * @param {String} id - The thread id
+     * @param {{ includeDrafts: Boolean? }} params
+     * @param {{ raw: Boolean? }} options
+     * @param {function(Error?, (ThreadResource | { id: String, messages: Array.<Object> })?):void} callback
+     * @returns {void}
+     */
+    _getThread(auth, id, params, options, callback) {
+
+        return internals.getFolders(auth, (err, folders) => {
+
+            // Don't fail the call if the sent or inbox folder is not found
+            if (err && !err.message.includes('folder not found')) {
+                return callback(err);
+            }
+
+            const folderRolesToExclude = params.includeDrafts ? ['trash'] : ['trash', 'drafts'];
+            const unipileOptions = {
+                extra_params: {
+                    thread_id: id,
+                    include_headers: true,
+                    exclude_folders: folders.filter((folder) => folderRolesToExclude.includes(folder.role)).map((folder) => folder.provider_id)
+                }
+            };
+
+            return internals.client.email.getAll({ account_id: auth.access_token, limit: 100 }, unipileOptions).then((response) => {
+
+                const items = response.items.filter((message) => message.thread_id === id);
+
+                return this._listMessageResponseHandler({ items }, options, (err, responseObject) => {
+
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    if (options.raw) {
+                        return callback(null, { id, messages: responseObject.messages });
+                    }
+
+                    return callback(null, Utils.createThread(id, this.name, responseObject.messages));
+                });
+            }).catch((err) => {
+
+                return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+            });
+        });
     }
 
     /* FILES */
@@ -566,15 +925,15 @@ class UnipileConnector extends EventEmitter {
      */
     getFile(auth, params, options, callback) {
 
-        if (!params || !params.id || !params.messageId) {
-            return callback(new Error('Invalid configuration. Please refer to the documentation to get the required fields.'));
-        }
-
         if (typeof options === 'function') {
             callback = options;
             options = {};
         }
 
+        if (!params || !params.id || !params.messageId) {
+            return callback(Boom.badRequest('Invalid configuration. Please refer to the documentation to get the required fields.'));
+        }
+
         options = options || {};
 
         return this.getMessage(auth, { id: params.messageId }, {}, (err, message) => {
@@ -606,6 +965,241 @@ class UnipileConnector extends EventEmitter {
         });
     }
 
+    /* SYNC */
+
+    /**
+     * Unipile has no change feed, so this returns the messages received since the previous sync as created.
+     * Changed and deleted messages are not reported.
+     * Without a cursor, no changes are returned but only the cursor to start syncing from.
+     *
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {String} [params.cursor] - `next_cursor` of a previous call
+     * @param {Number} [params.limit=100] - Maximum amount of changes, max = 250
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?, ChangeListResource?):void} callback
+     * @returns {void}
+     */
+    listChanges(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        let cursor;
+
+        try {
+            cursor = params.cursor ? Utils.decodeCursor(params.cursor) : null;
+        }
+        catch (err) {
+            return callback(err);
+        }
+
+        if (!cursor) {
+            return callback(null, { created: [], updated: [], deleted: [], next_cursor: Utils.encodeCursor({ since: new Date().toISOString() }), has_more: false });
+        }
+
+        // The end of the window is fixed while paging through it, so messages that arrive meanwhile are left for the next window
+        const until = cursor.until || new Date().toISOString();
+
+        const input = {
+            account_id: auth.access_token,
+            limit: Math.min(params.limit || 100, 250),
+            after: cursor.since,
+            before: until,
+            ...(cursor.page && { cursor: cursor.page })
+        };
+
+        return internals.client.email.getAll(input, { extra_params: { meta_only: true } }).then((response) => {
+
+            return callback(null, {
+                created: response.items.map((message) => message.id),
+                updated: [],
+                deleted: [],
+                next_cursor: Utils.encodeCursor(response.cursor ? { since: cursor.since, until, page: response.cursor } : { since: until }),
+                has_more: Boolean(response.cursor)
+            });
+        }).catch((err) => {
+
+            return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+        });
+    }
+
+    /* SUBSCRIPTIONS */
+
+    /**
+     * Creates a webhook for the messages the account receives and sends.
+     * Webhooks don't expire. Unipile doesn't sign notifications, the `secret` is sent back as a header instead.
+     *
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {String} params.url - Webhook url
+     * @param {String} [params.secret] - Sent back in a header with every notification
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     *
+     * @param {function(Error?, (SubscriptionResource | Object)?):void} callback
+     * @returns {void}
+     */
+    createSubscription(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        if (!params.url) {
+            throw new Error('Unipile subscriptions need a webhook url');
+        }
+
+        const input = {
+            source: 'email',
+            request_url: params.url,
+            name: 'unimail',
+            format: 'json',
+            account_ids: [auth.access_token],
+            events: Object.keys(internals.webhookEvents),
+            headers: params.secret ? [{ key: internals.secretHeader, value: params.secret }] : []
+        };
+
+        return internals.client.webhook.create(input).then((response) => {
+
+            if (options.raw) {
+                return callback(null, response);
+            }
+
+            return callback(null, { id: response.webhook_id, expires_at: null, secret: params.secret || null, service_type: 'unipile' });
+        }).catch((err) => {
+
+            return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+        });
+    }
+
+    /**
+     * Webhooks don't expire, so this only checks the webhook still exists
+     *
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {String} params.id - Webhook id
+     *
+     * @param {Object} options
+     * @param {Boolean} [options.raw] - If true the response will not be transformed to the unified object
+     *
+     * @param {function(Error?, (SubscriptionResource | Object)?):void} callback
+     * @returns {void}
+     */
+    renewSubscription(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        return internals.client.webhook.getAll().then((response) => {
+
+            const webhook = response.items.find((item) => item.id === params.id);
+
+            if (!webhook) {
+                return callback(Boom.notFound(`Webhook ${params.id} not found`));
+            }
+
+            if (options.raw) {
+                return callback(null, webhook);
+            }
+
+            const secretHeader = (webhook.headers || []).find((header) => header.key === internals.secretHeader);
+
+            return callback(null, { id: webhook.id, expires_at: null, secret: secretHeader ? secretHeader.value : null, service_type: 'unipile' });
+        }).catch((err) => {
+
+            return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+        });
+    }
+
+    /**
+     * @param {Object} auth - Authentication object
+     * @param {String} auth.access_token - Access token
+     *
+     * @param {Object} params
+     * @param {String} params.id - Webhook id
+     *
+     * @param {Object} options
+     *
+     * @param {function(Error?):void} callback
+     * @returns {void}
+     */
+    deleteSubscription(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+        }
+
+        return internals.client.webhook.delete(params.id).then(() => {
+
+            return callback(null);
+        }).catch((err) => {
+
+            return callback(Boom.boomify(err, { statusCode: internals.getStatusCode(err) }));
+        });
+    }
+
+    /**
+     * @param {null} auth - Notifications aren't tied to an auth object
+     *
+     * @param {NotificationRequest} params
+     *
+     * @param {Object} options
+     * @param {String} [options.secret] - When passed, notifications without this secret are rejected
+     *
+     * @param {function(Error?, NotificationListResource?):void} callback
+     * @returns {void}
+     */
+    parseNotification(auth, params, options, callback) {
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        let request;
+
+        try {
+            request = Utils.parseNotificationRequest(params);
+        }
+        catch (err) {
+            return callback(err);
+        }
+
+        if (options.secret && !Utils.secretsMatch(options.secret, request.headers[internals.secretHeader])) {
+            return callback(Boom.unauthorized('Invalid secret'));
+        }
+
+        const body = request.body || {};
+        const changeType = internals.webhookEvents[body.event];
+        const notifications = [];
+
+        if (changeType) {
+            notifications.push({ accountId: body.account_id || null, messageIds: body.email_id ? [body.email_id] : [], changeType, subscriptionId: null });
+        }
+
+        return callback(null, { notifications, response: Utils.notificationResponse(200) });
+    }
+
     /**
      * Transform raw service messages to unified messages
      *
@@ -695,7 +1289,7 @@ class UnipileConnector extends EventEmitter {
             const formattedMessage = {
                 email_message_id: message.message_id,
                 service_message_id: message.id || message.email_id,
-                service_thread_id: null, // TODO: Unipile doesn't seem to support threads
+                service_thread_id: message.thread_id || null,
                 date: new Date(message.date),
                 subject: message.subject,
                 folders: message.folders,
@@ -784,6 +1378,80 @@ class UnipileConnector extends EventEmitter {
 
 /* Internal utility functions */
 
+internals.capabilities = {
+    // The Unipile API can only list folders, they can't be created, renamed or deleted
+    unsupported_methods: ['sendMessage', 'createFolder', 'updateFolder', 'deleteFolder'],
+    filters: {
+        from: { supported: true },
+        to: { supported: true },
+        participants: { supported: true },
+        hasAttachment: { supported: 'partial', note: 'Only `true` is applied, and it is filtered after fetching so it is slow' },
+        before: { supported: true },
+        after: { supported: true },
+        folder: { supported: true, note: 'Matched against the folder role' },
+        includeDrafts: { supported: true },
+        query: { supported: 'partial', note: 'Only top level `from`, `to`, `before`, `after` and `folderRole` conditions are sent to Unipile, the rest is applied to the listed messages. `unread`, `starred`, `larger` and `smaller` are not supported.' }
+    },
+    max_page_size: 100,
+    push: true,
+    delta_sync: false
+};
+
+// Query conditions that have a listMessages param, only usable when they are not combined with OR or NOT
+internals.queryParams = {
+    from: 'from',
+    to: 'to',
+    before: 'before',
+    after: 'after',
+    folderRole: 'folder'
+};
+
+/**
+ * Moves the query conditions Unipile supports to the listMessages params
+ *
+ * @throws 400 when the rest of the query can't be applied to the listed messages
+ *
+ * @param {Object} params - The listMessages params
+ * @returns {{ params: Object, client: (import('./query').QueryNode | null) }} The listMessages params without query and the client-side part of the query
+ */
+internals.planQuery = (params) => {
+
+    const listParams = { ...params, query: null };
+    const rest = [];
+
+    Query.conjuncts(params.query).forEach((node) => {
+
+        const param = internals.queryParams[Object.keys(node)[0]];
+
+        // A param can only be set once, conditions for params that are already set are applied client-side
+        if (param && !listParams[param]) {
+            listParams[param] = Object.values(node)[0];
+        }
+        else {
+            rest.push(node);
+        }
+    });
+
+    return { params: listParams, client: Query.split(Query.and(rest), { conditions: [] }).client };
+};
+
+// Mail webhook events and the change they are reported as
+internals.webhookEvents = {
+    mail_received: 'created',
+    mail_sent: 'created'
+};
+
+internals.secretHeader = 'x-unimail-secret';
+
+/**
+ * @param {Error} err - Error thrown by the Unipile SDK
+ * @returns {Number} The status of the API response for client errors, 500 otherwise
+ */
+internals.getStatusCode = (err) => {
+
+    return err.body && err.body.status < 500 ? err.body.status : 500;
+};
+
 internals.unipileRoles = new Set(['inbox', 'sent', 'drafts', 'trash', 'spam', 'archive', 'important', 'starred', 'outbox', 'all']);
 
 /**
@@ -1,10 +1,18 @@
 'use strict';
 
+const Crypto = require('crypto');
+const Stream = require('stream');
+
 const _ = require('lodash');
+const Async = require('async');
+const Boom = require('@hapi/boom');
 const MailComposer = require('nodemailer/lib/mail-composer');
 const SimpleParser = require('mailparser').simpleParser;
 
-const internals = {};
+const internals = {
+    // Messages fetched or changed at the same time by the batch fallback
+    batchConcurrency: 5
+};
 
 /**
  * @param {Object} mailOptions - for detailed properties see https://nodemailer.com/extras/mailcomposer/.
@@ -34,6 +42,11 @@ exports.generateMessage = (mailOptions, generateOptions, callback) => {
     });
 };
 
+/**
+ * @param {String | Buffer} rawMessage - Pass a Buffer when the message is read from a file or socket, 8bit parts don't have to be utf8
+ * @param {function(Error?, Object?):void} callback
+ * @returns {void}
+ */
 exports.parseRawMail = (rawMessage, callback) => {
 
     // We pass our own Buffer here for encoding reasons
@@ -41,7 +54,9 @@ exports.parseRawMail = (rawMessage, callback) => {
     // This breaks for Greek characters for example
     // See https://github.com/nodemailer/mailparser/issues/241
     // This issue is fixed in SimpleParser but to make sure it won't break for us again I'm keeping our own parse step
-    return SimpleParser(Buffer.from(rawMessage.trim(), 'utf8'), { maxHeadSize: 10 * 1024 * 1024 }, (err, mail) => {
+    const source = Buffer.isBuffer(rawMessage) ? internals.trimBuffer(rawMessage) : Buffer.from(rawMessage.trim(), 'utf8');
+
+    return SimpleParser(source, { maxHeadSize: 10 * 1024 * 1024 }, (err, mail) => {
 
         if (err) {
             return callback(err);
@@ -88,12 +103,479 @@ exports.parseRawMail = (rawMessage, callback) => {
             content: mail.text,
             type: 'text/plain'
         };
+        parsedMail.htmlBody = mail.html ? {
+            content: mail.html,
+            type: 'text/html'
+        } : null;
         parsedMail.messageId = mail.messageId;
+        parsedMail.attachments = mail.attachments || [];
 
         return callback(null, parsedMail);
     });
 };
 
+/**
+ * @param {{ to: Object, from: Object, cc: Object, bcc: Object }} mail - Output of `parseRawMail`
+ * @returns {{ to: Array.<Object>, from: Object, cc: Array.<Object>, bcc: Array.<Object> }}
+ */
+exports.getAddressesObject = (mail) => {
+
+    return {
+        to: mail.to && internals.getAddressesObjectFromValue(mail.to.value),
+        from: (mail.from && internals.getAddressesObjectFromValue(mail.from.value)[0]) || {},
+        cc: mail.cc && internals.getAddressesObjectFromValue(mail.cc.value),
+        bcc: mail.bcc && internals.getAddressesObjectFromValue(mail.bcc.value)
+    };
+};
+
+/**
+ * @param {{ address: String, name: String }[]} value
+ * @returns {Array.<{ name: String, email: String }> | undefined}
+ */
+internals.getAddressesObjectFromValue = (value) => {
+
+    return value && value.map((vObject) => {
+
+        if (!vObject.address) {
+            return;
+        }
+
+        return {
+            name: vObject.name,
+            email: vObject.address.toLowerCase()
+        };
+    }).filter((address) => !!address);
+};
+
+/**
+ * Converts unified recipients to the addresses `generateMessage` expects, nodemailer quotes and encodes the names itself
+ *
+ * @param {import('./index').MessageRecipient | import('./index').MessageRecipient[]} [recipients]
+ * @returns {Array.<{ name: String, address: String }>}
+ */
+exports.toMailAddresses = (recipients) => {
+
+    return [recipients].flat().filter((recipient) => recipient && recipient.email).map((recipient) => {
+
+        return {
+            name: recipient.name || '',
+            address: recipient.email
+        };
+    });
+};
+
+/**
+ * Checks a unified message against the `listMessages` filters, for connectors that can't filter on the server
+ *
+ * @param {import('./index').MessageResource} message
+ * @param {Object} params - The listMessages params, only the filters are used
+ * @param {String} [params.from] - Matches part of the from address
+ * @param {String} [params.to] - Matches part of a to or cc address
+ * @param {String} [params.subject] - Matches part of the subject, case insensitive
+ * @param {String[]} [params.participants] - Matches when one of the addresses is from, to, cc or bcc
+ * @param {Date} [params.before]
+ * @param {Date} [params.after]
+ * @param {Boolean} [params.hasAttachment]
+ * @param {String | String[]} [params.folder] - Matches when the message is in one of the folders, case insensitive
+ * @param {String} [params.q] - Matches part of the subject, body or addresses, case insensitive
+ *
+ * @returns {Boolean}
+ */
+exports.matchesFilters = (message, params) => {
+
+    const includes = internals.includesIgnoringCase;
+    const recipients = internals.getEmails;
+    const addresses = message.addresses || {};
+    const from = addresses.from && addresses.from.email;
+    const date = new Date(message.date);
+
+    if (params.from && !includes(from, params.from)) {
+        return false;
+    }
+
+    if (params.to && ![...recipients(addresses.to), ...recipients(addresses.cc)].some((email) => includes(email, params.to))) {
+        return false;
+    }
+
+    if (params.subject && !includes(message.subject, params.subject)) {
+        return false;
+    }
+
+    const participants = (params.participants || []).filter(Boolean).map((participant) => participant.toLowerCase());
+
+    if (participants.length > 0) {
+        const emails = [from, ...recipients(addresses.to), ...recipients(addresses.cc), ...recipients(addresses.bcc)];
+
+        if (!emails.some((email) => email && participants.includes(email.toLowerCase()))) {
+            return false;
+        }
+    }
+
+    if (params.before && !(date < new Date(params.before))) {
+        return false;
+    }
+
+    if (params.after && !(date > new Date(params.after))) {
+        return false;
+    }
+
+    if ((params.hasAttachment === true || params.hasAttachment === false) && Boolean(message.attachments) !== params.hasAttachment) {
+        return false;
+    }
+
+    if (params.folder) {
+        const folders = new Set((Array.isArray(params.folder) ? params.folder : [params.folder]).map((folder) => folder.toLowerCase()));
+
+        if (!(message.folders || []).some((folder) => folders.has(String(folder).toLowerCase()))) {
+            return false;
+        }
+    }
+
+    if (params.q) {
+        const text = [message.subject, from, ...recipients(addresses.to), ...(message.body || []).map((body) => body.content)];
+
+        if (!text.some((value) => includes(value, params.q))) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Finds the folder a target of a message mutation refers to.
+ * Strings are matched against the folder ids first and then against the roles, so both `'Label_12'` and `'archive'` work.
+ *
+ * @throws
+ *
+ * @param {Array.<import('./index').FolderResource>} folders
+ * @param {String | { id: String?, role: String? }} target - Folder id or role, or a (partial) folder resource
+ *
+ * @returns {import('./index').FolderResource}
+ */
+exports.findFolder = (folders, target) => {
+
+    let folder;
+
+    if (typeof target === 'string') {
+        folder = folders.find((candidate) => candidate.id === target) || folders.find((candidate) => candidate.role && candidate.role === target.toLowerCase());
+    }
+    else if (target.id) {
+        folder = folders.find((candidate) => candidate.id === target.id);
+    }
+    else {
+        folder = folders.find((candidate) => candidate.role === target.role);
+    }
+
+    if (!folder) {
+        throw Boom.notFound(`Folder ${typeof target === 'string' ? target : target.id || target.role} not found`);
+    }
+
+    return folder;
+};
+
+/**
+ * Builds a unified thread resource from the unified messages of the thread
+ *
+ * @param {String} threadId
+ * @param {String} serviceType
+ * @param {Array.<import('./index').MessageResource>} messages
+ *
+ * @returns {import('./index').ThreadResource}
+ */
+exports.createThread = (threadId, serviceType, messages) => {
+
+    const sortedMessages = _.sortBy(messages, (message) => new Date(message.date).getTime());
+    const participants = new Map();
+
+    sortedMessages.forEach((message) => {
+
+        const addresses = message.addresses || {};
+
+        [addresses.from, ...(addresses.to || []), ...(addresses.cc || []), ...(addresses.bcc || [])].forEach((recipient) => {
+
+            if (recipient && recipient.email && !participants.has(recipient.email.toLowerCase())) {
+                participants.set(recipient.email.toLowerCase(), { name: recipient.name || '', email: recipient.email.toLowerCase() });
+            }
+        });
+    });
+
+    const firstMessage = sortedMessages[0];
+    const lastMessage = sortedMessages[sortedMessages.length - 1];
+
+    return {
+        service_thread_id: threadId,
+        subject: firstMessage ? firstMessage.subject : null,
+        participants: [...participants.values()],
+        message_count: sortedMessages.length,
+        last_date: lastMessage ? new Date(lastMessage.date).getTime() : null,
+        folders: _.uniq(sortedMessages.flatMap((message) => message.folders || [])),
+        messages: sortedMessages,
+        service_type: serviceType
+    };
+};
+
+/**
+ * Groups unified messages per thread, for connectors without a way to list threads.
+ * Threads are in the order their first message appears in.
+ *
+ * @param {Array.<import('./index').MessageResource>} messages
+ * @returns {Array.<{ id: String, messages: Array.<import('./index').MessageResource> }>}
+ */
+exports.groupByThread = (messages) => {
+
+    const groups = new Map();
+
+    messages.forEach((message) => {
+
+        const id = message.service_thread_id || message.service_message_id;
+
+        if (!groups.has(id)) {
+            groups.set(id, { id, messages: [] });
+        }
+
+        groups.get(id).messages.push(message);
+    });
+
+    return [...groups.values()];
+};
+
+/**
+ * @param {String} id - The requested id
+ * @param {Error?} err
+ * @param {*} [message]
+ * @returns {import('./index').BatchResult}
+ */
+exports.createBatchResult = (id, err, message) => {
+
+    return {
+        id,
+        message: err ? null : (message || null),
+        error: err ? exports.boomify(err) : null
+    };
+};
+
+/**
+ * Calls the method once per id with bounded concurrency, for connectors without a batch endpoint.
+ * Errors are reported per id so one failing message doesn't fail the others.
+ *
+ * @param {Array.<String>} ids
+ * @param {function(String, function(Error?, *?):void):void} method - Called with each id
+ * @param {function(Error?, import('./index').BatchResultResource):void} callback
+ * @returns {void}
+ */
+exports.batch = (ids, method, callback) => {
+
+    return Async.mapLimit(ids, internals.batchConcurrency, (id, next) => {
+
+        return method(id, (err, message) => next(null, exports.createBatchResult(id, err, message)));
+    }, (err, results) => {
+
+        // Only the iteratee can fail and it reports its errors in the results instead
+        return callback(err || null, { results });
+    });
+};
+
+/**
+ * Reduces changes, in the order they happened, to the ids per kind of change.
+ * A message is only reported once: created wins over updated and deleted wins over both.
+ *
+ * @param {Array.<{ type: ('created' | 'updated' | 'deleted'), id: String }>} changes
+ * @returns {{ created: Array.<String>, updated: Array.<String>, deleted: Array.<String> }}
+ */
+exports.groupChanges = (changes) => {
+
+    const types = new Map();
+
+    changes.forEach(({ type, id }) => {
+
+        const previous = types.get(id);
+
+        if (type === 'deleted' || !previous || (previous === 'updated' && type === 'created')) {
+            types.set(id, type);
+        }
+    });
+
+    const ids = (type) => [...types].filter(([, candidate]) => candidate === type).map(([id]) => id);
+
+    return { created: ids('created'), updated: ids('updated'), deleted: ids('deleted') };
+};
+
+/**
+ * Cursors are opaque to callers, so connectors can keep whatever state they need to continue a sync in them
+ *
+ * @param {Object} state
+ * @returns {String}
+ */
+exports.encodeCursor = (state) => {
+
+    return Buffer.from(JSON.stringify(state)).toString('base64url');
+};
+
+/**
+ * @throws
+ *
+ * @param {String} cursor - As returned by encodeCursor
+ * @returns {Object} The state
+ */
+exports.decodeCursor = (cursor) => {
+
+    try {
+        return JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    }
+    catch (err) {
+        throw Boom.boomify(err, { statusCode: 400, message: 'Invalid cursor' });
+    }
+};
+
+/**
+ * Normalizes the request passed to `parseNotification`, frameworks differ in how they expose it
+ *
+ * @throws When the body isn't valid JSON
+ *
+ * @param {import('./index').NotificationRequest} request
+ * @returns {{ method: String, query: Object, headers: Object.<String, String>, body: Object?, rawBody: String? }} Header names are lower case
+ */
+exports.parseNotificationRequest = (request) => {
+
+    const headers = {};
+
+    Object.entries(request.headers || {}).forEach(([name, value]) => {
+
+        headers[name.toLowerCase()] = Array.isArray(value) ? value[0] : value;
+    });
+
+    const rawBody = [request.rawBody, request.body].find(internals.isRawBody);
+    let body = request.body && !internals.isRawBody(request.body) ? request.body : null;
+
+    if (!body && rawBody && rawBody.length > 0) {
+        try {
+            body = JSON.parse(rawBody.toString());
+        }
+        catch (err) {
+            throw Boom.boomify(err, { statusCode: 400, message: 'Invalid notification payload' });
+        }
+    }
+
+    return {
+        method: (request.method || 'POST').toUpperCase(),
+        query: request.query || Object.fromEntries(new URL(request.url || '/', 'http://localhost').searchParams),
+        headers,
+        body,
+        rawBody: rawBody ? rawBody.toString() : null
+    };
+};
+
+/**
+ * @param {Number} statusCode
+ * @param {String} [payload]
+ * @returns {{ statusCode: Number, headers: Object.<String, String>, payload: String }} The response to reply to a notification with
+ */
+exports.notificationResponse = (statusCode, payload = '') => {
+
+    return { statusCode, headers: { 'content-type': 'text/plain' }, payload };
+};
+
+/**
+ * Compares secrets in constant time, so they can't be guessed from how long the comparison takes
+ *
+ * @param {String} expected
+ * @param {String} [actual]
+ * @returns {Boolean}
+ */
+exports.secretsMatch = (expected, actual) => {
+
+    const expectedBuffer = Buffer.from(String(expected));
+    const actualBuffer = Buffer.from(String(actual || ''));
+
+    return expectedBuffer.length === actualBuffer.length && Crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+};
+
+/**
+ * Converts a file with its data into the result of `streamFile`, for connectors that can only download the whole file
+ *
+ * @param {import('./index').FileResource} file - Includes the base64 encoded `data`
+ * @returns {import('./index').FileStreamResource}
+ */
+exports.toFileStream = (file) => {
+
+    // Also decodes base64url, which some services return
+    const data = Buffer.from(file.data || '', 'base64');
+
+    return {
+        file: _.omit(file, 'data'),
+        stream: Stream.Readable.from([data])
+    };
+};
+
+/**
+ * @param {import('stream').Readable | import('stream/web').ReadableStream} body - Response body, a web stream when the native fetch is used
+ * @returns {import('stream').Readable}
+ */
+exports.toReadable = (body) => {
+
+    return typeof body.pipe === 'function' ? body : Stream.Readable.fromWeb(body);
+};
+
+/**
+ * Like `String.prototype.trim()` for the ASCII whitespace, the bytes in between are kept as they are
+ *
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ */
+internals.trimBuffer = (buffer) => {
+
+    let start = 0;
+    let end = buffer.length;
+
+    while (start < end && internals.isWhitespaceByte(buffer[start])) {
+        start++;
+    }
+
+    while (end > start && internals.isWhitespaceByte(buffer[end - 1])) {
+        end--;
+    }
+
+    return buffer.subarray(start, end);
+};
+
+/**
+ * @param {Number} byte
+ * @returns {Boolean} Whether the byte is a space, tab or line break
+ */
+internals.isWhitespaceByte = (byte) => {
+
+    return byte === 0x20 || (byte >= 0x09 && byte <= 0x0D);
+};
+
+/**
+ * @param {*} body
+ * @returns {Boolean} Whether the body is unparsed
+ */
+internals.isRawBody = (body) => {
+
+    return typeof body === 'string' || Buffer.isBuffer(body);
+};
+
+/**
+ * @param {*} value
+ * @param {String} search
+ * @returns {Boolean}
+ */
+internals.includesIgnoringCase = (value, search) => {
+
+    return typeof value === 'string' && value.toLowerCase().includes(search.toLowerCase());
+};
+
+/**
+ * @param {Array.<{ email: String }>} [recipients]
+ * @returns {Array.<String>}
+ */
+internals.getEmails = (recipients) => {
+
+    return (recipients || []).map((recipient) => recipient.email);
+};
+
 /**
  * Return an encoded Buffer as URL Safe Base64
  *
@@ -111,3 +593,54 @@ internals.encodeBase64UrlSafe = (buffer) => {
         .replace(/\//g, '_') // Convert '/' to '_'
         .replace(/\u003D+$/, ''); // Remove ending '='
 };
+
+/**
+ * Makes sure errors coming out of a connector are Boom errors.
+ * Errors that already are Boom errors are returned as is, other errors get the status code they carry or a 500.
+ *
+ * @param {Error | Object} err
+ * @returns {import('@hapi/boom').Boom}
+ */
+exports.boomify = (err) => {
+
+    if (Boom.isBoom(err)) {
+        return err;
+    }
+
+    let error = err;
+
+    if (!(err instanceof Error)) {
+        error = new Error(err && err.message ? err.message : String(err));
+
+        if (err && typeof err === 'object') {
+            Object.assign(error, err);
+        }
+    }
+
+    let statusCode = Number.parseInt(error.statusCode || error.status || error.code);
+
+    if (Number.isNaN(statusCode) || statusCode < 400 || statusCode > 599) {
+        statusCode = 500;
+    }
+
+    return Boom.boomify(error, { statusCode });
+};
+
+/**
+ * Runs the callback with the outcome of a promise, outside of the promise chain so errors thrown by the callback aren't swallowed
+ *
+ * @param {Promise<*>} promise
+ * @param {function(Error?, *?):void} callback
+ * @param {function(Error):Error} [wrapError] - Converts the rejection to a Boom error, `boomify` by default
+ * @returns {void}
+ */
+exports.respond = (promise, callback, wrapError = exports.boomify) => {
+
+    promise.then((result) => {
+
+        return process.nextTick(() => callback(null, result));
+    }, (err) => {
+
+        return process.nextTick(() => callback(wrapError(err)));
+    });
+};
@@ -0,0 +1,225 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+
+const Unimail = require('..');
+
+const internals = {};
+
+const { describe, it } = exports.lab = Lab.script();
+const { expect } = Code;
+
+describe('Unimail', () => {
+
+    describe('callMethod()', () => {
+
+        it('rejects invalid params and options with a 400 without calling the connector', async () => {
+
+            const connector = internals.recordingConnector();
+            const unimail = new Unimail();
+            unimail.use(connector);
+
+            const missingId = await expect(unimail.messages.get('recording', internals.auth, {})).to.reject('Invalid getMessage() call: "params.id" is required');
+            const invalidLimit = await expect(unimail.messages.list('recording', internals.auth, { limit: 'ten' })).to.reject(/^Invalid listMessages\(\) call: "params.limit" must be a number/);
+            const invalidOptions = await expect(unimail.messages.list('recording', internals.auth, {}, { raw: 'yes' })).to.reject(/"options.raw" must be a boolean/);
+            const missingAuth = await expect(unimail.messages.list('recording', null, {})).to.reject(/"auth" must be of type object/);
+
+            [missingId, invalidLimit, invalidOptions, missingAuth].forEach((err) => {
+
+                expect(err.isBoom).to.be.true();
+                expect(err.output.statusCode).to.equal(400);
+            });
+
+            expect(connector.calls).to.equal([]);
+        });
+
+        it('passes the converted and defaulted values to the connector', async () => {
+
+            const connector = internals.recordingConnector();
+            const unimail = new Unimail();
+            unimail.use(connector);
+
+            await unimail.messages.list('recording', internals.auth, { after: '2024-03-01T00:00:00Z', participants: 'jane@example.com', custom: 'kept' });
+            await unimail.messages.send('recording', internals.auth, { to: { email: 'john@example.com' }, text: 'Hello' });
+            await unimail.folders.list('recording', internals.auth);
+
+            const [list, send, folders] = connector.calls;
+
+            expect(list.params.after).to.equal(new Date('2024-03-01T00:00:00Z'));
+            expect(list.params.participants).to.equal(['jane@example.com']);
+            expect(list.params.custom).to.equal('kept');
+            expect(list.options).to.equal({});
+
+            expect(send.params.to).to.equal([{ email: 'john@example.com' }]);
+            expect(send.options).to.equal({});
+
+            expect(folders.params).to.equal({});
+            expect(folders.options).to.equal({});
+        });
+    });
+
+    describe('messages.list()', () => {
+
+        it('applies the query to the listed messages when the connector doesn\'t support it', async () => {
+
+            const connector = internals.recordingConnector(internals.messages);
+            const unimail = new Unimail();
+            unimail.use(connector);
+
+            const result = await unimail.messages.list('recording', internals.auth, { query: 'from:alice OR subject:report', limit: 10 }, { idsOnly: true });
+
+            expect(result).to.equal({
+                messages: ['message-1', 'message-3'],
+                client_filter: { or: [{ from: 'alice' }, { subject: 'report' }] }
+            });
+
+            // Filtering needs the full messages
+            expect(connector.calls[0].params).to.equal({ query: null, limit: 10 });
+            expect(connector.calls[0].options).to.equal({ idsOnly: false });
+            expect(unimail.capabilities('recording').filters.query.supported).to.equal('partial');
+        });
+
+        it('passes the normalized query to a connector that supports it', async () => {
+
+            const connector = internals.recordingConnector(internals.messages);
+            connector.capabilities = { filters: { query: { supported: 'partial' } } };
+
+            const unimail = new Unimail();
+            unimail.use(connector);
+
+            const result = await unimail.messages.list('recording', internals.auth, { query: 'from:alice is:unread' });
+
+            expect(result).to.equal({ messages: internals.messages });
+            expect(connector.calls[0].params.query).to.equal({ and: [{ from: 'alice' }, { unread: true }] });
+        });
+
+        it('rejects a query that can\'t be applied to the listed messages with a 400', async () => {
+
+            const connector = internals.recordingConnector(internals.messages);
+            const unimail = new Unimail();
+            unimail.use(connector);
+
+            const unread = await expect(unimail.messages.list('recording', internals.auth, { query: 'from:alice (is:unread OR subject:report)' })).to.reject('Unsupported query condition: unread');
+            const raw = await expect(unimail.messages.list('recording', internals.auth, { query: 'from:alice' }, { raw: true })).to.reject(/can't be done for raw results/);
+
+            expect(unread.output.statusCode).to.equal(400);
+            expect(raw.output.statusCode).to.equal(400);
+            expect(connector.calls).to.equal([]);
+        });
+    });
+
+    describe('messages.iterate()', () => {
+
+        it('continues past an empty page while there is a page token', async () => {
+
+            // Connectors that apply (part of) the query to the listed messages can return a page without any of them
+            const connector = internals.pagedConnector(['a', 'b', null, null, 'c'], (offset, limit, total) => (offset + limit < total ? offset + limit : null));
+            const unimail = new Unimail();
+            unimail.use(connector);
+
+            const ids = [];
+
+            for await (const message of unimail.messages.iterate('paged', internals.auth, {}, { pageSize: 2 })) {
+                ids.push(message.service_message_id);
+            }
+
+            expect(ids).to.equal(['a', 'b', 'c']);
+            expect(connector.calls).to.equal([0, 2, 4]);
+        });
+
+        it('stops when the connector returns a page token again', async () => {
+
+            const connector = internals.pagedConnector(['a', 'b', 'c'], (offset, limit, total) => Math.min(offset + limit, total));
+            const unimail = new Unimail();
+            unimail.use(connector);
+
+            const ids = [];
+
+            for await (const message of unimail.messages.iterate('paged', internals.auth, {}, { pageSize: 2 })) {
+                ids.push(message.service_message_id);
+            }
+
+            expect(ids).to.equal(['a', 'b', 'c']);
+            expect(connector.calls).to.equal([0, 2, 3]);
+        });
+
+        it('stops when the connector returns no page token', async () => {
+
+            const connector = internals.pagedConnector(['a', 'b', 'c'], (offset, limit, total) => (offset + limit < total ? offset + limit : null));
+            const unimail = new Unimail();
+            unimail.use(connector);
+
+            const ids = [];
+
+            for await (const message of unimail.messages.iterate('paged', internals.auth, {}, { pageSize: 2 })) {
+                ids.push(message.service_message_id);
+            }
+
+            expect(ids).to.equal(['a', 'b', 'c']);
+            expect(connector.calls).to.equal([0, 2]);
+        });
+    });
+});
+
+internals.auth = { id: 'account' };
+
+internals.messages = [
+    { service_message_id: 'message-1', addresses: { from: { name: 'Alice', email: 'alice@example.com' } }, subject: 'Lunch' },
+    { service_message_id: 'message-2', addresses: { from: { name: 'Bob', email: 'bob@example.com' } }, subject: 'Lunch' },
+    { service_message_id: 'message-3', addresses: { from: { name: 'Bob', email: 'bob@example.com' } }, subject: 'Quarterly report' }
+];
+
+/**
+ * A connector that records the params and options it's called with
+ *
+ * @param {Array.<Object>} [messages] - Returned by every listMessages call
+ * @returns {Object} The connector, `calls` holds a `{ method, params, options }` entry per call
+ */
+internals.recordingConnector = (messages = []) => {
+
+    const connector = { name: 'recording', calls: [] };
+
+    ['listMessages', 'sendMessage', 'getMessage', 'listFolders'].forEach((method) => {
+
+        connector[method] = (auth, params, options, callback) => {
+
+            connector.calls.push({ method, params, options });
+
+            return callback(null, method === 'listMessages' ? { messages } : null);
+        };
+    });
+
+    return connector;
+};
+
+/**
+ * A connector that lists the messages with the given ids in pages, with the offset as page token
+ *
+ * @param {Array.<String?>} ids - A null id is left out of its page, like a message that doesn't match the query
+ * @param {function(Number, Number, Number):(Number | null)} nextPageToken - Gets the offset, limit and number of ids
+ * @returns {Object} The connector, `calls` holds the offset of every listMessages call
+ */
+internals.pagedConnector = (ids, nextPageToken) => {
+
+    const connector = {
+        name: 'paged',
+        calls: [],
+        listMessages(auth, params, options, callback) {
+
+            const offset = params.pageToken || 0;
+            connector.calls.push(offset);
+
+            // Fail instead of paging forever
+            if (connector.calls.length > 10) {
+                return callback(new Error('Too many pages requested'));
+            }
+
+            const messages = ids.slice(offset, offset + params.limit).filter(Boolean).map((id) => ({ service_message_id: id }));
+
+            return callback(null, { messages, next_page_token: nextPageToken(offset, params.limit, ids.length) });
+        }
+    };
+
+    return connector;
+};
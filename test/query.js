@@ -0,0 +1,240 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+
+const Query = require('../lib/query');
+
+const internals = {};
+
+const { describe, it } = exports.lab = Lab.script();
+const { expect } = Code;
+
+describe('Query', () => {
+
+    describe('parse()', () => {
+
+        it('parses fields, flags, phrases and negations', () => {
+
+            const query = Query.parse('from:alice@example.com subject:"quarterly report" is:unread has:attachment -in:spam larger:5M after:2024-03-01 invoice');
+
+            expect(query).to.equal({
+                and: [
+                    { from: 'alice@example.com' },
+                    { subject: 'quarterly report' },
+                    { unread: true },
+                    { hasAttachment: true },
+                    { not: { folderRole: 'spam' } },
+                    { larger: 5 * 1024 * 1024 },
+                    { after: new Date('2024-03-01') },
+                    { text: 'invoice' }
+                ]
+            });
+        });
+
+        it('binds OR stronger than AND and groups with parentheses', () => {
+
+            expect(Query.parse('from:alice is:unread OR is:starred')).to.equal({ and: [{ from: 'alice' }, { or: [{ unread: true }, { starred: true }] }] });
+            expect(Query.parse('(from:alice is:unread) OR NOT (from:bob AND is:starred)')).to.equal({
+                or: [
+                    { and: [{ from: 'alice' }, { unread: true }] },
+                    { not: { and: [{ from: 'bob' }, { starred: true }] } }
+                ]
+            });
+        });
+
+        it('searches unknown fields as text', () => {
+
+            expect(Query.parse('label:work http://example.com')).to.equal({ and: [{ text: 'label:work' }, { text: 'http://example.com' }] });
+        });
+
+        it('returns null for an empty query', () => {
+
+            expect(Query.parse('  ')).to.be.null();
+        });
+
+        it('rejects invalid queries with a 400', () => {
+
+            const errors = [
+                expect(() => Query.parse('(from:alice')).to.throw('Invalid query: missing )'),
+                expect(() => Query.parse('from:alice)')).to.throw('Invalid query: unexpected )'),
+                expect(() => Query.parse('is:important')).to.throw('Invalid query: unknown is:important'),
+                expect(() => Query.parse('has:drive')).to.throw('Invalid query: unknown has:drive'),
+                expect(() => Query.parse('before:someday')).to.throw('Invalid query: before must be a date'),
+                expect(() => Query.parse('from:alice OR')).to.throw('Invalid query: unexpected end')
+            ];
+
+            expect(errors.map((err) => err.output.statusCode)).to.equal([400, 400, 400, 400, 400, 400]);
+        });
+    });
+
+    describe('normalize()', () => {
+
+        it('splits nodes with several conditions, flattens nested operators and converts values', () => {
+
+            const query = Query.normalize({
+                and: [
+                    { from: ' alice ', unread: true },
+                    { and: [{ smaller: '200K' }, { before: '2024-03-01T00:00:00Z' }] },
+                    { not: { not: { starred: false } } }
+                ]
+            });
+
+            expect(query).to.equal({
+                and: [
+                    { from: 'alice' },
+                    { unread: true },
+                    { smaller: 200 * 1024 },
+                    { before: new Date('2024-03-01T00:00:00Z') },
+                    { starred: false }
+                ]
+            });
+        });
+
+        it('parses strings and returns null for empty queries', () => {
+
+            expect(Query.normalize('from:alice')).to.equal({ from: 'alice' });
+            expect(Query.normalize('')).to.be.null();
+            expect(Query.normalize(null)).to.be.null();
+        });
+
+        it('rejects unknown conditions and invalid values with a 400', () => {
+
+            expect(() => Query.normalize({ label: 'work' })).to.throw('Invalid query: unknown condition label');
+            expect(() => Query.normalize({ unread: 'yes' })).to.throw('Invalid query: unread must be a boolean');
+            expect(() => Query.normalize({ larger: 'big' })).to.throw('Invalid query: larger must be a size like 5M');
+            expect(() => Query.normalize({ from: ' ' })).to.throw('Invalid query: from must be a non-empty string');
+            expect(() => Query.normalize({ or: [] })).to.throw('Invalid query: or must be a non-empty array');
+            expect(() => Query.normalize({ or: [{ from: 'alice' }], subject: 'lunch' })).to.throw('Invalid query: or can\'t be combined with other keys');
+            expect(() => Query.normalize({ and: ['from:alice'] })).to.throw('Invalid query: conditions must be objects');
+        });
+    });
+
+    describe('split()', () => {
+
+        it('sends the supported conditions of a top level AND to the service', () => {
+
+            const query = Query.parse('from:alice subject:report is:unread');
+
+            expect(Query.split(query, { conditions: ['from', 'unread'] })).to.equal({
+                server: { and: [{ from: 'alice' }, { unread: true }] },
+                client: { subject: 'report' }
+            });
+        });
+
+        it('applies an OR with an unsupported condition to the results as a whole', () => {
+
+            const query = Query.parse('from:alice (to:bob OR subject:report)');
+
+            expect(Query.split(query, { conditions: ['from', 'to'] })).to.equal({
+                server: { from: 'alice' },
+                client: { or: [{ to: 'bob' }, { subject: 'report' }] }
+            });
+        });
+
+        it('applies operators to the results when the service only has plain conditions', () => {
+
+            const query = Query.parse('from:alice -subject:lunch');
+
+            expect(Query.split(query, { conditions: ['from', 'subject'], operators: false })).to.equal({
+                server: { from: 'alice' },
+                client: { not: { subject: 'lunch' } }
+            });
+        });
+
+        it('rejects a client-side part with a condition that can\'t be checked on the results', () => {
+
+            const query = Query.parse('from:alice (is:unread OR is:starred)');
+            const err = expect(() => Query.split(query, { conditions: ['from'] })).to.throw('Unsupported query condition: unread');
+
+            expect(err.output.statusCode).to.equal(400);
+            expect(Query.split(query, { conditions: ['from'], client: ['unread', 'starred'] }).client).to.equal({ or: [{ unread: true }, { starred: true }] });
+        });
+
+        it('returns null for the parts without conditions', () => {
+
+            expect(Query.split(null, { conditions: [] })).to.equal({ server: null, client: null });
+            expect(Query.split({ from: 'alice' }, { conditions: ['from'] })).to.equal({ server: { from: 'alice' }, client: null });
+        });
+    });
+
+    describe('matches()', () => {
+
+        it('matches addresses, subject and body case-insensitively', () => {
+
+            expect(Query.matches(internals.message, Query.parse('from:ALICE to:bob@example subject:report body:attached'))).to.be.true();
+            expect(Query.matches(internals.message, Query.parse('cc:carol'))).to.be.false();
+            expect(Query.matches(internals.message, Query.parse('"attached report"'))).to.be.true();
+        });
+
+        it('matches flags, folders, attachments, sizes and dates', () => {
+
+            expect(Query.matches(internals.message, Query.parse('is:unread -is:starred in:INBOX has:attachment filetype:pdf larger:1K smaller:1M after:2024-03-01 before:2024-03-05'))).to.be.true();
+            expect(Query.matches(internals.message, Query.parse('filetype:png'))).to.be.false();
+            expect(Query.matches({ ...internals.message, size: undefined }, Query.parse('larger:1K'))).to.be.false();
+        });
+
+        it('combines nodes with AND, OR and NOT', () => {
+
+            expect(Query.matches(internals.message, Query.parse('from:bob OR subject:report'))).to.be.true();
+            expect(Query.matches(internals.message, Query.parse('from:alice -subject:report'))).to.be.false();
+            expect(Query.matches(internals.message, null)).to.be.true();
+        });
+    });
+
+    describe('filterList()', () => {
+
+        it('lists the full messages and keeps the ones that match', async () => {
+
+            const calls = [];
+            const list = (options, callback) => {
+
+                calls.push(options);
+                return callback(null, { messages: [internals.message, { ...internals.message, service_message_id: 'message-2', subject: 'Lunch' }], next_page_token: '2' });
+            };
+
+            const result = await internals.filterList({ subject: 'report' }, { idsOnly: true }, list);
+
+            expect(result).to.equal({ messages: ['message-1'], next_page_token: '2', client_filter: { subject: 'report' } });
+            expect(calls).to.equal([{ idsOnly: false }]);
+        });
+
+        it('rejects raw results', async () => {
+
+            const err = await expect(internals.filterList({ subject: 'report' }, { raw: true }, () => null)).to.reject(/can't be done for raw results/);
+
+            expect(err.output.statusCode).to.equal(400);
+        });
+    });
+});
+
+internals.message = {
+    service_message_id: 'message-1',
+    addresses: {
+        from: { name: 'Alice Smith', email: 'alice@example.com' },
+        to: [{ name: 'Bob', email: 'bob@example.com' }]
+    },
+    subject: 'Quarterly report',
+    body: [{ type: 'text/plain', content: 'See the attached report.' }],
+    date: new Date('2024-03-04T09:12:00Z').getTime(),
+    folders: ['inbox'],
+    unread: true,
+    starred: false,
+    attachments: true,
+    files: [{ file_name: 'report.pdf', type: 'application/pdf', is_embedded: false }],
+    size: 4096
+};
+
+/**
+ * @param {Query.QueryNode} client
+ * @param {Object} options
+ * @param {function(Object, function(Error?, Object?):void):void} list
+ * @returns {Promise<Object>}
+ */
+internals.filterList = (client, options, list) => {
+
+    return new Promise((resolve, reject) => {
+
+        Query.filterList(client, options, list, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+};
@@ -0,0 +1,243 @@
+'use strict';
+
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+
+const TokenStores = require('../lib/token-stores');
+
+const internals = {};
+
+const { describe, it, beforeEach, afterEach } = exports.lab = Lab.script();
+const { expect } = Code;
+
+describe('TokenStores', () => {
+
+    let directory;
+
+    beforeEach(async () => {
+
+        directory = await Fs.promises.mkdtemp(Path.join(Os.tmpdir(), 'unimail-tokens-'));
+    });
+
+    afterEach(async () => {
+
+        await Fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    describe('refresh()', () => {
+
+        it('refreshes once for concurrent calls and shares the stored token', async () => {
+
+            const stores = [new TokenStores.MemoryTokenStore(), new TokenStores.FileTokenStore({ path: directory })];
+
+            await Promise.all(stores.map(async (store) => {
+
+                const upstream = internals.upstream();
+                const results = await Promise.all([1, 2, 3, 4, 5].map(() => internals.refresh(store, internals.auth, upstream.refresh)));
+
+                expect(upstream.calls).to.equal(1);
+                expect(results.map(({ token }) => token.access_token)).to.equal(['access-1', 'access-1', 'access-1', 'access-1', 'access-1']);
+                expect(results.map(({ refreshed }) => refreshed)).to.equal([true, false, false, false, false]);
+
+                const stored = await internals.get(store, internals.auth.id);
+                expect(stored).to.equal({ access_token: 'access-1', refresh_token: 'refresh', expiration_date: internals.expirationDate });
+            }));
+        });
+
+        it('refreshes again when the stored token is expired or the one that failed', async () => {
+
+            const store = new TokenStores.MemoryTokenStore();
+            const upstream = internals.upstream();
+
+            await internals.set(store, internals.auth.id, { access_token: 'expired', expiration_date: new Date(0) });
+
+            const first = await internals.refresh(store, internals.auth, upstream.refresh);
+            expect(first).to.equal({ token: { access_token: 'access-1', refresh_token: 'refresh', expiration_date: internals.expirationDate }, refreshed: true });
+
+            // The caller already has the stored token, so refreshing again is the only way to get a new one
+            const second = await internals.refresh(store, { ...internals.auth, access_token: 'access-1' }, upstream.refresh);
+            expect(second.token.access_token).to.equal('access-2');
+            expect(upstream.calls).to.equal(2);
+        });
+
+        it('releases the lock when the refresh fails', async () => {
+
+            const store = new TokenStores.FileTokenStore({ path: directory });
+
+            await expect(internals.refresh(store, internals.auth, internals.failingRefresh)).to.reject('invalid_grant');
+
+            const upstream = internals.upstream();
+            const { refreshed } = await internals.refresh(store, internals.auth, upstream.refresh);
+
+            expect(refreshed).to.be.true();
+            await expect(Fs.promises.access(Path.join(directory, 'account.lock'))).to.reject();
+        });
+
+        it('only calls refresh without a store or auth id', async () => {
+
+            const upstream = internals.upstream();
+
+            const withoutStore = await internals.refresh(null, internals.auth, upstream.refresh);
+            const withoutId = await internals.refresh(new TokenStores.MemoryTokenStore(), { access_token: 'old' }, upstream.refresh);
+
+            expect(withoutStore.refreshed).to.be.true();
+            expect(withoutId.refreshed).to.be.true();
+            expect(upstream.calls).to.equal(2);
+        });
+    });
+
+    describe('save()', () => {
+
+        it('stores the token so refresh uses it instead of refreshing', async () => {
+
+            const store = new TokenStores.FileTokenStore({ path: directory });
+            const upstream = internals.upstream();
+
+            await new Promise((resolve, reject) => {
+
+                TokenStores.save(store, internals.auth.id, { access_token: 'saved', expiration_date: internals.expirationDate }, (err) => (err ? reject(err) : resolve()));
+            });
+
+            const { token, refreshed } = await internals.refresh(store, internals.auth, upstream.refresh);
+
+            expect(refreshed).to.be.false();
+            expect(token).to.equal({ access_token: 'saved', expiration_date: internals.expirationDate });
+            expect(upstream.calls).to.equal(0);
+        });
+    });
+
+    describe('FileTokenStore', () => {
+
+        it('takes over a stale lock file', async () => {
+
+            const store = new TokenStores.FileTokenStore({ path: directory, lockTimeout: 1000 });
+            const lockPath = Path.join(directory, 'account.lock');
+            const staleDate = new Date(Date.now() - 5000);
+
+            await Fs.promises.writeFile(lockPath, '99999');
+            await Fs.promises.utimes(lockPath, staleDate, staleDate);
+
+            const release = await internals.lock(store, internals.auth.id);
+
+            expect(await Fs.promises.readFile(lockPath, 'utf8')).to.equal(String(process.pid));
+
+            await new Promise((resolve) => release(resolve));
+            await expect(Fs.promises.access(lockPath)).to.reject();
+        });
+
+        it('waits for a lock file that is held by another process', async () => {
+
+            const store = new TokenStores.FileTokenStore({ path: directory, retryInterval: 10 });
+            const lockPath = Path.join(directory, 'account.lock');
+
+            await Fs.promises.writeFile(lockPath, '99999');
+
+            let acquired = false;
+            const locking = internals.lock(store, internals.auth.id).then((release) => {
+
+                acquired = true;
+                return release;
+            });
+
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            expect(acquired).to.be.false();
+
+            await Fs.promises.unlink(lockPath);
+
+            const release = await locking;
+            await new Promise((resolve) => release(resolve));
+        });
+    });
+});
+
+internals.auth = { id: 'account', access_token: 'old', refresh_token: 'refresh' };
+
+internals.expirationDate = new Date('2030-01-01T00:00:00Z');
+
+/**
+ * @returns {{ calls: Number, refresh: function(function(Error?, Object?):void):void }} An upstream that hands out `access-<call>` tokens, a bit later like a real provider
+ */
+internals.upstream = () => {
+
+    const upstream = {
+        calls: 0,
+        refresh: (callback) => {
+
+            const call = ++upstream.calls;
+
+            setTimeout(() => callback(null, { access_token: `access-${call}`, refresh_token: 'refresh', expiration_date: internals.expirationDate }), 10);
+        }
+    };
+
+    return upstream;
+};
+
+/**
+ * @param {function(Error?):void} callback
+ * @returns {void}
+ */
+internals.failingRefresh = (callback) => callback(new Error('invalid_grant'));
+
+/**
+ * @param {Object} token
+ * @returns {Boolean}
+ */
+internals.isExpired = (token) => token.expiration_date && new Date(token.expiration_date) <= new Date();
+
+/**
+ * @param {TokenStores.MemoryTokenStore | TokenStores.FileTokenStore | null} store
+ * @param {Object} auth
+ * @param {function(function(Error?, Object?):void):void} refresh
+ * @returns {Promise<{ token: Object, refreshed: Boolean }>}
+ */
+internals.refresh = (store, auth, refresh) => {
+
+    return new Promise((resolve, reject) => {
+
+        TokenStores.refresh(store, auth, internals.isExpired, refresh, (err, token, refreshed) => (err ? reject(err) : resolve({ token, refreshed })));
+    });
+};
+
+/**
+ * @param {Object} store
+ * @param {*} id
+ * @returns {Promise<Object?>}
+ */
+internals.get = (store, id) => {
+
+    return new Promise((resolve, reject) => {
+
+        store.get(id, (err, token) => (err ? reject(err) : resolve(token)));
+    });
+};
+
+/**
+ * @param {Object} store
+ * @param {*} id
+ * @param {Object} token
+ * @returns {Promise<void>}
+ */
+internals.set = (store, id, token) => {
+
+    return new Promise((resolve, reject) => {
+
+        store.set(id, token, (err) => (err ? reject(err) : resolve()));
+    });
+};
+
+/**
+ * @param {Object} store
+ * @param {*} id
+ * @returns {Promise<function(function(Error?):void=):void>} The release function
+ */
+internals.lock = (store, id) => {
+
+    return new Promise((resolve, reject) => {
+
+        store.lock(id, (err, release) => (err ? reject(err) : resolve(release)));
+    });
+};
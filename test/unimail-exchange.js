@@ -0,0 +1,348 @@
+'use strict';
+
+const Fs = require('fs');
+const Http = require('http');
+const Path = require('path');
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+
+const ExchangeConnector = require('../lib/unimail-exchange');
+const Utils = require('../lib/utils');
+
+const internals = {
+    fixtures: Path.join(__dirname, 'fixtures', 'ews'),
+    ntlmNegotiate: 'NTLM TlRMTVNTUAABAAAA',
+    ntlmAuthenticate: 'NTLM TlRMTVNTUAADAAAA',
+    // Type 2 message with the unicode and NTLM flags and a fixed server challenge
+    ntlmChallenge: 'NTLM TlRMTVNTUAACAAAAAAAAADAAAAABAgAAASNFZ4mrze8AAAAAAAAAAAAAAAAAAAAA'
+};
+
+const { describe, it, afterEach } = exports.lab = Lab.script();
+const { expect } = Code;
+
+describe('ExchangeConnector', () => {
+
+    let server;
+
+    afterEach(async () => {
+
+        await server.stop();
+    });
+
+    describe('listMessages()', () => {
+
+        it('finds the items with an AQS query and gets them in one request', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const response = await internals.call(connector, 'listMessages', auth, { from: 'john@example.com', hasAttachment: true, limit: 2 });
+
+            const findItem = server.requests.find((request) => request.operation === 'FindItem');
+            expect(findItem.headers.authorization).to.equal(`Basic ${Buffer.from('jane:secret').toString('base64')}`);
+            expect(findItem.body).to.contain('<m:IndexedPageItemView MaxEntriesReturned="2" Offset="0" BasePoint="Beginning"/>');
+            expect(findItem.body).to.contain('<m:QueryString>from:&quot;john@example.com&quot; AND hasattachment:true</m:QueryString>');
+            expect(findItem.body).to.contain('<t:DistinguishedFolderId Id="inbox"/><t:DistinguishedFolderId Id="sentitems"/>');
+
+            const getItem = server.requests.find((request) => request.operation === 'GetItem');
+            expect(getItem.body).to.contain('<t:ItemId Id="AAMkADItem1"/><t:ItemId Id="AAMkADItem2"/>');
+
+            expect(response.next_page_token).to.equal('2');
+            expect(response.messages).to.have.length(2);
+
+            const [report, reply] = response.messages;
+
+            expect(report).to.include({
+                service_type: 'exchange',
+                service_message_id: 'AAMkADItem1',
+                service_thread_id: 'AAQkADConversation1',
+                email_message_id: '<report-2024-q1@example.com>',
+                subject: 'Quarterly report',
+                date: new Date('2024-03-04T09:12:00Z').getTime(),
+                folders: ['Inbox'],
+                attachments: true,
+                in_reply_to: null
+            });
+            expect(report.addresses).to.equal({
+                from: { name: 'John Smith', email: 'john@example.com' },
+                to: [{ name: 'Jane Doe', email: 'jane@example.com' }, { name: 'team@example.com', email: 'team@example.com' }],
+                cc: [{ name: 'Finance', email: 'finance@example.com' }],
+                bcc: []
+            });
+            expect(report.body).to.equal([
+                { type: 'text/plain', content: 'See the attached report.' },
+                { type: 'text/html', content: '<html><body><p>See the attached report.</p></body></html>' }
+            ]);
+            expect(report.headers.received).to.equal(['from mail.example.com', 'from relay.example.com']);
+
+            // Item attachments have no content to download
+            expect(report.files).to.have.length(1);
+            expect(report.files[0]).to.include({ service_file_id: 'AAMkADAttachment1', file_name: 'report.pdf', type: 'application/pdf', size: 2048, is_embedded: false });
+
+            expect(reply).to.include({ folders: ['Projects'], attachments: false, in_reply_to: '<kickoff@example.com>' });
+        });
+
+        it('returns no page token on the last page', async () => {
+
+            server = await internals.startServer({ FindItem: 'find-item-last-page' });
+
+            const { connector, auth } = internals.setup(server);
+            const response = await internals.call(connector, 'listMessages', auth, { pageToken: '2' }, { idsOnly: true });
+
+            expect(server.requests.find((request) => request.operation === 'FindItem').body).to.contain('Offset="2"');
+            expect(response).to.equal({ messages: ['AAMkADItem3'] });
+        });
+
+        it('returns a 429 with the back off of the server when it is busy', async () => {
+
+            server = await internals.startServer({ FindItem: { statusCode: 500, fixture: 'server-busy' } });
+
+            const { connector, auth } = internals.setup(server);
+            const err = await expect(internals.call(connector, 'listMessages', auth, {})).to.reject('The server cannot service this request right now. Try again later.');
+
+            expect(err.output.statusCode).to.equal(429);
+            expect(err.output.headers['Retry-After']).to.equal('298');
+        });
+    });
+
+    describe('getMessage()', () => {
+
+        it('returns a 404 for an unknown item', async () => {
+
+            server = await internals.startServer({ GetItem: 'get-item-not-found' });
+
+            const { connector, auth } = internals.setup(server);
+            const err = await expect(internals.call(connector, 'getMessage', auth, { id: 'AAMkADMissing' })).to.reject();
+
+            expect(err.output.statusCode).to.equal(404);
+        });
+
+        it('decodes the MIME content in the rfc2822 format', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const raw = await internals.call(connector, 'getMessage', auth, { id: 'AAMkADItem1', rfc2822Format: true });
+
+            expect(server.requests.find((request) => request.operation === 'GetItem').body).to.contain('<t:IncludeMimeContent>true</t:IncludeMimeContent>');
+            expect(raw).to.startWith('From: John Smith <john@example.com>\r\n');
+            expect(raw).to.contain('See the attached report.');
+        });
+    });
+
+    describe('sendMessage()', () => {
+
+        it('sends the MIME content and saves a copy in the sent items', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const messageId = await internals.call(connector, 'sendMessage', auth, {
+                from: { name: 'Doe, Jane "JD"', email: 'jane@example.com' },
+                to: [{ name: 'John Smith', email: 'john@example.com' }, { email: 'team@example.com' }],
+                subject: 'Re: Quarterly report',
+                text: 'Thanks!',
+                inReplyTo: '<report-2024-q1@example.com>',
+                attachments: [{ name: 'notes.txt', contentBytes: Buffer.from('Some notes').toString('base64') }]
+            });
+
+            const [createItem] = server.requests;
+            expect(createItem.operation).to.equal('CreateItem');
+            expect(createItem.body).to.contain('<m:CreateItem MessageDisposition="SendAndSaveCopy">');
+            expect(createItem.body).to.contain('<t:DistinguishedFolderId Id="sentitems"/>');
+
+            const mimeContent = /<t:MimeContent CharacterSet="UTF-8">([^<]+)<\/t:MimeContent>/.exec(createItem.body)[1];
+            const mail = await internals.parse(Buffer.from(mimeContent, 'base64'));
+
+            expect(messageId).to.match(/^<\w+@example\.com>$/);
+            expect(mail.messageId).to.equal(messageId);
+            expect(mail.from.value).to.equal([{ name: 'Doe, Jane "JD"', address: 'jane@example.com' }]);
+            expect(mail.to.value).to.equal([{ name: 'John Smith', address: 'john@example.com' }, { name: '', address: 'team@example.com' }]);
+            expect(mail.headers['in-reply-to']).to.equal(['<report-2024-q1@example.com>']);
+            expect(mail.attachments[0].filename).to.equal('notes.txt');
+            expect(mail.attachments[0].content.toString()).to.equal('Some notes');
+        });
+    });
+
+    describe('getFile()', () => {
+
+        it('returns the file of the message with its content', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const file = await internals.call(connector, 'getFile', auth, { id: 'AAMkADAttachment1', messageId: 'AAMkADItem1' });
+
+            expect(file).to.include({ service_file_id: 'AAMkADAttachment1', service_message_id: 'AAMkADItem1', file_name: 'report.pdf' });
+            expect(Buffer.from(file.data, 'base64').toString()).to.equal('%PDF-1.4\n% report\n');
+        });
+    });
+
+    describe('listFolders()', () => {
+
+        it('only returns mail folders, with the roles of the well known folders', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const folders = await internals.call(connector, 'listFolders', auth, {});
+
+            expect(folders.map((folder) => [folder.name, folder.role, folder.parent_id])).to.equal([
+                ['Inbox', 'inbox', null],
+                ['Projects', null, 'AAMkADInbox'],
+                ['Sent Items', 'sent', null],
+                ['Deleted Items', 'trash', null]
+            ]);
+            expect(folders[0]).to.include({ id: 'AAMkADInbox', total_count: 2, unread_count: 1, service_type: 'exchange' });
+        });
+    });
+
+    describe('authentication', () => {
+
+        it('does the NTLM handshake and the request on the same connection', async () => {
+
+            server = await internals.startServer({}, { ntlm: true });
+
+            const connector = new ExchangeConnector({ url: server.url });
+            const auth = { user: 'jane', password: 'secret', domain: 'EXAMPLE' };
+            const folders = await internals.call(connector, 'listFolders', auth, {});
+
+            expect(folders).to.have.length(4);
+
+            // FindFolder and GetFolder each do their own handshake
+            const handshakes = server.requests.filter((request) => request.operation === null);
+            expect(handshakes).to.have.length(2);
+
+            server.requests.filter((request) => request.operation).forEach((request) => {
+
+                expect(request.headers.authorization).to.startWith(internals.ntlmAuthenticate);
+
+                const handshake = handshakes.find((candidate) => candidate.socket === request.socket);
+                expect(handshake).to.exist();
+            });
+        });
+
+        it('returns a 401 for invalid credentials', async () => {
+
+            server = await internals.startServer();
+
+            const connector = new ExchangeConnector({ url: server.url });
+            const err = await expect(internals.call(connector, 'listFolders', { user: 'jane', password: 'wrong', auth_type: 'basic' }, {})).to.reject('Invalid EWS credentials');
+
+            expect(err.output.statusCode).to.equal(401);
+        });
+    });
+});
+
+/**
+ * Replays the recorded EWS responses in `./fixtures/ews`, by operation
+ *
+ * @param {Object.<String, (String | { statusCode: Number, fixture: String })>} [responses] - Overrides the fixture of an operation
+ * @param {Object} [options]
+ * @param {Boolean} [options.ntlm] - Require an NTLM handshake instead of basic authentication
+ * @returns {Promise<{ url: String, requests: Array.<Object>, stop: function():Promise<void> }>}
+ */
+internals.startServer = async (responses, options) => {
+
+    options = options || {};
+
+    const fixtures = {
+        FindFolder: 'find-folder',
+        GetFolder: 'get-folder',
+        FindItem: 'find-item',
+        GetItem: (body) => (body.includes('<t:IncludeMimeContent>true</t:IncludeMimeContent>') ? 'get-item-mime' : 'get-item'),
+        GetAttachment: 'get-attachment',
+        CreateItem: 'create-item',
+        ...responses
+    };
+
+    const requests = [];
+    const listener = Http.createServer((req, res) => {
+
+        const chunks = [];
+
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', async () => {
+
+            const body = Buffer.concat(chunks).toString();
+            const match = /<soap:Body>\s*<m:(\w+)/.exec(body);
+            const operation = match ? match[1] : null;
+            const authorization = req.headers.authorization || '';
+
+            requests.push({ operation, body, headers: req.headers, socket: req.socket });
+
+            if (options.ntlm && authorization.startsWith(internals.ntlmNegotiate)) {
+                res.writeHead(401, { 'WWW-Authenticate': internals.ntlmChallenge });
+                return res.end();
+            }
+
+            const authorized = options.ntlm ? authorization.startsWith(internals.ntlmAuthenticate) : authorization === `Basic ${Buffer.from('jane:secret').toString('base64')}`;
+
+            if (!operation || !authorized) {
+                res.writeHead(401);
+                return res.end();
+            }
+
+            const fixture = typeof fixtures[operation] === 'function' ? fixtures[operation](body) : fixtures[operation];
+            const { statusCode = 200, fixture: name = fixture } = typeof fixture === 'object' ? fixture : {};
+
+            const payload = await Fs.promises.readFile(Path.join(internals.fixtures, `${name}.xml`));
+
+            res.writeHead(statusCode, { 'Content-Type': 'text/xml; charset=utf-8' });
+            res.end(payload);
+        });
+    });
+
+    await new Promise((resolve) => listener.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${listener.address().port}/EWS/Exchange.asmx`,
+        requests,
+        stop: () => {
+
+            listener.closeAllConnections();
+            return new Promise((resolve) => listener.close(resolve));
+        }
+    };
+};
+
+/**
+ * @param {{ url: String }} server
+ * @returns {{ connector: ExchangeConnector, auth: Object }}
+ */
+internals.setup = (server) => {
+
+    return {
+        connector: new ExchangeConnector({ url: server.url }),
+        auth: { user: 'jane', password: 'secret', auth_type: 'basic' }
+    };
+};
+
+/**
+ * @param {ExchangeConnector} connector
+ * @param {String} method
+ * @param {Object} auth
+ * @param {Object} params
+ * @param {Object} [options]
+ * @returns {Promise<*>}
+ */
+internals.call = (connector, method, auth, params, options) => {
+
+    return new Promise((resolve, reject) => {
+
+        connector[method](auth, params, options || {}, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+};
+
+/**
+ * @param {Buffer} raw
+ * @returns {Promise<Object>}
+ */
+internals.parse = (raw) => {
+
+    return new Promise((resolve, reject) => {
+
+        Utils.parseRawMail(raw, (err, mail) => (err ? reject(err) : resolve(mail)));
+    });
+};
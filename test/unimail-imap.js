@@ -0,0 +1,356 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Hoodiecrow = require('hoodiecrow-imap');
+const Lab = require('@hapi/lab');
+
+const ImapConnector = require('../lib/unimail-imap');
+const Utils = require('../lib/utils');
+
+const internals = {};
+
+const { describe, it, afterEach } = exports.lab = Lab.script();
+const { expect } = Code;
+
+describe('ImapConnector', () => {
+
+    let server;
+
+    afterEach(async () => {
+
+        await server.stop();
+    });
+
+    describe('listMessages()', () => {
+
+        it('returns the unified messages of the inbox, newest first', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const { messages, next_page_token: nextPageToken } = await internals.call(connector, 'listMessages', auth, {});
+
+            expect(nextPageToken).to.not.exist();
+            expect(messages.map((message) => message.service_message_id)).to.equal(['INBOX:1:3', 'INBOX:1:2', 'INBOX:1:1']);
+
+            const report = messages[2];
+
+            expect(report).to.include({
+                service_type: 'imap',
+                email_message_id: '<report-2024-q1@example.com>',
+                subject: 'Quarterly report',
+                date: new Date('2024-03-04T09:12:00Z').getTime(),
+                folders: ['INBOX'],
+                attachments: true
+            });
+            expect(report.addresses.from).to.equal({ name: 'John Smith', email: 'john@example.com' });
+            expect(report.addresses.to).to.equal([{ name: 'Jane Doe', email: 'jane@example.com' }]);
+            expect(report.body).to.equal([{ type: 'text/plain', content: 'See the attached report.' }]);
+            expect(report.files).to.have.length(1);
+            expect(report.files[0]).to.include({ service_file_id: '2', file_name: 'report.txt' });
+        });
+
+        it('pages with the lowest uid of the page', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const first = await internals.call(connector, 'listMessages', auth, { limit: 2 }, { idsOnly: true });
+
+            expect(first).to.equal({ messages: ['INBOX:1:3', 'INBOX:1:2'], next_page_token: '2' });
+
+            const second = await internals.call(connector, 'listMessages', auth, { limit: 2, pageToken: first.next_page_token }, { idsOnly: true });
+
+            expect(second).to.equal({ messages: ['INBOX:1:1'] });
+        });
+
+        it('searches the messages on the server', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const bySubject = await internals.call(connector, 'listMessages', auth, { subject: 'kickoff' }, { idsOnly: true });
+            const byParticipant = await internals.call(connector, 'listMessages', auth, { participants: ['team@example.com'] }, { idsOnly: true });
+            const withDrafts = await internals.call(connector, 'listMessages', auth, { includeDrafts: true }, { idsOnly: true });
+
+            expect(bySubject.messages).to.equal(['INBOX:1:2']);
+            expect(byParticipant.messages).to.equal(['INBOX:1:2']);
+            expect(withDrafts.messages).to.have.length(4);
+        });
+
+        it('lists the mailbox of the folder role', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const { messages } = await internals.call(connector, 'listMessages', auth, { folder: 'sent' });
+
+            expect(messages.map((message) => message.subject)).to.equal(['Sent before']);
+            expect(messages[0].folders).to.equal(['Sent']);
+        });
+    });
+
+    describe('getMessage()', () => {
+
+        it('returns the source in the rfc2822 format', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const raw = await internals.call(connector, 'getMessage', auth, { id: 'INBOX:1:1', rfc2822Format: true });
+
+            expect(raw).to.equal(internals.messages.report);
+        });
+
+        it('returns a 404 for an unknown message or when the mailbox has been reset', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const unknown = await expect(internals.call(connector, 'getMessage', auth, { id: 'INBOX:1:99' })).to.reject('Message not found');
+            const reset = await expect(internals.call(connector, 'getMessage', auth, { id: 'INBOX:7:1' })).to.reject('Message not found, the mailbox has been reset');
+
+            expect(unknown.output.statusCode).to.equal(404);
+            expect(reset.output.statusCode).to.equal(404);
+        });
+    });
+
+    describe('updateMessage()', () => {
+
+        it('sets the flags of the message', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            await internals.call(connector, 'updateMessage', auth, { id: 'INBOX:1:1', unread: false, starred: true });
+
+            expect(server.imap.getMailbox('INBOX').messages[0].flags).to.equal(['\\Seen', '\\Flagged']);
+        });
+    });
+
+    describe('trashMessage()', () => {
+
+        it('moves the message to the trash and returns it with its new id', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const message = await internals.call(connector, 'trashMessage', auth, { id: 'INBOX:1:2' });
+
+            expect(message).to.include({ service_message_id: 'Trash:1:1', subject: 'Re: Kickoff', folders: ['Trash'] });
+            expect(server.imap.getMailbox('INBOX').messages.map((entry) => entry.uid)).to.equal([1, 3, 4]);
+        });
+    });
+
+    describe('deleteMessage()', () => {
+
+        it('expunges the message', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            await internals.call(connector, 'deleteMessage', auth, { id: 'INBOX:1:1' });
+
+            expect(server.imap.getMailbox('INBOX').messages.map((entry) => entry.uid)).to.equal([2, 3, 4]);
+        });
+    });
+
+    describe('batchGetMessages()', () => {
+
+        it('fetches the messages of every mailbox over one connection', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const { results } = await internals.call(connector, 'batchGetMessages', auth, { ids: ['INBOX:1:2', 'Sent:1:1', 'INBOX:1:99', 'INBOX:1:1', 'INBOX:7:1', 'invalid'] });
+
+            expect(server.connections()).to.equal(1);
+            expect(results.map((result) => result.id)).to.equal(['INBOX:1:2', 'Sent:1:1', 'INBOX:1:99', 'INBOX:1:1', 'INBOX:7:1', 'invalid']);
+            expect(results.map((result) => result.message && result.message.subject)).to.equal(['Re: Kickoff', 'Sent before', null, 'Quarterly report', null, null]);
+            expect(results.map((result) => result.error && result.error.output.statusCode)).to.equal([null, null, 404, null, 404, 400]);
+        });
+    });
+
+    describe('batchUpdateMessages()', () => {
+
+        it('sets the flags of all messages over one connection', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const { results } = await internals.call(connector, 'batchUpdateMessages', auth, { ids: ['INBOX:1:1', 'INBOX:1:3', 'Sent:1:1'], starred: true });
+
+            expect(server.connections()).to.equal(1);
+            expect(results.map((result) => result.error)).to.equal([null, null, null]);
+            expect(results.map((result) => result.message.service_message_id)).to.equal(['INBOX:1:1', 'INBOX:1:3', 'Sent:1:1']);
+            expect(server.imap.getMailbox('INBOX').messages.map((entry) => entry.flags.includes('\\Flagged'))).to.equal([true, false, true, false]);
+            expect(server.imap.getMailbox('Sent').messages[0].flags).to.include('\\Flagged');
+        });
+    });
+
+    describe('getFile()', () => {
+
+        it('downloads the body part of the file', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const file = await internals.call(connector, 'getFile', auth, { id: '2', messageId: 'INBOX:1:1' });
+
+            expect(file).to.include({ service_file_id: '2', file_name: 'report.txt' });
+            expect(Buffer.from(file.data, 'base64').toString()).to.equal('Revenue is up');
+        });
+    });
+
+    describe('listFolders()', () => {
+
+        it('maps the special-use flags to roles, with the special-use mailboxes first', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const folders = await internals.call(connector, 'listFolders', auth, {});
+
+            expect(folders.map((folder) => [folder.id, folder.role, folder.parent_id])).to.equal([
+                ['INBOX', 'inbox', null],
+                ['Sent', 'sent', null],
+                ['Trash', 'trash', null],
+                ['Projects', null, null],
+                ['Projects/Launch', null, 'Projects']
+            ]);
+            expect(folders[0]).to.include({ total_count: 4, unread_count: 3 });
+        });
+    });
+
+    describe('listChanges()', () => {
+
+        it('returns the messages that were appended since the cursor', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const { next_cursor: cursor } = await internals.call(connector, 'listChanges', auth, {});
+
+            server.imap.appendMessage('INBOX', [], false, 'Subject: New\r\n\r\nJust arrived');
+
+            const changes = await internals.call(connector, 'listChanges', auth, { cursor });
+
+            expect(changes.created).to.equal(['INBOX:1:5']);
+            expect(Utils.decodeCursor(changes.next_cursor)).to.include({ path: 'INBOX', uidNext: 6 });
+        });
+    });
+
+    describe('authentication', () => {
+
+        it('returns a 401 for invalid credentials', async () => {
+
+            server = await internals.startServer();
+
+            const { connector } = internals.setup(server);
+            const err = await expect(internals.call(connector, 'listFolders', { user: 'jane', password: 'wrong' }, {})).to.reject();
+
+            expect(err.output.statusCode).to.equal(401);
+        });
+    });
+});
+
+internals.messages = {
+    report: [
+        'From: John Smith <john@example.com>',
+        'To: Jane Doe <jane@example.com>',
+        'Subject: Quarterly report',
+        'Date: Mon, 04 Mar 2024 09:12:00 +0000',
+        'Message-ID: <report-2024-q1@example.com>',
+        'MIME-Version: 1.0',
+        'Content-Type: multipart/mixed; boundary="report"',
+        '',
+        '--report',
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        'See the attached report.',
+        '--report',
+        'Content-Type: text/plain; name="report.txt"',
+        'Content-Disposition: attachment; filename="report.txt"',
+        'Content-Transfer-Encoding: base64',
+        '',
+        Buffer.from('Revenue is up').toString('base64'),
+        '--report--',
+        ''
+    ].join('\r\n'),
+    kickoff: 'From: Jane Doe <jane@example.com>\r\nTo: team@example.com\r\nSubject: Re: Kickoff\r\nDate: Sun, 03 Mar 2024 15:00:00 +0000\r\n\r\nSee you there',
+    newsletter: 'From: news@example.com\r\nTo: jane@example.com\r\nSubject: Newsletter\r\nDate: Sat, 02 Mar 2024 08:00:00 +0000\r\n\r\nNews',
+    draft: 'From: jane@example.com\r\nTo: john@example.com\r\nSubject: Unfinished\r\n\r\nDraft',
+    sent: 'From: jane@example.com\r\nTo: john@example.com\r\nSubject: Sent before\r\nDate: Fri, 01 Mar 2024 08:00:00 +0000\r\n\r\nSent'
+};
+
+/**
+ * Starts an IMAP server on a random port with a fresh copy of the mailboxes
+ *
+ * @returns {Promise<{ port: Number, imap: Object, connections: function():Number, stop: function():Promise<void> }>} `imap` is the Hoodiecrow server, to check its mailboxes
+ */
+internals.startServer = async () => {
+
+    const imap = Hoodiecrow({
+        plugins: ['ID', 'UIDPLUS', 'SPECIAL-USE', 'ENABLE'],
+        users: { jane: { password: 'secret' } },
+        storage: {
+            INBOX: {
+                messages: [
+                    { raw: internals.messages.report, internaldate: '04-Mar-2024 09:12:00 +0000' },
+                    { raw: internals.messages.kickoff, internaldate: '03-Mar-2024 15:00:00 +0000', flags: ['\\Seen'] },
+                    { raw: internals.messages.newsletter, internaldate: '02-Mar-2024 08:00:00 +0000' },
+                    { raw: internals.messages.draft, internaldate: '02-Mar-2024 09:00:00 +0000', flags: ['\\Draft'] }
+                ]
+            },
+            '': {
+                separator: '/',
+                folders: {
+                    Projects: { folders: { Launch: {} } },
+                    Sent: { 'special-use': '\\Sent', messages: [{ raw: internals.messages.sent, flags: ['\\Seen'] }] },
+                    Trash: { 'special-use': '\\Trash' }
+                }
+            }
+        }
+    });
+
+    let connections = 0;
+
+    imap.server.on('connection', () => connections++);
+
+    await new Promise((resolve) => imap.listen(0, '127.0.0.1', resolve));
+
+    return {
+        port: imap.server.address().port,
+        imap,
+        connections: () => connections,
+        stop: () => new Promise((resolve) => imap.close(resolve))
+    };
+};
+
+/**
+ * @param {{ port: Number }} server
+ * @returns {{ connector: ImapConnector, auth: Object }}
+ */
+internals.setup = (server) => {
+
+    return {
+        connector: new ImapConnector({ imap: { host: '127.0.0.1', port: server.port, secure: false } }),
+        auth: { user: 'jane', password: 'secret' }
+    };
+};
+
+/**
+ * @param {ImapConnector} connector
+ * @param {String} method
+ * @param {Object} auth
+ * @param {Object} params
+ * @param {Object} [options]
+ * @returns {Promise<*>}
+ */
+internals.call = (connector, method, auth, params, options) => {
+
+    return new Promise((resolve, reject) => {
+
+        connector[method](auth, params, options || {}, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+};
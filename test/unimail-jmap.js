@@ -0,0 +1,480 @@
+'use strict';
+
+const Http = require('http');
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+
+const JmapConnector = require('../lib/unimail-jmap');
+const Utils = require('../lib/utils');
+
+const internals = {};
+
+const { describe, it, afterEach } = exports.lab = Lab.script();
+const { expect } = Code;
+
+describe('JmapConnector', () => {
+
+    let server;
+
+    afterEach(async () => {
+
+        await server.stop();
+    });
+
+    describe('listMessages()', () => {
+
+        it('gets the mailboxes, queries and gets the emails in one request', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const { messages, next_page_token: nextPageToken } = await internals.call(connector, 'listMessages', auth, { from: 'john@example.com', participants: ['team@example.com'], limit: 2 });
+
+            expect(server.apiCalls()).to.equal([['Mailbox/get', 'Email/query', 'Email/get']]);
+
+            const [, [, query], [, get]] = server.requests[0].methodCalls;
+
+            expect(query).to.include({ position: 0, limit: 2, sort: [{ property: 'receivedAt', isAscending: false }] });
+            expect(query.filter).to.equal({
+                operator: 'AND',
+                conditions: [
+                    { from: 'john@example.com', notKeyword: '$draft' },
+                    { operator: 'OR', conditions: [{ from: 'team@example.com' }, { to: 'team@example.com' }, { cc: 'team@example.com' }] }
+                ]
+            });
+            expect(get['#ids']).to.equal({ resultOf: '1', name: 'Email/query', path: '/ids' });
+
+            expect(nextPageToken).to.equal('2');
+            expect(messages.map((message) => message.service_message_id)).to.equal(['email-1', 'email-2']);
+
+            const [report, reply] = messages;
+
+            expect(report).to.include({
+                service_type: 'jmap',
+                service_thread_id: 'thread-1',
+                email_message_id: '<report-2024-q1@example.com>',
+                subject: 'Quarterly report',
+                date: new Date('2024-03-04T09:12:00Z').getTime(),
+                folders: ['Inbox'],
+                attachments: true
+            });
+            expect(report.addresses.from).to.equal({ name: 'John Smith', email: 'john@example.com' });
+            expect(report.body).to.equal([{ type: 'text/plain', content: 'See the attached report.' }]);
+            expect(report.files[0]).to.include({ service_file_id: 'blob-report', file_name: 'report.pdf', is_embedded: false });
+            expect(reply).to.include({ folders: ['Projects'], in_reply_to: '<kickoff@example.com>' });
+        });
+
+        it('continues at the position of the page token', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const response = await internals.call(connector, 'listMessages', auth, { limit: 2, pageToken: '2' }, { idsOnly: true });
+
+            expect(server.apiCalls()).to.equal([['Mailbox/get', 'Email/query']]);
+            expect(server.requests[0].methodCalls[1][1].position).to.equal(2);
+            expect(response).to.equal({ messages: ['email-3'] });
+        });
+
+        it('resolves folder roles with the mailboxes of an earlier call', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+
+            await internals.call(connector, 'listMessages', auth, { folder: 'sent' }, { idsOnly: true });
+
+            // Nothing is known about the mailboxes yet
+            expect(server.apiCalls()).to.equal([['Mailbox/get'], ['Mailbox/get', 'Email/query']]);
+            expect(server.requests[1].methodCalls[1][1].filter.conditions[1]).to.equal({ operator: 'OR', conditions: [{ inMailbox: 'mailbox-sent' }] });
+
+            await internals.call(connector, 'listMessages', auth, { folder: ['Projects', 'inbox'] }, { idsOnly: true });
+
+            expect(server.apiCalls().slice(2)).to.equal([['Mailbox/get', 'Email/query']]);
+            expect(server.requests[2].methodCalls[1][1].filter.conditions[1]).to.equal({ operator: 'OR', conditions: [{ inMailbox: 'mailbox-projects' }, { inMailbox: 'mailbox-inbox' }] });
+        });
+
+        it('queries again when the mailboxes changed since the earlier call', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+
+            await internals.call(connector, 'listFolders', auth, {});
+
+            // The sent mailbox was replaced and a new one was created
+            server.data.mailboxState = 'mailboxes-2';
+            server.data.mailboxes = [
+                ...server.data.mailboxes.filter((mailbox) => mailbox.role !== 'sent'),
+                { id: 'mailbox-sent-2', name: 'Sent', role: 'sent', parentId: null },
+                { id: 'mailbox-launch', name: 'Launch', role: null, parentId: 'mailbox-projects' }
+            ];
+
+            await internals.call(connector, 'listMessages', auth, { folder: 'sent' }, { idsOnly: true });
+
+            expect(server.apiCalls().slice(1)).to.equal([['Mailbox/get', 'Email/query'], ['Mailbox/get', 'Email/query']]);
+            expect(server.requests[1].methodCalls[1][1].filter.conditions[1].conditions).to.equal([{ inMailbox: 'mailbox-sent' }]);
+            expect(server.requests[2].methodCalls[1][1].filter.conditions[1].conditions).to.equal([{ inMailbox: 'mailbox-sent-2' }]);
+
+            await internals.call(connector, 'listMessages', auth, { folder: 'Launch' }, { idsOnly: true });
+
+            expect(server.apiCalls().slice(3)).to.equal([['Mailbox/get', 'Email/query']]);
+            expect(server.requests[3].methodCalls[1][1].filter.conditions[1].conditions).to.equal([{ inMailbox: 'mailbox-launch' }]);
+        });
+
+        it('returns a 404 for an unknown folder', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const err = await expect(internals.call(connector, 'listMessages', auth, { folder: 'archive' })).to.reject('Folder archive not found');
+
+            expect(err.output.statusCode).to.equal(404);
+        });
+    });
+
+    describe('sendMessage()', () => {
+
+        it('imports the message as draft and submits it, moving it to the sent mailbox on success', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const messageId = await internals.call(connector, 'sendMessage', auth, {
+                to: [{ name: 'John Smith', email: 'john@example.com' }],
+                bcc: [{ email: 'archive@example.com' }],
+                subject: 'Re: Quarterly report',
+                text: 'Thanks!'
+            });
+
+            expect(messageId).to.match(/^<\w+@example\.com>$/);
+            expect(server.apiCalls()).to.equal([['Mailbox/get', 'Identity/get'], ['Email/import', 'EmailSubmission/set']]);
+
+            const mail = await internals.parse(server.uploads[0]);
+            expect(mail.messageId).to.equal(messageId);
+            expect(mail.from.value).to.equal([{ name: 'Jane Doe', address: 'jane@example.com' }]);
+            expect(mail.bcc.value).to.equal([{ name: '', address: 'archive@example.com' }]);
+
+            const { using, methodCalls: [[, emailImport], [, submission]] } = server.requests[1];
+
+            expect(using).to.include('urn:ietf:params:jmap:submission');
+            expect(emailImport.emails.draft).to.equal({ blobId: 'blob-upload-1', mailboxIds: { 'mailbox-drafts': true }, keywords: { $draft: true, $seen: true } });
+            expect(submission.create.submission).to.equal({
+                emailId: '#draft',
+                identityId: 'identity-1',
+                envelope: {
+                    mailFrom: { email: 'jane@example.com' },
+                    rcptTo: [{ email: 'john@example.com' }, { email: 'archive@example.com' }]
+                }
+            });
+            expect(submission.onSuccessUpdateEmail).to.equal({
+                '#submission': {
+                    'mailboxIds/mailbox-drafts': null,
+                    'mailboxIds/mailbox-sent': true,
+                    'keywords/$draft': null
+                }
+            });
+        });
+
+        it('returns a 400 when there is no identity for the sender', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const err = await expect(internals.call(connector, 'sendMessage', auth, { from: { email: 'someone@example.com' }, to: [{ email: 'john@example.com' }] })).to.reject('No identity to send as someone@example.com');
+
+            expect(err.output.statusCode).to.equal(400);
+            expect(server.uploads).to.have.length(0);
+        });
+    });
+
+    describe('listChanges()', () => {
+
+        it('returns the state of the emails without a cursor', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const changes = await internals.call(connector, 'listChanges', auth, {});
+
+            expect(changes).to.equal({ created: [], updated: [], deleted: [], next_cursor: 'emails-1', has_more: false });
+            expect(server.requests[0].methodCalls[0][1].ids).to.equal([]);
+        });
+
+        it('returns the changes since the state of the cursor', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const changes = await internals.call(connector, 'listChanges', auth, { cursor: 'emails-1', limit: 50 });
+
+            expect(server.requests[0].methodCalls[0]).to.equal(['Email/changes', { accountId: 'account-1', sinceState: 'emails-1', maxChanges: 50 }, '0']);
+            expect(changes).to.equal({ created: ['email-4'], updated: ['email-1'], deleted: ['email-2'], next_cursor: 'emails-2', has_more: true });
+        });
+
+        it('returns a 410 when the server can\'t calculate the changes anymore', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const err = await expect(internals.call(connector, 'listChanges', auth, { cursor: 'emails-0' })).to.reject('Full resync required');
+
+            expect(err.output.statusCode).to.equal(410);
+        });
+    });
+});
+
+/**
+ * @returns {Object} The mailboxes and emails of the account, tests can change them while the server runs
+ */
+internals.data = () => {
+
+    return {
+        mailboxState: 'mailboxes-1',
+        mailboxes: [
+            { id: 'mailbox-inbox', name: 'Inbox', role: 'inbox', parentId: null, totalEmails: 2, unreadEmails: 1 },
+            { id: 'mailbox-projects', name: 'Projects', role: null, parentId: 'mailbox-inbox', totalEmails: 1, unreadEmails: 0 },
+            { id: 'mailbox-drafts', name: 'Drafts', role: 'drafts', parentId: null, totalEmails: 0, unreadEmails: 0 },
+            { id: 'mailbox-sent', name: 'Sent', role: 'sent', parentId: null, totalEmails: 0, unreadEmails: 0 }
+        ],
+        emailState: 'emails-1',
+        emails: [
+            {
+                id: 'email-1',
+                blobId: 'blob-1',
+                threadId: 'thread-1',
+                mailboxIds: { 'mailbox-inbox': true },
+                keywords: {},
+                messageId: ['report-2024-q1@example.com'],
+                from: [{ name: 'John Smith', email: 'John@Example.com' }],
+                to: [{ name: 'Jane Doe', email: 'jane@example.com' }],
+                subject: 'Quarterly report',
+                receivedAt: '2024-03-04T09:12:05Z',
+                sentAt: '2024-03-04T09:12:00Z',
+                headers: [{ name: 'Subject', value: ' Quarterly report' }],
+                textBody: [{ partId: '1', type: 'text/plain' }],
+                htmlBody: [{ partId: '1', type: 'text/plain' }],
+                bodyValues: { 1: { value: 'See the attached report.' } },
+                attachments: [{ blobId: 'blob-report', name: 'report.pdf', type: 'application/pdf', size: 2048, disposition: 'attachment' }]
+            },
+            {
+                id: 'email-2',
+                blobId: 'blob-2',
+                threadId: 'thread-2',
+                mailboxIds: { 'mailbox-projects': true },
+                keywords: { $seen: true },
+                messageId: ['kickoff-reply@example.com'],
+                inReplyTo: ['kickoff@example.com'],
+                from: [{ name: 'Jane Doe', email: 'jane@example.com' }],
+                to: [{ email: 'team@example.com' }],
+                subject: 'Re: Kickoff',
+                receivedAt: '2024-03-03T15:00:00Z'
+            },
+            {
+                id: 'email-3',
+                blobId: 'blob-3',
+                threadId: 'thread-3',
+                mailboxIds: { 'mailbox-inbox': true },
+                keywords: {},
+                from: [{ email: 'news@example.com' }],
+                subject: 'Newsletter',
+                receivedAt: '2024-03-02T08:00:00Z'
+            }
+        ]
+    };
+};
+
+/**
+ * Implements the JMAP methods the connector uses, back references are resolved like a real server does
+ *
+ * @param {Object} data - As returned by `internals.data()`
+ * @returns {Object.<String, function(Object):Object>} Response arguments per method name, or `{ error }` for a method level error
+ */
+internals.methods = (data) => {
+
+    return {
+        'Mailbox/get': (args) => ({ accountId: args.accountId, state: data.mailboxState, list: data.mailboxes, notFound: [] }),
+        'Identity/get': (args) => ({ accountId: args.accountId, state: 'identities-1', list: [{ id: 'identity-1', name: 'Jane Doe', email: 'jane@example.com' }], notFound: [] }),
+        'Email/query': (args) => {
+
+            const ids = data.emails.map((email) => email.id);
+
+            return { accountId: args.accountId, queryState: 'query-1', position: args.position, ids: ids.slice(args.position, args.position + args.limit), total: ids.length };
+        },
+        'Email/get': (args) => ({ accountId: args.accountId, state: data.emailState, list: data.emails.filter((email) => args.ids.includes(email.id)), notFound: [] }),
+        'Email/import': (args) => ({ accountId: args.accountId, created: { draft: { id: 'email-4', blobId: args.emails.draft.blobId } } }),
+        'EmailSubmission/set': (args) => ({ accountId: args.accountId, created: { submission: { id: 'submission-1' } } }),
+        'Email/changes': (args) => {
+
+            if (args.sinceState !== data.emailState) {
+                return { error: { type: 'cannotCalculateChanges' } };
+            }
+
+            return { accountId: args.accountId, oldState: args.sinceState, newState: 'emails-2', hasMoreChanges: true, created: ['email-4'], updated: ['email-1'], destroyed: ['email-2'] };
+        }
+    };
+};
+
+/**
+ * Starts a JMAP server with a session, api and upload endpoint
+ *
+ * @returns {Promise<{ url: String, data: Object, requests: Array.<Object>, uploads: Array.<Buffer>, apiCalls: function():Array.<Array.<String>>, stop: function():Promise<void> }>}
+ */
+internals.startServer = async () => {
+
+    const data = internals.data();
+    const methods = internals.methods(data);
+    const requests = [];
+    const uploads = [];
+
+    const listener = Http.createServer((req, res) => {
+
+        const chunks = [];
+
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => {
+
+            const url = `http://127.0.0.1:${listener.address().port}`;
+            const body = Buffer.concat(chunks);
+            const respond = (payload) => {
+
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(payload));
+            };
+
+            if (req.headers.authorization !== 'Bearer secret-token') {
+                res.writeHead(401);
+                return res.end();
+            }
+
+            if (req.url === '/jmap/session') {
+                return respond({
+                    apiUrl: `${url}/api/`,
+                    downloadUrl: `${url}/download/{accountId}/{blobId}/{name}?type={type}`,
+                    uploadUrl: `${url}/upload/{accountId}/`,
+                    primaryAccounts: {
+                        'urn:ietf:params:jmap:mail': 'account-1',
+                        'urn:ietf:params:jmap:submission': 'account-1'
+                    }
+                });
+            }
+
+            if (req.url === '/upload/account-1/') {
+                uploads.push(body);
+                return respond({ accountId: 'account-1', blobId: `blob-upload-${uploads.length}`, type: req.headers['content-type'], size: body.length });
+            }
+
+            const request = JSON.parse(body.toString());
+            const methodResponses = [];
+
+            requests.push(request);
+
+            request.methodCalls.forEach(([name, args, callId]) => {
+
+                const response = methods[name](internals.resolveReferences(args, methodResponses));
+
+                methodResponses.push(response.error ? ['error', response.error, callId] : [name, response, callId]);
+            });
+
+            return respond({ methodResponses, sessionState: 'session-1' });
+        });
+    });
+
+    await new Promise((resolve) => listener.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${listener.address().port}`,
+        data,
+        requests,
+        uploads,
+        apiCalls: () => requests.map((request) => request.methodCalls.map(([name]) => name)),
+        stop: () => new Promise((resolve) => listener.close(resolve))
+    };
+};
+
+/**
+ * Replaces the `#` arguments with the result they reference (RFC 8620 section 3.7)
+ *
+ * @param {Object} args
+ * @param {Array.<[String, Object, String]>} methodResponses - The responses of the earlier calls in the request
+ * @returns {Object}
+ */
+internals.resolveReferences = (args, methodResponses) => {
+
+    const resolved = {};
+
+    Object.entries(args).forEach(([key, value]) => {
+
+        if (!key.startsWith('#')) {
+            resolved[key] = value;
+            return;
+        }
+
+        const [, result] = methodResponses.find(([name, , callId]) => name === value.name && callId === value.resultOf);
+
+        resolved[key.slice(1)] = internals.evaluatePointer(result, value.path.split('/').slice(1));
+    });
+
+    return resolved;
+};
+
+/**
+ * @param {*} value
+ * @param {Array.<String>} tokens - JSON pointer tokens, `*` maps over an array and flattens the results
+ * @returns {*}
+ */
+internals.evaluatePointer = (value, tokens) => {
+
+    if (tokens.length === 0) {
+        return value;
+    }
+
+    const [token, ...rest] = tokens;
+
+    if (token === '*') {
+        return value.flatMap((item) => internals.evaluatePointer(item, rest));
+    }
+
+    return internals.evaluatePointer(value[token], rest);
+};
+
+/**
+ * @param {{ url: String }} server
+ * @returns {{ connector: JmapConnector, auth: Object }}
+ */
+internals.setup = (server) => {
+
+    return {
+        connector: new JmapConnector({ sessionUrl: `${server.url}/jmap/session` }),
+        auth: { access_token: 'secret-token' }
+    };
+};
+
+/**
+ * @param {JmapConnector} connector
+ * @param {String} method
+ * @param {Object} auth
+ * @param {Object} params
+ * @param {Object} [options]
+ * @returns {Promise<*>}
+ */
+internals.call = (connector, method, auth, params, options) => {
+
+    return new Promise((resolve, reject) => {
+
+        connector[method](auth, params, options || {}, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+};
+
+/**
+ * @param {Buffer} raw
+ * @returns {Promise<Object>}
+ */
+internals.parse = (raw) => {
+
+    return new Promise((resolve, reject) => {
+
+        Utils.parseRawMail(raw, (err, mail) => (err ? reject(err) : resolve(mail)));
+    });
+};
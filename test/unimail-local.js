@@ -0,0 +1,179 @@
+'use strict';
+
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+
+const LocalConnector = require('../lib/unimail-local');
+
+const internals = {};
+
+const { describe, it, beforeEach, afterEach } = exports.lab = Lab.script();
+const { expect } = Code;
+
+describe('LocalConnector', () => {
+
+    let directory;
+
+    beforeEach(async () => {
+
+        directory = await Fs.promises.mkdtemp(Path.join(Os.tmpdir(), 'unimail-local-'));
+    });
+
+    afterEach(async () => {
+
+        await Fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    describe('listMessages()', () => {
+
+        it('only reads the messages of the page once the mailbox is indexed', async () => {
+
+            await Promise.all([1, 2, 3, 4, 5].map((i) => {
+
+                return Fs.promises.writeFile(Path.join(directory, `${i}.eml`), internals.message({ subject: `Message ${i}`, date: `0${i} Jan 2024` }));
+            }));
+
+            const connector = new LocalConnector();
+            const reads = internals.countReads();
+            const list = (params) => internals.call(connector, 'listMessages', { path: directory }, params);
+
+            const first = await list({ limit: 2 });
+            expect(first.messages.map((message) => message.subject)).to.equal(['Message 5', 'Message 4']);
+            expect(reads()).to.equal(5 + 2);
+
+            const second = await list({ limit: 2, pageToken: first.next_page_token });
+            expect(second.messages.map((message) => message.subject)).to.equal(['Message 3', 'Message 2']);
+            expect(reads()).to.equal(2);
+
+            const filtered = await list({ subject: 'message 1' });
+            expect(filtered.messages.map((message) => message.subject)).to.equal(['Message 1']);
+            expect(reads()).to.equal(1);
+
+            reads.restore();
+        });
+
+        it('parses a message again when its file changes', async () => {
+
+            const path = Path.join(directory, 'message.eml');
+            await Fs.promises.writeFile(path, internals.message({ subject: 'Before' }));
+
+            const connector = new LocalConnector();
+            const list = (params) => internals.call(connector, 'listMessages', { path: directory }, params);
+
+            const before = await list({ subject: 'before' });
+            expect(before.messages).to.have.length(1);
+
+            await Fs.promises.writeFile(path, internals.message({ subject: 'After the change' }));
+
+            const after = await list({ subject: 'before' });
+            expect(after.messages).to.have.length(0);
+
+            const changed = await list({ subject: 'after' });
+            expect(changed.messages).to.have.length(1);
+        });
+
+        it('searches the bodies with q', async () => {
+
+            await Fs.promises.writeFile(Path.join(directory, '1.eml'), internals.message({ subject: 'First', body: 'Nothing to see' }));
+            await Fs.promises.writeFile(Path.join(directory, '2.eml'), internals.message({ subject: 'Second', body: 'The needle is here' }));
+
+            const connector = new LocalConnector();
+            const { messages } = await internals.call(connector, 'listMessages', { path: directory }, { q: 'needle' });
+
+            expect(messages.map((message) => message.subject)).to.equal(['Second']);
+        });
+    });
+
+    describe('getMessage()', () => {
+
+        it('decodes 8bit messages in another charset than utf8', async () => {
+
+            const body = Buffer.from('Café crème', 'latin1');
+            const raw = Buffer.concat([Buffer.from(internals.message({ subject: 'Latin', body: '', headers: ['Content-Type: text/plain; charset=iso-8859-1', 'Content-Transfer-Encoding: 8bit'] })), body]);
+            const mbox = Buffer.concat([Buffer.from('From sender@example.com Mon Jan  1 00:00:00 2024\n'), raw, Buffer.from('\n')]);
+            const path = Path.join(directory, 'mailbox.mbox');
+            await Fs.promises.writeFile(path, mbox);
+
+            const connector = new LocalConnector();
+            const { messages } = await internals.call(connector, 'listMessages', { path }, {});
+            const message = await internals.call(connector, 'getMessage', { path }, { id: messages[0].service_message_id });
+
+            expect(message.body[0].content.trim()).to.equal('Café crème');
+        });
+    });
+});
+
+/**
+ * @param {Object} fields
+ * @param {String} [fields.subject]
+ * @param {String} [fields.date]
+ * @param {String} [fields.body]
+ * @param {Array.<String>} [fields.headers] - Extra header lines
+ * @returns {String} A raw message
+ */
+internals.message = ({ subject = 'Subject', date = '01 Jan 2024', body = 'Hello', headers = [] }) => {
+
+    return [
+        'From: Sender <sender@example.com>',
+        'To: recipient@example.com',
+        `Subject: ${subject}`,
+        `Date: ${date} 10:00:00 +0000`,
+        `Message-ID: <${subject.replace(/\W/g, '')}@example.com>`,
+        ...headers,
+        '',
+        body
+    ].join('\r\n');
+};
+
+/**
+ * Every message the connector parses is read from its file first
+ *
+ * @returns {function():Number} Returns the number of read .eml files since the previous call, `restore()` stops counting
+ */
+internals.countReads = () => {
+
+    const readFile = Fs.promises.readFile;
+    let count = 0;
+
+    Fs.promises.readFile = (path, ...args) => {
+
+        if (String(path).endsWith('.eml')) {
+            count++;
+        }
+
+        return readFile(path, ...args);
+    };
+
+    const parsed = () => {
+
+        const result = count;
+        count = 0;
+        return result;
+    };
+
+    parsed.restore = () => {
+
+        Fs.promises.readFile = readFile;
+    };
+
+    return parsed;
+};
+
+/**
+ * @param {LocalConnector} connector
+ * @param {String} method
+ * @param {Object} auth
+ * @param {Object} params
+ * @returns {Promise<*>}
+ */
+internals.call = (connector, method, auth, params) => {
+
+    return new Promise((resolve, reject) => {
+
+        connector[method](auth, params, {}, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+};
@@ -0,0 +1,153 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+
+const Unimail = require('..');
+const Utils = require('../lib/utils');
+
+const internals = {};
+
+const { describe, it } = exports.lab = Lab.script();
+const { expect } = Code;
+
+describe('MemoryConnector', () => {
+
+    describe('injectFault()', () => {
+
+        it('fails the next call of the method with the status code', async () => {
+
+            const { unimail, connector } = internals.setup();
+
+            connector.injectFault({ method: 'listMessages', statusCode: 429 });
+
+            const err = await expect(unimail.messages.list('memory', internals.auth(), {})).to.reject();
+            expect(err.isBoom).to.be.true();
+            expect(err.output.statusCode).to.equal(429);
+            expect(err.output.headers['Retry-After']).to.equal('1');
+
+            // Other methods and the next call aren't affected
+            await unimail.messages.get('memory', internals.auth(), { id: 'message-1' });
+            const { messages } = await unimail.messages.list('memory', internals.auth(), {});
+            expect(messages).to.have.length(2);
+        });
+
+        it('fails every method when no method is given, as many times as requested', async () => {
+
+            const { unimail, connector } = internals.setup();
+
+            connector.injectFault({ statusCode: 503, message: 'Maintenance', times: 2 });
+
+            const listError = await expect(unimail.messages.list('memory', internals.auth(), {})).to.reject('Maintenance');
+            expect(listError.output.statusCode).to.equal(503);
+
+            const getError = await expect(unimail.messages.get('memory', internals.auth(), { id: 'message-1' })).to.reject('Maintenance');
+            expect(getError.output.statusCode).to.equal(503);
+
+            await unimail.messages.list('memory', internals.auth(), {});
+        });
+
+        it('keeps failing until the faults are cleared', async () => {
+
+            const { unimail, connector } = internals.setup();
+
+            connector.injectFault({ method: 'getMessage', statusCode: 500, times: Number.POSITIVE_INFINITY });
+
+            await Promise.all([1, 2, 3].map(() => expect(unimail.messages.get('memory', internals.auth(), { id: 'message-1' })).to.reject()));
+
+            connector.clearFaults();
+
+            const message = await unimail.messages.get('memory', internals.auth(), { id: 'message-1' });
+            expect(message.subject).to.equal('First');
+        });
+
+        it('expires the token so it gets refreshed before the call', async () => {
+
+            const { unimail, connector } = internals.setup();
+            const tokens = [];
+
+            connector.on('newAccessToken', (token) => tokens.push(token));
+            connector.injectFault({ method: 'listMessages', expireToken: true });
+
+            const { messages } = await unimail.messages.list('memory', internals.auth(), {});
+
+            expect(messages).to.have.length(2);
+            expect(tokens).to.have.length(1);
+            expect(tokens[0].id).to.equal('account');
+            expect(tokens[0].refresh_token).to.equal('refresh');
+            expect(tokens[0].access_token).to.not.equal('access');
+        });
+
+        it('fails the call when refreshing the expired token fails', async () => {
+
+            const { unimail, connector } = internals.setup();
+
+            connector.injectFault({ method: 'refreshAuthCredentials', statusCode: 401 });
+
+            const err = await expect(unimail.messages.list('memory', { ...internals.auth(), expiration_date: new Date(0) }, {})).to.reject();
+            expect(err.output.statusCode).to.equal(401);
+        });
+    });
+
+    describe('getMessage()', () => {
+
+        it('quotes display names in the rfc2822 format', async () => {
+
+            const { unimail } = internals.setup();
+
+            const raw = await unimail.messages.get('memory', internals.auth(), { id: 'message-2', rfc2822Format: true });
+            const mail = await new Promise((resolve, reject) => {
+
+                Utils.parseRawMail(raw, (err, parsed) => (err ? reject(err) : resolve(parsed)));
+            });
+
+            expect(mail.from.value).to.equal([{ name: 'Doe, "JD" John', address: 'john@example.com' }]);
+            expect(mail.to.value).to.equal([{ name: '', address: 'jane@example.com' }, { name: 'Ünicode', address: 'u@example.com' }]);
+        });
+    });
+});
+
+/**
+ * @returns {{ unimail: Unimail, connector: Unimail.MemoryConnector }}
+ */
+internals.setup = () => {
+
+    const connector = new Unimail.MemoryConnector({
+        messages: [
+            {
+                service_message_id: 'message-1',
+                subject: 'First',
+                date: '2024-01-01T10:00:00Z',
+                addresses: { from: { email: 'jane@example.com' }, to: [{ email: 'john@example.com' }] }
+            },
+            {
+                service_message_id: 'message-2',
+                subject: 'Second',
+                date: '2024-01-02T10:00:00Z',
+                body: [{ type: 'text/plain', content: 'Hello' }],
+                addresses: {
+                    from: { name: 'Doe, "JD" John', email: 'john@example.com' },
+                    to: [{ email: 'jane@example.com' }, { name: 'Ünicode', email: 'u@example.com' }]
+                }
+            }
+        ]
+    });
+
+    const unimail = new Unimail();
+    unimail.use(connector);
+
+    return { unimail, connector };
+};
+
+/**
+ * @returns {Object} A valid token, so calls don't refresh it
+ */
+internals.auth = () => {
+
+    return {
+        id: 'account',
+        access_token: 'access',
+        refresh_token: 'refresh',
+        expiration_date: new Date(Date.now() + (60 * 60 * 1000))
+    };
+};
@@ -0,0 +1,236 @@
+'use strict';
+
+const Events = require('events');
+const Http = require('http');
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+
+const Office365Connector = require('../lib/unimail-office365');
+
+const internals = {};
+
+const { describe, it, afterEach } = exports.lab = Lab.script();
+const { expect } = Code;
+
+describe('Office365Connector', () => {
+
+    // The Graph client needs a global fetch, which Node has since 18
+    describe('createSubscription()', { skip: typeof fetch === 'undefined' }, () => {
+
+        let server;
+
+        afterEach(async () => {
+
+            await server.stop();
+        });
+
+        it('renews the subscription before it expires without keeping the process running', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+            const subscription = await internals.call(connector, 'createSubscription', auth, { url: 'https://example.com/notify', secret: 'secret' });
+
+            expect(subscription).to.include({ id: 'subscription-1', secret: 'secret', service_type: 'office365' });
+            expect(connector.subscriptionTimers.get('subscription-1').hasRef()).to.be.false();
+
+            const [renewed] = await Events.once(connector, 'subscriptionRenewed');
+
+            expect(renewed.id).to.equal('subscription-1');
+            expect(renewed.expires_at.getTime()).to.be.above(Date.now() + internals.day);
+            expect(server.requests.map(({ method, url }) => `${method} ${url}`)).to.equal(['POST /v1.0/subscriptions', 'PATCH /v1.0/subscriptions/subscription-1']);
+
+            // The renewal scheduled the next one
+            expect(connector.subscriptionTimers.has('subscription-1')).to.be.true();
+
+            await internals.call(connector, 'deleteSubscription', auth, { id: 'subscription-1' });
+
+            expect(connector.subscriptionTimers.size).to.equal(0);
+        });
+
+        it('emits a failed renewal as subscriptionRenewalFailed instead of error', async () => {
+
+            server = await internals.startServer({ renewStatus: 404 });
+
+            const { connector, auth } = internals.setup(server);
+
+            await internals.call(connector, 'createSubscription', auth, { url: 'https://example.com/notify' });
+
+            const [err] = await Events.once(connector, 'subscriptionRenewalFailed');
+
+            expect(err.subscriptionId).to.equal('subscription-1');
+            expect(connector.listenerCount('error')).to.equal(0);
+            expect(connector.subscriptionTimers.size).to.equal(0);
+        });
+
+        it('emits subscriptionRenewalFailed when the auth became invalid', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+
+            await internals.call(connector, 'createSubscription', auth, { url: 'https://example.com/notify' });
+
+            delete auth.refresh_token;
+
+            const [err] = await Events.once(connector, 'subscriptionRenewalFailed');
+
+            expect(err.message).to.startWith('Invalid authentication');
+            expect(err.subscriptionId).to.equal('subscription-1');
+            expect(server.requests).to.have.length(1);
+        });
+
+        it('doesn\'t renew with autoRenew false', async () => {
+
+            server = await internals.startServer();
+
+            const { connector, auth } = internals.setup(server);
+
+            await internals.call(connector, 'createSubscription', auth, { url: 'https://example.com/notify' }, { autoRenew: false });
+
+            expect(connector.subscriptionTimers.size).to.equal(0);
+        });
+    });
+
+    describe('parseNotification()', () => {
+
+        it('answers a validation request with its token', async () => {
+
+            const { connector } = internals.setup();
+            const result = await internals.call(connector, 'parseNotification', null, { method: 'POST', url: '/notify?validationToken=Validation%3A%20Testing', headers: {} });
+
+            expect(result).to.equal({ notifications: [], response: { statusCode: 200, headers: { 'content-type': 'text/plain' }, payload: 'Validation: Testing' } });
+        });
+
+        it('parses the notifications that have the client state of the secret', async () => {
+
+            const { connector } = internals.setup();
+            const request = internals.notificationRequest(['secret', 'secret']);
+            const result = await internals.call(connector, 'parseNotification', null, request, { secret: 'secret' });
+
+            expect(result.response.statusCode).to.equal(202);
+            expect(result.notifications).to.equal([
+                { accountId: 'user-1', messageIds: ['message-1'], changeType: 'created', subscriptionId: 'subscription-1' },
+                { accountId: 'user-1', messageIds: ['message-2'], changeType: 'created', subscriptionId: 'subscription-1' }
+            ]);
+        });
+
+        it('rejects the notifications when one has another client state', async () => {
+
+            const { connector } = internals.setup();
+
+            const errors = await Promise.all([['secret', 'other'], ['secret', undefined], ['secret', 'secret-but-longer']].map((clientStates) => {
+
+                return expect(internals.call(connector, 'parseNotification', null, internals.notificationRequest(clientStates), { secret: 'secret' })).to.reject('Invalid client state');
+            }));
+
+            expect(errors.map((err) => err.output.statusCode)).to.equal([401, 401, 401]);
+        });
+    });
+});
+
+internals.day = 24 * 60 * 60 * 1000;
+
+// Renewals are scheduled an hour before a subscription expires
+internals.renewalMargin = 60 * 60 * 1000;
+
+/**
+ * Starts a Graph server for the subscription requests. Created subscriptions expire right after the renewal margin, so they are renewed in a few milliseconds.
+ *
+ * @param {Object} [config]
+ * @param {Number} [config.renewStatus=200] - Status of the renew requests
+ * @returns {Promise<{ url: String, requests: Array.<{ method: String, url: String, body: Object? }>, stop: function():Promise<void> }>}
+ */
+internals.startServer = async (config = {}) => {
+
+    const requests = [];
+
+    const listener = Http.createServer((req, res) => {
+
+        const chunks = [];
+
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => {
+
+            const body = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString()) : null;
+            const respond = (statusCode, payload) => {
+
+                res.writeHead(statusCode, payload ? { 'Content-Type': 'application/json' } : {});
+                res.end(payload ? JSON.stringify(payload) : undefined);
+            };
+
+            requests.push({ method: req.method, url: req.url, body });
+
+            if (req.method === 'POST') {
+                return respond(201, { id: 'subscription-1', ...body, expirationDateTime: new Date(Date.now() + internals.renewalMargin + 20).toISOString() });
+            }
+
+            if (req.method === 'PATCH' && config.renewStatus) {
+                return respond(config.renewStatus, { error: { code: 'ResourceNotFound', message: 'The object was not found.' } });
+            }
+
+            if (req.method === 'PATCH') {
+                return respond(200, { id: 'subscription-1', ...body });
+            }
+
+            return respond(204);
+        });
+    });
+
+    await new Promise((resolve) => listener.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${listener.address().port}`,
+        requests,
+        stop: () => new Promise((resolve) => listener.close(resolve))
+    };
+};
+
+/**
+ * @param {{ url: String }} [server]
+ * @returns {{ connector: Office365Connector, auth: Object }}
+ */
+internals.setup = (server) => {
+
+    return {
+        connector: new Office365Connector({ clientId: 'client', clientSecret: 'secret', graphHost: server && server.url }),
+        auth: { access_token: 'access', refresh_token: 'refresh', expiration_date: new Date(Date.now() + internals.day) }
+    };
+};
+
+/**
+ * @param {Array.<String?>} clientStates - One notification per client state
+ * @returns {Object} A notification request as Graph posts it
+ */
+internals.notificationRequest = (clientStates) => {
+
+    const value = clientStates.map((clientState, index) => {
+
+        return {
+            subscriptionId: 'subscription-1',
+            clientState,
+            changeType: 'created',
+            resource: `Users/user-1/Messages/message-${index + 1}`,
+            resourceData: { id: `message-${index + 1}` }
+        };
+    });
+
+    return { method: 'POST', url: '/notify', headers: { 'Content-Type': 'application/json' }, rawBody: Buffer.from(JSON.stringify({ value })) };
+};
+
+/**
+ * @param {Office365Connector} connector
+ * @param {String} method
+ * @param {Object?} auth
+ * @param {Object} params
+ * @param {Object} [options]
+ * @returns {Promise<*>}
+ */
+internals.call = (connector, method, auth, params, options) => {
+
+    return new Promise((resolve, reject) => {
+
+        connector[method](auth, params, options || {}, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+};